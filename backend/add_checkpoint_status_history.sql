@@ -0,0 +1,15 @@
+-- Checkpoint status changes (operational, congested, closed, maintenance),
+-- with who made each change and why
+CREATE TABLE IF NOT EXISTS checkpoint_status_history (
+    history_id SERIAL PRIMARY KEY,
+    checkpoint_id INTEGER NOT NULL REFERENCES checkpoints(checkpoint_id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    changed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_checkpoint_status_history_checkpoint_id ON checkpoint_status_history(checkpoint_id);
+
+COMMENT ON COLUMN checkpoint_status_history.reason IS 'Required for closed and maintenance';
@@ -0,0 +1,14 @@
+-- Intermediate stops (depots) visited between source and destination
+CREATE TABLE IF NOT EXISTS convoy_stops (
+    stop_id SERIAL PRIMARY KEY,
+    convoy_id INTEGER NOT NULL REFERENCES convoys(convoy_id) ON DELETE CASCADE,
+    stop_order INTEGER NOT NULL,
+    place_name VARCHAR(255),
+    lat DOUBLE PRECISION NOT NULL,
+    lon DOUBLE PRECISION NOT NULL,
+    UNIQUE (convoy_id, stop_order)
+);
+
+CREATE INDEX IF NOT EXISTS idx_convoy_stops_convoy_id ON convoy_stops(convoy_id);
+
+COMMENT ON COLUMN convoy_stops.stop_order IS 'Visiting order, starting at 1 after the source';
@@ -0,0 +1,28 @@
+-- Managed risk zones. Replaces risk_zones.csv once the table exists
+-- (run_risk_zones_migration.py seeds it from the CSV).
+-- Circles use center + radius; polygons keep their vertices in `polygon` and
+-- store their centroid and bounding radius in center/radius for quick checks.
+CREATE TABLE IF NOT EXISTS risk_zones (
+    zone_id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    risk_level VARCHAR(20) NOT NULL DEFAULT 'medium',
+    shape VARCHAR(20) NOT NULL DEFAULT 'circle',
+    center_lat DOUBLE PRECISION NOT NULL,
+    center_lon DOUBLE PRECISION NOT NULL,
+    radius_km DOUBLE PRECISION NOT NULL,
+    polygon JSONB,
+    valid_from TIMESTAMP,
+    valid_until TIMESTAMP,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    retired_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_zones_retired_at ON risk_zones(retired_at);
+
+COMMENT ON COLUMN risk_zones.polygon IS '[[lat, lon], ...] vertices for polygon zones, NULL for circles';
+COMMENT ON COLUMN risk_zones.retired_at IS 'Retired zones are kept for history but no longer affect routing';
@@ -0,0 +1,5 @@
+-- Where each stored route came from, so adopted reroutes and merge pickups can
+-- be told apart from the route planned at creation
+ALTER TABLE routes ADD COLUMN IF NOT EXISTS route_kind VARCHAR(20) NOT NULL DEFAULT 'planned';
+
+COMMENT ON COLUMN routes.route_kind IS 'planned (at creation), adopted (reroute) or merge (pickup route)';
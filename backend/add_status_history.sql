@@ -0,0 +1,23 @@
+-- Convoy lifecycle: pending -> approved -> ongoing -> completed,
+-- with cancelled and halted as side branches
+
+-- 'en_route' is now called 'ongoing'
+UPDATE convoys SET status = 'ongoing' WHERE status = 'en_route';
+
+COMMENT ON COLUMN convoys.status IS 'Convoy status: pending, approved, ongoing, halted, completed, cancelled, merged';
+
+-- Every status change, with who made it and why
+CREATE TABLE IF NOT EXISTS convoy_status_history (
+    history_id SERIAL PRIMARY KEY,
+    convoy_id INTEGER NOT NULL REFERENCES convoys(convoy_id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    reason TEXT,
+    changed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_convoy_status_history_convoy_id ON convoy_status_history(convoy_id);
+
+COMMENT ON COLUMN convoy_status_history.from_status IS 'NULL for the initial status set at creation';
+COMMENT ON COLUMN convoy_status_history.reason IS 'Required for cancelled and halted';
@@ -0,0 +1,18 @@
+-- Vehicle breakdown reports: where it happened and what went wrong.
+-- A report stays open until the vehicle leaves 'breakdown' status.
+CREATE TABLE IF NOT EXISTS vehicle_breakdowns (
+    breakdown_id SERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL REFERENCES vehicles(vehicle_id) ON DELETE CASCADE,
+    convoy_id INTEGER NOT NULL REFERENCES convoys(convoy_id) ON DELETE CASCADE,
+    lat DOUBLE PRECISION NOT NULL,
+    lon DOUBLE PRECISION NOT NULL,
+    place_name VARCHAR(255),
+    notes TEXT NOT NULL,
+    reported_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    reported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_breakdowns_convoy_id ON vehicle_breakdowns(convoy_id);
+
+COMMENT ON COLUMN vehicle_breakdowns.resolved_at IS 'Set when the vehicle is moved out of breakdown status';
@@ -1,18 +1,23 @@
-from fastapi import APIRouter, HTTPException
+from fastapi import APIRouter, HTTPException, Depends
 from db_connection import get_connection
 from utils.hashing import hash_password, verify_password
-from utils.auth_utils import create_access_token
+from utils.auth_utils import create_access_token, get_current_user
 from datetime import timedelta
+import os
 import re
 import random
 import time
 
 router = APIRouter()
 
+# Echo OTPs in send-otp responses; development only, until an SMS/email gateway is wired up
+OTP_DEBUG_ECHO = os.getenv("OTP_DEBUG_ECHO", "").lower() in ("1", "true", "yes")
+
 # In-memory OTP store
 otp_store = {}
 # Structure:
 # otp_store[email] = { "otp": "123456", "expires_at": 1730000000 }
+# Registration records also keep the "phone_number" the code was sent for
 
 
 # -------------------------
@@ -76,14 +81,17 @@ def register_send_otp(data: dict):
     otp = generate_otp()
     otp_store[email] = {
         "otp": otp,
+        "phone_number": phone,
         "expires_at": time.time() + 300  # 5 minutes
     }
 
-    return {
+    response = {
         "message": "OTP sent successfully",
-        "email": email,
-        "otp": otp   # Showing in JSON (as requested)
+        "email": email
     }
+    if OTP_DEBUG_ECHO:
+        response["otp"] = otp
+    return response
 
 
 
@@ -107,6 +115,9 @@ def register_verify_otp(data: dict):
     if otp != record["otp"]:
         raise HTTPException(status_code=400, detail="Incorrect OTP")
 
+    # Completion step only accepts emails that got past this check
+    record["verified"] = True
+
     return {"message": "OTP verified successfully"}
 
 
@@ -123,12 +134,20 @@ def register_user(data: dict):
     password = data.get("password")
 
     # Must verify OTP first
-    if email not in otp_store:
+    record = otp_store.get(email, {})
+    if not record.get("verified"):
         raise HTTPException(status_code=400, detail="OTP not verified")
 
+    if time.time() > record["expires_at"]:
+        raise HTTPException(status_code=400, detail="OTP expired")
+
     if not all([name, email, phone_number, password]):
         raise HTTPException(status_code=400, detail="All fields required")
 
+    # The phone number must be the one the verified code was sent for
+    if phone_number != record.get("phone_number"):
+        raise HTTPException(status_code=400, detail="Phone number does not match the verified OTP")
+
     hashed = hash_password(password)
 
     conn = get_connection()
@@ -156,13 +175,15 @@ def register_user(data: dict):
         return {
             "message": "Registration successful",
             "user_id": user_id,
+            "role": "officer",
             "access_token": token,
             "token_type": "bearer"
         }
 
     except Exception as e:
         conn.rollback()
-        raise HTTPException(status_code=400, detail=str(e))
+        print(f"[AUTH] Registration failed for {email}: {e}")
+        raise HTTPException(status_code=400, detail="Registration failed")
 
     finally:
         cur.close()
@@ -202,10 +223,10 @@ def login_send_otp(data: dict):
             "expires_at": time.time() + 300
         }
 
-        return {
-            "message": "OTP sent for login",
-            "otp": otp
-        }
+        response = {"message": "OTP sent for login"}
+        if OTP_DEBUG_ECHO:
+            response["otp"] = otp
+        return response
 
     finally:
         cur.close()
@@ -242,7 +263,7 @@ def login_verify_otp(data: dict):
     cur = conn.cursor()
 
     try:
-        cur.execute("SELECT user_id, password_hash FROM users WHERE email=%s;", (email,))
+        cur.execute("SELECT user_id, password_hash, role FROM users WHERE email=%s;", (email,))
         user = cur.fetchone()
 
         if not user:
@@ -263,6 +284,7 @@ def login_verify_otp(data: dict):
         return {
             "message": "Login successful",
             "user_id": user["user_id"],
+            "role": user["role"],
             "access_token": token,
             "token_type": "bearer"
         }
@@ -272,6 +294,26 @@ def login_verify_otp(data: dict):
         conn.close()
 
 
+# --------------------------
+# REFRESH TOKEN
+# --------------------------
+
+@router.post("/refresh")
+def refresh_token(current_user: dict = Depends(get_current_user)):
+    """Issue a new token for a session whose current token is still valid"""
+    token = create_access_token(
+        data={"user_id": current_user["user_id"], "email": current_user.get("email")},
+        expires_delta=timedelta(days=1)
+    )
+
+    return {
+        "message": "Token refreshed",
+        "user_id": current_user["user_id"],
+        "access_token": token,
+        "token_type": "bearer"
+    }
+
+
 # --------------------------
 # SIMPLE LOGIN (WITHOUT OTP) - For backward compatibility
 # --------------------------
@@ -295,7 +337,7 @@ def simple_login(data: dict):
     cur = conn.cursor()
 
     try:
-        cur.execute("SELECT user_id, password_hash, name FROM users WHERE email=%s;", (email,))
+        cur.execute("SELECT user_id, password_hash, name, role FROM users WHERE email=%s;", (email,))
         user = cur.fetchone()
 
         if not user:
@@ -314,6 +356,7 @@ def simple_login(data: dict):
             "message": "Login successful",
             "user_id": user["user_id"],
             "name": user.get("name", ""),
+            "role": user["role"],
             "access_token": token,
             "token_type": "bearer"
         }
@@ -376,6 +419,7 @@ def simple_register(data: dict):
         return {
             "message": "Registration successful",
             "user_id": user_id,
+            "role": "officer",
             "access_token": token,
             "token_type": "bearer"
         }
@@ -292,7 +292,7 @@ def dynamic_reroute(
         return {"error": "No routes returned by OSRM"}
 
     scored_options = []
-    for r in routes:
+    for idx, r in enumerate(routes):
         coords = coords_polyline_to_latlon(r.get("geometry", ""))
         if not coords:
             continue
@@ -303,25 +303,32 @@ def dynamic_reroute(
             "coords": coords,
             "distance": r.get("distance", 0.0),
             "duration": r.get("duration", 0.0),
-            "densified_len": sc["densified_len"]
+            "densified_len": sc["densified_len"],
+            "is_primary": idx == 0
         })
 
     if not scored_options:
         return {"error": "No valid route options"}
 
+    # OSRM's first route is what the convoy would drive without rerouting
+    original = next((o for o in scored_options if o["is_primary"]), scored_options[0])
+
     # Sort by score (lower = better)
     scored_options.sort(key=lambda x: x["score"])
 
     best = scored_options[0]
-    original_coords = coords_polyline_to_latlon(routes[0].get("geometry", ""))
 
     return {
-        "original_route": original_coords,
+        "original_route": original["coords"],
         "chosen_route": best["coords"],
         "reroute": best["coords"],
         "closures": [list(c) for c in closures],
         "closed_segments": best["closed_segments"],
         "eta_seconds": best.get("duration", 0.0),
         "distance_m": best.get("distance", 0.0),
-        "score": best["score"]
+        "score": best["score"],
+        "original_closed_segments": original["closed_segments"],
+        "original_eta_seconds": original.get("duration", 0.0),
+        "original_distance_m": original.get("distance", 0.0),
+        "original_score": original["score"]
     }
\ No newline at end of file
@@ -5,9 +5,15 @@ Handles loading, detecting, and avoiding risk zones along convoy routes.
 
 import os
 import csv
+import json
 import math
+from datetime import datetime
 from typing import List, Dict, Any, Tuple, Optional
 from dataclasses import dataclass
+from db_connection import get_connection
+
+# Sample spacing along route segments when checking polygon zones
+POLYGON_SAMPLE_KM = 0.25
 
 @dataclass
 class RiskZone:
@@ -18,6 +24,23 @@ class RiskZone:
     center_lon: float
     radius_km: float
     risk_level: str  # low, medium, high
+    shape: str = "circle"  # circle or polygon
+    # (lat, lon) vertices for polygons; center/radius are then the centroid
+    # and bounding radius, used to skip far-away segments quickly
+    polygon: Optional[List[Tuple[float, float]]] = None
+    valid_from: Optional[datetime] = None
+    valid_until: Optional[datetime] = None
+    notes: Optional[str] = None
+    source: str = "csv"  # csv or db
+
+    def is_active(self, now: Optional[datetime] = None) -> bool:
+        """Whether the validity period covers `now`; open ends always match"""
+        now = now or datetime.now()
+        if self.valid_from and now < self.valid_from:
+            return False
+        if self.valid_until and now > self.valid_until:
+            return False
+        return True
 
     def to_dict(self) -> Dict[str, Any]:
         return {
@@ -26,10 +49,37 @@ class RiskZone:
             "lat": self.center_lat,
             "lon": self.center_lon,
             "radius_km": self.radius_km,
-            "risk_level": self.risk_level
+            "risk_level": self.risk_level,
+            "shape": self.shape,
+            "polygon": [list(p) for p in self.polygon] if self.polygon else None,
+            "valid_from": self.valid_from.isoformat() if self.valid_from else None,
+            "valid_until": self.valid_until.isoformat() if self.valid_until else None,
+            "notes": self.notes,
+            "source": self.source
         }
 
 
+def zone_from_row(row: Dict[str, Any]) -> RiskZone:
+    """RiskZone from a risk_zones table row"""
+    polygon = row.get("polygon")
+    if isinstance(polygon, str):
+        polygon = json.loads(polygon)
+    return RiskZone(
+        zone_id=str(row["zone_id"]),
+        name=row["name"],
+        center_lat=row["center_lat"],
+        center_lon=row["center_lon"],
+        radius_km=row["radius_km"],
+        risk_level=row["risk_level"],
+        shape=row.get("shape") or "circle",
+        polygon=[tuple(p) for p in polygon] if polygon else None,
+        valid_from=row.get("valid_from"),
+        valid_until=row.get("valid_until"),
+        notes=row.get("notes"),
+        source="db"
+    )
+
+
 class RiskZoneManager:
     """Manages risk zones and detects route intersections"""
 
@@ -39,7 +89,10 @@ class RiskZoneManager:
         self.load_risk_zones()
 
     def load_risk_zones(self) -> None:
-        """Load risk zones from CSV file"""
+        """Load risk zones from the risk_zones table, or the CSV file until it's set up"""
+        if self.load_db_zones():
+            return
+
         # Check multiple possible locations
         possible_paths = [
             self.csv_filepath,
@@ -79,9 +132,56 @@ class RiskZoneManager:
         except Exception as e:
             print(f"[RISK] Error loading {filepath}: {e}")
 
+    def load_db_zones(self) -> bool:
+        """
+        Load non-retired zones from the risk_zones table. False if it's missing
+        or has never held a zone (schema.sql creates it empty; only
+        run_risk_zones_migration.py seeds it), so the CSV is used instead.
+        """
+        conn = get_connection()
+        if not conn:
+            print("[RISK] Database unavailable, using the CSV file")
+            return False
+
+        cur = conn.cursor()
+        try:
+            cur.execute("SELECT to_regclass('public.risk_zones') AS tbl;")
+            if not cur.fetchone()["tbl"]:
+                print("[RISK] risk_zones table not found, using the CSV file")
+                return False
+            # Retired rows count: retiring every zone is deliberate, an empty table is not
+            cur.execute("SELECT COUNT(*) AS count FROM risk_zones;")
+            if cur.fetchone()["count"] == 0:
+                print("[RISK] risk_zones table is empty, using the CSV file - run run_risk_zones_migration.py to seed it")
+                return False
+            cur.execute("""
+                SELECT zone_id, name, risk_level, shape, center_lat, center_lon, radius_km,
+                       polygon, valid_from, valid_until, notes
+                FROM risk_zones WHERE retired_at IS NULL ORDER BY zone_id;
+            """)
+            self.risk_zones = [zone_from_row(row) for row in cur.fetchall()]
+            print(f"[RISK] Loaded {len(self.risk_zones)} risk zones from the risk_zones table")
+            return True
+        except Exception as e:
+            print(f"[RISK] Error loading risk zones from the database: {e}")
+            return False
+        finally:
+            cur.close()
+            conn.close()
+
+    def reload(self) -> None:
+        """Re-read the zones, e.g. after they were edited through the API"""
+        self.risk_zones = []
+        self.load_risk_zones()
+
+    def active_zones(self) -> List[RiskZone]:
+        """Zones whose validity period covers the current time"""
+        now = datetime.now()
+        return [zone for zone in self.risk_zones if zone.is_active(now)]
+
     def get_all_zones(self) -> List[Dict[str, Any]]:
-        """Return all risk zones as dictionaries"""
-        return [zone.to_dict() for zone in self.risk_zones]
+        """Return all currently active risk zones as dictionaries"""
+        return [zone.to_dict() for zone in self.active_zones()]
 
     @staticmethod
     def haversine_distance(lat1: float, lon1: float, lat2: float, lon2: float) -> float:
@@ -140,6 +240,183 @@ class RiskZoneManager:
         dist_sq = (p_x - closest_x)**2 + (p_y - closest_y)**2
         return math.sqrt(dist_sq)
 
+    @staticmethod
+    def segment_circle_overlap(center_lat: float, center_lon: float, radius_km: float,
+                               line_lat1: float, line_lon1: float,
+                               line_lat2: float, line_lon2: float) -> Optional[Tuple[float, float]]:
+        """
+        Part of a segment that lies inside a circle, as fractions (t_in, t_out)
+        of the segment, or None if it stays outside. Same local projection as
+        point_to_line_distance.
+        """
+        R = 6371.0
+        cos_lat = math.cos(math.radians((line_lat1 + line_lat2) / 2))
+
+        a_x = R * math.radians(line_lon1 - center_lon) * cos_lat
+        a_y = R * math.radians(line_lat1 - center_lat)
+        b_x = R * math.radians(line_lon2 - center_lon) * cos_lat
+        b_y = R * math.radians(line_lat2 - center_lat)
+
+        dx = b_x - a_x
+        dy = b_y - a_y
+        a = dx*dx + dy*dy
+        b = 2 * (a_x * dx + a_y * dy)
+        c = a_x*a_x + a_y*a_y - radius_km*radius_km
+
+        if a == 0:
+            return (0.0, 1.0) if c <= 0 else None
+
+        disc = b*b - 4*a*c
+        if disc < 0:
+            return None
+
+        root = math.sqrt(disc)
+        t_in = max(0.0, (-b - root) / (2*a))
+        t_out = min(1.0, (-b + root) / (2*a))
+        if t_in > t_out:
+            return None
+        return (t_in, t_out)
+
+    @staticmethod
+    def point_in_polygon(lat: float, lon: float, polygon: List[Tuple[float, float]]) -> bool:
+        """Ray casting on (lat, lon) vertices; fine at risk zone scale"""
+        inside = False
+        j = len(polygon) - 1
+        for i in range(len(polygon)):
+            lat_i, lon_i = polygon[i]
+            lat_j, lon_j = polygon[j]
+            if (lat_i > lat) != (lat_j > lat):
+                crossing_lon = lon_i + (lat - lat_i) * (lon_j - lon_i) / (lat_j - lat_i)
+                if lon < crossing_lon:
+                    inside = not inside
+            j = i
+        return inside
+
+    def zone_contains(self, zone: RiskZone, lat: float, lon: float) -> bool:
+        """Whether the point lies inside the zone's circle or polygon"""
+        if zone.shape == "polygon" and zone.polygon:
+            return self.point_in_polygon(lat, lon, zone.polygon)
+        return self.haversine_distance(lat, lon, zone.center_lat, zone.center_lon) <= zone.radius_km
+
+    def distance_to_polygon(self, lat: float, lon: float, polygon: List[Tuple[float, float]]) -> float:
+        """Distance in km from the point to the polygon's edge, 0 inside"""
+        if self.point_in_polygon(lat, lon, polygon):
+            return 0.0
+        edges = zip(polygon, polygon[1:] + polygon[:1])
+        return min(self.point_to_line_distance(lat, lon, a[0], a[1], b[0], b[1]) for a, b in edges)
+
+    def zone_route_risk(self, zone: RiskZone, route_coords: List[Tuple[float, float]],
+                        cumulative_km: List[float], buffer_km: float) -> Optional[Dict[str, Any]]:
+        """
+        Danger point for one zone, or None if the route stays clear of it.
+
+        Circles are measured from the center (distance_from_route_km is the
+        center's distance to the route). Polygons are sampled along nearby
+        segments and measured from their edge, 0 when the route crosses them.
+        """
+        if zone.shape == "polygon" and zone.polygon:
+            return self.polygon_route_risk(zone, route_coords, cumulative_km, buffer_km)
+
+        min_distance = float('inf')
+        reach_km = zone.radius_km + buffer_km
+        entry_km = None
+        exit_km = None
+        inside_km = 0.0
+
+        # Check distance to each segment of the route
+        for i in range(len(route_coords) - 1):
+            lat1, lon1 = route_coords[i]
+            lat2, lon2 = route_coords[i + 1]
+
+            dist = self.point_to_line_distance(
+                zone.center_lat, zone.center_lon,
+                lat1, lon1, lat2, lon2
+            )
+            min_distance = min(min_distance, dist)
+
+            if dist <= reach_km:
+                overlap = self.segment_circle_overlap(
+                    zone.center_lat, zone.center_lon, reach_km,
+                    lat1, lon1, lat2, lon2
+                )
+                if overlap:
+                    segment_km = cumulative_km[i + 1] - cumulative_km[i]
+                    if entry_km is None:
+                        entry_km = cumulative_km[i] + overlap[0] * segment_km
+                    exit_km = cumulative_km[i] + overlap[1] * segment_km
+                    inside_km += (overlap[1] - overlap[0]) * segment_km
+
+        # If route passes through or near the risk zone
+        if min_distance > reach_km:
+            return None
+        return self.danger_point(zone, min_distance, entry_km, exit_km, inside_km)
+
+    def polygon_route_risk(self, zone: RiskZone, route_coords: List[Tuple[float, float]],
+                           cumulative_km: List[float], buffer_km: float) -> Optional[Dict[str, Any]]:
+        """zone_route_risk for polygon zones"""
+        min_distance = float('inf')
+        reach_km = zone.radius_km + buffer_km
+        entry_km = None
+        exit_km = None
+        inside_km = 0.0
+
+        for i in range(len(route_coords) - 1):
+            lat1, lon1 = route_coords[i]
+            lat2, lon2 = route_coords[i + 1]
+
+            # Segments outside the bounding circle can't reach the polygon
+            if self.point_to_line_distance(zone.center_lat, zone.center_lon, lat1, lon1, lat2, lon2) > reach_km:
+                continue
+
+            segment_km = cumulative_km[i + 1] - cumulative_km[i]
+            steps = max(1, math.ceil(segment_km / POLYGON_SAMPLE_KM))
+            previous_within = False
+            for k in range(steps + 1):
+                t = k / steps
+                dist = self.distance_to_polygon(lat1 + (lat2 - lat1) * t, lon1 + (lon2 - lon1) * t, zone.polygon)
+                min_distance = min(min_distance, dist)
+                within = dist <= buffer_km
+                if within:
+                    along_km = cumulative_km[i] + t * segment_km
+                    if entry_km is None:
+                        entry_km = along_km
+                    exit_km = along_km
+                    if previous_within:
+                        inside_km += segment_km / steps
+                previous_within = within
+
+        if min_distance > buffer_km:
+            return None
+        return self.danger_point(zone, min_distance, entry_km, exit_km, inside_km)
+
+    @staticmethod
+    def danger_point(zone: RiskZone, min_distance: float, entry_km: Optional[float],
+                     exit_km: Optional[float], inside_km: float) -> Dict[str, Any]:
+        return {
+            "id": zone.zone_id,
+            "name": zone.name,
+            "lat": zone.center_lat,
+            "lon": zone.center_lon,
+            "risk_level": zone.risk_level,
+            "radius_km": zone.radius_km,
+            "shape": zone.shape,
+            "polygon": [list(p) for p in zone.polygon] if zone.polygon else None,
+            "distance_from_route_km": round(min_distance, 2),
+            "entry_km": round(entry_km, 2) if entry_km is not None else None,
+            "exit_km": round(exit_km, 2) if exit_km is not None else None,
+            "inside_km": round(inside_km, 2)
+        }
+
+    @classmethod
+    def route_cumulative_km(cls, route_coords: List[Tuple[float, float]]) -> List[float]:
+        """Distance along the route at each vertex"""
+        cumulative_km = [0.0]
+        for i in range(len(route_coords) - 1):
+            lat1, lon1 = route_coords[i]
+            lat2, lon2 = route_coords[i + 1]
+            cumulative_km.append(cumulative_km[-1] + cls.haversine_distance(lat1, lon1, lat2, lon2))
+        return cumulative_km
+
     def detect_route_risks(self, route_coords: List[Tuple[float, float]],
                           buffer_km: float = 1.0) -> Dict[str, Any]:
         """
@@ -150,40 +427,23 @@ class RiskZoneManager:
             buffer_km: Additional buffer distance in km (default 1km)
 
         Returns:
-            Dictionary with danger_points, risk_summary, and total_dangers
+            Dictionary with danger_points, risk_summary, and total_dangers.
+            Each danger point carries entry_km/exit_km (distance along the
+            route where it first enters and last leaves zone radius + buffer)
+            and inside_km (route length within it).
         """
         danger_points = []
         risk_summary = {}
+        cumulative_km = self.route_cumulative_km(route_coords)
 
-        for zone in self.risk_zones:
-            min_distance = float('inf')
-
-            # Check distance to each segment of the route
-            for i in range(len(route_coords) - 1):
-                lat1, lon1 = route_coords[i]
-                lat2, lon2 = route_coords[i + 1]
-
-                dist = self.point_to_line_distance(
-                    zone.center_lat, zone.center_lon,
-                    lat1, lon1, lat2, lon2
-                )
-                min_distance = min(min_distance, dist)
-
-            # If route passes through or near the risk zone
-            if min_distance <= zone.radius_km + buffer_km:
-                danger_points.append({
-                    "id": zone.zone_id,
-                    "name": zone.name,
-                    "lat": zone.center_lat,
-                    "lon": zone.center_lon,
-                    "risk_level": zone.risk_level,
-                    "radius_km": zone.radius_km,
-                    "distance_from_route_km": round(min_distance, 2)
-                })
+        for zone in self.active_zones():
+            danger = self.zone_route_risk(zone, route_coords, cumulative_km, buffer_km)
+            if danger:
+                danger_points.append(danger)
                 risk_summary[zone.zone_id] = {
                     "name": zone.name,
                     "risk_level": zone.risk_level,
-                    "min_distance_km": round(min_distance, 2)
+                    "min_distance_km": danger["distance_from_route_km"]
                 }
 
         # Sort by risk level (high first) then by distance
@@ -194,6 +454,8 @@ class RiskZoneManager:
             "danger_points": danger_points,
             "risk_summary": risk_summary,
             "total_dangers": len(danger_points),
+            "buffer_km": buffer_km,
+            "route_distance_km": round(cumulative_km[-1], 2),
             "high_risk_count": sum(1 for d in danger_points if d["risk_level"] == "high"),
             "medium_risk_count": sum(1 for d in danger_points if d["risk_level"] == "medium"),
             "low_risk_count": sum(1 for d in danger_points if d["risk_level"] == "low")
@@ -204,9 +466,8 @@ class RiskZoneManager:
         Calculate risk penalty for a specific point.
         Higher penalty for points inside high-risk zones.
         """
-        for zone in self.risk_zones:
-            dist = self.haversine_distance(lat, lon, zone.center_lat, zone.center_lon)
-            if dist <= zone.radius_km:
+        for zone in self.active_zones():
+            if self.zone_contains(zone, lat, lon):
                 if zone.risk_level == "high":
                     return 1000.0
                 elif zone.risk_level == "medium":
@@ -10,6 +10,11 @@ router = APIRouter()
 NOMINATIM_URL = "https://nominatim.openstreetmap.org/search"
 NOMINATIM_REVERSE_URL = "https://nominatim.openstreetmap.org/reverse"
 
+# Autocomplete repeats the same prefixes a lot; cache to stay inside
+# Nominatim's 1 request/second policy. Oldest entries are evicted first.
+SEARCH_CACHE_SIZE = 200
+search_cache = {}
+
 
 def geocode_place(query: str, retries: int = 2) -> Optional[dict]:
     """
@@ -122,6 +127,40 @@ class GeocodingService:
 
         return None
 
+    @staticmethod
+    def search(query: str, limit: int = 5) -> List[dict]:
+        """
+        Candidate matches for autocomplete.
+        Returns: [{'lat': float, 'lon': float, 'display_name': str, 'type': str}, ...]
+        """
+        key = (query.strip().lower(), limit)
+        if key in search_cache:
+            return search_cache[key]
+
+        params = {"q": query, "format": "json", "limit": limit}
+        try:
+            r = requests.get(NOMINATIM_URL, params=params, timeout=5, headers={"User-Agent": "SmartConvoyAI/1.0"})
+            r.raise_for_status()
+            data = r.json()
+        except Exception as e:
+            print(f"[GEOCODE] Error searching {query}: {e}")
+            return []
+
+        results = [
+            {
+                "lat": float(item["lat"]),
+                "lon": float(item["lon"]),
+                "display_name": item.get("display_name", ""),
+                "type": item.get("type", "")
+            }
+            for item in data if isinstance(data, list)
+        ]
+
+        if len(search_cache) >= SEARCH_CACHE_SIZE:
+            search_cache.pop(next(iter(search_cache)))
+        search_cache[key] = results
+        return results
+
     @staticmethod
     def reverse_geocode(lat: float, lon: float) -> Optional[dict]:
         """
@@ -165,6 +204,34 @@ class GeocodingService:
         return results
 
 
+@router.get("/place")
+def geocode_single_place(q: str = Query(..., min_length=2, description="Place name or address")):
+    """Resolve one place name to coordinates: {status, lat, lon, display_name}."""
+    result = geocode_place(q)
+    if not result:
+        return JSONResponse({"status": "error", "message": f"Could not find '{q}'"}, status_code=404)
+    return JSONResponse({"status": "success", **result})
+
+
+@router.get("/search")
+def search_places(
+    q: str = Query(..., min_length=3, description="Partial place name or address"),
+    limit: int = Query(5, ge=1, le=10)
+):
+    """Autocomplete candidates for a partial place name."""
+    results = GeocodingService.search(q, limit)
+    return JSONResponse({"status": "success", "count": len(results), "results": results})
+
+
+@router.get("/reverse")
+def reverse_place(lat: float = Query(..., ge=-90, le=90), lon: float = Query(..., ge=-180, le=180)):
+    """Label for a point picked on the map."""
+    result = GeocodingService.reverse_geocode(lat, lon)
+    if not result:
+        return JSONResponse({"status": "error", "message": "No address found for this point"}, status_code=404)
+    return JSONResponse({"status": "success", "lat": lat, "lon": lon, **result})
+
+
 @router.get("/route_from_places")
 def route_from_places(
     start_place: str = Query(..., description="Start place/address"),
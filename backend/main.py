@@ -2,7 +2,7 @@
 from fastapi import FastAPI, Request
 from fastapi.middleware.cors import CORSMiddleware
 from fastapi.responses import JSONResponse
-from routers import convoy_routes, route_visualization, analytics, checkpoints, vehicle_status, risk_zones
+from routers import convoy_routes, route_visualization, analytics, checkpoints, vehicle_status, risk_zones, tracking, route_optimization, tiles
 from auth import auth
 import geocode_router
 
@@ -42,11 +42,14 @@ app.add_middleware(
 app.include_router(auth.router, prefix="/api/auth", tags=["Authentication"])
 app.include_router(convoy_routes.router, prefix="/api/convoys", tags=["Convoy Management"])
 app.include_router(route_visualization.router, prefix="/api/routes", tags=["Route Visualization"])
+app.include_router(route_optimization.router, prefix="/api/routes", tags=["Route Optimization"])
 app.include_router(geocode_router.router, prefix="/api/geocode", tags=["Geocoding"])
 app.include_router(analytics.router, prefix="/api/analytics", tags=["Analytics"])
 app.include_router(checkpoints.router, prefix="/api/checkpoints", tags=["Checkpoints"])
 app.include_router(vehicle_status.router, prefix="/api/vehicles", tags=["Vehicle Status"])
 app.include_router(risk_zones.router, prefix="/api/risk-zones", tags=["Risk Zones"])
+app.include_router(tracking.router, prefix="/api/tracking", tags=["Live Tracking"])
+app.include_router(tiles.router, prefix="/api/tiles", tags=["Map Tiles"])
 
 @app.get("/")
 def root():
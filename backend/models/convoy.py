@@ -73,6 +73,13 @@ class RiskZone(BaseModel):
     risk_level: str = "medium"
 
 
+class Stop(BaseModel):
+    """Intermediate stop (depot) between source and destination."""
+    place_name: Optional[str] = None
+    lat: float
+    lon: float
+
+
 class Route(BaseModel):
     """Route for convoy."""
     convoy_id: int
@@ -93,6 +100,8 @@ class Convoy(BaseModel):
     source_lon: Optional[float] = None
     destination_lat: Optional[float] = None
     destination_lon: Optional[float] = None
+    # Visited in list order between source and destination
+    stops: List[Stop] = []
     priority: ConvoyPriority = ConvoyPriority.MEDIUM
     route: Optional[Route] = None
 
@@ -1,5 +1,5 @@
 # routers/analytics.py
-from fastapi import APIRouter, HTTPException, Depends
+from fastapi import APIRouter, HTTPException, Depends, Query
 from fastapi.responses import JSONResponse
 from utils.auth_utils import get_current_user
 from utils.helpers import haversine_km
@@ -9,6 +9,21 @@ import math
 
 router = APIRouter()
 
+# Baseline assumptions for a route nobody has optimized
+ROAD_FACTOR = 1.3
+BASELINE_SPEED_KMH = 50.0
+DIESEL_PRICE_INR = 150.0
+
+# Fuel burn per vehicle type (L/km), keyed by models.convoy.VehicleType values
+FUEL_RATES_L_PER_KM = {
+    "truck": 0.35,
+    "van": 0.12,
+    "armored_vehicle": 0.60,
+    "ambulance": 0.15,
+}
+# Used for unknown types and for convoys with no vehicles yet (one truck)
+DEFAULT_FUEL_RATE_L_PER_KM = 0.35
+
 
 def calculate_baseline_distance(source_lat: float, source_lon: float, dest_lat: float, dest_lon: float) -> float:
     """
@@ -16,7 +31,7 @@ def calculate_baseline_distance(source_lat: float, source_lon: float, dest_lat:
     Uses Haversine formula with 1.3x multiplier for road routing.
     """
     straight_line_km = haversine_km(source_lat, source_lon, dest_lat, dest_lon)
-    return straight_line_km * 1.3  # 30% road factor
+    return straight_line_km * ROAD_FACTOR  # 30% road factor
 
 
 def calculate_baseline_duration(distance_km: float) -> float:
@@ -24,18 +39,50 @@ def calculate_baseline_duration(distance_km: float) -> float:
     Calculate baseline duration in minutes.
     Assumes 50 km/h average speed.
     """
-    return (distance_km / 50.0) * 60.0
+    return (distance_km / BASELINE_SPEED_KMH) * 60.0
+
 
+def get_vehicle_types(cur, convoy_id: int) -> list:
+    """Vehicle type of every vehicle in the convoy"""
+    cur.execute("SELECT vehicle_type FROM vehicles WHERE convoy_id = %s;", (convoy_id,))
+    return [row["vehicle_type"] for row in cur.fetchall()]
 
-def calculate_fuel_consumption(distance_km: float) -> float:
+
+def build_fuel_model(vehicle_types: Optional[list] = None) -> dict:
+    """
+    Combined fuel burn for the whole convoy, with a per-type breakdown.
+    Every vehicle drives the full route, so rates add up.
+    """
+    counts = {}
+    for vehicle_type in vehicle_types or []:
+        counts[vehicle_type] = counts.get(vehicle_type, 0) + 1
+
+    breakdown = [
+        {
+            "vehicle_type": vehicle_type,
+            "count": count,
+            "liters_per_km": FUEL_RATES_L_PER_KM.get(vehicle_type, DEFAULT_FUEL_RATE_L_PER_KM)
+        }
+        for vehicle_type, count in sorted(counts.items())
+    ]
+    total_rate = sum(v["liters_per_km"] * v["count"] for v in breakdown) or DEFAULT_FUEL_RATE_L_PER_KM
+
+    return {
+        "liters_per_km": round(total_rate, 3),
+        "vehicles": breakdown,
+        "price_per_liter_inr": DIESEL_PRICE_INR
+    }
+
+
+def calculate_fuel_consumption(distance_km: float, vehicle_types: Optional[list] = None) -> float:
     """
-    Calculate fuel consumption in liters.
-    Assumes 0.35 L/km for military trucks.
+    Calculate fuel consumption in liters for the whole convoy.
+    Uses per-type rates from FUEL_RATES_L_PER_KM; with no vehicles, one truck.
     """
-    return distance_km * 0.35
+    return distance_km * build_fuel_model(vehicle_types)["liters_per_km"]
 
 
-def calculate_fuel_cost(fuel_liters: float, price_per_liter: float = 150.0) -> float:
+def calculate_fuel_cost(fuel_liters: float, price_per_liter: float = DIESEL_PRICE_INR) -> float:
     """
     Calculate fuel cost in rupees.
     Default diesel price: ₹150/liter
@@ -97,7 +144,8 @@ def get_dashboard_metrics(current_user: dict = Depends(get_current_user)):
                 convoy["destination_lat"], convoy["destination_lon"]
             )
             baseline_duration = calculate_baseline_duration(baseline_distance)
-            baseline_fuel = calculate_fuel_consumption(baseline_distance)
+            vehicle_types = get_vehicle_types(cur, convoy["convoy_id"])
+            baseline_fuel = calculate_fuel_consumption(baseline_distance, vehicle_types)
 
             # Get actual optimized route metrics from routes table
             cur.execute("""
@@ -111,7 +159,7 @@ def get_dashboard_metrics(current_user: dict = Depends(get_current_user)):
             if route and route["total_distance_km"]:
                 optimized_distance = route["total_distance_km"]
                 optimized_duration = route["estimated_duration_minutes"] or calculate_baseline_duration(optimized_distance)
-                optimized_fuel = calculate_fuel_consumption(optimized_distance)
+                optimized_fuel = calculate_fuel_consumption(optimized_distance, vehicle_types)
 
                 # Calculate savings
                 distance_saved = max(0, baseline_distance - optimized_distance)
@@ -181,10 +229,16 @@ def get_dashboard_metrics(current_user: dict = Depends(get_current_user)):
 
 
 @router.get("/convoy/{convoy_id}/optimization-details")
-def get_convoy_optimization_details(convoy_id: int, current_user: dict = Depends(get_current_user)):
+def get_convoy_optimization_details(
+    convoy_id: int,
+    current_user: dict = Depends(get_current_user),
+    route_distance_km: Optional[float] = Query(None, gt=0, description="Candidate route distance, used when no route is stored"),
+    route_duration_minutes: Optional[float] = Query(None, gt=0, description="Candidate route duration, used with route_distance_km")
+):
     """
     Get detailed optimization comparison for a specific convoy.
     Returns baseline vs optimized metrics with savings breakdown.
+    A stored route wins over the candidate passed in the query string.
     """
     user_id = current_user["user_id"]
 
@@ -216,9 +270,16 @@ def get_convoy_optimization_details(convoy_id: int, current_user: dict = Depends
             convoy["destination_lat"], convoy["destination_lon"]
         )
         baseline_duration = calculate_baseline_duration(baseline_distance)
-        baseline_fuel = calculate_fuel_consumption(baseline_distance)
+        vehicle_types = get_vehicle_types(cur, convoy_id)
+        fuel_model = build_fuel_model(vehicle_types)
+        baseline_fuel = calculate_fuel_consumption(baseline_distance, vehicle_types)
         baseline_cost = calculate_fuel_cost(baseline_fuel)
 
+        assumptions = {
+            "road_factor": ROAD_FACTOR,
+            "baseline_speed_kmh": BASELINE_SPEED_KMH
+        }
+
         # Get optimized route
         cur.execute("""
             SELECT total_distance_km, estimated_duration_minutes
@@ -228,6 +289,14 @@ def get_convoy_optimization_details(convoy_id: int, current_user: dict = Depends
         """, (convoy_id,))
         route = cur.fetchone()
 
+        optimized_source = "stored"
+        if (not route or not route["total_distance_km"]) and route_distance_km:
+            route = {
+                "total_distance_km": route_distance_km,
+                "estimated_duration_minutes": route_duration_minutes
+            }
+            optimized_source = "candidate"
+
         if not route or not route["total_distance_km"]:
             # No route calculated yet, return baseline only
             return JSONResponse({
@@ -242,13 +311,15 @@ def get_convoy_optimization_details(convoy_id: int, current_user: dict = Depends
                 },
                 "optimized": None,
                 "savings": None,
+                "fuel_model": fuel_model,
+                "assumptions": assumptions,
                 "message": "Route not yet optimized"
             })
 
         # Calculate optimized metrics
-        optimized_distance = route["total_distance_km"]
-        optimized_duration = route["estimated_duration_minutes"] or calculate_baseline_duration(optimized_distance)
-        optimized_fuel = calculate_fuel_consumption(optimized_distance)
+        optimized_distance = float(route["total_distance_km"])
+        optimized_duration = float(route["estimated_duration_minutes"] or calculate_baseline_duration(optimized_distance))
+        optimized_fuel = calculate_fuel_consumption(optimized_distance, vehicle_types)
         optimized_cost = calculate_fuel_cost(optimized_fuel)
 
         # Calculate savings
@@ -280,7 +351,10 @@ def get_convoy_optimization_details(convoy_id: int, current_user: dict = Depends
                 "fuel_liters": round(max(0, fuel_saved), 2),
                 "cost_inr": round(max(0, cost_saved), 2),
                 "efficiency_improvement_percent": round(max(0, efficiency_improvement), 2)
-            }
+            },
+            "optimized_source": optimized_source,
+            "fuel_model": fuel_model,
+            "assumptions": assumptions
         })
 
     except HTTPException:
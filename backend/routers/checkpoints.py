@@ -4,11 +4,33 @@ from fastapi.responses import JSONResponse
 from utils.auth_utils import get_current_user
 from utils.helpers import haversine_km
 from db_connection import get_connection
+from core.risk_zone_manager import RiskZoneManager
+from routers.convoy_routes import STATUS_TRANSITIONS
+from routers.risk_zones import convoy_route_coords
 from typing import Optional, List
 import math
 
 router = APIRouter()
 
+CHECKPOINT_STATUSES = ["operational", "congested", "closed", "maintenance"]
+
+# Changes into these statuses must say why
+REASON_REQUIRED_STATUSES = ("closed", "maintenance")
+
+# A route this close to a checkpoint is taken to pass through it
+PASSING_DISTANCE_KM = 2.0
+
+
+def record_checkpoint_status_change(cur, checkpoint_id: int, from_status, to_status: str, user_id, reason: str = None):
+    """Append to checkpoint_status_history; skipped if the checkpoint status migration hasn't run"""
+    cur.execute("SELECT to_regclass('public.checkpoint_status_history') AS tbl;")
+    if not cur.fetchone()["tbl"]:
+        return
+    cur.execute("""
+        INSERT INTO checkpoint_status_history (checkpoint_id, from_status, to_status, reason, changed_by)
+        VALUES (%s, %s, %s, %s, %s);
+    """, (checkpoint_id, from_status, to_status, reason, user_id))
+
 
 @router.get("/all")
 def get_all_checkpoints(
@@ -250,6 +272,81 @@ def get_route_checkpoints(
         conn.close()
 
 
+@router.get("/passing_convoys")
+def get_passing_convoys(
+    max_distance_km: float = Query(PASSING_DISTANCE_KM, gt=0, le=50, description="Max distance from route to checkpoint in km"),
+    current_user: dict = Depends(get_current_user)
+):
+    """
+    The user's active convoys whose routes pass each checkpoint.
+    Returns a map of checkpoint_id -> convoys, each with its distance from the
+    route. Convoys without a stored route are checked as a straight line
+    through their stops (route_type = straight_line).
+    """
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+
+    try:
+        cur.execute("SELECT checkpoint_id, lat, lon FROM checkpoints;")
+        checkpoints = cur.fetchall()
+
+        final_statuses = [status for status, onward in STATUS_TRANSITIONS.items() if not onward]
+        cur.execute("""
+            SELECT convoy_id, convoy_name, status, source_lat, source_lon, destination_lat, destination_lon
+            FROM convoys
+            WHERE created_by = %s AND COALESCE(status, 'pending') <> ALL(%s)
+            ORDER BY created_at DESC;
+        """, (current_user["user_id"], final_statuses))
+        convoys = cur.fetchall()
+
+        # Degrees of latitude per km, for the bounding box prefilter
+        margin_deg = max_distance_km / 111.0
+
+        passing = {}
+        for convoy in convoys:
+            coords, route_type = convoy_route_coords(cur, convoy)
+            min_lat = min(lat for lat, _ in coords) - margin_deg
+            max_lat = max(lat for lat, _ in coords) + margin_deg
+            lon_margin = margin_deg / max(math.cos(math.radians((min_lat + max_lat) / 2)), 0.1)
+            min_lon = min(lon for _, lon in coords) - lon_margin
+            max_lon = max(lon for _, lon in coords) + lon_margin
+
+            for cp in checkpoints:
+                if not (min_lat <= cp["lat"] <= max_lat and min_lon <= cp["lon"] <= max_lon):
+                    continue
+
+                distance = min(
+                    RiskZoneManager.point_to_line_distance(cp["lat"], cp["lon"], lat1, lon1, lat2, lon2)
+                    for (lat1, lon1), (lat2, lon2) in zip(coords, coords[1:])
+                )
+                if distance <= max_distance_km:
+                    passing.setdefault(str(cp["checkpoint_id"]), []).append({
+                        "convoy_id": convoy["convoy_id"],
+                        "convoy_name": convoy["convoy_name"],
+                        "status": convoy["status"] or "pending",
+                        "route_type": route_type,
+                        "distance_km": round(distance, 2)
+                    })
+
+        return JSONResponse({
+            "status": "success",
+            "checked_convoys": len(convoys),
+            "max_distance_km": max_distance_km,
+            "checkpoints": passing
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
+
+
 @router.get("/{checkpoint_id}")
 def get_checkpoint_details(
     checkpoint_id: int,
@@ -305,14 +402,19 @@ def get_checkpoint_details(
 def update_checkpoint_status(
     checkpoint_id: int,
     status: str = Query(..., description="New status: operational, congested, closed, maintenance"),
+    reason: Optional[str] = Query(None, description="Why the status changed; required for closed and maintenance"),
     current_user: dict = Depends(get_current_user)
 ):
     """
     Update checkpoint status (admin/operator function).
+    Every change is recorded in the checkpoint status history.
     """
-    valid_statuses = ["operational", "congested", "closed", "maintenance"]
-    if status not in valid_statuses:
-        raise HTTPException(status_code=400, detail=f"Invalid status. Must be one of: {valid_statuses}")
+    if status not in CHECKPOINT_STATUSES:
+        raise HTTPException(status_code=400, detail=f"Invalid status. Must be one of: {CHECKPOINT_STATUSES}")
+
+    reason = reason.strip() if reason else None
+    if status in REASON_REQUIRED_STATUSES and not reason:
+        raise HTTPException(status_code=400, detail=f"A reason is required to mark a checkpoint as {status}")
 
     conn = get_connection()
     if not conn:
@@ -321,22 +423,34 @@ def update_checkpoint_status(
     cur = conn.cursor()
 
     try:
+        cur.execute("SELECT name, status FROM checkpoints WHERE checkpoint_id = %s;", (checkpoint_id,))
+        checkpoint = cur.fetchone()
+
+        if not checkpoint:
+            raise HTTPException(status_code=404, detail="Checkpoint not found")
+
+        if checkpoint["status"] == status:
+            raise HTTPException(status_code=409, detail=f"Checkpoint '{checkpoint['name']}' is already {status}")
+
         cur.execute("""
             UPDATE checkpoints
             SET status = %s
             WHERE checkpoint_id = %s
             RETURNING *;
         """, (status, checkpoint_id))
-
-        updated = cur.fetchone()
-        if not updated:
-            raise HTTPException(status_code=404, detail="Checkpoint not found")
-
+        updated = dict(cur.fetchone())
+        record_checkpoint_status_change(cur, checkpoint_id, checkpoint["status"], status, current_user["user_id"], reason)
         conn.commit()
 
+        # Convert datetime objects to strings
+        for key, value in updated.items():
+            if hasattr(value, 'isoformat'):
+                updated[key] = value.isoformat()
+
         return JSONResponse({
             "status": "success",
             "message": f"Checkpoint status updated to '{status}'",
+            "previous_status": checkpoint["status"],
             "checkpoint": updated
         })
 
@@ -348,3 +462,53 @@ def update_checkpoint_status(
     finally:
         cur.close()
         conn.close()
+
+
+@router.get("/{checkpoint_id}/status/history")
+def get_checkpoint_status_history(checkpoint_id: int, current_user: dict = Depends(get_current_user)):
+    """
+    Status changes for a checkpoint, newest first, with who made each change and why.
+    """
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+
+    try:
+        cur.execute("SELECT name, status FROM checkpoints WHERE checkpoint_id = %s;", (checkpoint_id,))
+        checkpoint = cur.fetchone()
+
+        if not checkpoint:
+            raise HTTPException(status_code=404, detail="Checkpoint not found")
+
+        history = []
+        cur.execute("SELECT to_regclass('public.checkpoint_status_history') AS tbl;")
+        if cur.fetchone()["tbl"]:
+            cur.execute("""
+                SELECT h.from_status, h.to_status, h.reason, h.changed_by, u.name AS changed_by_name, h.changed_at
+                FROM checkpoint_status_history h
+                LEFT JOIN users u ON u.user_id = h.changed_by
+                WHERE h.checkpoint_id = %s
+                ORDER BY h.changed_at DESC, h.history_id DESC;
+            """, (checkpoint_id,))
+            history = [
+                {**row, "changed_at": str(row["changed_at"]) if row.get("changed_at") else None}
+                for row in cur.fetchall()
+            ]
+
+        return JSONResponse({
+            "status": "success",
+            "checkpoint_id": checkpoint_id,
+            "checkpoint_name": checkpoint["name"],
+            "current_status": checkpoint["status"],
+            "history": history
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
@@ -7,14 +7,46 @@ from utils.auth_utils import get_current_user
 from db_connection import get_connection
 from geocode_router import geocode_place
 from core.dynamic_router import dynamic_reroute
+from routers.vehicle_status import fetch_open_breakdowns
 import requests
 import json
 import time
+import itertools
 from typing import Optional
 from pydantic import BaseModel
 
 router = APIRouter()
 
+# Convoy lifecycle: pending -> approved -> ongoing -> completed, with cancelled
+# and halted as side branches. 'merged' is only set by execute_merge.
+# Statuses with no onward transitions are final.
+STATUS_TRANSITIONS = {
+    "pending": ["approved", "cancelled"],
+    "approved": ["ongoing", "pending", "cancelled"],
+    "ongoing": ["completed", "halted"],
+    "halted": ["ongoing", "cancelled"],
+    "completed": [],
+    "cancelled": [],
+    "merged": []
+}
+
+# Only convoys that haven't set off can be merged; execute_merge replaces the
+# absorbing convoy's route from its original source
+MERGEABLE_STATUSES = ("pending", "approved")
+
+# Transitions into these statuses must say why
+REASON_REQUIRED_STATUSES = ("cancelled", "halted")
+
+# Pairs grow quadratically and each feasible one costs OSRM calls
+MAX_SCAN_CONVOYS = 12
+
+# Candidate fields returned by the fleet merge scan
+SCAN_CANDIDATE_FIELDS = (
+    "scenario", "scenario_readable", "absorbing_convoy_id", "absorbing_convoy_name",
+    "absorbed_convoy_id", "absorbed_convoy_name", "extra_minutes", "dest_distance_km",
+    "fuel_savings_liters", "merge_reasons"
+)
+
 # Request model for merge suggestion
 class MergeRequest(BaseModel):
     convoy_a_id: int
@@ -23,6 +55,383 @@ class MergeRequest(BaseModel):
     same_dest_radius_km: float = 5.0
 
 
+# Request model for carrying out a suggested merge
+class MergeExecuteRequest(BaseModel):
+    absorbing_convoy_id: int
+    absorbed_convoy_id: int
+    merge_id: Optional[int] = None
+
+
+# Request model for replacing a convoy's stored route (e.g. adopting a reroute)
+class RouteUpdateRequest(BaseModel):
+    waypoints: list
+    total_distance_km: Optional[float] = None
+    estimated_duration_minutes: Optional[float] = None
+
+
+def routes_have_kind(cur) -> bool:
+    """Whether routes.route_kind exists; False until run_route_kind_migration.py has run"""
+    cur.execute("""
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name='routes' AND column_name='route_kind';
+    """)
+    return cur.fetchone() is not None
+
+
+def insert_route(cur, convoy_id: int, waypoints_json, distance_km, duration_min, kind: str) -> int:
+    """
+    Store a convoy route and return its route_id. `kind` records where it came
+    from: 'planned' at creation, 'adopted' from a reroute or 'merge' for the
+    pickup route execute_merge stores. Routes stay untagged until the route kind
+    migration has run.
+    """
+    if routes_have_kind(cur):
+        cur.execute("""
+            INSERT INTO routes (convoy_id, waypoints, total_distance_km, estimated_duration_minutes, route_kind)
+            VALUES (%s, %s, %s, %s, %s)
+            RETURNING route_id;
+        """, (convoy_id, waypoints_json, distance_km, duration_min, kind))
+    else:
+        cur.execute("""
+            INSERT INTO routes (convoy_id, waypoints, total_distance_km, estimated_duration_minutes)
+            VALUES (%s, %s, %s, %s)
+            RETURNING route_id;
+        """, (convoy_id, waypoints_json, distance_km, duration_min))
+    return cur.fetchone()["route_id"]
+
+
+def osrm_route(points):
+    """
+    Driving route through [(lat, lon), ...] in order.
+    Returns (duration_s, distance_m, [[lat, lon], ...]); all None when OSRM fails.
+    """
+    coords = ";".join([f"{p[1]},{p[0]}" for p in points])
+    url = f"https://router.project-osrm.org/route/v1/driving/{coords}?overview=full&geometries=geojson"
+    try:
+        r = requests.get(url, timeout=10)
+        r.raise_for_status()
+        j = r.json()
+
+        # Check for OSRM errors
+        if j.get("code") != "Ok":
+            print(f"[MERGE] OSRM error: {j.get('code')} - {j.get('message')}")
+            return None, None, None
+
+        if "routes" in j and j["routes"]:
+            route = j["routes"][0]
+            duration = route.get("duration")
+            distance = route.get("distance")
+            geometry = [[lat, lon] for lon, lat in route["geometry"]["coordinates"]]
+            print(f"[MERGE] OSRM success: {duration}s, {distance}m for {len(points)} points")
+            return duration, distance, geometry
+        else:
+            print(f"[MERGE] OSRM returned no routes for {len(points)} points")
+            return None, None, None
+    except requests.exceptions.Timeout:
+        print(f"[MERGE] OSRM timeout for URL: {url}")
+        return None, None, None
+    except requests.exceptions.RequestException as e:
+        print(f"[MERGE] OSRM request failed: {e}")
+        return None, None, None
+    except Exception as e:
+        print(f"[MERGE] OSRM unexpected error: {e}")
+        return None, None, None
+
+
+def convoy_points(rec, stops: list = None) -> list:
+    """Source, intermediate stops in visiting order, destination as (lat, lon)"""
+    return (
+        [(rec["source_lat"], rec["source_lon"])]
+        + [(stop["lat"], stop["lon"]) for stop in stops or []]
+        + [(rec["destination_lat"], rec["destination_lon"])]
+    )
+
+
+def path_km(points) -> float:
+    """Straight-line length of [(lat, lon), ...] in order"""
+    return sum(haversine_km(*points[i], *points[i + 1]) for i in range(len(points) - 1))
+
+
+def insert_pickup(points: list, pickup) -> list:
+    """
+    points with the pickup inserted into the leg where it adds the least
+    straight-line detour, so existing stops keep their order.
+    """
+    def detour_km(i):
+        return (haversine_km(*points[i - 1], *pickup) + haversine_km(*pickup, *points[i])
+                - haversine_km(*points[i - 1], *points[i]))
+
+    best = min(range(1, len(points)), key=detour_km)
+    return points[:best] + [pickup] + points[best:]
+
+
+def evaluate_merge(convoy_a_rec, convoy_b_rec, vehicles_a, vehicles_b,
+                   max_extra_minutes: float, same_dest_radius_km: float, route_cache: dict = None,
+                   stops_a: list = None, stops_b: list = None) -> dict:
+    """
+    The suggest_merge rules for one pair of convoys, without touching the database.
+    Returns the response body; route_cache lets a fleet scan reuse OSRM results across pairs.
+    stops_a/stops_b are each convoy's intermediate stops (fetch_convoy_stops); the
+    absorbing convoy keeps them and the pickup goes where it adds the least detour.
+    """
+    def route(points):
+        if route_cache is None:
+            return osrm_route(points)
+        key = tuple(points)
+        if key not in route_cache:
+            route_cache[key] = osrm_route(points)
+        return route_cache[key]
+
+    # IMPROVED MERGE LOGIC: Check if destinations are close OR if B's source is "on the way"
+    # First check destination proximity
+    dest_dist_km = haversine_km(
+        convoy_a_rec["destination_lat"], convoy_a_rec["destination_lon"],
+        convoy_b_rec["destination_lat"], convoy_b_rec["destination_lon"]
+    )
+
+    destinations_close = dest_dist_km <= same_dest_radius_km
+
+    # NEW: Check if B's source is along A's route (or vice versa)
+    # Calculate distance from B's source to A's straight-line route
+    def point_to_line_distance(px, py, x1, y1, x2, y2):
+        """Calculate perpendicular distance from point to line segment"""
+        # Vector from line start to point
+        dx = x2 - x1
+        dy = y2 - y1
+
+        if dx == 0 and dy == 0:
+            # Line segment is a point
+            return haversine_km(y1, x1, py, px)
+
+        # Parameter t for projection onto line
+        t = max(0, min(1, ((px - x1) * dx + (py - y1) * dy) / (dx * dx + dy * dy)))
+
+        # Closest point on line segment
+        closest_x = x1 + t * dx
+        closest_y = y1 + t * dy
+
+        return haversine_km(closest_y, closest_x, py, px)
+
+    # Distance from B's source to A's route
+    b_source_to_a_route_km = point_to_line_distance(
+        convoy_b_rec["source_lon"], convoy_b_rec["source_lat"],
+        convoy_a_rec["source_lon"], convoy_a_rec["source_lat"],
+        convoy_a_rec["destination_lon"], convoy_a_rec["destination_lat"]
+    )
+
+    # Distance from A's source to B's route
+    a_source_to_b_route_km = point_to_line_distance(
+        convoy_a_rec["source_lon"], convoy_a_rec["source_lat"],
+        convoy_b_rec["source_lon"], convoy_b_rec["source_lat"],
+        convoy_b_rec["destination_lon"], convoy_b_rec["destination_lat"]
+    )
+
+    # Consider "on the way" if source is within 10 km of the route
+    b_on_a_route = b_source_to_a_route_km <= 10
+    a_on_b_route = a_source_to_b_route_km <= 10
+
+    # Merge is possible if either destinations are close OR one source is on the other's route
+    if not (destinations_close or b_on_a_route or a_on_b_route):
+        return {
+            "can_merge": False,
+            "reason": f"Destinations too far ({dest_dist_km:.2f} km > {same_dest_radius_km} km) and routes don't intersect",
+            "dest_distance_km": round(dest_dist_km, 2),
+            "b_distance_to_a_route_km": round(b_source_to_a_route_km, 2),
+            "a_distance_to_b_route_km": round(a_source_to_b_route_km, 2)
+        }
+
+    # Calculate capacity and load
+    total_capacity_a = sum(v["capacity_kg"] for v in vehicles_a)
+    total_load_a = sum(v["load_weight_kg"] for v in vehicles_a)
+    total_capacity_b = sum(v["capacity_kg"] for v in vehicles_b)
+    total_load_b = sum(v["load_weight_kg"] for v in vehicles_b)
+
+    avail_a = total_capacity_a - total_load_a
+    avail_b = total_capacity_b - total_load_b
+
+    # The merged route only follows the absorbing convoy's stops, so a convoy
+    # with stops of its own can't be absorbed
+    a_can_absorb_b = avail_a >= total_load_b and not stops_b
+    b_can_absorb_a = avail_b >= total_load_a and not stops_a
+
+    if not (a_can_absorb_b or b_can_absorb_a):
+        has_capacity = avail_a >= total_load_b or avail_b >= total_load_a
+        return {
+            "can_merge": False,
+            "reason": (
+                "The convoy that could be absorbed has intermediate stops the merged route would drop"
+                if has_capacity else "No convoy has enough spare capacity to absorb the other"
+            ),
+            "convoy_a_spare_kg": round(avail_a, 2),
+            "convoy_b_spare_kg": round(avail_b, 2),
+            "convoy_a_load_kg": round(total_load_a, 2),
+            "convoy_b_load_kg": round(total_load_b, 2)
+        }
+
+    # Each convoy's own route through its stops, and with the other's source picked up
+    points_A = convoy_points(convoy_a_rec, stops_a)
+    pickup_points_A = insert_pickup(points_A, (convoy_b_rec["source_lat"], convoy_b_rec["source_lon"]))
+    points_B = convoy_points(convoy_b_rec, stops_b)
+    pickup_points_B = insert_pickup(points_B, (convoy_a_rec["source_lat"], convoy_a_rec["source_lon"]))
+
+    # Scenario A picks up B
+    direct_dur_A, _, route_A = route(points_A)
+    pickup_dur_A, _, merged_route_A = route(pickup_points_A)
+    extra_A = None
+    if direct_dur_A is not None and pickup_dur_A is not None:
+        extra_A = (pickup_dur_A - direct_dur_A) / 60.0
+    elif a_can_absorb_b:
+        # Fallback: estimate using Haversine
+        print("[MERGE] Using Haversine fallback for A picks B scenario")
+        extra_km = path_km(pickup_points_A) - path_km(points_A)
+        extra_A = (extra_km / 50.0) * 60.0  # Assume 50 km/h avg speed
+
+    # Scenario B picks up A
+    direct_dur_B, _, route_B = route(points_B)
+    pickup_dur_B, _, merged_route_B = route(pickup_points_B)
+    extra_B = None
+    if direct_dur_B is not None and pickup_dur_B is not None:
+        extra_B = (pickup_dur_B - direct_dur_B) / 60.0
+    elif b_can_absorb_a:
+        # Fallback: estimate using Haversine
+        print("[MERGE] Using Haversine fallback for B picks A scenario")
+        extra_km = path_km(pickup_points_B) - path_km(points_B)
+        extra_B = (extra_km / 50.0) * 60.0  # Assume 50 km/h avg speed
+
+    # Find best scenario
+    candidates = []
+    if a_can_absorb_b and extra_A is not None:
+        candidates.append(("A_picks_B", extra_A))
+    if b_can_absorb_a and extra_B is not None:
+        candidates.append(("B_picks_A", extra_B))
+
+    if not candidates:
+        # Build detailed error message
+        error_parts = []
+        if not a_can_absorb_b and not b_can_absorb_a:
+            error_parts.append("No convoy has enough spare capacity")
+        if a_can_absorb_b and extra_A is None:
+            error_parts.append("Failed to calculate route for A picking up B (OSRM error)")
+        if b_can_absorb_a and extra_B is None:
+            error_parts.append("Failed to calculate route for B picking up A (OSRM error)")
+
+        reason = "; ".join(error_parts) if error_parts else "Could not calculate detour durations"
+
+        return {
+            "can_merge": False,
+            "reason": reason,
+            "debug": {
+                "a_can_absorb_b": a_can_absorb_b,
+                "b_can_absorb_a": b_can_absorb_a,
+                "extra_A": extra_A,
+                "extra_B": extra_B,
+                "convoy_a_coords": f"({convoy_a_rec['source_lat']}, {convoy_a_rec['source_lon']}) -> ({convoy_a_rec['destination_lat']}, {convoy_a_rec['destination_lon']})",
+                "convoy_b_coords": f"({convoy_b_rec['source_lat']}, {convoy_b_rec['source_lon']}) -> ({convoy_b_rec['destination_lat']}, {convoy_b_rec['destination_lon']})"
+            }
+        }
+
+    best = min(candidates, key=lambda x: x[1])
+    scenario, extra_min = best
+
+    if extra_min <= max_extra_minutes:
+        fuel_savings_liters = dest_dist_km * 0.3
+
+        # Build concise merge reason with convoy names
+        convoy_a_name = convoy_a_rec["convoy_name"]
+        convoy_b_name = convoy_b_rec["convoy_name"]
+
+        # Explain scenario in human-readable terms
+        if scenario == "A_picks_B":
+            scenario_text = f"'{convoy_a_name}' picks up '{convoy_b_name}'"
+            pickup_convoy = convoy_a_name
+            picked_convoy = convoy_b_name
+            absorbing_rec, absorbed_rec = convoy_a_rec, convoy_b_rec
+            merged_route = merged_route_A or [list(p) for p in pickup_points_A]
+        else:
+            scenario_text = f"'{convoy_b_name}' picks up '{convoy_a_name}'"
+            pickup_convoy = convoy_b_name
+            picked_convoy = convoy_a_name
+            absorbing_rec, absorbed_rec = convoy_b_rec, convoy_a_rec
+            merged_route = merged_route_B or [list(p) for p in pickup_points_B]
+
+        # Geometry for the map; straight segments through the stops where OSRM gave none
+        routes = {
+            "convoy_a": route_A or [list(p) for p in points_A],
+            "convoy_b": route_B or [list(p) for p in points_B],
+            "merged": merged_route
+        }
+
+        # Build concise merge reasons
+        merge_reasons = []
+        if destinations_close:
+            merge_reasons.append(f"destinations close ({dest_dist_km:.1f} km apart)")
+        if b_on_a_route or a_on_b_route:
+            detour = b_source_to_a_route_km if b_on_a_route else a_source_to_b_route_km
+            merge_reasons.append(f"'{picked_convoy}' on '{pickup_convoy}''s route ({detour:.1f} km detour)")
+
+        reason_text = " AND ".join(merge_reasons) if merge_reasons else "routes compatible"
+        full_reason = f"{scenario_text} feasible with extra time {extra_min:.1f} min. Merge suggested because: {reason_text}. Benefits: Save ~{fuel_savings_liters:.1f}L fuel, consolidate resources."
+
+        return {
+            "can_merge": True,
+            "reason": full_reason,
+            "scenario": scenario,
+            "scenario_readable": scenario_text,
+            "convoy_a_name": convoy_a_name,
+            "convoy_b_name": convoy_b_name,
+            "absorbing_convoy_id": absorbing_rec["convoy_id"],
+            "absorbing_convoy_name": pickup_convoy,
+            "absorbed_convoy_id": absorbed_rec["convoy_id"],
+            "absorbed_convoy_name": picked_convoy,
+            "rendezvous": {
+                "lat": absorbed_rec["source_lat"],
+                "lon": absorbed_rec["source_lon"],
+                "convoy_id": absorbed_rec["convoy_id"]
+            },
+            "routes": routes,
+            "extra_minutes": round(extra_min, 2),
+            "dest_distance_km": round(dest_dist_km, 2),
+            "b_distance_to_a_route_km": round(b_source_to_a_route_km, 2),
+            "a_distance_to_b_route_km": round(a_source_to_b_route_km, 2),
+            "destinations_close": destinations_close,
+            "b_on_a_route": b_on_a_route,
+            "a_on_b_route": a_on_b_route,
+            "fuel_savings_liters": round(fuel_savings_liters, 2),
+            "merge_reasons": reason_text,
+            "convoy_a_spare_kg": round(avail_a, 2),
+            "convoy_b_spare_kg": round(avail_b, 2)
+        }
+    else:
+        return {
+            "can_merge": False,
+            "reason": f"Best scenario {scenario} costs extra {extra_min:.1f} min > allowed {max_extra_minutes} min",
+            "extra_minutes": round(extra_min, 2)
+        }
+
+
+def record_status_change(cur, convoy_id: int, from_status, to_status: str, user_id, reason: str = None):
+    """Append to convoy_status_history; skipped if the status history migration hasn't run"""
+    cur.execute("SELECT to_regclass('public.convoy_status_history') AS tbl;")
+    if not cur.fetchone()["tbl"]:
+        return
+    cur.execute("""
+        INSERT INTO convoy_status_history (convoy_id, from_status, to_status, reason, changed_by)
+        VALUES (%s, %s, %s, %s, %s);
+    """, (convoy_id, from_status, to_status, reason, user_id))
+
+
+def fetch_convoy_stops(cur, convoy_id: int) -> list:
+    """Intermediate stops in visiting order; empty if the stops migration hasn't run"""
+    cur.execute("SELECT to_regclass('public.convoy_stops') AS tbl;")
+    if not cur.fetchone()["tbl"]:
+        return []
+    cur.execute("""
+        SELECT stop_order, place_name, lat, lon
+        FROM convoy_stops WHERE convoy_id = %s ORDER BY stop_order;
+    """, (convoy_id,))
+    return [dict(row) for row in cur.fetchall()]
+
+
 # ----------------------------
 # Create convoy + vehicles + route
 # ----------------------------
@@ -81,6 +490,15 @@ def create_convoy(convoy: Convoy, current_user: dict = Depends(get_current_user)
                     detail=f"Vehicle {idx} ({v.registration_number}): Load ({v.load_weight_kg:.2f} kg) exceeds capacity ({v.capacity_kg:.2f} kg). Please reduce load by {(v.load_weight_kg - v.capacity_kg):.2f} kg."
                 )
 
+        # Stops need the convoy_stops table; check before anything is written
+        if convoy.stops:
+            cur.execute("SELECT to_regclass('public.convoy_stops') AS tbl;")
+            if not cur.fetchone()["tbl"]:
+                raise HTTPException(
+                    status_code=503,
+                    detail="Multi-stop convoys are not set up - run run_stops_migration.py"
+                )
+
         # Insert convoy with created_by = user_id
         cur.execute("""
             INSERT INTO convoys
@@ -102,6 +520,7 @@ def create_convoy(convoy: Convoy, current_user: dict = Depends(get_current_user)
 
         row = cur.fetchone()
         convoy_id = row["convoy_id"]
+        record_status_change(cur, convoy_id, None, "pending", user_id)
 
         # Insert vehicles
         for v in convoy.vehicles:
@@ -121,6 +540,14 @@ def create_convoy(convoy: Convoy, current_user: dict = Depends(get_current_user)
                 v.current_status.value if hasattr(v.current_status, "value") else v.current_status
             ))
 
+        # Insert intermediate stops in visiting order
+        if convoy.stops:
+            for order, stop in enumerate(convoy.stops, 1):
+                cur.execute("""
+                    INSERT INTO convoy_stops (convoy_id, stop_order, place_name, lat, lon)
+                    VALUES (%s, %s, %s, %s, %s);
+                """, (convoy_id, order, stop.place_name or None, stop.lat, stop.lon))
+
         # Insert route if present
         if getattr(convoy, "route", None):
             waypoints_json = json.dumps(convoy.route.waypoints) if convoy.route.waypoints else None
@@ -136,16 +563,12 @@ def create_convoy(convoy: Convoy, current_user: dict = Depends(get_current_user)
                 END$$;
             """)
 
-            cur.execute("""
-                INSERT INTO routes (convoy_id, waypoints, total_distance_km, estimated_duration_minutes)
-                VALUES (%s, %s, %s, %s)
-                RETURNING route_id;
-            """, (
-                convoy_id,
-                waypoints_json,
+            insert_route(
+                cur, convoy_id, waypoints_json,
                 getattr(convoy.route, "total_distance_km", None),
-                getattr(convoy.route, "estimated_duration_minutes", None)
-            ))
+                getattr(convoy.route, "estimated_duration_minutes", None),
+                "planned"
+            )
 
         conn.commit()
         return JSONResponse({
@@ -153,6 +576,7 @@ def create_convoy(convoy: Convoy, current_user: dict = Depends(get_current_user)
             "convoy_id": convoy_id,
             "convoy_name": convoy.convoy_name,
             "vehicle_count": len(convoy.vehicles),
+            "stop_count": len(convoy.stops),
             "total_load_kg": convoy.total_load_kg,
             "priority": convoy.priority.value if hasattr(convoy.priority, "value") else convoy.priority,
             "message": f"Convoy '{convoy.convoy_name}' created successfully"
@@ -266,15 +690,23 @@ def list_convoys(current_user: dict = Depends(get_current_user)):
             cur.execute("SELECT COALESCE(SUM(load_weight_kg), 0) as total_load FROM vehicles WHERE convoy_id=%s;", (rec["convoy_id"],))
             total_load = cur.fetchone()["total_load"]
 
+            # Any broken-down vehicle degrades the convoy
+            cur.execute("SELECT COUNT(*) as count FROM vehicles WHERE convoy_id=%s AND current_status='breakdown';", (rec["convoy_id"],))
+            breakdown_count = cur.fetchone()["count"]
+
             convoys.append({
                 "id": rec["convoy_id"],
                 "convoy_name": rec["convoy_name"],
                 "priority": rec["priority"],
                 "status": rec.get("status", "pending"),
+                "allowed_transitions": STATUS_TRANSITIONS.get(rec.get("status") or "pending", []),
                 "vehicle_count": vehicle_count,
+                "breakdown_count": breakdown_count,
+                "degraded": breakdown_count > 0,
                 "total_load_kg": float(total_load),
                 "source": {"lat": rec["source_lat"], "lon": rec["source_lon"], "place": rec["source_place"]},
                 "destination": {"lat": rec["destination_lat"], "lon": rec["destination_lon"], "place": rec["destination_place"]},
+                "stops": fetch_convoy_stops(cur, rec["convoy_id"]),
                 "created_at": str(rec["created_at"]) if rec.get("created_at") else None,
                 "created_by": rec["created_by"]
             })
@@ -288,6 +720,85 @@ def list_convoys(current_user: dict = Depends(get_current_user)):
         conn.close()
 
 
+# ----------------------------
+# Fleet-wide merge scan (declared before /{convoy_id} so the path isn't read as an id)
+# ----------------------------
+@router.get("/merge_candidates")
+def scan_merge_candidates(
+    max_extra_minutes: float = 30.0,
+    same_dest_radius_km: float = 5.0,
+    current_user: dict = Depends(get_current_user)
+):
+    """
+    Run the suggest_merge rules over every pair of the user's pending convoys.
+    Feasible pairs are ranked by time penalty, then destination distance.
+    Nothing is saved; opening a candidate goes through suggest_merge.
+    """
+    user_id = current_user["user_id"]
+
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        cur.execute("""
+            SELECT convoy_id, convoy_name, priority, source_lat, source_lon, destination_lat, destination_lon
+            FROM convoys
+            WHERE created_by = %s AND status = 'pending'
+            ORDER BY created_at DESC
+            LIMIT %s;
+        """, (user_id, MAX_SCAN_CONVOYS + 1))
+        convoy_recs = cur.fetchall()
+        truncated = len(convoy_recs) > MAX_SCAN_CONVOYS
+        convoy_recs = convoy_recs[:MAX_SCAN_CONVOYS]
+
+        vehicles = {}
+        stops = {}
+        for rec in convoy_recs:
+            cur.execute("SELECT load_weight_kg, capacity_kg FROM vehicles WHERE convoy_id=%s;", (rec["convoy_id"],))
+            vehicles[rec["convoy_id"]] = cur.fetchall()
+            stops[rec["convoy_id"]] = fetch_convoy_stops(cur, rec["convoy_id"])
+
+        route_cache = {}
+        pairs = list(itertools.combinations(convoy_recs, 2))
+        candidates = []
+        for convoy_a_rec, convoy_b_rec in pairs:
+            result = evaluate_merge(
+                convoy_a_rec, convoy_b_rec,
+                vehicles[convoy_a_rec["convoy_id"]], vehicles[convoy_b_rec["convoy_id"]],
+                max_extra_minutes, same_dest_radius_km, route_cache,
+                stops_a=stops[convoy_a_rec["convoy_id"]], stops_b=stops[convoy_b_rec["convoy_id"]]
+            )
+            if not result["can_merge"]:
+                continue
+            candidates.append({
+                "convoy_a_id": convoy_a_rec["convoy_id"],
+                "convoy_a_name": convoy_a_rec["convoy_name"],
+                "convoy_b_id": convoy_b_rec["convoy_id"],
+                "convoy_b_name": convoy_b_rec["convoy_name"],
+                **{field: result[field] for field in SCAN_CANDIDATE_FIELDS}
+            })
+
+        candidates.sort(key=lambda c: (c["extra_minutes"], c["dest_distance_km"]))
+        for rank, candidate in enumerate(candidates, start=1):
+            candidate["rank"] = rank
+
+        return JSONResponse({
+            "status": "success",
+            "convoys_scanned": len(convoy_recs),
+            "pairs_evaluated": len(pairs),
+            "truncated": truncated,
+            "candidates": candidates
+        })
+
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
+
+
 # ----------------------------
 # Get convoy details
 # ----------------------------
@@ -328,28 +839,35 @@ def get_convoy(convoy_id: int, current_user: dict = Depends(get_current_user)):
         """, (convoy_id,))
         vehicles_raw = cur.fetchall()
 
+        breakdowns = fetch_open_breakdowns(cur, convoy_id)
+
         # Format vehicles for frontend
         vehicles = []
         total_load = 0
         for v in vehicles_raw:
             vehicles.append({
+                "vehicle_id": v["vehicle_id"],
                 "registration": v["registration_number"],
                 "type": v["vehicle_type"],
                 "status": v["current_status"],
                 "driver": v["driver_name"],
                 "load_type": v["load_type"],
                 "load_kg": float(v["load_weight_kg"]),
-                "capacity_kg": float(v["capacity_kg"])
+                "capacity_kg": float(v["capacity_kg"]),
+                "breakdown": breakdowns.get(v["vehicle_id"])
             })
             total_load += float(v["load_weight_kg"] or 0)
 
-        # Get route
-        cur.execute("""
-            SELECT route_id, waypoints, total_distance_km, estimated_duration_minutes
+        # Get route, with its kind once the route kind migration has run
+        kind_column = ", route_kind" if routes_have_kind(cur) else ""
+        cur.execute(f"""
+            SELECT route_id, waypoints, total_distance_km, estimated_duration_minutes{kind_column}
             FROM routes WHERE convoy_id=%s LIMIT 1;
         """, (convoy_id,))
         route = cur.fetchone()
 
+        stops = fetch_convoy_stops(cur, convoy_id)
+
         return JSONResponse({
             "status": "success",
             "convoy": {
@@ -364,8 +882,10 @@ def get_convoy(convoy_id: int, current_user: dict = Depends(get_current_user)):
                 "destination_lon": rec["destination_lon"],
                 "source": {"lat": rec["source_lat"], "lon": rec["source_lon"]},
                 "destination": {"lat": rec["destination_lat"], "lon": rec["destination_lon"]},
+                "stops": stops,
                 "vehicles": vehicles,
                 "vehicle_count": len(vehicles),
+                "degraded": any(v["status"] == "breakdown" for v in vehicles),
                 "total_load_kg": total_load,
                 "route": dict(route) if route else None,
                 "created_at": str(rec["created_at"]) if rec.get("created_at") else None
@@ -474,319 +994,241 @@ def suggest_merge(request: MergeRequest):
         cur.execute("SELECT load_weight_kg, capacity_kg FROM vehicles WHERE convoy_id=%s;", (request.convoy_b_id,))
         vehicles_b = cur.fetchall()
 
-        # IMPROVED MERGE LOGIC: Check if destinations are close OR if B's source is "on the way"
-        # First check destination proximity
-        dest_dist_km = haversine_km(
-            convoy_a_rec["destination_lat"], convoy_a_rec["destination_lon"],
-            convoy_b_rec["destination_lat"], convoy_b_rec["destination_lon"]
+        result = evaluate_merge(
+            convoy_a_rec, convoy_b_rec, vehicles_a, vehicles_b,
+            request.max_extra_minutes, request.same_dest_radius_km,
+            stops_a=fetch_convoy_stops(cur, request.convoy_a_id),
+            stops_b=fetch_convoy_stops(cur, request.convoy_b_id)
         )
+        if not result["can_merge"]:
+            return JSONResponse(result)
+
+        # Save merge suggestion to database (check for duplicates first)
+        merge_id = None
+        try:
+            # Check if this merge suggestion already exists
+            # Check both directions: (A,B) and (B,A) are considered the same merge
+            cur.execute("""
+                SELECT merge_id FROM merge_history
+                WHERE ((convoy_a_id = %s AND convoy_b_id = %s)
+                       OR (convoy_a_id = %s AND convoy_b_id = %s))
+                      AND status = 'suggested'
+                LIMIT 1;
+            """, (request.convoy_a_id, request.convoy_b_id, request.convoy_b_id, request.convoy_a_id))
+            existing_merge = cur.fetchone()
+
+            if existing_merge:
+                merge_id = existing_merge["merge_id"]
+                print(f"[MERGE] Merge suggestion already exists: merge_id={merge_id}")
+            else:
+                # Insert new merge suggestion
+                cur.execute("""
+                    INSERT INTO merge_history
+                    (convoy_a_id, convoy_b_id, merged_into, merge_type, distance_saved_km,
+                     fuel_saved_liters, cost_saved_inr, detour_minutes, merged_by, status, notes)
+                    VALUES (%s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %s)
+                    RETURNING merge_id;
+                """, (
+                    request.convoy_a_id,
+                    request.convoy_b_id,
+                    result["absorbing_convoy_id"],
+                    'pickup',
+                    0.0,  # distance_saved_km - will calculate after actual merge
+                    result["fuel_savings_liters"],
+                    result["fuel_savings_liters"] * 150.0,  # cost_saved_inr
+                    result["extra_minutes"],
+                    None,  # merged_by - no user yet, just suggested
+                    'suggested',  # status
+                    result["merge_reasons"]
+                ))
+                merge_record = cur.fetchone()
+                merge_id = merge_record["merge_id"] if merge_record else None
+                print(f"[MERGE] Saved NEW suggestion merge_id={merge_id}: {result['scenario_readable']}")
+
+            conn.commit()
+        except Exception as e:
+            print(f"[MERGE] Failed to save suggestion: {e}")
+            conn.rollback()
+
+        return JSONResponse({**result, "merge_id": merge_id})
 
-        destinations_close = dest_dist_km <= request.same_dest_radius_km
-
-        # NEW: Check if B's source is along A's route (or vice versa)
-        # Calculate distance from B's source to A's straight-line route
-        def point_to_line_distance(px, py, x1, y1, x2, y2):
-            """Calculate perpendicular distance from point to line segment"""
-            # Vector from line start to point
-            dx = x2 - x1
-            dy = y2 - y1
-
-            if dx == 0 and dy == 0:
-                # Line segment is a point
-                return haversine_km(y1, x1, py, px)
-
-            # Parameter t for projection onto line
-            t = max(0, min(1, ((px - x1) * dx + (py - y1) * dy) / (dx * dx + dy * dy)))
-
-            # Closest point on line segment
-            closest_x = x1 + t * dx
-            closest_y = y1 + t * dy
-
-            return haversine_km(closest_y, closest_x, py, px)
-
-        # Distance from B's source to A's route
-        b_source_to_a_route_km = point_to_line_distance(
-            convoy_b_rec["source_lon"], convoy_b_rec["source_lat"],
-            convoy_a_rec["source_lon"], convoy_a_rec["source_lat"],
-            convoy_a_rec["destination_lon"], convoy_a_rec["destination_lat"]
-        )
+    except HTTPException:
+        raise
+    except Exception as e:
+        return JSONResponse({
+            "can_merge": False,
+            "reason": f"Error: {str(e)}"
+        })
+    finally:
+        cur.close()
+        conn.close()
 
-        # Distance from A's source to B's route
-        a_source_to_b_route_km = point_to_line_distance(
-            convoy_a_rec["source_lon"], convoy_a_rec["source_lat"],
-            convoy_b_rec["source_lon"], convoy_b_rec["source_lat"],
-            convoy_b_rec["destination_lon"], convoy_b_rec["destination_lat"]
-        )
 
-        # Consider "on the way" if source is within 10 km of the route
-        b_on_a_route = b_source_to_a_route_km <= 10
-        a_on_b_route = a_source_to_b_route_km <= 10
+# ----------------------------
+# Execute merge
+# ----------------------------
+@router.post("/execute_merge")
+def execute_merge(request: MergeExecuteRequest, current_user: dict = Depends(get_current_user)):
+    """
+    Carry out a merge: the absorbing convoy picks up the absorbed convoy at its source.
 
-        # Merge is possible if either destinations are close OR one source is on the other's route
-        if not (destinations_close or b_on_a_route or a_on_b_route):
-            return JSONResponse({
-                "can_merge": False,
-                "reason": f"Destinations too far ({dest_dist_km:.2f} km > {request.same_dest_radius_km} km) and routes don't intersect",
-                "dest_distance_km": round(dest_dist_km, 2),
-                "b_distance_to_a_route_km": round(b_source_to_a_route_km, 2),
-                "a_distance_to_b_route_km": round(a_source_to_b_route_km, 2)
-            })
+    Moves all vehicles across, stores the pickup route on the absorbing convoy and
+    marks the absorbed convoy 'merged'. The absorbed convoy is kept (not deleted)
+    so the merge_history record of who absorbed whom survives.
+    """
+    user_id = current_user["user_id"]
 
-        # Calculate capacity and load
-        total_capacity_a = sum(v["capacity_kg"] for v in vehicles_a)
-        total_load_a = sum(v["load_weight_kg"] for v in vehicles_a)
-        total_capacity_b = sum(v["capacity_kg"] for v in vehicles_b)
-        total_load_b = sum(v["load_weight_kg"] for v in vehicles_b)
+    if request.absorbing_convoy_id == request.absorbed_convoy_id:
+        raise HTTPException(status_code=400, detail="A convoy cannot absorb itself")
 
-        avail_a = total_capacity_a - total_load_a
-        avail_b = total_capacity_b - total_load_b
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
 
-        a_can_absorb_b = avail_a >= total_load_b
-        b_can_absorb_a = avail_b >= total_load_a
+    cur = conn.cursor()
+    try:
+        recs = {}
+        for convoy_id in (request.absorbing_convoy_id, request.absorbed_convoy_id):
+            cur.execute("""
+                SELECT convoy_id, convoy_name, created_by, status,
+                       source_lat, source_lon, destination_lat, destination_lon
+                FROM convoys WHERE convoy_id=%s;
+            """, (convoy_id,))
+            rec = cur.fetchone()
+            if not rec:
+                raise HTTPException(status_code=404, detail=f"Convoy with ID {convoy_id} not found")
+            if rec["created_by"] != user_id:
+                raise HTTPException(status_code=403, detail="Access denied: You can only merge your own convoys")
+            if (rec["status"] or "pending") not in MERGEABLE_STATUSES:
+                raise HTTPException(
+                    status_code=409,
+                    detail=f"Convoy '{rec['convoy_name']}' is {rec['status']}; only pending or approved convoys can be merged"
+                )
+            recs[convoy_id] = rec
 
-        if not (a_can_absorb_b or b_can_absorb_a):
-            return JSONResponse({
-                "can_merge": False,
-                "reason": "No convoy has enough spare capacity to absorb the other",
-                "convoy_a_spare_kg": round(avail_a, 2),
-                "convoy_b_spare_kg": round(avail_b, 2),
-                "convoy_a_load_kg": round(total_load_a, 2),
-                "convoy_b_load_kg": round(total_load_b, 2)
-            })
+        absorbing = recs[request.absorbing_convoy_id]
+        absorbed = recs[request.absorbed_convoy_id]
 
-        # Helper to get OSRM route duration
-        def osrm_duration(points):
-            coords = ";".join([f"{p[1]},{p[0]}" for p in points])
-            url = f"https://router.project-osrm.org/route/v1/driving/{coords}?overview=false"
-            try:
-                r = requests.get(url, timeout=10)
-                r.raise_for_status()
-                j = r.json()
-
-                # Check for OSRM errors
-                if j.get("code") != "Ok":
-                    print(f"[MERGE] OSRM error: {j.get('code')} - {j.get('message')}")
-                    return None, None
-
-                if "routes" in j and j["routes"]:
-                    duration = j["routes"][0].get("duration")
-                    distance = j["routes"][0].get("distance")
-                    print(f"[MERGE] OSRM success: {duration}s, {distance}m for {len(points)} points")
-                    return duration, distance
-                else:
-                    print(f"[MERGE] OSRM returned no routes for {len(points)} points")
-                    return None, None
-            except requests.exceptions.Timeout:
-                print(f"[MERGE] OSRM timeout for URL: {url}")
-                return None, None
-            except requests.exceptions.RequestException as e:
-                print(f"[MERGE] OSRM request failed: {e}")
-                return None, None
-            except Exception as e:
-                print(f"[MERGE] OSRM unexpected error: {e}")
-                return None, None
-
-        # Scenario A picks up B
-        direct_dur_A, _ = osrm_duration([
-            (convoy_a_rec["source_lat"], convoy_a_rec["source_lon"]),
-            (convoy_a_rec["destination_lat"], convoy_a_rec["destination_lon"])
-        ])
-        pickup_dur_A, _ = osrm_duration([
-            (convoy_a_rec["source_lat"], convoy_a_rec["source_lon"]),
-            (convoy_b_rec["source_lat"], convoy_b_rec["source_lon"]),
-            (convoy_a_rec["destination_lat"], convoy_a_rec["destination_lon"])
-        ])
-        extra_A = None
-        if direct_dur_A is not None and pickup_dur_A is not None:
-            extra_A = (pickup_dur_A - direct_dur_A) / 60.0
-        elif a_can_absorb_b:
-            # Fallback: estimate using Haversine
-            print("[MERGE] Using Haversine fallback for A picks B scenario")
-            direct_km = haversine_km(
-                convoy_a_rec["source_lat"], convoy_a_rec["source_lon"],
-                convoy_a_rec["destination_lat"], convoy_a_rec["destination_lon"]
-            )
-            detour_km = (
-                haversine_km(convoy_a_rec["source_lat"], convoy_a_rec["source_lon"],
-                           convoy_b_rec["source_lat"], convoy_b_rec["source_lon"]) +
-                haversine_km(convoy_b_rec["source_lat"], convoy_b_rec["source_lon"],
-                           convoy_a_rec["destination_lat"], convoy_a_rec["destination_lon"])
-            )
-            extra_km = detour_km - direct_km
-            extra_A = (extra_km / 50.0) * 60.0  # Assume 50 km/h avg speed
-
-        # Scenario B picks up A
-        direct_dur_B, _ = osrm_duration([
-            (convoy_b_rec["source_lat"], convoy_b_rec["source_lon"]),
-            (convoy_b_rec["destination_lat"], convoy_b_rec["destination_lon"])
-        ])
-        pickup_dur_B, _ = osrm_duration([
-            (convoy_b_rec["source_lat"], convoy_b_rec["source_lon"]),
-            (convoy_a_rec["source_lat"], convoy_a_rec["source_lon"]),
-            (convoy_b_rec["destination_lat"], convoy_b_rec["destination_lon"])
-        ])
-        extra_B = None
-        if direct_dur_B is not None and pickup_dur_B is not None:
-            extra_B = (pickup_dur_B - direct_dur_B) / 60.0
-        elif b_can_absorb_a:
-            # Fallback: estimate using Haversine
-            print("[MERGE] Using Haversine fallback for B picks A scenario")
-            direct_km = haversine_km(
-                convoy_b_rec["source_lat"], convoy_b_rec["source_lon"],
-                convoy_b_rec["destination_lat"], convoy_b_rec["destination_lon"]
+        # The pickup route follows the absorbing convoy's stops only
+        absorbed_stops = fetch_convoy_stops(cur, absorbed["convoy_id"])
+        if absorbed_stops:
+            raise HTTPException(
+                status_code=409,
+                detail=f"'{absorbed['convoy_name']}' has {len(absorbed_stops)} intermediate stop(s) the merged route would drop; it can only absorb, not be absorbed"
             )
-            detour_km = (
-                haversine_km(convoy_b_rec["source_lat"], convoy_b_rec["source_lon"],
-                           convoy_a_rec["source_lat"], convoy_a_rec["source_lon"]) +
-                haversine_km(convoy_a_rec["source_lat"], convoy_a_rec["source_lon"],
-                           convoy_b_rec["destination_lat"], convoy_b_rec["destination_lon"])
+
+        # Loads may have changed since the suggestion was made
+        cur.execute("""
+            SELECT COALESCE(SUM(capacity_kg - load_weight_kg), 0) AS spare
+            FROM vehicles WHERE convoy_id=%s;
+        """, (absorbing["convoy_id"],))
+        spare_kg = float(cur.fetchone()["spare"])
+        cur.execute("SELECT COALESCE(SUM(load_weight_kg), 0) AS total_load FROM vehicles WHERE convoy_id=%s;", (absorbed["convoy_id"],))
+        load_kg = float(cur.fetchone()["total_load"])
+        if spare_kg < load_kg:
+            raise HTTPException(
+                status_code=409,
+                detail=f"'{absorbing['convoy_name']}' has {spare_kg:.0f} kg spare but '{absorbed['convoy_name']}' carries {load_kg:.0f} kg"
             )
-            extra_km = detour_km - direct_km
-            extra_B = (extra_km / 50.0) * 60.0  # Assume 50 km/h avg speed
 
-        # Find best scenario
-        candidates = []
-        if a_can_absorb_b and extra_A is not None:
-            candidates.append(("A_picks_B", extra_A))
-        if b_can_absorb_a and extra_B is not None:
-            candidates.append(("B_picks_A", extra_B))
-
-        if not candidates:
-            # Build detailed error message
-            error_parts = []
-            if not a_can_absorb_b and not b_can_absorb_a:
-                error_parts.append("No convoy has enough spare capacity")
-            if a_can_absorb_b and extra_A is None:
-                error_parts.append("Failed to calculate route for A picking up B (OSRM error)")
-            if b_can_absorb_a and extra_B is None:
-                error_parts.append("Failed to calculate route for B picking up A (OSRM error)")
-
-            reason = "; ".join(error_parts) if error_parts else "Could not calculate detour durations"
+        # Pickup route: the absorbing convoy's source, stops and destination, with the
+        # rendezvous (absorbed source) inserted where it adds the least detour
+        points = insert_pickup(
+            convoy_points(absorbing, fetch_convoy_stops(cur, absorbing["convoy_id"])),
+            (absorbed["source_lat"], absorbed["source_lon"])
+        )
+        duration_s, distance_m, geometry = osrm_route(points)
+        if geometry:
+            distance_km = distance_m / 1000.0
+            duration_min = duration_s / 60.0
+        else:
+            geometry = [list(p) for p in points]
+            distance_km = path_km(points)
+            duration_min = (distance_km / 50.0) * 60.0  # Assume 50 km/h avg speed
 
-            return JSONResponse({
-                "can_merge": False,
-                "reason": reason,
-                "debug": {
-                    "a_can_absorb_b": a_can_absorb_b,
-                    "b_can_absorb_a": b_can_absorb_a,
-                    "extra_A": extra_A,
-                    "extra_B": extra_B,
-                    "convoy_a_coords": f"({convoy_a_rec['source_lat']}, {convoy_a_rec['source_lon']}) -> ({convoy_a_rec['destination_lat']}, {convoy_a_rec['destination_lon']})",
-                    "convoy_b_coords": f"({convoy_b_rec['source_lat']}, {convoy_b_rec['source_lon']}) -> ({convoy_b_rec['destination_lat']}, {convoy_b_rec['destination_lon']})"
-                }
-            })
+        cur.execute("""
+            UPDATE vehicles SET convoy_id=%s WHERE convoy_id=%s RETURNING vehicle_id;
+        """, (absorbing["convoy_id"], absorbed["convoy_id"]))
+        vehicles_moved = len(cur.fetchall())
+
+        cur.execute("DELETE FROM routes WHERE convoy_id=%s;", (absorbing["convoy_id"],))
+        insert_route(
+            cur, absorbing["convoy_id"],
+            json.dumps([{"lat": lat, "lon": lon} for lat, lon in geometry]),
+            round(distance_km, 2), round(duration_min, 2),
+            "merge"
+        )
+
+        notes = (
+            f"'{absorbing['convoy_name']}' (#{absorbing['convoy_id']}) absorbed "
+            f"'{absorbed['convoy_name']}' (#{absorbed['convoy_id']}): {vehicles_moved} vehicle(s) moved, "
+            f"pickup at ({absorbed['source_lat']:.4f}, {absorbed['source_lon']:.4f})"
+        )
 
-        best = min(candidates, key=lambda x: x[1])
-        scenario, extra_min = best
+        cur.execute("UPDATE convoys SET status='merged' WHERE convoy_id=%s;", (absorbed["convoy_id"],))
+        record_status_change(cur, absorbed["convoy_id"], absorbed["status"], "merged", user_id, notes)
 
-        if extra_min <= request.max_extra_minutes:
-            fuel_savings_liters = dest_dist_km * 0.3
+        # Complete the suggestion the user acted on, or record a fresh merge
+        merge_rec = None
+        if request.merge_id is not None:
+            cur.execute("""
+                UPDATE merge_history
+                SET merged_into=%s, status='completed', merged_by=%s, merged_at=NOW(), notes=%s
+                WHERE merge_id=%s AND status='suggested'
+                      AND %s IN (convoy_a_id, convoy_b_id) AND %s IN (convoy_a_id, convoy_b_id)
+                RETURNING merge_id, merged_at;
+            """, (
+                absorbing["convoy_id"], user_id, notes, request.merge_id,
+                absorbing["convoy_id"], absorbed["convoy_id"]
+            ))
+            merge_rec = cur.fetchone()
+        if not merge_rec:
+            cur.execute("""
+                INSERT INTO merge_history
+                (convoy_a_id, convoy_b_id, merged_into, merge_type, merged_by, status, notes)
+                VALUES (%s, %s, %s, %s, %s, %s, %s)
+                RETURNING merge_id, merged_at;
+            """, (
+                absorbing["convoy_id"], absorbed["convoy_id"], absorbing["convoy_id"],
+                'pickup', user_id, 'completed', notes
+            ))
+            merge_rec = cur.fetchone()
 
-            # Build concise merge reason with convoy names
-            convoy_a_name = convoy_a_rec["convoy_name"]
-            convoy_b_name = convoy_b_rec["convoy_name"]
+        # Other pending suggestions involving the absorbed convoy no longer apply
+        cur.execute("""
+            UPDATE merge_history SET status='cancelled'
+            WHERE status='suggested' AND %s IN (convoy_a_id, convoy_b_id);
+        """, (absorbed["convoy_id"],))
 
-            # Explain scenario in human-readable terms
-            if scenario == "A_picks_B":
-                scenario_text = f"'{convoy_a_name}' picks up '{convoy_b_name}'"
-                pickup_convoy = convoy_a_name
-                picked_convoy = convoy_b_name
-            else:
-                scenario_text = f"'{convoy_b_name}' picks up '{convoy_a_name}'"
-                pickup_convoy = convoy_b_name
-                picked_convoy = convoy_a_name
-
-            # Build concise merge reasons
-            merge_reasons = []
-            if destinations_close:
-                merge_reasons.append(f"destinations close ({dest_dist_km:.1f} km apart)")
-            if b_on_a_route or a_on_b_route:
-                detour = b_source_to_a_route_km if b_on_a_route else a_source_to_b_route_km
-                merge_reasons.append(f"'{picked_convoy}' on '{pickup_convoy}''s route ({detour:.1f} km detour)")
-
-            reason_text = " AND ".join(merge_reasons) if merge_reasons else "routes compatible"
-            full_reason = f"{scenario_text} feasible with extra time {extra_min:.1f} min. Merge suggested because: {reason_text}. Benefits: Save ~{fuel_savings_liters:.1f}L fuel, consolidate resources."
-
-            # Save merge suggestion to database (check for duplicates first)
-            merge_id = None
-            try:
-                # Check if this merge suggestion already exists
-                # Check both directions: (A,B) and (B,A) are considered the same merge
-                cur.execute("""
-                    SELECT merge_id FROM merge_history
-                    WHERE ((convoy_a_id = %s AND convoy_b_id = %s)
-                           OR (convoy_a_id = %s AND convoy_b_id = %s))
-                          AND status = 'suggested'
-                    LIMIT 1;
-                """, (request.convoy_a_id, request.convoy_b_id, request.convoy_b_id, request.convoy_a_id))
-                existing_merge = cur.fetchone()
-
-                if existing_merge:
-                    merge_id = existing_merge["merge_id"]
-                    print(f"[MERGE] Merge suggestion already exists: merge_id={merge_id}")
-                else:
-                    # Insert new merge suggestion
-                    cur.execute("""
-                        INSERT INTO merge_history
-                        (convoy_a_id, convoy_b_id, merged_into, merge_type, distance_saved_km,
-                         fuel_saved_liters, cost_saved_inr, detour_minutes, merged_by, status, notes)
-                        VALUES (%s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %s)
-                        RETURNING merge_id;
-                    """, (
-                        request.convoy_a_id,
-                        request.convoy_b_id,
-                        request.convoy_a_id if scenario == "A_picks_B" else request.convoy_b_id,
-                        'pickup',
-                        0.0,  # distance_saved_km - will calculate after actual merge
-                        fuel_savings_liters,
-                        fuel_savings_liters * 150.0,  # cost_saved_inr
-                        extra_min,
-                        None,  # merged_by - no user yet, just suggested
-                        'suggested',  # status
-                        reason_text
-                    ))
-                    merge_record = cur.fetchone()
-                    merge_id = merge_record["merge_id"] if merge_record else None
-                    print(f"[MERGE] Saved NEW suggestion merge_id={merge_id}: {scenario_text}")
-
-                conn.commit()
-            except Exception as e:
-                print(f"[MERGE] Failed to save suggestion: {e}")
-                conn.rollback()
+        conn.commit()
+        print(f"[MERGE] Executed merge_id={merge_rec['merge_id']}: {notes}")
 
-            return JSONResponse({
-                "can_merge": True,
-                "reason": full_reason,
-                "scenario": scenario,
-                "scenario_readable": scenario_text,
-                "convoy_a_name": convoy_a_name,
-                "convoy_b_name": convoy_b_name,
-                "merge_id": merge_id,
-                "extra_minutes": round(extra_min, 2),
-                "dest_distance_km": round(dest_dist_km, 2),
-                "b_distance_to_a_route_km": round(b_source_to_a_route_km, 2),
-                "a_distance_to_b_route_km": round(a_source_to_b_route_km, 2),
-                "destinations_close": destinations_close,
-                "b_on_a_route": b_on_a_route,
-                "a_on_b_route": a_on_b_route,
-                "fuel_savings_liters": round(fuel_savings_liters, 2),
-                "convoy_a_spare_kg": round(avail_a, 2),
-                "convoy_b_spare_kg": round(avail_b, 2)
-            })
-        else:
-            return JSONResponse({
-                "can_merge": False,
-                "reason": f"Best scenario {scenario} costs extra {extra_min:.1f} min > allowed {request.max_extra_minutes} min",
-                "extra_minutes": round(extra_min, 2)
-            })
+        return JSONResponse({
+            "status": "success",
+            "message": f"'{absorbing['convoy_name']}' absorbed '{absorbed['convoy_name']}'",
+            "merge": {
+                "merge_id": merge_rec["merge_id"],
+                "absorbing_convoy_id": absorbing["convoy_id"],
+                "absorbing_convoy_name": absorbing["convoy_name"],
+                "absorbed_convoy_id": absorbed["convoy_id"],
+                "absorbed_convoy_name": absorbed["convoy_name"],
+                "vehicles_moved": vehicles_moved,
+                "merged_at": str(merge_rec["merged_at"]),
+                "merged_by": user_id,
+                "notes": notes
+            },
+            "route": {
+                "total_distance_km": round(distance_km, 2),
+                "estimated_duration_minutes": round(duration_min, 2)
+            }
+        })
 
     except HTTPException:
+        conn.rollback()
         raise
     except Exception as e:
-        return JSONResponse({
-            "can_merge": False,
-            "reason": f"Error: {str(e)}"
-        })
+        conn.rollback()
+        raise HTTPException(status_code=500, detail=str(e))
     finally:
         cur.close()
         conn.close()
@@ -799,20 +1241,25 @@ def suggest_merge(request: MergeRequest):
 def update_convoy_status(
     convoy_id: int,
     status: str,
+    reason: Optional[str] = None,
     current_user: dict = Depends(get_current_user)
 ):
     """
-    Update convoy status: pending, en_route, completed, cancelled
+    Move a convoy along its lifecycle (see STATUS_TRANSITIONS).
+    Cancelling or halting requires a reason; every change is recorded in the status history.
     """
     user_id = current_user["user_id"]
 
-    valid_statuses = ["pending", "en_route", "completed", "cancelled"]
-    if status not in valid_statuses:
+    if status not in STATUS_TRANSITIONS:
         raise HTTPException(
             status_code=400,
-            detail=f"Invalid status. Must be one of: {valid_statuses}"
+            detail=f"Invalid status. Must be one of: {list(STATUS_TRANSITIONS)}"
         )
 
+    reason = reason.strip() if reason else None
+    if status in REASON_REQUIRED_STATUSES and not reason:
+        raise HTTPException(status_code=400, detail=f"A reason is required to mark a convoy as {status}")
+
     conn = get_connection()
     if not conn:
         raise HTTPException(status_code=500, detail="Database connection failed")
@@ -821,7 +1268,7 @@ def update_convoy_status(
     try:
         # Verify convoy ownership
         cur.execute("""
-            SELECT convoy_name, created_by FROM convoys
+            SELECT convoy_name, created_by, status FROM convoys
             WHERE convoy_id = %s;
         """, (convoy_id,))
         convoy = cur.fetchone()
@@ -832,22 +1279,31 @@ def update_convoy_status(
         if convoy["created_by"] != user_id:
             raise HTTPException(status_code=403, detail="Access denied")
 
+        current_status = convoy["status"] or "pending"
+        allowed = STATUS_TRANSITIONS.get(current_status, [])
+        if status not in allowed:
+            raise HTTPException(
+                status_code=409,
+                detail=f"Cannot change convoy '{convoy['convoy_name']}' from {current_status} to {status}. "
+                       f"Allowed: {', '.join(allowed) if allowed else 'none (final status)'}"
+            )
+
         # Update convoy status
         cur.execute("""
             UPDATE convoys
             SET status = %s
-            WHERE convoy_id = %s
-            RETURNING convoy_id, convoy_name, status;
+            WHERE convoy_id = %s;
         """, (status, convoy_id))
-
-        updated_convoy = cur.fetchone()
+        record_status_change(cur, convoy_id, current_status, status, user_id, reason)
         conn.commit()
 
         return JSONResponse({
             "status": "success",
             "message": f"Convoy '{convoy['convoy_name']}' status updated to '{status}'",
             "convoy_id": convoy_id,
-            "new_status": status
+            "previous_status": current_status,
+            "new_status": status,
+            "allowed_transitions": STATUS_TRANSITIONS[status]
         })
 
     except HTTPException:
@@ -860,6 +1316,60 @@ def update_convoy_status(
         conn.close()
 
 
+@router.get("/{convoy_id}/status/history")
+def get_convoy_status_history(convoy_id: int, current_user: dict = Depends(get_current_user)):
+    """
+    Status changes for a convoy, oldest first, with who made each change.
+    """
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        cur.execute("SELECT convoy_name, created_by, status FROM convoys WHERE convoy_id=%s;", (convoy_id,))
+        convoy = cur.fetchone()
+
+        if not convoy:
+            raise HTTPException(status_code=404, detail="Convoy not found")
+
+        if convoy["created_by"] != current_user["user_id"]:
+            raise HTTPException(status_code=403, detail="Access denied")
+
+        history = []
+        cur.execute("SELECT to_regclass('public.convoy_status_history') AS tbl;")
+        if cur.fetchone()["tbl"]:
+            cur.execute("""
+                SELECT h.from_status, h.to_status, h.reason, h.changed_by, u.name AS changed_by_name, h.changed_at
+                FROM convoy_status_history h
+                LEFT JOIN users u ON u.user_id = h.changed_by
+                WHERE h.convoy_id = %s
+                ORDER BY h.changed_at, h.history_id;
+            """, (convoy_id,))
+            history = [
+                {**row, "changed_at": str(row["changed_at"]) if row.get("changed_at") else None}
+                for row in cur.fetchall()
+            ]
+
+        current_status = convoy["status"] or "pending"
+        return JSONResponse({
+            "status": "success",
+            "convoy_id": convoy_id,
+            "convoy_name": convoy["convoy_name"],
+            "current_status": current_status,
+            "allowed_transitions": STATUS_TRANSITIONS.get(current_status, []),
+            "history": history
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
+
+
 @router.get("/{convoy_id}/route")
 def get_convoy_route(convoy_id: int, current_user: dict = Depends(get_current_user)):
     """
@@ -989,3 +1499,74 @@ def get_convoy_route(convoy_id: int, current_user: dict = Depends(get_current_us
     finally:
         cur.close()
         conn.close()
+
+
+# ----------------------------
+# Replace stored route
+# ----------------------------
+@router.put("/{convoy_id}/route")
+def update_convoy_route(
+    convoy_id: int,
+    request: RouteUpdateRequest,
+    current_user: dict = Depends(get_current_user)
+):
+    """
+    Store a new route for the convoy, replacing any previous one.
+    Waypoints are [{lat, lon}, ...] as returned by GET /{convoy_id}/route.
+    """
+    user_id = current_user["user_id"]
+
+    if len(request.waypoints) < 2:
+        raise HTTPException(status_code=400, detail="Route needs at least two waypoints")
+
+    try:
+        waypoints = [{"lat": float(wp["lat"]), "lon": float(wp["lon"])} for wp in request.waypoints]
+    except (KeyError, TypeError, ValueError):
+        raise HTTPException(status_code=400, detail="Waypoints must be objects with numeric lat and lon")
+
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        cur.execute("SELECT convoy_name, created_by FROM convoys WHERE convoy_id=%s;", (convoy_id,))
+        convoy = cur.fetchone()
+
+        if not convoy:
+            raise HTTPException(status_code=404, detail="Convoy not found")
+
+        if convoy["created_by"] != user_id:
+            raise HTTPException(status_code=403, detail="Access denied")
+
+        # Untagged, an adopted route would read as the planned one
+        if not routes_have_kind(cur):
+            raise HTTPException(
+                status_code=503,
+                detail="Adopting routes is not set up - run run_route_kind_migration.py"
+            )
+
+        cur.execute("DELETE FROM routes WHERE convoy_id=%s;", (convoy_id,))
+        route_id = insert_route(
+            cur, convoy_id, json.dumps(waypoints),
+            request.total_distance_km, request.estimated_duration_minutes,
+            "adopted"
+        )
+        conn.commit()
+
+        return JSONResponse({
+            "status": "success",
+            "message": f"Route updated for convoy '{convoy['convoy_name']}'",
+            "convoy_id": convoy_id,
+            "route_id": route_id,
+            "waypoint_count": len(waypoints)
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        conn.rollback()
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
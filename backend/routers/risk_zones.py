@@ -2,11 +2,172 @@
 from fastapi import APIRouter, HTTPException, Depends, Query
 from fastapi.responses import JSONResponse
 from utils.auth_utils import get_current_user
-from core.risk_zone_manager import get_risk_manager
-from typing import List
+from utils.helpers import haversine_km
+from db_connection import get_connection
+from core.risk_zone_manager import get_risk_manager, RiskZone, zone_from_row
+from routers.convoy_routes import STATUS_TRANSITIONS, fetch_convoy_stops
+from models.user import UserRole
+from datetime import datetime
+from pydantic import BaseModel
+from typing import List, Optional
+import json
 
 router = APIRouter()
 
+# Upper bound for analyze_route's buffer; wider buffers flag most of a region
+MAX_BUFFER_KM = 50.0
+
+RISK_LEVELS = ("low", "medium", "high")
+ZONE_SHAPES = ("circle", "polygon")
+MAX_ZONE_RADIUS_KM = 200.0
+MAX_ZONE_NAME_LENGTH = 100
+MAX_ZONE_NOTES_LENGTH = 2000
+
+# Same buffer the route planner uses when flagging danger points
+IMPACT_BUFFER_KM = 1.0
+
+ZONE_COLUMNS = """
+    zone_id, name, risk_level, shape, center_lat, center_lon, radius_km, polygon,
+    valid_from, valid_until, notes, created_at, updated_at, retired_at
+"""
+
+
+# Request model for creating or editing a managed risk zone.
+# Circles need center + radius; polygons need 3+ [lat, lon] vertices.
+class RiskZoneRequest(BaseModel):
+    name: str
+    risk_level: str
+    shape: str = "circle"
+    center_lat: Optional[float] = None
+    center_lon: Optional[float] = None
+    radius_km: Optional[float] = None
+    polygon: Optional[List[List[float]]] = None
+    valid_from: Optional[datetime] = None
+    valid_until: Optional[datetime] = None
+    notes: Optional[str] = None
+
+
+# Request model for previewing which convoys a zone change touches.
+# `zone_id` is the zone being edited or retired, `zone` its new shape (omit to retire).
+class ZoneImpactRequest(BaseModel):
+    zone: Optional[RiskZoneRequest] = None
+    zone_id: Optional[int] = None
+
+
+def zone_fields(request: RiskZoneRequest) -> dict:
+    """Validate a zone request and return its column values"""
+    name = request.name.strip()
+    if not name:
+        raise HTTPException(status_code=400, detail="Zone name is required")
+    if len(name) > MAX_ZONE_NAME_LENGTH:
+        raise HTTPException(status_code=400, detail=f"Zone name can be at most {MAX_ZONE_NAME_LENGTH} characters")
+    # Names are shown on every user's maps; keep them to plain text
+    if any(ch in name for ch in "<>") or any(not ch.isprintable() for ch in name):
+        raise HTTPException(status_code=400, detail="Zone name can't contain '<', '>' or control characters")
+    if request.notes and len(request.notes) > MAX_ZONE_NOTES_LENGTH:
+        raise HTTPException(status_code=400, detail=f"Notes can be at most {MAX_ZONE_NOTES_LENGTH} characters")
+    if request.risk_level not in RISK_LEVELS:
+        raise HTTPException(status_code=400, detail=f"Invalid risk level. Must be one of: {list(RISK_LEVELS)}")
+    if request.shape not in ZONE_SHAPES:
+        raise HTTPException(status_code=400, detail=f"Invalid shape. Must be one of: {list(ZONE_SHAPES)}")
+    if request.valid_from and request.valid_until and request.valid_until <= request.valid_from:
+        raise HTTPException(status_code=400, detail="Validity must end after it starts")
+
+    polygon = None
+    if request.shape == "polygon":
+        if not request.polygon or len(request.polygon) < 3 or any(len(p) != 2 for p in request.polygon):
+            raise HTTPException(status_code=400, detail="Polygon zones need at least 3 [lat, lon] vertices")
+        polygon = [[float(p[0]), float(p[1])] for p in request.polygon]
+        # Centroid and bounding radius let route checks skip far-away segments
+        center_lat = sum(p[0] for p in polygon) / len(polygon)
+        center_lon = sum(p[1] for p in polygon) / len(polygon)
+        radius_km = max(haversine_km(center_lat, center_lon, p[0], p[1]) for p in polygon)
+    else:
+        if request.center_lat is None or request.center_lon is None:
+            raise HTTPException(status_code=400, detail="Circle zones need a center")
+        if not request.radius_km or request.radius_km <= 0:
+            raise HTTPException(status_code=400, detail="Circle zones need a positive radius")
+        center_lat, center_lon, radius_km = request.center_lat, request.center_lon, request.radius_km
+
+    if not (-90 <= center_lat <= 90 and -180 <= center_lon <= 180):
+        raise HTTPException(status_code=400, detail="Zone center is out of range")
+    if radius_km > MAX_ZONE_RADIUS_KM:
+        raise HTTPException(status_code=400, detail=f"Zones can be at most {MAX_ZONE_RADIUS_KM:.0f} km across from the center")
+
+    return {
+        "name": name,
+        "risk_level": request.risk_level,
+        "shape": request.shape,
+        "center_lat": center_lat,
+        "center_lon": center_lon,
+        "radius_km": round(radius_km, 3),
+        "polygon": polygon,
+        "valid_from": request.valid_from,
+        "valid_until": request.valid_until,
+        "notes": (request.notes or "").strip() or None
+    }
+
+
+def require_zone_table(cur) -> None:
+    """503 until run_risk_zones_migration.py has created the table"""
+    cur.execute("SELECT to_regclass('public.risk_zones') AS tbl;")
+    if not cur.fetchone()["tbl"]:
+        raise HTTPException(
+            status_code=503,
+            detail="Risk zone management is not set up - run run_risk_zones_migration.py"
+        )
+
+
+def require_admin(cur, current_user: dict) -> None:
+    """403 unless the signed-in user is an admin; zones drive routing for every user"""
+    cur.execute("SELECT role FROM users WHERE user_id = %s;", (current_user["user_id"],))
+    user = cur.fetchone()
+    if not user or user["role"] != UserRole.ADMIN.value:
+        raise HTTPException(status_code=403, detail="Only administrators can manage risk zones")
+
+
+def managed_zone_dict(row: dict) -> dict:
+    """API shape of a risk_zones row, with its lifecycle status"""
+    zone = zone_from_row(row)
+    if row["retired_at"]:
+        status = "retired"
+    elif zone.valid_from and datetime.now() < zone.valid_from:
+        status = "scheduled"
+    elif not zone.is_active():
+        status = "expired"
+    else:
+        status = "active"
+
+    return {
+        **zone.to_dict(),
+        "status": status,
+        "created_at": row["created_at"].isoformat() if row["created_at"] else None,
+        "updated_at": row["updated_at"].isoformat() if row["updated_at"] else None,
+        "retired_at": row["retired_at"].isoformat() if row["retired_at"] else None
+    }
+
+
+def convoy_route_coords(cur, convoy: dict):
+    """
+    The convoy's stored route as (lat, lon) tuples, or a straight line through
+    its stops when no route has been stored. Returns (coords, route_type).
+    """
+    cur.execute("SELECT waypoints FROM routes WHERE convoy_id = %s LIMIT 1;", (convoy["convoy_id"],))
+    route = cur.fetchone()
+    waypoints = route["waypoints"] if route else None
+    if isinstance(waypoints, str):
+        waypoints = json.loads(waypoints)
+
+    # Waypoints are stored as [lat, lon] pairs or {lat, lon} objects
+    if waypoints and len(waypoints) >= 2:
+        coords = [(wp["lat"], wp["lon"]) if isinstance(wp, dict) else (wp[0], wp[1]) for wp in waypoints]
+        return coords, "stored"
+
+    coords = [(convoy["source_lat"], convoy["source_lon"])]
+    coords += [(stop["lat"], stop["lon"]) for stop in fetch_convoy_stops(cur, convoy["convoy_id"])]
+    coords.append((convoy["destination_lat"], convoy["destination_lon"]))
+    return coords, "straight_line"
+
 
 @router.get("/all")
 def get_all_risk_zones(current_user: dict = Depends(get_current_user)):
@@ -28,6 +189,288 @@ def get_all_risk_zones(current_user: dict = Depends(get_current_user)):
         raise HTTPException(status_code=500, detail=str(e))
 
 
+@router.get("/manage")
+def list_managed_zones(
+    include_retired: bool = Query(False, description="Include retired zones"),
+    current_user: dict = Depends(get_current_user)
+):
+    """
+    List managed risk zones, including scheduled and expired ones, with
+    each zone's status (active, scheduled, expired, retired).
+    """
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        require_zone_table(cur)
+        cur.execute(f"""
+            SELECT {ZONE_COLUMNS}
+            FROM risk_zones
+            WHERE %s OR retired_at IS NULL
+            ORDER BY retired_at IS NOT NULL, updated_at DESC;
+        """, (include_retired,))
+        zones = [managed_zone_dict(row) for row in cur.fetchall()]
+
+        return JSONResponse({
+            "status": "success",
+            "count": len(zones),
+            "zones": zones
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
+
+
+@router.post("/manage")
+def create_managed_zone(request: RiskZoneRequest, current_user: dict = Depends(get_current_user)):
+    """
+    Create a risk zone. Routing picks it up as soon as its validity starts.
+    """
+    fields = zone_fields(request)
+
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        require_admin(cur, current_user)
+        require_zone_table(cur)
+        cur.execute(f"""
+            INSERT INTO risk_zones (name, risk_level, shape, center_lat, center_lon, radius_km,
+                                    polygon, valid_from, valid_until, notes, created_by, updated_by)
+            VALUES (%s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %s)
+            RETURNING {ZONE_COLUMNS};
+        """, (
+            fields["name"], fields["risk_level"], fields["shape"],
+            fields["center_lat"], fields["center_lon"], fields["radius_km"],
+            json.dumps(fields["polygon"]) if fields["polygon"] else None,
+            fields["valid_from"], fields["valid_until"], fields["notes"],
+            current_user["user_id"], current_user["user_id"]
+        ))
+        zone = managed_zone_dict(cur.fetchone())
+        conn.commit()
+        get_risk_manager().reload()
+
+        return JSONResponse({
+            "status": "success",
+            "message": f"Risk zone '{zone['name']}' created",
+            "zone": zone
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        conn.rollback()
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
+
+
+@router.put("/manage/{zone_id}")
+def update_managed_zone(zone_id: int, request: RiskZoneRequest, current_user: dict = Depends(get_current_user)):
+    """
+    Replace a risk zone's shape, level, validity and notes. Retired zones can't be edited.
+    """
+    fields = zone_fields(request)
+
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        require_admin(cur, current_user)
+        require_zone_table(cur)
+        cur.execute("SELECT retired_at FROM risk_zones WHERE zone_id = %s;", (zone_id,))
+        existing = cur.fetchone()
+
+        if not existing:
+            raise HTTPException(status_code=404, detail="Risk zone not found")
+        if existing["retired_at"]:
+            raise HTTPException(status_code=400, detail="Retired zones can't be edited")
+
+        cur.execute(f"""
+            UPDATE risk_zones
+            SET name = %s, risk_level = %s, shape = %s, center_lat = %s, center_lon = %s,
+                radius_km = %s, polygon = %s, valid_from = %s, valid_until = %s, notes = %s,
+                updated_by = %s, updated_at = CURRENT_TIMESTAMP
+            WHERE zone_id = %s
+            RETURNING {ZONE_COLUMNS};
+        """, (
+            fields["name"], fields["risk_level"], fields["shape"],
+            fields["center_lat"], fields["center_lon"], fields["radius_km"],
+            json.dumps(fields["polygon"]) if fields["polygon"] else None,
+            fields["valid_from"], fields["valid_until"], fields["notes"],
+            current_user["user_id"], zone_id
+        ))
+        zone = managed_zone_dict(cur.fetchone())
+        conn.commit()
+        get_risk_manager().reload()
+
+        return JSONResponse({
+            "status": "success",
+            "message": f"Risk zone '{zone['name']}' updated",
+            "zone": zone
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        conn.rollback()
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
+
+
+@router.post("/manage/{zone_id}/retire")
+def retire_managed_zone(zone_id: int, current_user: dict = Depends(get_current_user)):
+    """
+    Retire a risk zone. It stays in the table for history but no longer affects routing.
+    """
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        require_admin(cur, current_user)
+        require_zone_table(cur)
+        cur.execute("SELECT name, retired_at FROM risk_zones WHERE zone_id = %s;", (zone_id,))
+        existing = cur.fetchone()
+
+        if not existing:
+            raise HTTPException(status_code=404, detail="Risk zone not found")
+        if existing["retired_at"]:
+            raise HTTPException(status_code=400, detail="Risk zone is already retired")
+
+        cur.execute(f"""
+            UPDATE risk_zones
+            SET retired_at = CURRENT_TIMESTAMP, retired_by = %s
+            WHERE zone_id = %s
+            RETURNING {ZONE_COLUMNS};
+        """, (current_user["user_id"], zone_id))
+        zone = managed_zone_dict(cur.fetchone())
+        conn.commit()
+        get_risk_manager().reload()
+
+        return JSONResponse({
+            "status": "success",
+            "message": f"Risk zone '{existing['name']}' retired",
+            "zone": zone
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        conn.rollback()
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
+
+
+@router.post("/impact")
+def preview_zone_impact(request: ZoneImpactRequest, current_user: dict = Depends(get_current_user)):
+    """
+    Which of the user's active convoys a zone change would affect.
+
+    Compares each convoy's route against the zone as it is now (`zone_id`)
+    and as proposed (`zone`; omitted when retiring). Validity periods are
+    ignored so scheduled zones show their eventual impact. Each convoy
+    gets change = added, removed or unchanged.
+    """
+    if not request.zone and request.zone_id is None:
+        raise HTTPException(status_code=400, detail="Provide a zone, a zone_id or both")
+
+    risk_manager = get_risk_manager()
+    current_zone = None
+    if request.zone_id is not None:
+        current_zone = risk_manager.get_zone_by_id(str(request.zone_id))
+    proposed_zone = None
+    if request.zone:
+        fields = zone_fields(request.zone)
+        proposed_zone = RiskZone(
+            zone_id=str(request.zone_id) if request.zone_id is not None else "draft",
+            name=fields["name"],
+            center_lat=fields["center_lat"],
+            center_lon=fields["center_lon"],
+            radius_km=fields["radius_km"],
+            risk_level=fields["risk_level"],
+            shape=fields["shape"],
+            polygon=[tuple(p) for p in fields["polygon"]] if fields["polygon"] else None
+        )
+
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        final_statuses = [status for status, onward in STATUS_TRANSITIONS.items() if not onward]
+        cur.execute("""
+            SELECT convoy_id, convoy_name, status, source_lat, source_lon, destination_lat, destination_lon
+            FROM convoys
+            WHERE created_by = %s AND COALESCE(status, 'pending') <> ALL(%s)
+            ORDER BY created_at DESC;
+        """, (current_user["user_id"], final_statuses))
+        convoys = cur.fetchall()
+
+        impacts = []
+        for convoy in convoys:
+            coords, route_type = convoy_route_coords(cur, convoy)
+            cumulative_km = risk_manager.route_cumulative_km(coords)
+
+            before = None
+            if current_zone:
+                before = risk_manager.zone_route_risk(current_zone, coords, cumulative_km, IMPACT_BUFFER_KM)
+            after = None
+            if proposed_zone:
+                after = risk_manager.zone_route_risk(proposed_zone, coords, cumulative_km, IMPACT_BUFFER_KM)
+
+            if not before and not after:
+                continue
+            if before and after:
+                change = "unchanged"
+            else:
+                change = "added" if after else "removed"
+
+            impacts.append({
+                "convoy_id": convoy["convoy_id"],
+                "convoy_name": convoy["convoy_name"],
+                "status": convoy["status"] or "pending",
+                "route_type": route_type,
+                "change": change,
+                "before": before,
+                "after": after
+            })
+
+        return JSONResponse({
+            "status": "success",
+            "checked_convoys": len(convoys),
+            "affected_count": len(impacts),
+            "buffer_km": IMPACT_BUFFER_KM,
+            "convoys": impacts
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
+
+
 @router.get("/{zone_id}")
 def get_risk_zone(zone_id: str, current_user: dict = Depends(get_current_user)):
     """
@@ -67,9 +510,9 @@ def check_point_risk(
 
         # Find which zone(s) the point is in
         zones_at_point = []
-        for zone in risk_manager.risk_zones:
-            dist = risk_manager.haversine_distance(lat, lon, zone.center_lat, zone.center_lon)
-            if dist <= zone.radius_km:
+        for zone in risk_manager.active_zones():
+            if risk_manager.zone_contains(zone, lat, lon):
+                dist = risk_manager.haversine_distance(lat, lon, zone.center_lat, zone.center_lon)
                 zones_at_point.append({
                     **zone.to_dict(),
                     "distance_from_center_km": round(dist, 2)
@@ -91,14 +534,15 @@ def check_point_risk(
 @router.post("/analyze_route")
 def analyze_route_risks(
     route: List[List[float]],  # [[lat, lon], [lat, lon], ...]
-    buffer_km: float = Query(1.0, description="Buffer distance in km"),
+    buffer_km: float = Query(1.0, ge=0, le=MAX_BUFFER_KM, description="Buffer distance in km"),
     current_user: dict = Depends(get_current_user)
 ):
     """
     Analyze a route for risk zone intersections.
 
     Request body should be a list of [lat, lon] coordinates.
-    Returns all risk zones the route passes through or near.
+    Returns all risk zones the route passes through or near, with the
+    distance along the route where each one is entered and left.
     """
     try:
         if not route or len(route) < 2:
@@ -1,16 +1,28 @@
-# Add this to the existing routers/route_optimization.py
-
+# routers/route_optimization.py
+from fastapi import APIRouter
+from fastapi.responses import JSONResponse
+from pydantic import BaseModel
+from typing import List, Optional
 from core.dynamic_router import dynamic_reroute as dynamic_reroute_engine
 
+router = APIRouter()
+
+
+class ClosurePoint(BaseModel):
+    lat: float
+    lon: float
+
+
+class DynamicRerouteRequest(BaseModel):
+    start_lat: float
+    start_lon: float
+    end_lat: float
+    end_lon: float
+    closure_points: Optional[List[ClosurePoint]] = None
+
 
 @router.post("/dynamic_reroute")
-def dynamic_reroute_endpoint(
-        start_lat: float,
-        start_lon: float,
-        end_lat: float,
-        end_lon: float,
-        closure_points: Optional[List[Dict[str, float]]] = None
-):
+def dynamic_reroute_endpoint(request: DynamicRerouteRequest):
     """
     Dynamic rerouting with weather and closure avoidance.
 
@@ -25,15 +37,14 @@ def dynamic_reroute_endpoint(
         {"lat": 28.52, "lon": 77.12}
       ]
     }
+
+    `safety_score` is the route cost from the scoring model: lower is safer.
     """
     # Convert closure points
-    closures = []
-    if closure_points:
-        for cp in closure_points:
-            closures.append((cp["lat"], cp["lon"]))
+    closures = [(cp.lat, cp.lon) for cp in (request.closure_points or [])]
 
     result = dynamic_reroute_engine(
-        start_lat, start_lon, end_lat, end_lon, closures
+        request.start_lat, request.start_lon, request.end_lat, request.end_lon, closures
     )
 
     if "error" in result:
@@ -51,7 +62,11 @@ def dynamic_reroute_endpoint(
         "closed_segments": result["closed_segments"],
         "distance_km": round(result["distance_m"] / 1000, 2),
         "duration_minutes": round(result["eta_seconds"] / 60, 1),
-        "safety_score": round(result["score"], 2)
+        "safety_score": round(result["score"], 2),
+        "original": {
+            "closed_segments": result["original_closed_segments"],
+            "distance_km": round(result["original_distance_m"] / 1000, 2),
+            "duration_minutes": round(result["original_eta_seconds"] / 60, 1),
+            "safety_score": round(result["original_score"], 2)
+        }
     })
-
-
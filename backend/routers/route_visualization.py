@@ -1,33 +1,222 @@
 # routers/route_visualization.py
-from fastapi import APIRouter, Query
+from fastapi import APIRouter, HTTPException, Query, Depends
 from fastapi.responses import JSONResponse
-from utils.helpers import compute_eta, haversine_km
+from utils.helpers import compute_eta, estimate_eta, eta_confidence, fetch_route_features, build_route_features, haversine_km
+from utils.auth_utils import get_current_user
+from db_connection import get_connection
 from core.risk_zone_manager import get_risk_manager
+from typing import Optional
 import requests
+import json
 from datetime import datetime, timedelta
 
+# Most departure windows compared in one request
+MAX_DEPARTURE_WINDOWS = 8
+# Most intermediate stops on one route
+MAX_WAYPOINTS = 10
+# Most convoys routed in one multi_convoy_routes request
+MAX_BATCH_CONVOYS = 10
+
 router = APIRouter()
 
 
+def parse_departure(value: str, now: datetime) -> datetime:
+    """
+    Accepts an ISO datetime or a bare "HH:MM"; a bare time that has already
+    passed today means the same time tomorrow.
+    """
+    value = value.strip()
+    try:
+        if len(value) <= 5 and ":" in value:
+            hour, minute = (int(part) for part in value.split(":"))
+            departure = now.replace(hour=hour, minute=minute, second=0, microsecond=0)
+            return departure if departure >= now else departure + timedelta(days=1)
+        return datetime.fromisoformat(value)
+    except ValueError:
+        raise HTTPException(status_code=400, detail=f"Invalid departure time: {value}")
+
+
+def parse_waypoints(waypoints: Optional[str]) -> list:
+    """'lat,lon;lat,lon' -> [(lat, lon), ...] in visiting order"""
+    if not waypoints:
+        return []
+    stops = []
+    for pair in waypoints.split(";"):
+        if not pair.strip():
+            continue
+        try:
+            lat_str, lon_str = pair.split(",")
+            stops.append((float(lat_str), float(lon_str)))
+        except ValueError:
+            raise ValueError(f"Invalid waypoint '{pair}', expected 'lat,lon'")
+    if len(stops) > MAX_WAYPOINTS:
+        raise ValueError(f"At most {MAX_WAYPOINTS} waypoints are supported")
+    return stops
+
+
+def split_route_at_stops(coordinates: list, points: list) -> list:
+    """
+    Cut the full route polyline into one slice per leg, at the vertex nearest
+    each intermediate stop. Slices share their boundary vertex.
+    """
+    legs = []
+    start_idx = 0
+    for lat, lon in points[1:-1]:
+        nearest = min(
+            range(start_idx, len(coordinates)),
+            key=lambda i: haversine_km(lat, lon, coordinates[i][0], coordinates[i][1])
+        )
+        legs.append(coordinates[start_idx:nearest + 1])
+        start_idx = nearest
+    legs.append(coordinates[start_idx:])
+    return legs
+
+
+def route_leg_features(points: list) -> list:
+    """
+    Model features for each leg of source -> stops -> destination, from one
+    OSRM request through every point. A direct run is a single leg.
+    """
+    if len(points) == 2:
+        return [fetch_route_features(*points[0], *points[1])]
+
+    osrm_legs = []
+    leg_coordinates = []
+    try:
+        coords_str = ";".join(f"{lon},{lat}" for lat, lon in points)
+        url = f"https://router.project-osrm.org/route/v1/driving/{coords_str}?overview=full&geometries=geojson"
+        resp = requests.get(url, timeout=12)
+        resp.raise_for_status()
+        route = resp.json()["routes"][0]
+        coordinates = [[lat, lon] for lon, lat in route["geometry"]["coordinates"]]
+        leg_coordinates = split_route_at_stops(coordinates, points)
+        osrm_legs = route.get("legs", [])
+    except Exception as e:
+        print(f"[ETA] OSRM unavailable ({str(e)}), using straight-line legs")
+
+    features = []
+    for i, ((a_lat, a_lon), (b_lat, b_lon)) in enumerate(zip(points, points[1:])):
+        osrm_leg = osrm_legs[i] if i < len(osrm_legs) else None
+        straight_km = haversine_km(a_lat, a_lon, b_lat, b_lon)
+        features.append(build_route_features(
+            a_lat, a_lon, b_lat, b_lon,
+            osrm_leg["distance"] if osrm_leg else straight_km * 1000,
+            osrm_leg["duration"] if osrm_leg else straight_km / 60 * 3600,
+            max(1, len(leg_coordinates[i]) // 10) if osrm_leg else 1,
+            osrm_leg is not None
+        ))
+    return features
+
+
+def estimate_route_eta(leg_features: list, traffic_level: int, terrain: str, priority: str, departure: datetime) -> dict:
+    """
+    estimate_eta over every leg of a route. Each leg sets off when the previous
+    one arrives, so it gets the traffic for its own time of day.
+    """
+    if len(leg_features) == 1:
+        return estimate_eta(leg_features[0], traffic_level, terrain, priority, departure)
+
+    legs = []
+    leg_departure = departure
+    for features in leg_features:
+        leg = estimate_eta(features, traffic_level, terrain, priority, leg_departure)
+        legs.append(leg)
+        leg_departure += timedelta(minutes=leg["eta_minutes"])
+
+    eta_minutes = sum(leg["eta_minutes"] for leg in legs)
+    model_used = all(leg["model_used"] for leg in legs)
+    osrm_available = all(features["osrm_available"] for features in leg_features)
+    return {
+        "eta_minutes": round(eta_minutes, 2),
+        "model_used": model_used,
+        "distance_km": round(sum(leg["distance_km"] for leg in legs), 3),
+        "num_turns": sum(leg["num_turns"] for leg in legs),
+        "traffic_level": legs[0]["traffic_level"],
+        "terrain": terrain,
+        "priority": priority,
+        "confidence": eta_confidence(eta_minutes, model_used, osrm_available, terrain, legs[0]["traffic_level"]),
+        "legs": [
+            {"leg": i + 1, "distance_km": leg["distance_km"], "eta_minutes": leg["eta_minutes"]}
+            for i, leg in enumerate(legs)
+        ],
+        "departure_time": departure.isoformat(timespec="minutes"),
+        "arrival_time": leg_departure.isoformat(timespec="minutes"),
+    }
+
+
 @router.get("/predict_eta")
 def predict_eta(
         start_lat: float = Query(...),
         start_lon: float = Query(...),
         end_lat: float = Query(...),
         end_lon: float = Query(...),
-        traffic_level: int = 1,
+        traffic_level: int = Query(1, ge=1, le=3),
         terrain: str = "plain",
-        priority: str = "normal"
+        priority: str = "normal",
+        departure_time: Optional[str] = Query(None, description="ISO datetime or HH:MM; shifts traffic by time of day"),
+        waypoints: Optional[str] = Query(None, description="Intermediate stops as 'lat,lon;lat,lon' in visiting order")
 ):
     """
-    Predict ETA between two points.
-    Returns JSON for React frontend.
+    Predict ETA from source to destination through any intermediate stops.
+    Returns JSON for React frontend, including a confidence band and, with
+    stops, one entry per leg.
+    Without departure_time the convoy leaves now, and the current time of day
+    shifts traffic the same way a chosen departure would.
     """
-    result = compute_eta(
-        start_lat, start_lon, end_lat, end_lon,
-        traffic_level, terrain, "truck", priority
-    )
-    return JSONResponse(result)
+    try:
+        stops = parse_waypoints(waypoints)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+    now = datetime.now()
+    departure = parse_departure(departure_time, now) if departure_time else now
+    features = route_leg_features([(start_lat, start_lon)] + stops + [(end_lat, end_lon)])
+    result = estimate_route_eta(features, traffic_level, terrain, priority, departure)
+    return JSONResponse({"status": "success", **result})
+
+
+@router.get("/predict_eta/departures")
+def compare_departures(
+        start_lat: float = Query(...),
+        start_lon: float = Query(...),
+        end_lat: float = Query(...),
+        end_lon: float = Query(...),
+        departures: str = Query(..., description="Comma-separated ISO datetimes or HH:MM, e.g. '06:00,09:00,14:00'"),
+        traffic_level: int = Query(1, ge=1, le=3),
+        terrain: str = "plain",
+        priority: str = "normal",
+        waypoints: Optional[str] = Query(None, description="Intermediate stops as 'lat,lon;lat,lon' in visiting order")
+):
+    """
+    Predict the ETA for several departure times over the same route (through
+    any intermediate stops) so planners can pick a dispatch window. The route
+    is fetched once and shared.
+    """
+    now = datetime.now()
+    values = [v for v in departures.split(",") if v.strip()]
+    if not values:
+        raise HTTPException(status_code=400, detail="At least one departure time is required")
+    if len(values) > MAX_DEPARTURE_WINDOWS:
+        raise HTTPException(status_code=400, detail=f"At most {MAX_DEPARTURE_WINDOWS} departure times can be compared")
+
+    try:
+        stops = parse_waypoints(waypoints)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+    features = route_leg_features([(start_lat, start_lon)] + stops + [(end_lat, end_lon)])
+    windows = [
+        estimate_route_eta(features, traffic_level, terrain, priority, parse_departure(v, now))
+        for v in values
+    ]
+    best_index = min(range(len(windows)), key=lambda i: windows[i]["eta_minutes"])
+
+    return JSONResponse({
+        "status": "success",
+        "windows": windows,
+        "best_index": best_index,
+        "osrm_available": all(leg["osrm_available"] for leg in features)
+    })
 
 
 @router.get("/get_route")
@@ -37,23 +226,35 @@ def get_route(
         end_lat: float = Query(...),
         end_lon: float = Query(...),
         traffic_level: int = 1,
-        terrain: str = "plain"
+        terrain: str = "plain",
+        priority: str = "normal",
+        waypoints: Optional[str] = Query(None, description="Intermediate stops as 'lat,lon;lat,lon' in visiting order")
 ):
     """
     Get route data for React frontend visualization.
-    Returns route coordinates, distance, duration, and checkpoints.
+    Returns route coordinates, distance, duration, checkpoints and one entry
+    per leg (source -> stops -> destination) with its own distance and ETA.
 
     Example: /api/routes/get_route?start_lat=28.6139&start_lon=77.2090&end_lat=28.4595&end_lon=77.0266
     """
     try:
+        try:
+            stops = parse_waypoints(waypoints)
+        except ValueError as e:
+            return JSONResponse({"status": "error", "message": str(e)}, status_code=400)
+
+        # Visiting order: source, intermediate stops, destination
+        points = [(start_lat, start_lon)] + stops + [(end_lat, end_lon)]
+
         route_coordinates = None
         total_distance_km = 0
         osrm_duration_sec = 0
         osrm_available = False
+        osrm_legs = []
 
         # Try to get route from OSRM
         try:
-            coords_str = f"{start_lon},{start_lat};{end_lon},{end_lat}"
+            coords_str = ";".join(f"{lon},{lat}" for lat, lon in points)
             url = f"https://router.project-osrm.org/route/v1/driving/{coords_str}?overview=full&geometries=geojson"
             resp = requests.get(url, timeout=10)
             resp.raise_for_status()
@@ -69,6 +270,7 @@ def get_route(
 
                 total_distance_km = route.get("distance", 0) / 1000
                 osrm_duration_sec = route.get("duration", 0)
+                osrm_legs = route.get("legs", [])
                 osrm_available = True
                 print(f"[ROUTE] OSRM route fetched: {len(route_coordinates)} points")
         except Exception as e:
@@ -79,25 +281,58 @@ def get_route(
             # Create straight line with intermediate points for better visualization
             num_points = 10
             route_coordinates = []
-            for i in range(num_points + 1):
-                fraction = i / num_points
-                lat = start_lat + (end_lat - start_lat) * fraction
-                lon = start_lon + (end_lon - start_lon) * fraction
-                route_coordinates.append([lat, lon])
-
-            # Calculate straight line distance
-            total_distance_km = haversine_km(start_lat, start_lon, end_lat, end_lon)
+            total_distance_km = 0
+            for (a_lat, a_lon), (b_lat, b_lon) in zip(points, points[1:]):
+                for i in range(0 if not route_coordinates else 1, num_points + 1):
+                    fraction = i / num_points
+                    lat = a_lat + (b_lat - a_lat) * fraction
+                    lon = a_lon + (b_lon - a_lon) * fraction
+                    route_coordinates.append([lat, lon])
+
+                # Calculate straight line distance
+                total_distance_km += haversine_km(a_lat, a_lon, b_lat, b_lon)
             print(f"[ROUTE] Using fallback straight line route: {total_distance_km:.2f} km")
 
-        # Get ETA with our model
-        eta_data = compute_eta(
-            start_lat, start_lon, end_lat, end_lon,
-            traffic_level, terrain, "truck", "normal"
-        )
-        eta_minutes = eta_data.get("eta_minutes", 0)
-
         # Calculate times
         departure = datetime.now()
+
+        # Get ETA with our model, one leg at a time
+        leg_coordinates = split_route_at_stops(route_coordinates, points)
+        legs = []
+        eta_minutes = 0
+        model_used = True
+        for i, ((a_lat, a_lon), (b_lat, b_lon)) in enumerate(zip(points, points[1:])):
+            if not stops:
+                leg_distance_km = total_distance_km
+                leg_eta = compute_eta(
+                    a_lat, a_lon, b_lat, b_lon,
+                    traffic_level, terrain, "truck", priority
+                )
+            else:
+                # Reuse the OSRM leg instead of routing every leg again
+                osrm_leg = osrm_legs[i] if i < len(osrm_legs) else None
+                leg_distance_km = osrm_leg["distance"] / 1000 if osrm_leg else haversine_km(a_lat, a_lon, b_lat, b_lon)
+                leg_duration_s = osrm_leg["duration"] if osrm_leg else leg_distance_km / 60 * 3600
+                features = build_route_features(
+                    a_lat, a_lon, b_lat, b_lon,
+                    leg_distance_km * 1000, leg_duration_s,
+                    max(1, len(leg_coordinates[i]) // 10), osrm_leg is not None
+                )
+                leg_eta = estimate_eta(features, traffic_level, terrain, priority)
+
+            eta_minutes += leg_eta.get("eta_minutes", 0)
+            model_used = model_used and leg_eta.get("model_used", False)
+            legs.append({
+                "leg": i + 1,
+                "from": {"lat": a_lat, "lon": a_lon},
+                "to": {"lat": b_lat, "lon": b_lon},
+                "distance_km": round(leg_distance_km, 2),
+                "eta_minutes": round(leg_eta.get("eta_minutes", 0), 1),
+                "cumulative_minutes": round(eta_minutes, 1),
+                "estimated_arrival": (departure + timedelta(minutes=eta_minutes)).strftime("%H:%M:%S"),
+                "coordinates": leg_coordinates[i]
+            })
+
         arrival = departure + timedelta(minutes=eta_minutes)
 
         # Generate checkpoints (3 evenly spaced points along route)
@@ -115,7 +350,7 @@ def get_route(
                 # Calculate ETA to checkpoint
                 cp_eta = compute_eta(
                     start_lat, start_lon, lat, lon,
-                    traffic_level, terrain, "truck", "normal"
+                    traffic_level, terrain, "truck", priority
                 )
                 cp_minutes = cp_eta.get("eta_minutes", 0)
                 cp_arrival = departure + timedelta(minutes=cp_minutes)
@@ -152,9 +387,11 @@ def get_route(
                 "estimated_arrival": arrival.strftime("%H:%M:%S"),
                 "terrain": terrain,
                 "traffic_level": traffic_level,
-                "model_used": eta_data.get("model_used", False),
+                "priority": priority,
+                "model_used": model_used,
                 "osrm_available": osrm_available,
-                "route_type": "osrm" if osrm_available else "straight_line"
+                "route_type": "osrm" if osrm_available else "straight_line",
+                "legs": legs
             },
             "start_point": {
                 "lat": start_lat,
@@ -164,6 +401,7 @@ def get_route(
                 "lat": end_lat,
                 "lon": end_lon
             },
+            "waypoints": [{"lat": lat, "lon": lon} for lat, lon in stops],
             "checkpoints": checkpoints,
             "danger_points": danger_points,
             "risk_analysis": risk_analysis,
@@ -231,66 +469,119 @@ def optimize_convoy_route(convoy_id: int):
 
 
 @router.get("/multi_convoy_routes")
-def multi_convoy_routes(convoy_ids: str = Query(..., description="Comma-separated convoy IDs, e.g., '1,2,3'")):
+def multi_convoy_routes(
+        convoy_ids: str = Query(..., description="Comma-separated convoy IDs, e.g., '1,2,3'"),
+        current_user: dict = Depends(get_current_user)
+):
     """
     Get routes for multiple convoys at once.
     Useful for dashboard visualization showing all active convoys.
 
+    Each convoy uses its stored route when it has one (e.g. an adopted
+    reroute), otherwise a fresh get_route through its stops. A convoy that
+    fails lands in `errors` instead of failing the whole batch.
+
     Example: /api/routes/multi_convoy_routes?convoy_ids=1,2,3
     """
-    from routers.convoy_routes import convoys_db
+    from routers.convoy_routes import fetch_convoy_stops
 
     try:
-        ids = [int(id.strip()) for id in convoy_ids.split(",")]
-    except:
-        return JSONResponse(
-            {"status": "error", "message": "Invalid convoy IDs format"},
-            status_code=400
-        )
-
-    routes = []
-
-    for convoy_id in ids:
-        # Find convoy by ID (convoys_db uses convoy_name as key)
-        convoy = None
-        for c in convoys_db.values():
-            if c.id == convoy_id:
-                convoy = c
-                break
+        ids = list(dict.fromkeys(int(id.strip()) for id in convoy_ids.split(",") if id.strip()))
+    except ValueError:
+        raise HTTPException(status_code=400, detail="Invalid convoy IDs format")
+    if not ids:
+        raise HTTPException(status_code=400, detail="No convoy IDs given")
+    if len(ids) > MAX_BATCH_CONVOYS:
+        raise HTTPException(status_code=400, detail=f"At most {MAX_BATCH_CONVOYS} convoys per request")
+
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        cur.execute("""
+            SELECT convoy_id, convoy_name, priority, source_lat, source_lon, destination_lat, destination_lon
+            FROM convoys WHERE convoy_id = ANY(%s) AND created_by = %s;
+        """, (ids, current_user["user_id"]))
+        convoys = {rec["convoy_id"]: rec for rec in cur.fetchall()}
+
+        routes = []
+        errors = []
+
+        for convoy_id in ids:
+            convoy = convoys.get(convoy_id)
+            if not convoy:
+                errors.append({"convoy_id": convoy_id, "message": "Convoy not found or access denied"})
+                continue
+
+            entry = {
+                "convoy_id": convoy_id,
+                "convoy_name": convoy["convoy_name"],
+                "source": {"lat": convoy["source_lat"], "lon": convoy["source_lon"]},
+                "destination": {"lat": convoy["destination_lat"], "lon": convoy["destination_lon"]},
+            }
+
+            try:
+                cur.execute("""
+                    SELECT waypoints, total_distance_km, estimated_duration_minutes
+                    FROM routes WHERE convoy_id=%s LIMIT 1;
+                """, (convoy_id,))
+                stored_route = cur.fetchone()
+                stored_waypoints = stored_route["waypoints"] if stored_route else None
+                if isinstance(stored_waypoints, str):
+                    stored_waypoints = json.loads(stored_waypoints)
+
+                if stored_waypoints and len(stored_waypoints) > 1:
+                    routes.append({
+                        **entry,
+                        "waypoints": stored_waypoints,
+                        "distance_km": stored_route.get("total_distance_km") or 0,
+                        "duration_minutes": stored_route.get("estimated_duration_minutes") or 0,
+                        "route_type": "stored"
+                    })
+                    continue
+
+                stops = fetch_convoy_stops(cur, convoy_id)
+                route_response = get_route(
+                    start_lat=convoy["source_lat"],
+                    start_lon=convoy["source_lon"],
+                    end_lat=convoy["destination_lat"],
+                    end_lon=convoy["destination_lon"],
+                    traffic_level=1,
+                    terrain="plain",
+                    priority=convoy["priority"] or "normal",
+                    waypoints=";".join(f"{stop['lat']},{stop['lon']}" for stop in stops) or None
+                )
+                route_data = json.loads(route_response.body.decode('utf-8'))
 
-        if not convoy:
-            continue
+                if route_data.get("status") != "success":
+                    errors.append({"convoy_id": convoy_id, "message": route_data.get("message", "Routing failed")})
+                    continue
 
-        try:
-            # Get route
-            route_response = get_route(
-                start_lat=convoy.source_lat,
-                start_lon=convoy.source_lon,
-                end_lat=convoy.destination_lat,
-                end_lon=convoy.destination_lon,
-                traffic_level=1,
-                terrain="plain"
-            )
-
-            import json
-            route_data = json.loads(route_response.body.decode('utf-8'))
-
-            if route_data.get("status") == "success":
+                route = route_data["route"]
                 routes.append({
-                    "convoy_id": convoy.id,
-                    "convoy_name": convoy.convoy_name,
-                    "priority": convoy.priority.value,
-                    "vehicle_count": convoy.vehicle_count,
-                    "route": route_data.get("route"),
-                    "start_point": route_data.get("start_point"),
-                    "end_point": route_data.get("end_point"),
-                    "checkpoints": route_data.get("checkpoints")
+                    **entry,
+                    "waypoints": [{"lat": lat, "lon": lon} for lat, lon in route["coordinates"]],
+                    "distance_km": route.get("distance_km", 0),
+                    "duration_minutes": route.get("duration_minutes", 0),
+                    "route_type": route.get("route_type", "osrm"),
+                    "warning": route_data.get("warning")
                 })
-        except Exception as e:
-            continue
+            except Exception as e:
+                errors.append({"convoy_id": convoy_id, "message": str(e)})
 
-    return JSONResponse({
-        "status": "success",
-        "count": len(routes),
-        "routes": routes
-    })
\ No newline at end of file
+        return JSONResponse({
+            "status": "success",
+            "count": len(routes),
+            "routes": routes,
+            "errors": errors
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
@@ -0,0 +1,84 @@
+# routers/tiles.py
+# Local basemap tiles for air-gapped deployments. Serves either an MBTiles
+# file (TILE_MBTILES_PATH) or a {z}/{x}/{y}.<ext> folder tree (TILE_DIR);
+# the frontend uses it when built with VITE_TILE_SOURCE=local.
+import os
+import sqlite3
+from fastapi import APIRouter, HTTPException
+from fastapi.responses import Response, FileResponse
+
+TILE_MBTILES_PATH = os.getenv("TILE_MBTILES_PATH")
+TILE_DIR = os.getenv("TILE_DIR")
+# Tiles never change once generated, so let browsers keep them for a day
+TILE_CACHE_SECONDS = int(os.getenv("TILE_CACHE_SECONDS", "86400"))
+
+TILE_MEDIA_TYPES = {
+    "png": "image/png",
+    "jpg": "image/jpeg",
+    "jpeg": "image/jpeg",
+    "webp": "image/webp",
+    "pbf": "application/x-protobuf",
+}
+
+router = APIRouter()
+
+
+def read_mbtiles_tile(z: int, x: int, y: int):
+    """Tile bytes from the MBTiles file, or None. MBTiles rows use TMS (y flipped)."""
+    tms_y = (1 << z) - 1 - y
+    conn = sqlite3.connect(f"file:{TILE_MBTILES_PATH}?mode=ro", uri=True)
+    try:
+        row = conn.execute(
+            "SELECT tile_data FROM tiles WHERE zoom_level=? AND tile_column=? AND tile_row=?;",
+            (z, x, tms_y)
+        ).fetchone()
+        return row[0] if row else None
+    finally:
+        conn.close()
+
+
+@router.get("/status")
+def tile_source_status():
+    """Which local tile source is configured, so deployments can check it"""
+    if TILE_MBTILES_PATH:
+        return {"status": "success", "source": "mbtiles", "available": os.path.isfile(TILE_MBTILES_PATH)}
+    if TILE_DIR:
+        return {"status": "success", "source": "folder", "available": os.path.isdir(TILE_DIR)}
+    return {"status": "success", "source": None, "available": False}
+
+
+@router.get("/{z}/{x}/{y}.{ext}")
+def get_tile(z: int, x: int, y: int, ext: str):
+    """
+    One XYZ tile from the configured local source.
+
+    Example: /api/tiles/5/22/13.png
+    """
+    media_type = TILE_MEDIA_TYPES.get(ext.lower())
+    if not media_type:
+        raise HTTPException(status_code=400, detail=f"Unsupported tile format: {ext}")
+    if z < 0 or z > 24 or not (0 <= x < (1 << z)) or not (0 <= y < (1 << z)):
+        raise HTTPException(status_code=400, detail="Tile coordinates out of range")
+
+    headers = {"Cache-Control": f"public, max-age={TILE_CACHE_SECONDS}"}
+
+    if TILE_MBTILES_PATH:
+        try:
+            tile = read_mbtiles_tile(z, x, y)
+        except sqlite3.Error as e:
+            raise HTTPException(status_code=500, detail=f"MBTiles read failed: {e}")
+        if tile is None:
+            raise HTTPException(status_code=404, detail="Tile not found")
+        # Vector tiles in MBTiles are stored gzipped
+        if ext.lower() == "pbf":
+            headers["Content-Encoding"] = "gzip"
+        return Response(content=tile, media_type=media_type, headers=headers)
+
+    if TILE_DIR:
+        # z/x/y are ints and ext is whitelisted, so the path stays inside TILE_DIR
+        path = os.path.join(TILE_DIR, str(z), str(x), f"{y}.{ext.lower()}")
+        if not os.path.isfile(path):
+            raise HTTPException(status_code=404, detail="Tile not found")
+        return FileResponse(path, media_type=media_type, headers=headers)
+
+    raise HTTPException(status_code=503, detail="No local tile source configured (set TILE_MBTILES_PATH or TILE_DIR)")
@@ -0,0 +1,154 @@
+# routers/tracking.py
+from fastapi import APIRouter, HTTPException, Depends, WebSocket, WebSocketDisconnect, Query
+from fastapi.responses import JSONResponse
+from pydantic import BaseModel, Field
+from typing import Optional
+from utils.auth_utils import get_current_user, decode_access_token
+from db_connection import get_connection
+import asyncio
+import time
+
+router = APIRouter()
+
+# In-memory latest-position store (one entry per convoy).
+# Positions are live telemetry only, so losing them on restart is acceptable.
+latest_positions = {}
+# Structure:
+# latest_positions[convoy_id] = { "convoy_id": 1, "lat": .., "lon": .., "speed_kmh": .., "heading": .., "source": "gps", "recorded_at": 1730000000 }
+
+# Positions older than this are treated as stale and not broadcast
+POSITION_TTL_SECONDS = 15 * 60
+WS_PUSH_INTERVAL_SECONDS = 2
+
+
+class PositionReport(BaseModel):
+    lat: float = Field(..., ge=-90, le=90)
+    lon: float = Field(..., ge=-180, le=180)
+    speed_kmh: Optional[float] = None
+    heading: Optional[float] = None
+    source: str = "gps"  # "gps" for field units, "simulator" for replayed routes
+
+
+def get_ongoing_convoy_ids(user_id: int):
+    """Convoy ids owned by the user that are currently on the move"""
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        cur.execute("""
+            SELECT convoy_id FROM convoys
+            WHERE created_by = %s AND status = 'ongoing';
+        """, (user_id,))
+        return [row["convoy_id"] for row in cur.fetchall()]
+    finally:
+        cur.close()
+        conn.close()
+
+
+def collect_positions(user_id: int):
+    now = time.time()
+    positions = []
+    for convoy_id in get_ongoing_convoy_ids(user_id):
+        record = latest_positions.get(convoy_id)
+        if record and now - record["recorded_at"] <= POSITION_TTL_SECONDS:
+            positions.append(record)
+    return positions
+
+
+# ----------------------------
+# Report a convoy position (GPS unit or simulator)
+# ----------------------------
+@router.post("/{convoy_id}/position")
+def report_position(
+    convoy_id: int,
+    report: PositionReport,
+    current_user: dict = Depends(get_current_user)
+):
+    """
+    Store the latest position for a convoy the user owns.
+    """
+    user_id = current_user["user_id"]
+
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+    try:
+        cur.execute("SELECT created_by FROM convoys WHERE convoy_id = %s;", (convoy_id,))
+        convoy = cur.fetchone()
+
+        if not convoy:
+            raise HTTPException(status_code=404, detail="Convoy not found")
+
+        if convoy["created_by"] != user_id:
+            raise HTTPException(status_code=403, detail="Access denied")
+    finally:
+        cur.close()
+        conn.close()
+
+    record = {
+        "convoy_id": convoy_id,
+        "lat": report.lat,
+        "lon": report.lon,
+        "speed_kmh": report.speed_kmh,
+        "heading": report.heading,
+        "source": report.source,
+        "recorded_at": time.time()
+    }
+    latest_positions[convoy_id] = record
+
+    return JSONResponse({"status": "success", "position": record})
+
+
+# ----------------------------
+# Latest positions (polling)
+# ----------------------------
+@router.get("/positions")
+def get_positions(current_user: dict = Depends(get_current_user)):
+    """
+    Latest known position of every en-route convoy owned by the user.
+    """
+    positions = collect_positions(current_user["user_id"])
+    return JSONResponse({
+        "status": "success",
+        "count": len(positions),
+        "positions": positions,
+        "server_time": time.time()
+    })
+
+
+# ----------------------------
+# Latest positions (WebSocket push)
+# ----------------------------
+@router.websocket("/ws")
+async def positions_feed(websocket: WebSocket, token: str = Query(...)):
+    """
+    Pushes the same payload as GET /positions every few seconds.
+    Browsers cannot set an Authorization header on WebSockets, so the JWT
+    is passed as the `token` query parameter.
+    """
+    try:
+        user_id = decode_access_token(token).get("user_id")
+    except HTTPException:
+        user_id = None
+
+    if user_id is None:
+        await websocket.close(code=4401)
+        return
+
+    await websocket.accept()
+    try:
+        while True:
+            positions = await asyncio.to_thread(collect_positions, user_id)
+            await websocket.send_json({
+                "status": "success",
+                "count": len(positions),
+                "positions": positions,
+                "server_time": time.time()
+            })
+            await asyncio.sleep(WS_PUSH_INTERVAL_SECONDS)
+    except WebSocketDisconnect:
+        pass
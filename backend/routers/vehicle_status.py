@@ -3,9 +3,69 @@ from fastapi import APIRouter, HTTPException, Depends
 from fastapi.responses import JSONResponse
 from utils.auth_utils import get_current_user
 from db_connection import get_connection
+from typing import Optional
+from pydantic import BaseModel, Field
 
 router = APIRouter()
 
+VEHICLE_STATUSES = ["idle", "en_route", "at_checkpoint", "completed", "breakdown"]
+
+
+# Request model for reporting a vehicle breakdown
+class BreakdownReport(BaseModel):
+    lat: float = Field(..., ge=-90, le=90)
+    lon: float = Field(..., ge=-180, le=180)
+    notes: str
+    place_name: Optional[str] = None
+
+
+def fetch_open_breakdowns(cur, convoy_id: int) -> dict:
+    """Latest unresolved breakdown report per vehicle_id; empty if the breakdowns migration hasn't run"""
+    cur.execute("SELECT to_regclass('public.vehicle_breakdowns') AS tbl;")
+    if not cur.fetchone()["tbl"]:
+        return {}
+    cur.execute("""
+        SELECT DISTINCT ON (vehicle_id) breakdown_id, vehicle_id, lat, lon, place_name, notes, reported_at
+        FROM vehicle_breakdowns
+        WHERE convoy_id = %s AND resolved_at IS NULL
+        ORDER BY vehicle_id, reported_at DESC;
+    """, (convoy_id,))
+    return {
+        row["vehicle_id"]: {**row, "reported_at": str(row["reported_at"]) if row.get("reported_at") else None}
+        for row in cur.fetchall()
+    }
+
+
+def resolve_breakdowns(cur, vehicle_ids: list):
+    """Close open breakdown reports once vehicles leave 'breakdown'"""
+    if not vehicle_ids:
+        return
+    cur.execute("SELECT to_regclass('public.vehicle_breakdowns') AS tbl;")
+    if not cur.fetchone()["tbl"]:
+        return
+    cur.execute("""
+        UPDATE vehicle_breakdowns SET resolved_at = NOW()
+        WHERE vehicle_id = ANY(%s) AND resolved_at IS NULL;
+    """, (vehicle_ids,))
+
+
+def get_owned_vehicle(cur, vehicle_id: int, user_id: int):
+    """Vehicle row joined with its convoy's owner; raises 404/403"""
+    cur.execute("""
+        SELECT v.vehicle_id, v.convoy_id, v.registration_number, v.current_status, c.created_by
+        FROM vehicles v JOIN convoys c ON c.convoy_id = v.convoy_id
+        WHERE v.vehicle_id = %s;
+    """, (vehicle_id,))
+    vehicle = cur.fetchone()
+
+    if not vehicle:
+        raise HTTPException(status_code=404, detail="Vehicle not found")
+
+    if vehicle["created_by"] != user_id:
+        raise HTTPException(status_code=403, detail="Access denied")
+
+    return vehicle
+
 
 @router.patch("/convoy/{convoy_id}/vehicles/status")
 def update_convoy_vehicles_status(
@@ -15,15 +75,21 @@ def update_convoy_vehicles_status(
 ):
     """
     Update the status of all vehicles in a convoy.
-    Statuses: idle, en_route, at_checkpoint, completed, breakdown
+    Statuses: idle, en_route, at_checkpoint, completed
+    (breakdowns are reported per vehicle so they carry a location and notes)
     """
     user_id = current_user["user_id"]
 
-    valid_statuses = ["idle", "en_route", "at_checkpoint", "completed", "breakdown"]
-    if new_status not in valid_statuses:
+    if new_status not in VEHICLE_STATUSES:
         raise HTTPException(
             status_code=400,
-            detail=f"Invalid status. Must be one of: {valid_statuses}"
+            detail=f"Invalid status. Must be one of: {VEHICLE_STATUSES}"
+        )
+
+    if new_status == "breakdown":
+        raise HTTPException(
+            status_code=400,
+            detail="Breakdowns are reported per vehicle via POST /vehicle/{vehicle_id}/breakdown"
         )
 
     conn = get_connection()
@@ -51,10 +117,11 @@ def update_convoy_vehicles_status(
             UPDATE vehicles
             SET current_status = %s
             WHERE convoy_id = %s
-            RETURNING vehicle_id, registration, current_status;
+            RETURNING vehicle_id, registration_number, current_status;
         """, (new_status, convoy_id))
 
         updated_vehicles = cur.fetchall()
+        resolve_breakdowns(cur, [v["vehicle_id"] for v in updated_vehicles])
         conn.commit()
 
         return JSONResponse({
@@ -73,3 +140,130 @@ def update_convoy_vehicles_status(
     finally:
         cur.close()
         conn.close()
+
+
+@router.patch("/vehicle/{vehicle_id}/status")
+def update_vehicle_status(
+    vehicle_id: int,
+    new_status: str,
+    current_user: dict = Depends(get_current_user)
+):
+    """
+    Update the status of a single vehicle.
+    Leaving 'breakdown' resolves the vehicle's open breakdown report.
+    """
+    if new_status not in VEHICLE_STATUSES:
+        raise HTTPException(
+            status_code=400,
+            detail=f"Invalid status. Must be one of: {VEHICLE_STATUSES}"
+        )
+
+    if new_status == "breakdown":
+        raise HTTPException(
+            status_code=400,
+            detail="Breakdowns are reported via POST /vehicle/{vehicle_id}/breakdown"
+        )
+
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+
+    try:
+        vehicle = get_owned_vehicle(cur, vehicle_id, current_user["user_id"])
+
+        cur.execute("""
+            UPDATE vehicles SET current_status = %s WHERE vehicle_id = %s;
+        """, (new_status, vehicle_id))
+        resolve_breakdowns(cur, [vehicle_id])
+        conn.commit()
+
+        return JSONResponse({
+            "status": "success",
+            "message": f"Vehicle {vehicle['registration_number']} updated to '{new_status}'",
+            "vehicle_id": vehicle_id,
+            "convoy_id": vehicle["convoy_id"],
+            "previous_status": vehicle["current_status"],
+            "new_status": new_status
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        conn.rollback()
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
+
+
+@router.post("/vehicle/{vehicle_id}/breakdown")
+def report_vehicle_breakdown(
+    vehicle_id: int,
+    report: BreakdownReport,
+    current_user: dict = Depends(get_current_user)
+):
+    """
+    Mark a vehicle as broken down and record where and what happened.
+    A convoy with any broken-down vehicle is reported as degraded.
+    """
+    user_id = current_user["user_id"]
+
+    notes = report.notes.strip()
+    if not notes:
+        raise HTTPException(status_code=400, detail="Breakdown notes are required")
+
+    conn = get_connection()
+    if not conn:
+        raise HTTPException(status_code=500, detail="Database connection failed")
+
+    cur = conn.cursor()
+
+    try:
+        vehicle = get_owned_vehicle(cur, vehicle_id, user_id)
+
+        cur.execute("SELECT to_regclass('public.vehicle_breakdowns') AS tbl;")
+        if not cur.fetchone()["tbl"]:
+            raise HTTPException(
+                status_code=503,
+                detail="Breakdown reporting is not set up - run run_breakdowns_migration.py"
+            )
+
+        # A new report replaces any earlier unresolved one for this vehicle
+        resolve_breakdowns(cur, [vehicle_id])
+        cur.execute("""
+            INSERT INTO vehicle_breakdowns (vehicle_id, convoy_id, lat, lon, place_name, notes, reported_by)
+            VALUES (%s, %s, %s, %s, %s, %s, %s)
+            RETURNING breakdown_id, reported_at;
+        """, (vehicle_id, vehicle["convoy_id"], report.lat, report.lon, report.place_name or None, notes, user_id))
+        breakdown = cur.fetchone()
+
+        cur.execute("UPDATE vehicles SET current_status = 'breakdown' WHERE vehicle_id = %s;", (vehicle_id,))
+
+        cur.execute("""
+            SELECT COUNT(*) AS count FROM vehicles
+            WHERE convoy_id = %s AND current_status = 'breakdown';
+        """, (vehicle["convoy_id"],))
+        breakdown_count = cur.fetchone()["count"]
+        conn.commit()
+
+        return JSONResponse({
+            "status": "success",
+            "message": f"Breakdown reported for vehicle {vehicle['registration_number']}",
+            "breakdown_id": breakdown["breakdown_id"],
+            "reported_at": str(breakdown["reported_at"]),
+            "vehicle_id": vehicle_id,
+            "convoy_id": vehicle["convoy_id"],
+            "convoy_degraded": True,
+            "breakdown_count": breakdown_count
+        })
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        conn.rollback()
+        raise HTTPException(status_code=500, detail=str(e))
+    finally:
+        cur.close()
+        conn.close()
@@ -0,0 +1,80 @@
+#!/usr/bin/env python3
+"""
+Migration script to add the risk_zones table and seed it from risk_zones.csv.
+Run this once to manage risk zones from the app; until then the CSV is used.
+Only admins can edit zones; promote an account with
+    UPDATE users SET role = 'admin' WHERE email = '...';
+"""
+import csv
+import psycopg2
+from psycopg2.extras import RealDictCursor
+
+# Database connection parameters (same as db_connection.py)
+DB_CONFIG = {
+    "dbname": "convoy_ai",
+    "user": "postgres",
+    "password": "prapti",
+    "host": "localhost",
+    "port": 5432
+}
+
+def run_migration():
+    """Execute the risk zones migration SQL and import the CSV into an empty table"""
+    conn = None
+    try:
+        conn = psycopg2.connect(**DB_CONFIG, cursor_factory=RealDictCursor)
+        cur = conn.cursor()
+
+        print("Running risk zones migration...")
+
+        # Read and execute the SQL file
+        with open('add_risk_zones.sql', 'r') as f:
+            sql = f.read()
+
+        cur.execute(sql)
+        conn.commit()
+
+        print("✓ Successfully created risk_zones table")
+
+        # Seed from the CSV, keeping its ids so existing references still match
+        cur.execute("SELECT COUNT(*) AS count FROM risk_zones;")
+        if cur.fetchone()["count"] == 0:
+            with open('risk_zones.csv', newline='', encoding='utf-8') as f:
+                rows = list(csv.DictReader(f))
+            for row in rows:
+                cur.execute("""
+                    INSERT INTO risk_zones (zone_id, name, risk_level, shape, center_lat, center_lon, radius_km)
+                    VALUES (%s, %s, %s, 'circle', %s, %s, %s);
+                """, (
+                    int(row["riskzone_id"]), row["name"], (row.get("risk_level") or "low").lower(),
+                    float(row["center_lat"]), float(row["center_lon"]), float(row.get("radius_km") or 5)
+                ))
+            cur.execute("SELECT setval('risk_zones_zone_id_seq', COALESCE((SELECT MAX(zone_id) FROM risk_zones), 1));")
+            conn.commit()
+            print(f"✓ Imported {len(rows)} risk zones from risk_zones.csv")
+
+        # Verify the table was created
+        cur.execute("""
+            SELECT COUNT(*) AS column_count
+            FROM information_schema.columns
+            WHERE table_name='risk_zones';
+        """)
+        result = cur.fetchone()
+
+        if result and result["column_count"]:
+            print(f"✓ risk_zones table verified ({result['column_count']} columns)")
+        else:
+            print("⚠ Warning: Could not verify risk_zones table")
+
+        cur.close()
+        conn.close()
+
+    except Exception as e:
+        print(f"✗ Migration failed: {e}")
+        if conn:
+            conn.rollback()
+            conn.close()
+        raise
+
+if __name__ == "__main__":
+    run_migration()
@@ -0,0 +1,60 @@
+#!/usr/bin/env python3
+"""
+Migration script to add the routes.route_kind column.
+Run this once to enable adopting reroutes.
+"""
+import psycopg2
+from psycopg2.extras import RealDictCursor
+
+# Database connection parameters (same as db_connection.py)
+DB_CONFIG = {
+    "dbname": "convoy_ai",
+    "user": "postgres",
+    "password": "prapti",
+    "host": "localhost",
+    "port": 5432
+}
+
+def run_migration():
+    """Execute the route kind migration SQL"""
+    conn = None
+    try:
+        conn = psycopg2.connect(**DB_CONFIG, cursor_factory=RealDictCursor)
+        cur = conn.cursor()
+
+        print("Running route kind migration...")
+
+        # Read and execute the SQL file
+        with open('add_route_kind.sql', 'r') as f:
+            sql = f.read()
+
+        cur.execute(sql)
+        conn.commit()
+
+        print("✓ Successfully added route_kind column to routes table")
+
+        # Verify the column was added
+        cur.execute("""
+            SELECT column_name, data_type, column_default
+            FROM information_schema.columns
+            WHERE table_name='routes' AND column_name='route_kind';
+        """)
+        result = cur.fetchone()
+
+        if result:
+            print(f"✓ route_kind column verified: {result['column_name']} ({result['data_type']}, default: {result['column_default']})")
+        else:
+            print("⚠ Warning: Could not verify route_kind column")
+
+        cur.close()
+        conn.close()
+
+    except Exception as e:
+        print(f"✗ Migration failed: {e}")
+        if conn:
+            conn.rollback()
+            conn.close()
+        raise
+
+if __name__ == "__main__":
+    run_migration()
@@ -0,0 +1,60 @@
+#!/usr/bin/env python3
+"""
+Migration script to add the convoy status history table.
+Run this once to enable the convoy lifecycle (also renames en_route to ongoing).
+"""
+import psycopg2
+from psycopg2.extras import RealDictCursor
+
+# Database connection parameters (same as db_connection.py)
+DB_CONFIG = {
+    "dbname": "convoy_ai",
+    "user": "postgres",
+    "password": "prapti",
+    "host": "localhost",
+    "port": 5432
+}
+
+def run_migration():
+    """Execute the status history migration SQL"""
+    conn = None
+    try:
+        conn = psycopg2.connect(**DB_CONFIG, cursor_factory=RealDictCursor)
+        cur = conn.cursor()
+
+        print("Running status history migration...")
+
+        # Read and execute the SQL file
+        with open('add_status_history.sql', 'r') as f:
+            sql = f.read()
+
+        cur.execute(sql)
+        conn.commit()
+
+        print("✓ Successfully created convoy_status_history table")
+
+        # Verify the table was created
+        cur.execute("""
+            SELECT COUNT(*) AS column_count
+            FROM information_schema.columns
+            WHERE table_name='convoy_status_history';
+        """)
+        result = cur.fetchone()
+
+        if result and result["column_count"]:
+            print(f"✓ convoy_status_history table verified ({result['column_count']} columns)")
+        else:
+            print("⚠ Warning: Could not verify convoy_status_history table")
+
+        cur.close()
+        conn.close()
+
+    except Exception as e:
+        print(f"✗ Migration failed: {e}")
+        if conn:
+            conn.rollback()
+            conn.close()
+        raise
+
+if __name__ == "__main__":
+    run_migration()
@@ -43,22 +43,85 @@ CREATE TABLE IF NOT EXISTS vehicles (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create routes table
+-- Create routes table (route_kind: planned at creation, adopted from a reroute or a merge pickup)
 CREATE TABLE IF NOT EXISTS routes (
     route_id SERIAL PRIMARY KEY,
     convoy_id INTEGER NOT NULL REFERENCES convoys(convoy_id) ON DELETE CASCADE,
     waypoints JSONB,
     total_distance_km DOUBLE PRECISION,
     estimated_duration_minutes DOUBLE PRECISION,
+    route_kind VARCHAR(20) NOT NULL DEFAULT 'planned',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create convoy_stops table (intermediate depots, in visiting order)
+CREATE TABLE IF NOT EXISTS convoy_stops (
+    stop_id SERIAL PRIMARY KEY,
+    convoy_id INTEGER NOT NULL REFERENCES convoys(convoy_id) ON DELETE CASCADE,
+    stop_order INTEGER NOT NULL,
+    place_name VARCHAR(255),
+    lat DOUBLE PRECISION NOT NULL,
+    lon DOUBLE PRECISION NOT NULL,
+    UNIQUE (convoy_id, stop_order)
+);
+
+-- Create convoy_status_history table (lifecycle audit trail)
+CREATE TABLE IF NOT EXISTS convoy_status_history (
+    history_id SERIAL PRIMARY KEY,
+    convoy_id INTEGER NOT NULL REFERENCES convoys(convoy_id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    reason TEXT,
+    changed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create vehicle_breakdowns table (field breakdown reports; open until resolved_at is set)
+CREATE TABLE IF NOT EXISTS vehicle_breakdowns (
+    breakdown_id SERIAL PRIMARY KEY,
+    vehicle_id INTEGER NOT NULL REFERENCES vehicles(vehicle_id) ON DELETE CASCADE,
+    convoy_id INTEGER NOT NULL REFERENCES convoys(convoy_id) ON DELETE CASCADE,
+    lat DOUBLE PRECISION NOT NULL,
+    lon DOUBLE PRECISION NOT NULL,
+    place_name VARCHAR(255),
+    notes TEXT NOT NULL,
+    reported_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    reported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+-- Create risk_zones table (managed risk zones; circles or polygons, retired_at set instead of deleting)
+-- Starts empty; routing uses risk_zones.csv until run_risk_zones_migration.py seeds it
+CREATE TABLE IF NOT EXISTS risk_zones (
+    zone_id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    risk_level VARCHAR(20) NOT NULL DEFAULT 'medium',
+    shape VARCHAR(20) NOT NULL DEFAULT 'circle',
+    center_lat DOUBLE PRECISION NOT NULL,
+    center_lon DOUBLE PRECISION NOT NULL,
+    radius_km DOUBLE PRECISION NOT NULL,
+    polygon JSONB,
+    valid_from TIMESTAMP,
+    valid_until TIMESTAMP,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    retired_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    retired_at TIMESTAMP
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_convoys_priority ON convoys(priority);
 CREATE INDEX IF NOT EXISTS idx_convoys_created_at ON convoys(created_at);
 CREATE INDEX IF NOT EXISTS idx_vehicles_convoy_id ON vehicles(convoy_id);
 CREATE INDEX IF NOT EXISTS idx_vehicles_registration ON vehicles(registration_number);
 CREATE INDEX IF NOT EXISTS idx_routes_convoy_id ON routes(convoy_id);
+CREATE INDEX IF NOT EXISTS idx_convoy_stops_convoy_id ON convoy_stops(convoy_id);
+CREATE INDEX IF NOT EXISTS idx_convoy_status_history_convoy_id ON convoy_status_history(convoy_id);
+CREATE INDEX IF NOT EXISTS idx_vehicle_breakdowns_convoy_id ON vehicle_breakdowns(convoy_id);
+CREATE INDEX IF NOT EXISTS idx_risk_zones_retired_at ON risk_zones(retired_at);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 
 -- Grant permissions to postgres user
@@ -44,11 +44,23 @@ CREATE TABLE IF NOT EXISTS merge_history (
     notes TEXT
 );
 
+-- Checkpoint status history - every status change with who made it and why
+CREATE TABLE IF NOT EXISTS checkpoint_status_history (
+    history_id SERIAL PRIMARY KEY,
+    checkpoint_id INT NOT NULL REFERENCES checkpoints(checkpoint_id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT, -- required for closed and maintenance
+    changed_by INT REFERENCES users(user_id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_checkpoints_location ON checkpoints(lat, lon);
 CREATE INDEX IF NOT EXISTS idx_checkpoint_events_convoy ON checkpoint_events(convoy_id);
 CREATE INDEX IF NOT EXISTS idx_checkpoint_events_checkpoint ON checkpoint_events(checkpoint_id);
 CREATE INDEX IF NOT EXISTS idx_merge_history_convoys ON merge_history(convoy_a_id, convoy_b_id);
+CREATE INDEX IF NOT EXISTS idx_checkpoint_status_history_checkpoint ON checkpoint_status_history(checkpoint_id);
 
 -- Insert mock checkpoint data for Indian Army routes
 INSERT INTO checkpoints (name, lat, lon, checkpoint_type, capacity, status, description) VALUES
@@ -3,6 +3,7 @@ import math
 import os
 import requests
 import joblib
+from datetime import datetime, timedelta
 from typing import Optional, Tuple
 
 
@@ -41,21 +42,59 @@ def ensure_model_loaded() -> Tuple[Optional[object], Optional[list]]:
 MODEL, MODEL_FEATURES = ensure_model_loaded()
 
 
-def compute_eta(
+# ETA multipliers applied on top of the model or heuristic estimate.
+# The model is only trained on traffic, so terrain and priority are layered here.
+TERRAIN_ETA_FACTORS = {"plain": 1.0, "desert": 1.2, "hilly": 1.67, "mountain": 1.67}
+PRIORITY_ETA_FACTORS = {"critical": 0.87, "high": 0.87, "medium": 1.0, "normal": 1.0, "low": 1.05}
+TRAFFIC_LEVEL_MIN, TRAFFIC_LEVEL_MAX = 1, 3
+
+# Hours (local, 24h) when departures hit heavier or lighter traffic
+RUSH_HOURS = set(range(8, 11)) | set(range(17, 21))
+NIGHT_HOURS = set(range(22, 24)) | set(range(0, 6))
+
+
+def departure_traffic_level(traffic_level: int, departure: Optional[datetime]) -> int:
+    """Shift the planner's traffic level by the time of day the convoy leaves."""
+    if departure is None:
+        return traffic_level
+    if departure.hour in RUSH_HOURS:
+        traffic_level += 1
+    elif departure.hour in NIGHT_HOURS:
+        traffic_level -= 1
+    return max(TRAFFIC_LEVEL_MIN, min(TRAFFIC_LEVEL_MAX, traffic_level))
+
+
+def build_route_features(
         start_lat: float,
         start_lon: float,
         end_lat: float,
         end_lon: float,
-        traffic_level: int = 1,
-        terrain: str = "plain",
-        vehicle_type: str = "truck",
-        priority: str = "normal"
+        distance_m: float,
+        duration_s: float,
+        num_turns: int,
+        osrm_available: bool
 ) -> dict:
+    """Model features for a leg whose road distance/duration are already known."""
+    distance_km = haversine_km(start_lat, start_lon, end_lat, end_lon)
+    return {
+        "start_lat": start_lat,
+        "start_lon": start_lon,
+        "end_lat": end_lat,
+        "end_lon": end_lon,
+        "distance_km": distance_km,
+        "distance_m": distance_m,
+        "duration_s": duration_s,
+        "num_turns": num_turns,
+        "is_urban": 1 if distance_km < 10 else 0,
+        "osrm_available": osrm_available,
+    }
+
+
+def fetch_route_features(start_lat: float, start_lon: float, end_lat: float, end_lon: float) -> dict:
     """
-    Compute ETA (Estimated Time of Arrival) in minutes.
-    Uses ML model if available, otherwise uses heuristic.
+    Model features for a leg, using OSRM when reachable.
+    Kept separate from compute_eta so several departures can share one OSRM call.
     """
-    # Calculate basic features
     distance_km = haversine_km(start_lat, start_lon, end_lat, end_lon)
 
     # Get OSRM route data
@@ -69,63 +108,124 @@ def compute_eta(
         num_turns = max(1, len(route) // 10)
         distance_m = data["routes"][0].get("distance", distance_km * 1000)
         duration_s = data["routes"][0].get("duration", distance_km / 60 * 3600)
+        osrm_available = True
     except Exception:
         num_turns = 1
         distance_m = distance_km * 1000
         duration_s = distance_km / 60 * 3600
+        osrm_available = False
 
-    # Prepare features for model
-    features = {
-        "start_lat": start_lat,
-        "start_lon": start_lon,
-        "end_lat": end_lat,
-        "end_lon": end_lon,
-        "distance_km": distance_km,
-        "distance_m": distance_m,
-        "duration_s": duration_s,
-        "num_turns": num_turns,
-        "traffic_level": traffic_level,
-        "is_urban": 1 if distance_km < 10 else 0,
+    return build_route_features(
+        start_lat, start_lon, end_lat, end_lon,
+        distance_m, duration_s, num_turns, osrm_available
+    )
+
+
+def eta_confidence(eta_minutes: float, model_used: bool, osrm_available: bool, terrain: str, traffic_level: int) -> dict:
+    """
+    Rough confidence in an ETA, with the band it implies.
+    Lower when we fell back to the heuristic, had no road geometry, or
+    layered factors the model was never trained on.
+    """
+    score = 0.85 if model_used else 0.6
+    if not osrm_available:
+        score -= 0.2
+    if terrain.lower() != "plain":
+        score -= 0.05
+    if traffic_level >= TRAFFIC_LEVEL_MAX:
+        score -= 0.05
+    score = max(0.2, min(0.95, score))
+
+    spread = 1.0 - score
+    return {
+        "score": round(score, 2),
+        "level": "high" if score >= 0.75 else "medium" if score >= 0.5 else "low",
+        "low_minutes": round(eta_minutes * (1 - spread), 1),
+        "high_minutes": round(eta_minutes * (1 + spread), 1),
     }
 
+
+def estimate_eta(
+        features: dict,
+        traffic_level: int = 1,
+        terrain: str = "plain",
+        priority: str = "normal",
+        departure: Optional[datetime] = None
+) -> dict:
+    """
+    ETA for precomputed route features (see fetch_route_features).
+    Uses ML model if available, otherwise uses heuristic.
+    """
+    distance_km = features["distance_km"]
+    num_turns = features["num_turns"]
+    traffic_level = departure_traffic_level(traffic_level, departure)
+
+    eta_minutes = None
+    model_used = False
+
     # Try ML model prediction
     if MODEL and MODEL_FEATURES:
         try:
             import pandas as pd
+            model_input = {**features, "traffic_level": traffic_level}
             row = {}
             for f in MODEL_FEATURES:
-                if f in features:
-                    row[f] = features[f]
+                if f in model_input:
+                    row[f] = model_input[f]
                 elif f == "travel_time_min":
-                    row[f] = duration_s / 60.0
+                    row[f] = features["duration_s"] / 60.0
                 else:
                     row[f] = 0
             X = pd.DataFrame([row], columns=MODEL_FEATURES)
-            pred = MODEL.predict(X)[0]
-            return {
-                "eta_minutes": float(pred),
-                "model_used": True,
-                "distance_km": round(distance_km, 3),
-                "num_turns": int(num_turns)
-            }
+            eta_minutes = float(MODEL.predict(X)[0])
+            model_used = True
         except Exception as e:
             print(f"Model prediction error: {e}")
 
     # Fallback heuristic
-    base_speed_kmh = 50.0
-    if terrain.lower() in ["hilly", "mountain"]:
-        base_speed_kmh = 30.0
-    if traffic_level >= 3:
-        base_speed_kmh *= 0.6
-    if priority == "high":
-        base_speed_kmh *= 1.15
+    if eta_minutes is None:
+        base_speed_kmh = 50.0
+        if traffic_level >= 3:
+            base_speed_kmh *= 0.6
+        elif traffic_level == 2:
+            base_speed_kmh *= 0.8
 
-    eta_hours = distance_km / max(5.0, base_speed_kmh)
-    eta_minutes = eta_hours * 60 + num_turns * 0.5
+        eta_hours = distance_km / max(5.0, base_speed_kmh)
+        eta_minutes = eta_hours * 60 + num_turns * 0.5
 
-    return {
+    eta_minutes *= TERRAIN_ETA_FACTORS.get(terrain.lower(), 1.0)
+    eta_minutes *= PRIORITY_ETA_FACTORS.get(priority.lower(), 1.0)
+
+    result = {
         "eta_minutes": round(float(eta_minutes), 2),
-        "model_used": False,
+        "model_used": model_used,
         "distance_km": round(distance_km, 3),
-        "num_turns": int(num_turns)
-    }
\ No newline at end of file
+        "num_turns": int(num_turns),
+        "traffic_level": traffic_level,
+        "terrain": terrain,
+        "priority": priority,
+        "confidence": eta_confidence(eta_minutes, model_used, features["osrm_available"], terrain, traffic_level),
+    }
+    if departure is not None:
+        result["departure_time"] = departure.isoformat(timespec="minutes")
+        result["arrival_time"] = (departure + timedelta(minutes=eta_minutes)).isoformat(timespec="minutes")
+    return result
+
+
+def compute_eta(
+        start_lat: float,
+        start_lon: float,
+        end_lat: float,
+        end_lon: float,
+        traffic_level: int = 1,
+        terrain: str = "plain",
+        vehicle_type: str = "truck",
+        priority: str = "normal",
+        departure: Optional[datetime] = None
+) -> dict:
+    """
+    Compute ETA (Estimated Time of Arrival) in minutes.
+    Uses ML model if available, otherwise uses heuristic.
+    """
+    features = fetch_route_features(start_lat, start_lon, end_lat, end_lon)
+    return estimate_eta(features, traffic_level, terrain, priority, departure)
@@ -6,18 +6,29 @@ import Dashboard from "./pages/Dashboard";
 import CreateConvoy from "./pages/CreateConvoy";
 import ConvoyHistory from "./pages/ConvoyHistory";
 import ViewRoute from "./pages/ViewRoute";
+import RiskZones from "./pages/RiskZones";
+import Checkpoints from "./pages/Checkpoints";
+import SessionManager from "./components/SessionManager";
+import RequireAuth from "./components/RequireAuth";
 
 function App() {
   return (
     <BrowserRouter>
+      <SessionManager />
       <Routes>
         <Route path="/" element={<Home />} />
         <Route path="/login" element={<Login />} />
         <Route path="/signup" element={<Signup />} />
-        <Route path="/dashboard" element={<Dashboard />} />
-        <Route path="/create-convoy" element={<CreateConvoy />} />
-        <Route path="/history" element={<ConvoyHistory />} />
-        <Route path="/route/:convoyId" element={<ViewRoute />} />
+        <Route element={<RequireAuth />}>
+          <Route path="/dashboard" element={<Dashboard />} />
+          <Route path="/create-convoy" element={<CreateConvoy />} />
+          <Route path="/history" element={<ConvoyHistory />} />
+          <Route path="/route/:convoyId" element={<ViewRoute />} />
+          <Route element={<RequireAuth role="admin" />}>
+            <Route path="/risk-zones" element={<RiskZones />} />
+          </Route>
+          <Route path="/checkpoints" element={<Checkpoints />} />
+        </Route>
       </Routes>
     </BrowserRouter>
   );
@@ -0,0 +1,12 @@
+// /api/analytics endpoints
+import { api } from './client';
+
+export const getDashboardMetrics = (options) => api.get('/api/analytics/dashboard-metrics', options);
+
+// Baseline vs optimized comparison. The candidate route is only used when the
+// convoy has no stored route yet.
+export const getOptimizationDetails = (convoyId, { routeDistanceKm, routeDurationMinutes } = {}, options) =>
+  api.get(`/api/analytics/convoy/${convoyId}/optimization-details`, {
+    ...options,
+    params: { route_distance_km: routeDistanceKm, route_duration_minutes: routeDurationMinutes },
+  });
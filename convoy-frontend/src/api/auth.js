@@ -0,0 +1,28 @@
+// /api/auth endpoints
+import { api } from './client';
+
+export const login = (email, password) =>
+  api.post('/api/auth/login', { email, password }, { auth: false });
+
+export const register = ({ name, email, phoneNumber, password }) =>
+  api.post('/api/auth/register', { name, email, phone_number: phoneNumber, password }, { auth: false });
+
+// Exchange a still-valid token for a fresh one
+export const refreshToken = () => api.post('/api/auth/refresh');
+
+// OTP registration: send code to email+phone -> verify code -> complete with name/password
+export const sendRegisterOtp = ({ email, phoneNumber }) =>
+  api.post('/api/auth/register/send-otp', { email, phone_number: phoneNumber }, { auth: false });
+
+export const verifyRegisterOtp = ({ email, otp }) =>
+  api.post('/api/auth/register/verify-otp', { email, otp }, { auth: false });
+
+export const completeRegistration = ({ name, email, phoneNumber, password }) =>
+  api.post('/api/auth/register/complete', { name, email, phone_number: phoneNumber, password }, { auth: false });
+
+// OTP login: send code to email -> verify code together with the password
+export const sendLoginOtp = (email) =>
+  api.post('/api/auth/login/send-otp', { email }, { auth: false });
+
+export const verifyLoginOtp = ({ email, password, otp }) =>
+  api.post('/api/auth/login/verify-otp', { email, password, otp }, { auth: false });
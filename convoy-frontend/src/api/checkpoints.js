@@ -0,0 +1,35 @@
+// /api/checkpoints endpoints
+import { api } from './client';
+
+export const listCheckpoints = ({ status, checkpointType } = {}, options) =>
+  api.get('/api/checkpoints/all', {
+    ...options,
+    params: { status, checkpoint_type: checkpointType },
+  });
+
+// Sorted nearest first, each with distance_km
+export const getNearbyCheckpoints = (lat, lon, radiusKm = 50, options) =>
+  api.get('/api/checkpoints/nearby', {
+    ...options,
+    params: { lat, lon, radius_km: radiusKm },
+  });
+
+export const getRouteCheckpoints = (convoyId, maxDistanceKm = 10, options) =>
+  api.get(`/api/checkpoints/route/${convoyId}`, {
+    ...options,
+    params: { max_distance_km: maxDistanceKm },
+  });
+
+// Reason is required for closed and maintenance
+export const updateCheckpointStatus = (checkpointId, status, reason) =>
+  api.post(`/api/checkpoints/${checkpointId}/update-status`, undefined, { params: { status, reason } });
+
+export const getCheckpointStatusHistory = (checkpointId, options) =>
+  api.get(`/api/checkpoints/${checkpointId}/status/history`, options);
+
+// { checkpoints: { [checkpointId]: [{ convoy_id, convoy_name, status, route_type, distance_km }] } }
+export const getPassingConvoys = (maxDistanceKm, options) =>
+  api.get('/api/checkpoints/passing_convoys', {
+    ...options,
+    params: { max_distance_km: maxDistanceKm },
+  });
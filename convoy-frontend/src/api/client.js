@@ -0,0 +1,163 @@
+// Central HTTP client for the SmartConvoy backend.
+// Every page goes through apiRequest() so the base URL, auth header,
+// timeouts, retries, error shape and 401 handling live in one place.
+import { getToken, expireSession, isTokenExpired } from './session';
+
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:8000').replace(/\/+$/, '');
+
+const DEFAULT_TIMEOUT_MS = Number(import.meta.env.VITE_API_TIMEOUT_MS) || 30000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 400;
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Error thrown for any failed request.
+ * `status` is the HTTP status, or 0 when the request never got a response
+ * (network failure, timeout or caller abort).
+ */
+export class ApiError extends Error {
+  constructor(status, detail, { data = null, timedOut = false, aborted = false } = {}) {
+    super(detail);
+    this.name = 'ApiError';
+    this.status = status;
+    this.detail = detail;
+    this.data = data;
+    this.timedOut = timedOut;
+    this.aborted = aborted;
+  }
+}
+
+export const buildUrl = (path, params) => {
+  const url = `${API_BASE_URL}${path.startsWith('/') ? path : `/${path}`}`;
+  if (!params) return url;
+
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    search.append(key, String(value));
+  });
+  const query = search.toString();
+  return query ? `${url}?${query}` : url;
+};
+
+// FastAPI returns `detail` as a string for HTTPException and as a list of
+// {loc, msg} objects for validation errors; a few routes use `message`.
+const parseErrorDetail = (data, status) => {
+  if (data && typeof data === 'object') {
+    if (typeof data.detail === 'string') return data.detail;
+    if (Array.isArray(data.detail)) {
+      return data.detail
+        .map(d => (d.loc ? `${d.loc.slice(1).join('.')}: ${d.msg}` : d.msg))
+        .join('; ');
+    }
+    if (typeof data.message === 'string') return data.message;
+    if (typeof data.reason === 'string') return data.reason;
+  }
+  return `Request failed with status ${status}`;
+};
+
+const readBody = async (res) => {
+  if (res.status === 204) return null;
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Perform a request against the backend and resolve with the parsed JSON body.
+ *
+ * @param {string} path - Path starting with /api/...
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.params] - Query string values; null/undefined are skipped
+ * @param {*} [options.body] - Serialised as JSON unless it is FormData
+ * @param {object} [options.headers]
+ * @param {boolean} [options.auth=true] - Attach the stored bearer token
+ * @param {number} [options.timeout] - Milliseconds before the request is aborted
+ * @param {number} [options.retries] - Retry attempts; only applied to GET
+ * @param {AbortSignal} [options.signal] - Caller-controlled cancellation
+ * @returns {Promise<any>}
+ * @throws {ApiError}
+ */
+export async function apiRequest(path, {
+  method = 'GET',
+  params,
+  body,
+  headers = {},
+  auth = true,
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries,
+  signal,
+} = {}) {
+  const upperMethod = method.toUpperCase();
+  const maxRetries = upperMethod === 'GET' ? (retries ?? DEFAULT_GET_RETRIES) : 0;
+  const url = buildUrl(path, params);
+
+  const requestHeaders = { Accept: 'application/json', ...headers };
+  let requestBody = body;
+  if (body !== undefined && !(body instanceof FormData)) {
+    requestHeaders['Content-Type'] = 'application/json';
+    requestBody = JSON.stringify(body);
+  }
+  const token = auth ? getToken() : null;
+  if (token) requestHeaders.Authorization = `Bearer ${token}`;
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onCallerAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+
+    let error;
+    try {
+      const res = await fetch(url, {
+        method: upperMethod,
+        headers: requestHeaders,
+        body: requestBody,
+        signal: controller.signal,
+      });
+      const data = await readBody(res);
+      if (res.ok) return data;
+      error = new ApiError(res.status, parseErrorDetail(data, res.status), { data });
+      // A rejected token ends the session everywhere, not just on this page
+      if (res.status === 401 && token) {
+        expireSession(isTokenExpired(token) ? 'expired' : 'unauthorized');
+      }
+    } catch (err) {
+      if (signal?.aborted) {
+        throw new ApiError(0, 'Request was cancelled', { aborted: true });
+      }
+      error = timedOut
+        ? new ApiError(0, `Request timed out after ${Math.round(timeout / 1000)}s`, { timedOut: true })
+        : new ApiError(0, `Unable to reach server at ${API_BASE_URL}`, { data: err });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onCallerAbort);
+    }
+
+    const retryable = error.status === 0 ? !error.timedOut : RETRYABLE_STATUSES.includes(error.status);
+    if (!retryable || attempt >= maxRetries) throw error;
+    await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+  }
+}
+
+export const api = {
+  get: (path, options) => apiRequest(path, { ...options, method: 'GET' }),
+  post: (path, body, options) => apiRequest(path, { ...options, method: 'POST', body }),
+  put: (path, body, options) => apiRequest(path, { ...options, method: 'PUT', body }),
+  patch: (path, body, options) => apiRequest(path, { ...options, method: 'PATCH', body }),
+  delete: (path, options) => apiRequest(path, { ...options, method: 'DELETE' }),
+};
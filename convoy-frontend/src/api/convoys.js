@@ -0,0 +1,56 @@
+// /api/convoys endpoints
+import { api } from './client';
+
+// The fleet merge scan routes every feasible pair through OSRM.
+const MERGE_SCAN_TIMEOUT_MS = 120000;
+
+export const listConvoys = (options) => api.get('/api/convoys/list', options);
+
+export const getConvoy = (convoyId, options) => api.get(`/api/convoys/${convoyId}`, options);
+
+export const createConvoy = (payload) => api.post('/api/convoys/create', payload);
+
+export const addVehicle = (convoyId, payload) => api.post(`/api/convoys/add-vehicle/${convoyId}`, payload);
+
+export const deleteConvoy = (convoyId) => api.delete(`/api/convoys/${convoyId}`);
+
+// Cancelling or halting needs a reason; the backend rejects transitions the lifecycle doesn't allow
+export const updateConvoyStatus = (convoyId, status, reason) =>
+  api.patch(`/api/convoys/${convoyId}/status`, undefined, { params: { status, reason } });
+
+export const getStatusHistory = (convoyId, options) => api.get(`/api/convoys/${convoyId}/status/history`, options);
+
+export const getConvoyRoute = (convoyId, options) => api.get(`/api/convoys/${convoyId}/route`, options);
+
+// Replace the stored route, e.g. when adopting a dynamic reroute
+export const saveConvoyRoute = (convoyId, { waypoints, totalDistanceKm, estimatedDurationMinutes }) =>
+  api.put(`/api/convoys/${convoyId}/route`, {
+    waypoints,
+    total_distance_km: totalDistanceKm,
+    estimated_duration_minutes: estimatedDurationMinutes,
+  });
+
+export const suggestMerge = ({ convoyAId, convoyBId, maxExtraMinutes = 30.0, sameDestRadiusKm = 5.0 }) =>
+  api.post('/api/convoys/suggest_merge', {
+    convoy_a_id: convoyAId,
+    convoy_b_id: convoyBId,
+    max_extra_minutes: maxExtraMinutes,
+    same_dest_radius_km: sameDestRadiusKm,
+  });
+
+// Rank merge candidates across all pending convoys; nothing is saved server-side
+export const scanMergeCandidates = ({ maxExtraMinutes, sameDestRadiusKm } = {}, options) =>
+  api.get('/api/convoys/merge_candidates', {
+    timeout: MERGE_SCAN_TIMEOUT_MS,
+    retries: 0,
+    ...options,
+    params: { max_extra_minutes: maxExtraMinutes, same_dest_radius_km: sameDestRadiusKm },
+  });
+
+// Carry out a merge: move the absorbed convoy's vehicles into the absorbing one
+export const executeMerge = ({ absorbingConvoyId, absorbedConvoyId, mergeId }) =>
+  api.post('/api/convoys/execute_merge', {
+    absorbing_convoy_id: absorbingConvoyId,
+    absorbed_convoy_id: absorbedConvoyId,
+    merge_id: mergeId,
+  });
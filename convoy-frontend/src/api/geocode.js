@@ -0,0 +1,15 @@
+// /api/geocode endpoints
+import { api } from './client';
+
+// Nominatim lookups can retry several fallback queries server-side.
+const GEOCODE_TIMEOUT_MS = 45000;
+
+export const geocodePlace = (query, options) =>
+  api.get('/api/geocode/place', { timeout: GEOCODE_TIMEOUT_MS, retries: 0, ...options, params: { q: query } });
+
+// Autocomplete candidates; callers should debounce and pass a signal to cancel stale lookups.
+export const searchPlaces = (query, options) =>
+  api.get('/api/geocode/search', { retries: 0, ...options, params: { q: query, limit: 5 } });
+
+export const reverseGeocode = ({ lat, lon }, options) =>
+  api.get('/api/geocode/reverse', { retries: 0, ...options, params: { lat, lon } });
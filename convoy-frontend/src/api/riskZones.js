@@ -0,0 +1,27 @@
+// /api/risk-zones endpoints
+import { api } from './client';
+
+export const listRiskZones = (options) => api.get('/api/risk-zones/all', options);
+
+// Penalty at a point and every zone it falls inside
+export const checkPointRisk = (lat, lon, options) =>
+  api.post('/api/risk-zones/check_point', undefined, { ...options, params: { lat, lon } });
+
+// `route` is a list of [lat, lon]; zones within radius + bufferKm are reported
+export const analyzeRouteRisks = (route, bufferKm, options) =>
+  api.post('/api/risk-zones/analyze_route', route, { ...options, params: { buffer_km: bufferKm } });
+
+// Managed zones (risk_zones table), including scheduled, expired and optionally retired ones
+export const listManagedRiskZones = (includeRetired = false, options) =>
+  api.get('/api/risk-zones/manage', { ...options, params: { include_retired: includeRetired } });
+
+// `zone` is { name, risk_level, shape, center_lat, center_lon, radius_km, polygon, valid_from, valid_until, notes }
+export const createRiskZone = (zone) => api.post('/api/risk-zones/manage', zone);
+
+export const updateRiskZone = (zoneId, zone) => api.put(`/api/risk-zones/manage/${zoneId}`, zone);
+
+export const retireRiskZone = (zoneId) => api.post(`/api/risk-zones/manage/${zoneId}/retire`);
+
+// Convoys whose routes the change touches; omit `zone` to preview retiring `zoneId`
+export const previewRiskZoneImpact = (zone, zoneId, options) =>
+  api.post('/api/risk-zones/impact', { zone, zone_id: zoneId ?? null }, options);
@@ -0,0 +1,81 @@
+// /api/routes endpoints
+import { api } from './client';
+
+// get_route calls OSRM and the ETA model several times, so it is slow.
+const ROUTE_TIMEOUT_MS = 60000;
+// A batch runs get_route for each convoy without a stored route
+const MULTI_ROUTE_TIMEOUT_MS = 180000;
+
+// waypoints: intermediate stops as [{ lat, lon }] in visiting order
+export const getRoute = ({ startLat, startLon, endLat, endLon, waypoints = [], trafficLevel = 1, terrain = 'plain', priority = 'normal' }, options) =>
+  api.get('/api/routes/get_route', {
+    timeout: ROUTE_TIMEOUT_MS,
+    ...options,
+    params: {
+      start_lat: startLat,
+      start_lon: startLon,
+      end_lat: endLat,
+      end_lon: endLon,
+      traffic_level: trafficLevel,
+      terrain,
+      priority,
+      waypoints: waypoints.map(({ lat, lon }) => `${lat},${lon}`).join(';'),
+    },
+  });
+
+// Routes for several convoys in one request. Failed convoys come back in
+// `errors` as { convoy_id, message } rather than failing the batch.
+export const getMultiConvoyRoutes = (convoyIds, options) =>
+  api.get('/api/routes/multi_convoy_routes', {
+    timeout: MULTI_ROUTE_TIMEOUT_MS,
+    retries: 0,
+    ...options,
+    params: { convoy_ids: convoyIds.join(',') },
+  });
+
+// ETA model through any stops; departureTime (ISO or HH:MM) shifts traffic by
+// time of day and defaults to now. With stops the response lists its legs.
+export const predictEta = ({ startLat, startLon, endLat, endLon, waypoints = [], trafficLevel = 1, terrain = 'plain', priority = 'normal', departureTime }, options) =>
+  api.get('/api/routes/predict_eta', {
+    timeout: ROUTE_TIMEOUT_MS,
+    ...options,
+    params: {
+      start_lat: startLat,
+      start_lon: startLon,
+      end_lat: endLat,
+      end_lon: endLon,
+      traffic_level: trafficLevel,
+      terrain,
+      priority,
+      departure_time: departureTime,
+      waypoints: waypoints.map(({ lat, lon }) => `${lat},${lon}`).join(';'),
+    },
+  });
+
+// Same route, several departure times; the response flags the fastest as best_index.
+export const compareDepartures = ({ startLat, startLon, endLat, endLon, waypoints = [], departures, trafficLevel = 1, terrain = 'plain', priority = 'normal' }, options) =>
+  api.get('/api/routes/predict_eta/departures', {
+    timeout: ROUTE_TIMEOUT_MS,
+    ...options,
+    params: {
+      start_lat: startLat,
+      start_lon: startLon,
+      end_lat: endLat,
+      end_lon: endLon,
+      departures: departures.join(','),
+      traffic_level: trafficLevel,
+      terrain,
+      priority,
+      waypoints: waypoints.map(({ lat, lon }) => `${lat},${lon}`).join(';'),
+    },
+  });
+
+// Scores OSRM alternatives against closures and weather; also slow.
+export const dynamicReroute = ({ startLat, startLon, endLat, endLon, closurePoints = [] }, options) =>
+  api.post('/api/routes/dynamic_reroute', {
+    start_lat: startLat,
+    start_lon: startLon,
+    end_lat: endLat,
+    end_lon: endLon,
+    closure_points: closurePoints.map(({ lat, lon }) => ({ lat, lon })),
+  }, { timeout: ROUTE_TIMEOUT_MS, ...options });
@@ -0,0 +1,112 @@
+// Session persistence and expiry handling.
+// The JWT issued by /api/auth carries an `exp` claim; we read it client-side
+// to warn before it lapses, and the API client calls expireSession() on any
+// 401 so every page reacts the same way.
+import { clearRouteCache } from '../utils/routeCache';
+
+const TOKEN_KEY = 'access_token';
+const USER_KEY = 'user';
+const USER_ID_KEY = 'user_id';
+
+const AUTH_PAGES = ['/login', '/signup'];
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const decodeToken = (token) => {
+  if (!token) return null;
+  try {
+    const segment = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = segment.padEnd(Math.ceil(segment.length / 4) * 4, '=');
+    return JSON.parse(atob(padded));
+  } catch {
+    return null;
+  }
+};
+
+// Expiry as epoch milliseconds, or null when the token has no `exp` claim
+export const getTokenExpiry = (token = getToken()) => {
+  const payload = decodeToken(token);
+  return payload?.exp ? payload.exp * 1000 : null;
+};
+
+export const isTokenExpired = (token = getToken()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry <= Date.now();
+};
+
+export const getStoredUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+const sessionListeners = new Set();
+
+// AuthProvider subscribes so React state follows writes made outside it
+// (token refresh, 401 expiry); returns an unsubscribe fn
+export const subscribeSession = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+const notifySession = () => sessionListeners.forEach(listener => listener());
+
+export const saveSession = ({ accessToken, user }) => {
+  if (accessToken) localStorage.setItem(TOKEN_KEY, accessToken);
+  if (user) {
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+    if (user.user_id) localStorage.setItem(USER_ID_KEY, user.user_id);
+  }
+  notifySession();
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  localStorage.removeItem(USER_ID_KEY);
+  // Cached routes belong to the signed-out user's convoys
+  clearRouteCache();
+  notifySession();
+};
+
+// Only same-origin paths are accepted as redirect targets
+export const getSafeNext = (next) => {
+  if (!next || !next.startsWith('/') || next.startsWith('//')) return null;
+  if (AUTH_PAGES.some(page => next === page || next.startsWith(`${page}?`))) return null;
+  return next;
+};
+
+export const buildLoginPath = (next, reason) => {
+  const params = new URLSearchParams();
+  const safeNext = getSafeNext(next);
+  if (safeNext) params.set('next', safeNext);
+  if (reason) params.set('reason', reason);
+  const query = params.toString();
+  return query ? `/login?${query}` : '/login';
+};
+
+let unauthorizedHandler = null;
+
+// The router registers a handler so redirects stay client-side; returns an unregister fn
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+};
+
+// Clear the stored session and send the user to /login?next=<current page>.
+// Concurrent 401s only redirect once because the token is gone after the first.
+export const expireSession = (reason = 'expired') => {
+  if (!getToken()) return;
+  clearSession();
+
+  const next = `${window.location.pathname}${window.location.search}`;
+  if (unauthorizedHandler) {
+    unauthorizedHandler({ next, reason });
+  } else {
+    window.location.assign(buildLoginPath(next, reason));
+  }
+};
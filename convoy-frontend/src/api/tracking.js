@@ -0,0 +1,20 @@
+// /api/tracking endpoints
+import { api, API_BASE_URL } from './client';
+import { getToken } from './session';
+
+export const getLivePositions = (options) => api.get('/api/tracking/positions', options);
+
+export const reportPosition = (convoyId, { lat, lon, speedKmh, heading, source = 'gps' }) =>
+  api.post(`/api/tracking/${convoyId}/position`, {
+    lat,
+    lon,
+    speed_kmh: speedKmh,
+    heading,
+    source,
+  });
+
+// WebSockets can't carry an Authorization header, so the token rides in the query string
+export const getPositionsSocketUrl = () => {
+  const base = API_BASE_URL.replace(/^http/, 'ws');
+  return `${base}/api/tracking/ws?token=${encodeURIComponent(getToken() || '')}`;
+};
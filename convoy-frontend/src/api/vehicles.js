@@ -0,0 +1,17 @@
+// /api/vehicles endpoints
+import { api } from './client';
+
+// Breakdowns can't be set this way; use reportBreakdown
+export const updateVehicleStatus = (vehicleId, status) =>
+  api.patch(`/api/vehicles/vehicle/${vehicleId}/status`, undefined, { params: { new_status: status } });
+
+export const updateConvoyVehiclesStatus = (convoyId, status) =>
+  api.patch(`/api/vehicles/convoy/${convoyId}/vehicles/status`, undefined, { params: { new_status: status } });
+
+export const reportBreakdown = (vehicleId, { lat, lon, notes, placeName }) =>
+  api.post(`/api/vehicles/vehicle/${vehicleId}/breakdown`, {
+    lat,
+    lon,
+    notes,
+    place_name: placeName,
+  });
@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { getCheckpointStatusHistory } from '../api/checkpoints';
+import { CHECKPOINT_STATUS_COLORS } from '../utils/mapIcons';
+
+const formatTimestamp = (value) => new Date(value.replace(' ', 'T')).toLocaleString();
+
+// Checkpoint status changes, newest first: who, when, and why.
+// Bump `refreshKey` to reload after a change.
+export default function CheckpointStatusTimeline({ checkpointId, refreshKey }) {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getCheckpointStatusHistory(checkpointId, { signal: controller.signal })
+      .then(data => setHistory(data.history || []))
+      .catch(err => {
+        if (!err.aborted) setError(err.detail || 'Could not load status history');
+      });
+    return () => controller.abort();
+  }, [checkpointId, refreshKey]);
+
+  if (error) return <p className="text-red-400 text-sm">{error}</p>;
+  if (!history) return <p className="text-slate-400 text-sm">Loading status history...</p>;
+  if (history.length === 0) return <p className="text-slate-400 text-sm">No status changes recorded yet.</p>;
+
+  return (
+    <ol className="relative border-l border-slate-700 ml-2 space-y-4">
+      {history.map((entry, index) => (
+        <li key={index} className="ml-4">
+          <span
+            className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full"
+            style={{ backgroundColor: CHECKPOINT_STATUS_COLORS[entry.to_status] }}
+          />
+          <div className="flex flex-wrap items-center gap-2 text-sm capitalize">
+            {entry.from_status && (
+              <>
+                <span className="text-slate-400">{entry.from_status}</span>
+                <span className="text-slate-600">→</span>
+              </>
+            )}
+            <span className="font-medium" style={{ color: CHECKPOINT_STATUS_COLORS[entry.to_status] }}>
+              {entry.to_status}
+            </span>
+          </div>
+          <p className="text-slate-500 text-xs mt-1">
+            {entry.changed_by_name || (entry.changed_by ? `User #${entry.changed_by}` : 'Unknown user')}
+            {entry.changed_at && ` · ${formatTimestamp(entry.changed_at)}`}
+          </p>
+          {entry.reason && <p className="text-slate-300 text-xs mt-1 italic">"{entry.reason}"</p>}
+        </li>
+      ))}
+    </ol>
+  );
+}
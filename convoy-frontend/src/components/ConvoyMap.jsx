@@ -1,10 +1,42 @@
 import React, { useEffect, useRef } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-
-export default function ConvoyMap({ route, startPoint, endPoint, checkpoints = [], dangerPoints = [] }) {
+import { createTileLayer } from '../utils/tileSources';
+import { checkpointIcon, riskZoneIcon, vehicleIcon, endpointIcon } from '../utils/mapIcons';
+import { riskZoneShape, zoneExtentLabel } from '../utils/riskZoneShapes';
+import { escapeHtml } from '../utils/html';
+import { createRiskHeatLayer } from '../utils/riskHeatLayer';
+
+// Alternating leg colors for multi-stop routes
+const LEG_COLORS = ['#3b82f6', '#a855f7', '#06b6d4', '#f97316'];
+
+const stopIcon = (number) => L.divIcon({
+  className: '',
+  html: `<div style="width: 22px; height: 22px; border-radius: 50%; background: #3b82f6; border: 2px solid #ffffff; color: #ffffff; font: bold 11px/18px sans-serif; text-align: center; box-shadow: 0 0 4px rgba(0,0,0,0.6);">${number}</div>`,
+  iconSize: [22, 22],
+  iconAnchor: [11, 11],
+});
+
+// `vehicles` are the convoy's vehicles; those with an open breakdown report
+// are drawn where they broke down. `heatmap` overlays the danger points as a
+// risk heatmap; `highlight` ({ coordinates, point, color }) marks a stretch
+// of the route, e.g. the one hovered in the risk profile.
+export default function ConvoyMap({
+  route,
+  startPoint,
+  endPoint,
+  stops = [],
+  legs = [],
+  checkpoints = [],
+  dangerPoints = [],
+  vehicles = [],
+  heatmap = false,
+  highlight = null,
+}) {
   const mapContainer = useRef(null);
   const mapRef = useRef(null);
+  const heatLayerRef = useRef(null);
+  const highlightRef = useRef(null);
 
   useEffect(() => {
     if (!mapContainer.current) return;
@@ -17,10 +49,7 @@ export default function ConvoyMap({ route, startPoint, endPoint, checkpoints = [
     if (!mapRef.current) {
       mapRef.current = L.map(mapContainer.current).setView(mapCenter, 11);
 
-      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; OpenStreetMap contributors',
-        maxZoom: 19,
-      }).addTo(mapRef.current);
+      createTileLayer().addTo(mapRef.current);
     }
 
     // Clear existing layers (except tiles)
@@ -32,38 +61,43 @@ export default function ConvoyMap({ route, startPoint, endPoint, checkpoints = [
 
     // Add start marker (green)
     if (startPoint) {
-      const startMarker = L.marker([startPoint.lat, startPoint.lon], {
-        icon: L.icon({
-          iconUrl: 'https://cdn.rawgit.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png',
-          shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-          iconSize: [25, 41],
-          iconAnchor: [12, 41],
-          popupAnchor: [1, -34],
-          shadowSize: [41, 41],
-        }),
-      })
+      const startMarker = L.marker([startPoint.lat, startPoint.lon], { icon: endpointIcon('start') })
         .bindPopup('Start Point')
         .addTo(mapRef.current);
     }
 
     // Add end marker (red)
     if (endPoint) {
-      const endMarker = L.marker([endPoint.lat, endPoint.lon], {
-        icon: L.icon({
-          iconUrl: 'https://cdn.rawgit.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-red.png',
-          shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-          iconSize: [25, 41],
-          iconAnchor: [12, 41],
-          popupAnchor: [1, -34],
-          shadowSize: [41, 41],
-        }),
-      })
+      const endMarker = L.marker([endPoint.lat, endPoint.lon], { icon: endpointIcon('end') })
         .bindPopup('End Point')
         .addTo(mapRef.current);
     }
 
-    // Add route polyline (blue)
-    if (route && route.length > 0) {
+    // Add intermediate stops (numbered)
+    stops.forEach((stop, idx) => {
+      L.marker([stop.lat, stop.lon], { icon: stopIcon(idx + 1) })
+        .bindPopup(`<strong>Stop ${idx + 1}</strong><br/>${escapeHtml(stop.place_name || `${stop.lat.toFixed(4)}, ${stop.lon.toFixed(4)}`)}`)
+        .addTo(mapRef.current);
+    });
+
+    // Multi-stop: one polyline per leg with its own distance/ETA
+    if (legs.length > 1) {
+      legs.forEach((leg, idx) => {
+        L.polyline(leg.coordinates, {
+          color: LEG_COLORS[idx % LEG_COLORS.length],
+          weight: 4,
+          opacity: 0.85,
+          lineCap: 'round',
+        })
+          .bindPopup(
+            `<strong>Leg ${leg.leg}</strong><br/>` +
+            `Distance: ${leg.distance_km} km<br/>` +
+            `ETA: ${Math.round(leg.eta_minutes)} min (arrive ${leg.estimated_arrival})`
+          )
+          .addTo(mapRef.current);
+      });
+    } else if (route && route.length > 0) {
+      // Add route polyline (blue)
       L.polyline(route, {
         color: '#3b82f6',
         weight: 3,
@@ -87,35 +121,25 @@ export default function ConvoyMap({ route, startPoint, endPoint, checkpoints = [
           fillOpacity = 0.1;
         }
 
-        // Draw circle for risk zone
-        L.circle([danger.lat, danger.lon], {
+        // Draw the risk zone's circle or polygon
+        riskZoneShape(danger, {
           color: circleColor,
           fillColor: circleColor,
           fillOpacity: fillOpacity,
-          radius: danger.radius_km * 1000, // Convert km to meters
           weight: 2,
         })
           .bindPopup(
-            `<strong>⚠️ ${danger.name}</strong><br/>` +
+            `<strong>⚠️ ${escapeHtml(danger.name)}</strong><br/>` +
             `Risk Level: <span style="color: ${circleColor}; font-weight: bold;">${danger.risk_level.toUpperCase()}</span><br/>` +
             `Distance from route: ${danger.distance_from_route_km || 0} km<br/>` +
-            `Radius: ${danger.radius_km} km`
+            zoneExtentLabel(danger)
           )
           .addTo(mapRef.current);
 
         // Add marker at center of risk zone
-        const dangerMarker = L.marker([danger.lat, danger.lon], {
-          icon: L.icon({
-            iconUrl: 'https://cdn.rawgit.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-red.png',
-            shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-            iconSize: [20, 33],
-            iconAnchor: [10, 33],
-            popupAnchor: [1, -28],
-            shadowSize: [33, 33],
-          }),
-        })
+        const dangerMarker = L.marker([danger.lat, danger.lon], { icon: riskZoneIcon(danger.risk_level) })
           .bindPopup(
-            `<strong>⚠️ ${danger.name}</strong><br/>` +
+            `<strong>⚠️ ${escapeHtml(danger.name)}</strong><br/>` +
             `Risk Level: <span style="color: ${circleColor}; font-weight: bold;">${danger.risk_level.toUpperCase()}</span><br/>` +
             `Distance from route: ${danger.distance_from_route_km || 0} km`
           )
@@ -126,27 +150,10 @@ export default function ConvoyMap({ route, startPoint, endPoint, checkpoints = [
     // Add checkpoints (different colors based on type)
     if (checkpoints && checkpoints.length > 0) {
       checkpoints.forEach((cp, idx) => {
-        // Choose marker color based on checkpoint type
-        let markerColor = 'orange';
-        if (cp.checkpoint_type === 'military') markerColor = 'gold';
-        if (cp.checkpoint_type === 'border') markerColor = 'violet';
-        if (cp.checkpoint_type === 'rest_stop') markerColor = 'blue';
-        if (cp.checkpoint_type === 'toll') markerColor = 'grey';
-        if (cp.status === 'closed') markerColor = 'red';
-        if (cp.status === 'congested') markerColor = 'yellow';
-
-        const cpMarker = L.marker([cp.lat, cp.lon], {
-          icon: L.icon({
-            iconUrl: `https://cdn.rawgit.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-${markerColor}.png`,
-            shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-            iconSize: [25, 41],
-            iconAnchor: [12, 41],
-            popupAnchor: [1, -34],
-            shadowSize: [41, 41],
-          }),
-        })
+        // Glyph by checkpoint type, badge by status
+        const cpMarker = L.marker([cp.lat, cp.lon], { icon: checkpointIcon(cp) })
           .bindPopup(
-            `<strong>${cp.name || `Checkpoint ${cp.checkpoint_id}`}</strong><br/>` +
+            `<strong>${escapeHtml(cp.name || `Checkpoint ${cp.checkpoint_id}`)}</strong><br/>` +
             `Type: ${cp.checkpoint_type || 'unknown'}<br/>` +
             `Status: ${cp.status || 'operational'}<br/>` +
             `Distance from route: ${cp.distance_to_route_km ? cp.distance_to_route_km + ' km' : 'N/A'}<br/>` +
@@ -156,11 +163,24 @@ export default function ConvoyMap({ route, startPoint, endPoint, checkpoints = [
       });
     }
 
+    // Broken-down vehicles at their reported position
+    vehicles.filter(v => v.breakdown).forEach((vehicle) => {
+      const { breakdown } = vehicle;
+      L.marker([breakdown.lat, breakdown.lon], { icon: vehicleIcon(vehicle.type, 'breakdown'), zIndexOffset: 500 })
+        .bindPopup(
+          `<strong>${escapeHtml(vehicle.registration)}</strong> (${escapeHtml(vehicle.type)})<br/>` +
+          `Breakdown: ${escapeHtml(breakdown.notes)}<br/>` +
+          `${escapeHtml(breakdown.place_name || `${breakdown.lat.toFixed(4)}, ${breakdown.lon.toFixed(4)}`)}`
+        )
+        .addTo(mapRef.current);
+    });
+
     // Fit bounds to show all markers
     if ((startPoint || endPoint || checkpoints.length > 0) && mapRef.current) {
       const bounds = L.latLngBounds();
       if (startPoint) bounds.extend([startPoint.lat, startPoint.lon]);
       if (endPoint) bounds.extend([endPoint.lat, endPoint.lon]);
+      stops.forEach((stop) => bounds.extend([stop.lat, stop.lon]));
       if (checkpoints && checkpoints.length > 0) {
         checkpoints.forEach((cp) => bounds.extend([cp.lat, cp.lon]));
       }
@@ -172,7 +192,36 @@ export default function ConvoyMap({ route, startPoint, endPoint, checkpoints = [
     return () => {
       // Cleanup on unmount
     };
-  }, [route, startPoint, endPoint, checkpoints, dangerPoints]);
+  }, [route, startPoint, endPoint, stops, legs, checkpoints, dangerPoints, vehicles]);
+
+  useEffect(() => {
+    if (!mapRef.current) return;
+    heatLayerRef.current?.remove();
+    heatLayerRef.current = heatmap && dangerPoints.length > 0
+      ? createRiskHeatLayer(dangerPoints).addTo(mapRef.current)
+      : null;
+  }, [heatmap, dangerPoints]);
+
+  // Drawn on its own so hovering doesn't redraw or refit the whole map
+  useEffect(() => {
+    if (!mapRef.current) return;
+    highlightRef.current?.remove();
+    highlightRef.current = null;
+    if (!highlight) return;
+
+    const color = highlight.color || '#e2e8f0';
+    highlightRef.current = L.layerGroup([
+      L.polyline(highlight.coordinates, { color: '#0f172a', weight: 10, opacity: 0.6, lineCap: 'round' }),
+      L.polyline(highlight.coordinates, { color, weight: 6, opacity: 1, lineCap: 'round' }),
+      L.circleMarker([highlight.point.lat, highlight.point.lon], {
+        radius: 6,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: color,
+        fillOpacity: 1,
+      }),
+    ]).addTo(mapRef.current);
+  }, [highlight]);
 
   return (
     <div
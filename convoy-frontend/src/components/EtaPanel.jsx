@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import { Clock, Plus, X, Star } from 'lucide-react';
+import { predictEta, compareDepartures } from '../api/routes';
+
+const TRAFFIC_LEVELS = [
+  { value: 1, label: 'Low' },
+  { value: 2, label: 'Moderate' },
+  { value: 3, label: 'Heavy' },
+];
+const TERRAINS = ['plain', 'desert', 'hilly', 'mountain'];
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const DEFAULT_DEPARTURES = ['06:00', '09:00', '14:00', '22:00'];
+// Matches MAX_DEPARTURE_WINDOWS on the backend
+const MAX_DEPARTURES = 8;
+
+const CONFIDENCE_COLORS = {
+  high: 'text-green-400',
+  medium: 'text-yellow-400',
+  low: 'text-red-400',
+};
+
+const formatMinutes = (minutes) => {
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60);
+  return hours > 0 ? `${hours}h ${String(total % 60).padStart(2, '0')}m` : `${total} min`;
+};
+
+const formatClock = (iso) => {
+  const date = new Date(iso);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return date.toDateString() === new Date().toDateString()
+    ? time
+    : `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+};
+
+// Planner-facing ETA prediction: traffic/terrain/priority inputs, the model's
+// ETA with its confidence band, and a side-by-side of departure windows.
+// `getEndpoints` resolves to { start, end, waypoints? } as { lat, lon } so
+// CreateConvoy can geocode its place names lazily; waypoints are the
+// intermediate stops in visiting order.
+export default function EtaPanel({ getEndpoints, defaultPriority = 'medium', onApply }) {
+  const [trafficLevel, setTrafficLevel] = useState(1);
+  const [terrain, setTerrain] = useState('plain');
+  const [priority, setPriority] = useState(defaultPriority);
+  const [departures, setDepartures] = useState(DEFAULT_DEPARTURES);
+  const [prediction, setPrediction] = useState(null);
+  const [windows, setWindows] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateDeparture = (index, value) => {
+    setDepartures(departures.map((d, i) => (i === index ? value : d)));
+  };
+
+  const removeDeparture = (index) => {
+    setDepartures(departures.filter((_, i) => i !== index));
+  };
+
+  const addDeparture = () => {
+    if (departures.length < MAX_DEPARTURES) setDepartures([...departures, '12:00']);
+  };
+
+  const handlePredict = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { start, end, waypoints = [] } = await getEndpoints();
+      const leg = {
+        startLat: start.lat,
+        startLon: start.lon,
+        endLat: end.lat,
+        endLon: end.lon,
+        waypoints,
+        trafficLevel,
+        terrain,
+        priority,
+      };
+      const validDepartures = departures.filter(Boolean);
+      const [etaData, windowData] = await Promise.all([
+        predictEta(leg),
+        validDepartures.length > 0 ? compareDepartures({ ...leg, departures: validDepartures }) : null,
+      ]);
+      setPrediction(etaData);
+      setWindows(windowData);
+    } catch (err) {
+      console.error('ETA prediction error:', err);
+      setError(err.message || 'Could not predict ETA');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    setError('');
+    try {
+      await onApply({ trafficLevel, terrain, priority });
+    } catch (err) {
+      setError(err.message || 'Could not update route ETAs');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const selectClass = 'w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="bg-slate-800 rounded-lg border border-slate-700 p-6 mb-8">
+      <h3 className="text-white font-bold text-xl mb-4 flex items-center gap-2">
+        <Clock className="w-6 h-6 text-blue-400" />
+        ETA Prediction
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <label className="text-sm text-slate-300">
+          Traffic Level
+          <select value={trafficLevel} onChange={(e) => setTrafficLevel(Number(e.target.value))} className={`${selectClass} mt-1`}>
+            {TRAFFIC_LEVELS.map(t => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-slate-300">
+          Terrain
+          <select value={terrain} onChange={(e) => setTerrain(e.target.value)} className={`${selectClass} mt-1`}>
+            {TERRAINS.map(t => (
+              <option key={t} value={t}>{t.charAt(0).toUpperCase() + t.slice(1)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-slate-300">
+          Priority
+          <select value={priority} onChange={(e) => setPriority(e.target.value)} className={`${selectClass} mt-1`}>
+            {PRIORITIES.map(p => (
+              <option key={p} value={p}>{p.charAt(0).toUpperCase() + p.slice(1)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Departure windows */}
+      <div className="mb-4">
+        <p className="text-sm text-slate-300 mb-2">Departure Times to Compare</p>
+        <div className="flex flex-wrap gap-2">
+          {departures.map((departure, index) => (
+            <div key={index} className="flex items-center bg-slate-700 border border-slate-600 rounded-lg">
+              <input
+                type="time"
+                value={departure}
+                onChange={(e) => updateDeparture(index, e.target.value)}
+                className="bg-transparent px-2 py-1 text-white text-sm focus:outline-none"
+              />
+              <button
+                type="button"
+                onClick={() => removeDeparture(index)}
+                className="px-1 text-slate-400 hover:text-red-400"
+                title="Remove departure time"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          {departures.length < MAX_DEPARTURES && (
+            <button
+              type="button"
+              onClick={addDeparture}
+              className="flex items-center gap-1 px-3 py-1 border border-dashed border-slate-600 rounded-lg text-slate-400 hover:text-white text-sm"
+            >
+              <Plus className="w-4 h-4" /> Add
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={handlePredict}
+          disabled={loading}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white font-semibold rounded-lg transition-colors text-sm"
+        >
+          {loading ? 'Predicting...' : 'Predict ETA'}
+        </button>
+        {onApply && (
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={applying}
+            className="px-4 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-60 text-slate-200 font-semibold rounded-lg transition-colors text-sm"
+            title="Recalculate the route and checkpoint ETAs with these inputs"
+          >
+            {applying ? 'Updating...' : 'Apply to Route'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+
+      {prediction && (
+        <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-slate-900/50 border border-slate-700 rounded-lg p-4">
+            <p className="text-slate-400 text-xs">Predicted ETA (leaving now)</p>
+            <p className="text-white text-2xl font-bold">{formatMinutes(prediction.eta_minutes)}</p>
+            <p className="text-slate-500 text-xs mt-1">
+              {prediction.model_used ? 'ML model' : 'Heuristic estimate'} · {prediction.distance_km.toFixed(1)} km straight-line
+              {prediction.legs
+                ? ` via ${prediction.legs.length - 1} stop${prediction.legs.length === 2 ? '' : 's'}`
+                : ' direct source → destination'}
+              {prediction.arrival_time && ` · arrives ${formatClock(prediction.arrival_time)}`}
+            </p>
+          </div>
+          <div className="bg-slate-900/50 border border-slate-700 rounded-lg p-4">
+            <p className="text-slate-400 text-xs">Confidence</p>
+            <p className={`text-2xl font-bold capitalize ${CONFIDENCE_COLORS[prediction.confidence.level]}`}>
+              {prediction.confidence.level} ({Math.round(prediction.confidence.score * 100)}%)
+            </p>
+            <p className="text-slate-500 text-xs mt-1">
+              {formatMinutes(prediction.confidence.low_minutes)} – {formatMinutes(prediction.confidence.high_minutes)}
+            </p>
+          </div>
+          <div className="bg-slate-900/50 border border-slate-700 rounded-lg p-4">
+            <p className="text-slate-400 text-xs">Inputs</p>
+            <p className="text-white text-sm mt-1 capitalize">
+              {TRAFFIC_LEVELS.find(t => t.value === prediction.traffic_level)?.label} traffic · {prediction.terrain} · {prediction.priority}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {windows?.windows?.length > 0 && (
+        <div className="mt-6 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-400 text-left border-b border-slate-700">
+                <th className="py-2 pr-4 font-medium">Departure</th>
+                <th className="py-2 pr-4 font-medium">Traffic</th>
+                <th className="py-2 pr-4 font-medium">ETA</th>
+                <th className="py-2 pr-4 font-medium">Arrival</th>
+                <th className="py-2 font-medium">Confidence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {windows.windows.map((w, index) => {
+                const best = index === windows.best_index;
+                return (
+                  <tr key={w.departure_time} className={`border-b border-slate-700/50 ${best ? 'bg-green-900/20' : ''}`}>
+                    <td className="py-2 pr-4 text-white">
+                      <span className="flex items-center gap-1">
+                        {formatClock(w.departure_time)}
+                        {best && <Star className="w-3 h-3 text-green-400" />}
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4 text-slate-300">{TRAFFIC_LEVELS.find(t => t.value === w.traffic_level)?.label}</td>
+                    <td className={`py-2 pr-4 font-medium ${best ? 'text-green-400' : 'text-white'}`}>{formatMinutes(w.eta_minutes)}</td>
+                    <td className="py-2 pr-4 text-slate-300">{formatClock(w.arrival_time)}</td>
+                    <td className={`py-2 capitalize ${CONFIDENCE_COLORS[w.confidence.level]}`}>
+                      {w.confidence.level}
+                      <span className="text-slate-500 ml-1">
+                        ({formatMinutes(w.confidence.low_minutes)}–{formatMinutes(w.confidence.high_minutes)})
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {!windows.osrm_available && (
+            <p className="text-yellow-400 text-xs mt-2">Road routing was unavailable; windows use straight-line distance.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
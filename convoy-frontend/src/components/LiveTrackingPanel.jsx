@@ -0,0 +1,178 @@
+import React from 'react';
+import { Radio, Play, Square, X } from 'lucide-react';
+import { FEED_TRANSPORTS } from '../tracking/positionFeed';
+
+const SPEED_MULTIPLIERS = [1, 10, 60, 300];
+
+const formatAge = (recordedAt) => {
+  if (!recordedAt) return 'no fix yet';
+  const seconds = Math.max(0, Math.round(Date.now() / 1000 - recordedAt));
+  return seconds < 60 ? `${seconds}s ago` : `${Math.round(seconds / 60)} min ago`;
+};
+
+// Controls for the Dashboard's live-tracking mode: feed transport/status,
+// per-convoy last fix, and the route replay simulator.
+export default function LiveTrackingPanel({
+  enRouteConvoys,
+  positions,
+  transport,
+  setTransport,
+  feedStatus,
+  simConvoyId,
+  setSimConvoyId,
+  simSpeedKmh,
+  setSimSpeedKmh,
+  simMultiplier,
+  setSimMultiplier,
+  simPublish,
+  setSimPublish,
+  simRunning,
+  simProgress,
+  simRouteReady,
+  onStartSim,
+  onStopSim,
+  onClose,
+}) {
+  return (
+    <div className="bg-slate-800/95 border border-slate-700 rounded-lg p-4 backdrop-blur-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-white text-md font-bold flex items-center gap-2">
+          <Radio className="w-5 h-5 text-emerald-400" /> Live Tracking
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-slate-400 hover:text-white transition-colors p-1"
+          title="Stop live tracking"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Feed */}
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2 text-xs">
+          <span className={`w-2 h-2 rounded-full ${feedStatus.connected ? 'bg-emerald-400 animate-pulse' : 'bg-red-500'}`} />
+          <span className={feedStatus.connected ? 'text-emerald-400' : 'text-red-400'}>
+            {feedStatus.connected ? 'Feed connected' : (feedStatus.error || 'Connecting...')}
+          </span>
+        </div>
+        <select
+          value={transport}
+          onChange={(e) => setTransport(e.target.value)}
+          className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-xs"
+          title="Position feed transport"
+        >
+          {FEED_TRANSPORTS.map(t => (
+            <option key={t} value={t}>{t === 'polling' ? 'Polling' : 'WebSocket'}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* En-route convoys */}
+      {enRouteConvoys.length === 0 ? (
+        <p className="text-slate-400 text-xs mb-3">
+          No convoys are ongoing. Start an approved convoy to track it.
+        </p>
+      ) : (
+        <div className="space-y-1 mb-3 max-h-32 overflow-auto">
+          {enRouteConvoys.map(convoy => {
+            const position = positions[convoy.id];
+            return (
+              <div key={convoy.id} className="flex justify-between text-xs">
+                <span className="text-slate-300 truncate">{convoy.convoy_name}</span>
+                <span className="text-slate-500 flex-shrink-0 ml-2">
+                  {position?.source === 'simulator' ? 'sim · ' : ''}{formatAge(position?.recorded_at)}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Simulator */}
+      <div className="pt-3 border-t border-slate-700 space-y-2">
+        <p className="text-slate-300 text-xs font-semibold">Route Simulator</p>
+        <select
+          value={simConvoyId || ''}
+          onChange={(e) => setSimConvoyId(parseInt(e.target.value) || null)}
+          disabled={simRunning}
+          className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded text-white text-sm disabled:opacity-60"
+        >
+          <option value="">Select convoy to replay</option>
+          {enRouteConvoys.map(c => (
+            <option key={`sim-${c.id}`} value={c.id}>{c.convoy_name} ({c.id})</option>
+          ))}
+        </select>
+
+        <div className="flex gap-2">
+          <label className="flex-1 text-slate-400 text-xs">
+            Speed (km/h)
+            <input
+              type="number"
+              min="5"
+              max="120"
+              value={simSpeedKmh}
+              onChange={(e) => setSimSpeedKmh(Number(e.target.value) || 0)}
+              className="w-full mt-1 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm"
+            />
+          </label>
+          <label className="flex-1 text-slate-400 text-xs">
+            Time scale
+            <select
+              value={simMultiplier}
+              onChange={(e) => setSimMultiplier(Number(e.target.value))}
+              className="w-full mt-1 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm"
+            >
+              {SPEED_MULTIPLIERS.map(m => (
+                <option key={m} value={m}>{m}x</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <label className="flex items-center gap-2 text-slate-400 text-xs cursor-pointer">
+          <input
+            type="checkbox"
+            checked={simPublish}
+            onChange={(e) => setSimPublish(e.target.checked)}
+            disabled={simRunning}
+            className="w-3 h-3"
+          />
+          Publish positions to the server feed
+        </label>
+
+        {simProgress && (
+          <div>
+            <div className="w-full h-1.5 bg-slate-700 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-emerald-500 transition-all"
+                style={{ width: `${simProgress.totalKm ? (simProgress.progressKm / simProgress.totalKm) * 100 : 0}%` }}
+              />
+            </div>
+            <p className="text-slate-500 text-xs mt-1">
+              {simProgress.progressKm.toFixed(1)} / {simProgress.totalKm.toFixed(1)} km
+            </p>
+          </div>
+        )}
+
+        {simRunning ? (
+          <button
+            onClick={onStopSim}
+            className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-md transition-colors text-sm"
+          >
+            <Square className="w-4 h-4" /> Stop Simulation
+          </button>
+        ) : (
+          <button
+            onClick={onStartSim}
+            disabled={!simConvoyId || !simRouteReady || simSpeedKmh <= 0}
+            className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold rounded-md disabled:opacity-60 transition-colors text-sm"
+          >
+            <Play className="w-4 h-4" />
+            {simConvoyId && !simRouteReady ? 'Loading route...' : 'Start Simulation'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { createTileLayer } from '../utils/tileSources';
+
+const INDIA_CENTER = [20.5937, 78.9629];
+
+const PIN_COLORS = {
+  source: '#10b981',
+  destination: '#ef4444',
+  stop: '#3b82f6',
+};
+
+const pinIcon = (kind, label = '') => L.divIcon({
+  className: '',
+  html: `<div style="width: 22px; height: 22px; border-radius: 50% 50% 50% 0; transform: rotate(-45deg); background: ${PIN_COLORS[kind]}; border: 2px solid #ffffff; box-shadow: 0 0 4px rgba(0,0,0,0.6);"><div style="transform: rotate(45deg); color: #ffffff; font: bold 11px/18px sans-serif; text-align: center;">${label}</div></div>`,
+  iconSize: [22, 22],
+  iconAnchor: [11, 22],
+});
+
+// Mini-map for CreateConvoy: click to place the active pin, drag any pin to
+// adjust it. Points are { lat, lon } or null; stops are { id, lat, lon }.
+// onPick(target, point) gets 'source', 'destination', 'stop' (click in stop
+// mode: append a new stop) or 'stop-<id>' (an existing stop was dragged).
+export default function LocationPickerMap({ source, destination, stops = [], activePin, onPick }) {
+  const mapContainer = useRef(null);
+  const mapRef = useRef(null);
+  const markersRef = useRef({});
+  const orderLineRef = useRef(null);
+  // Leaflet handlers are bound once; read the latest props through refs
+  const activePinRef = useRef(activePin);
+  const onPickRef = useRef(onPick);
+
+  useEffect(() => {
+    activePinRef.current = activePin;
+    onPickRef.current = onPick;
+  });
+
+  // Map initialization
+  useEffect(() => {
+    if (!mapContainer.current || mapRef.current) return;
+
+    mapRef.current = L.map(mapContainer.current).setView(INDIA_CENTER, 5);
+    createTileLayer().addTo(mapRef.current);
+
+    mapRef.current.on('click', (e) => {
+      onPickRef.current(activePinRef.current, { lat: e.latlng.lat, lon: e.latlng.lng });
+    });
+
+    orderLineRef.current = L.polyline([], { color: '#94a3b8', weight: 2, dashArray: '6 6', interactive: false })
+      .addTo(mapRef.current);
+
+    return () => {
+      mapRef.current.remove();
+      mapRef.current = null;
+      markersRef.current = {};
+    };
+  }, []);
+
+  // Keep one draggable marker per pin in sync with the form state
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    // Keyed by onPick target; stop numbers follow the list order
+    const pins = { source: { kind: 'source', point: source, title: 'Source' } };
+    stops.forEach((stop, index) => {
+      pins[`stop-${stop.id}`] = { kind: 'stop', point: stop, title: `Stop ${index + 1}`, label: index + 1 };
+    });
+    pins.destination = { kind: 'destination', point: destination, title: 'Destination' };
+
+    Object.keys(markersRef.current).forEach(target => {
+      if (!pins[target]?.point) {
+        markersRef.current[target].remove();
+        delete markersRef.current[target];
+      }
+    });
+
+    Object.entries(pins).forEach(([target, { kind, point, title, label }]) => {
+      if (!point) return;
+      const marker = markersRef.current[target];
+      if (marker) {
+        marker.setLatLng([point.lat, point.lon]);
+        marker.setIcon(pinIcon(kind, label));
+        return;
+      }
+      markersRef.current[target] = L.marker([point.lat, point.lon], {
+        icon: pinIcon(kind, label),
+        draggable: true,
+        title,
+      })
+        .on('dragend', (e) => {
+          const { lat, lng } = e.target.getLatLng();
+          onPickRef.current(target, { lat, lon: lng });
+        })
+        .addTo(map);
+    });
+
+    // Visiting order, so reordering the list is visible on the map
+    const placed = Object.values(pins).map(p => p.point).filter(Boolean);
+    orderLineRef.current.setLatLngs(placed.map(p => [p.lat, p.lon]));
+
+    if (placed.length >= 2) {
+      map.fitBounds(placed.map(p => [p.lat, p.lon]), { padding: [40, 40], maxZoom: 12 });
+    } else if (placed.length === 1) {
+      map.setView([placed[0].lat, placed[0].lon], Math.max(map.getZoom(), 10));
+    }
+  }, [source, destination, stops]);
+
+  return (
+    <div
+      ref={mapContainer}
+      className={`w-full h-72 rounded-lg border border-slate-700 ${activePin ? 'cursor-crosshair' : ''}`}
+    />
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Layers } from 'lucide-react';
+import { BASEMAPS, CHECKPOINT_TYPES, CHECKPOINT_STATUSES, RISK_LEVELS } from '../utils/mapLayers';
+
+// Offline deployments have a single basemap, so there is nothing to pick
+const SHOW_BASEMAPS = Object.keys(BASEMAPS).length > 1;
+
+const formatValue = (value) => value.replace('_', ' ');
+
+const toggleValue = (list, value) =>
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+function FilterChips({ values, selected, disabled, onToggle }) {
+  return (
+    <div className="flex flex-wrap gap-1 mt-2">
+      {values.map(value => (
+        <button
+          key={value}
+          type="button"
+          disabled={disabled}
+          onClick={() => onToggle(value)}
+          className={`px-2 py-0.5 rounded-full border text-xs capitalize transition-colors disabled:opacity-40 ${
+            selected.includes(value)
+              ? 'bg-blue-600/20 text-blue-300 border-blue-500/40'
+              : 'bg-slate-800 text-slate-500 border-slate-700'
+          }`}
+        >
+          {formatValue(value)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function LayerToggle({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-slate-200 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="w-4 h-4 rounded border-slate-600 cursor-pointer"
+      />
+      {label}
+    </label>
+  );
+}
+
+// Dropdown for the Dashboard map: basemap choice and overlay toggles with
+// checkpoint (type/status) and risk zone (level, heatmap) filters. `counts` holds the
+// number of features currently drawn per layer.
+export default function MapLayerPanel({ settings, onChange, counts }) {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on outside clicks
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+  const updateCheckpoints = (patch) => update({ checkpoints: { ...settings.checkpoints, ...patch } });
+  const updateRiskZones = (patch) => update({ riskZones: { ...settings.riskZones, ...patch } });
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium transition-colors border ${
+          open
+            ? 'bg-blue-600/20 text-blue-400 border-blue-500/30'
+            : 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600'
+        }`}
+      >
+        <Layers className="w-4 h-4" />
+        Layers
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 z-[1000] bg-slate-900 border border-slate-700 rounded-lg shadow-xl p-4 space-y-4">
+          {SHOW_BASEMAPS && (
+            <div>
+              <p className="text-slate-400 text-xs uppercase tracking-wide mb-2">Basemap</p>
+              <div className="grid grid-cols-2 gap-2">
+                {Object.entries(BASEMAPS).map(([key, basemap]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => update({ basemap: key })}
+                    className={`px-2 py-1.5 rounded border text-xs font-medium transition-colors ${
+                      settings.basemap === key
+                        ? 'bg-blue-600 text-white border-blue-500'
+                        : 'bg-slate-800 text-slate-300 border-slate-700 hover:bg-slate-700'
+                    }`}
+                  >
+                    {basemap.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className={`space-y-2 ${SHOW_BASEMAPS ? 'border-t border-slate-700 pt-4' : ''}`}>
+            <p className="text-slate-400 text-xs uppercase tracking-wide">Overlays</p>
+            <LayerToggle
+              label={`Convoy routes (${counts.routes})`}
+              checked={settings.routes}
+              onChange={(routes) => update({ routes })}
+            />
+            <LayerToggle
+              label="Labels"
+              checked={settings.labels}
+              onChange={(labels) => update({ labels })}
+            />
+          </div>
+
+          <div className="border-t border-slate-700 pt-4">
+            <LayerToggle
+              label={`Checkpoints (${counts.checkpoints})`}
+              checked={settings.checkpoints.visible}
+              onChange={(visible) => updateCheckpoints({ visible })}
+            />
+            <p className="text-slate-500 text-xs mt-2">Type</p>
+            <FilterChips
+              values={CHECKPOINT_TYPES}
+              selected={settings.checkpoints.types}
+              disabled={!settings.checkpoints.visible}
+              onToggle={(type) => updateCheckpoints({ types: toggleValue(settings.checkpoints.types, type) })}
+            />
+            <p className="text-slate-500 text-xs mt-2">Status</p>
+            <FilterChips
+              values={CHECKPOINT_STATUSES}
+              selected={settings.checkpoints.statuses}
+              disabled={!settings.checkpoints.visible}
+              onToggle={(status) => updateCheckpoints({ statuses: toggleValue(settings.checkpoints.statuses, status) })}
+            />
+          </div>
+
+          <div className="border-t border-slate-700 pt-4">
+            <LayerToggle
+              label={`Risk zones (${counts.riskZones})`}
+              checked={settings.riskZones.visible}
+              onChange={(visible) => updateRiskZones({ visible })}
+            />
+            <FilterChips
+              values={RISK_LEVELS}
+              selected={settings.riskZones.levels}
+              disabled={!settings.riskZones.visible}
+              onToggle={(level) => updateRiskZones({ levels: toggleValue(settings.riskZones.levels, level) })}
+            />
+            <div className={`mt-3 ${settings.riskZones.visible ? '' : 'opacity-40 pointer-events-none'}`}>
+              <LayerToggle
+                label="Risk heatmap"
+                checked={settings.riskZones.heatmap}
+                onChange={(heatmap) => updateRiskZones({ heatmap })}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React from 'react';
+import {
+  CHECKPOINT_STYLES,
+  STATUS_BADGES,
+  RISK_STYLES,
+  VEHICLE_STYLES,
+  ENDPOINT_STYLES,
+  checkpointIconUrl,
+  riskIconUrl,
+  vehicleIconUrl,
+  endpointIconUrl,
+} from '../utils/mapIcons';
+
+// Status badges shown on a neutral pin
+const LEGEND_STATUSES = ['closed', 'congested', 'maintenance'];
+
+const SECTIONS = {
+  endpoints: {
+    title: 'Route',
+    items: () => Object.entries(ENDPOINT_STYLES).map(([kind, style]) => ({ key: kind, label: style.label, src: endpointIconUrl(kind) })),
+  },
+  checkpoints: {
+    title: 'Checkpoints',
+    items: () => Object.entries(CHECKPOINT_STYLES).map(([type, style]) => ({ key: type, label: style.label, src: checkpointIconUrl(type) })),
+  },
+  statuses: {
+    title: 'Checkpoint status',
+    items: () => LEGEND_STATUSES.map(status => ({ key: status, label: STATUS_BADGES[status].label, src: checkpointIconUrl(null, status) })),
+  },
+  risk: {
+    title: 'Risk zones',
+    items: () => Object.entries(RISK_STYLES).map(([level, style]) => ({ key: level, label: style.label, src: riskIconUrl(level) })),
+  },
+  vehicles: {
+    title: 'Broken-down vehicles',
+    items: () => Object.entries(VEHICLE_STYLES).map(([type, style]) => ({ key: type, label: style.label, src: vehicleIconUrl(type, 'breakdown') })),
+  },
+};
+
+// Key for the generated map markers; `sections` picks which groups to show
+export default function MapLegend({ sections = ['checkpoints', 'statuses', 'risk'], className = '' }) {
+  return (
+    <div className={`flex flex-wrap gap-x-8 gap-y-3 ${className}`}>
+      {sections.map(name => (
+        <div key={name}>
+          <p className="text-slate-400 text-xs uppercase tracking-wide mb-1">{SECTIONS[name].title}</p>
+          <div className="flex flex-wrap gap-x-3 gap-y-1">
+            {SECTIONS[name].items().map(item => (
+              <span key={item.key} className="flex items-center gap-1 text-xs text-slate-300">
+                <img src={item.src} alt="" className="h-5 w-auto" />
+                {item.label}
+              </span>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
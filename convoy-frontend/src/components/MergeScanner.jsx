@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Search, GitMerge } from 'lucide-react';
+import { scanMergeCandidates } from '../api/convoys';
+
+// Fleet-wide merge scan: every pair of pending convoys through the
+// suggest_merge rules, ranked by time penalty. Candidates whose convoys are
+// no longer pending (e.g. merged since the scan) are hidden.
+export default function MergeScanner({ convoys, onOpen }) {
+  const [maxExtraMinutes, setMaxExtraMinutes] = useState(30);
+  const [sameDestRadiusKm, setSameDestRadiusKm] = useState(5);
+  const [scan, setScan] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [error, setError] = useState('');
+
+  const pendingIds = new Set(convoys.filter(c => c.status === 'pending').map(c => c.id));
+  const candidates = (scan?.candidates || []).filter(
+    c => pendingIds.has(c.convoy_a_id) && pendingIds.has(c.convoy_b_id)
+  );
+
+  const handleScan = async () => {
+    setScanning(true);
+    setError('');
+    try {
+      const data = await scanMergeCandidates({ maxExtraMinutes, sameDestRadiusKm });
+      setScan({ ...data, maxExtraMinutes, sameDestRadiusKm });
+    } catch (err) {
+      console.error('Merge scan error:', err);
+      setError(err.detail || err.message || 'Scan failed');
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const inputClass = 'w-24 mt-1 px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-sm';
+
+  return (
+    <div className="bg-slate-800 rounded-lg border border-slate-700 p-6 mt-6">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-white font-bold text-lg flex items-center gap-2">
+            <Search className="w-5 h-5 text-blue-400" />
+            Merge Opportunities
+          </h3>
+          <p className="text-slate-400 text-sm">Evaluate every pair of pending convoys for a possible merge.</p>
+        </div>
+        <div className="flex items-end gap-3">
+          <label className="text-slate-400 text-xs">
+            Max extra time (min)
+            <input
+              type="number"
+              min="0"
+              value={maxExtraMinutes}
+              onChange={(e) => setMaxExtraMinutes(Number(e.target.value) || 0)}
+              className={`${inputClass} block`}
+            />
+          </label>
+          <label className="text-slate-400 text-xs">
+            Same destination (km)
+            <input
+              type="number"
+              min="0"
+              value={sameDestRadiusKm}
+              onChange={(e) => setSameDestRadiusKm(Number(e.target.value) || 0)}
+              className={`${inputClass} block`}
+            />
+          </label>
+          <button
+            onClick={handleScan}
+            disabled={scanning || pendingIds.size < 2}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white font-semibold rounded-lg transition-colors text-sm"
+            title={pendingIds.size < 2 ? 'Needs at least two pending convoys' : 'Scan all pending convoys'}
+          >
+            {scanning ? 'Scanning...' : 'Scan Fleet'}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+
+      {scan && (
+        <p className="text-slate-500 text-xs mb-3">
+          {scan.pairs_evaluated} pairs from {scan.convoys_scanned} pending convoys · {candidates.length} candidate{candidates.length === 1 ? '' : 's'}
+          {scan.truncated && ' · only the most recent pending convoys were scanned'}
+        </p>
+      )}
+
+      {scan && candidates.length === 0 && (
+        <p className="text-slate-400 text-sm">No merge candidates within these limits.</p>
+      )}
+
+      {candidates.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-slate-400 text-left border-b border-slate-700">
+                <th className="py-2 pr-4 font-medium">#</th>
+                <th className="py-2 pr-4 font-medium">Convoys</th>
+                <th className="py-2 pr-4 font-medium">Scenario</th>
+                <th className="py-2 pr-4 font-medium">Time Penalty</th>
+                <th className="py-2 pr-4 font-medium">Dest Distance</th>
+                <th className="py-2 pr-4 font-medium">Fuel Saved</th>
+                <th className="py-2 font-medium" />
+              </tr>
+            </thead>
+            <tbody>
+              {candidates.map((c, index) => (
+                <tr key={`${c.convoy_a_id}-${c.convoy_b_id}`} className="border-b border-slate-700/50">
+                  <td className="py-2 pr-4 text-slate-400">{index + 1}</td>
+                  <td className="py-2 pr-4 text-white">{c.convoy_a_name} + {c.convoy_b_name}</td>
+                  <td className="py-2 pr-4 text-slate-300" title={c.merge_reasons}>{c.scenario_readable}</td>
+                  <td className={`py-2 pr-4 font-medium ${c.extra_minutes <= scan.maxExtraMinutes / 2 ? 'text-green-400' : 'text-yellow-400'}`}>
+                    {c.extra_minutes.toFixed(1)} min
+                  </td>
+                  <td className="py-2 pr-4 text-slate-300">{c.dest_distance_km.toFixed(1)} km</td>
+                  <td className="py-2 pr-4 text-slate-300">{c.fuel_savings_liters.toFixed(1)} L</td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => onOpen(c, { maxExtraMinutes: scan.maxExtraMinutes, sameDestRadiusKm: scan.sameDestRadiusKm })}
+                      className="inline-flex items-center gap-1 px-3 py-1 bg-slate-700 hover:bg-slate-600 text-slate-200 rounded text-xs font-medium transition-colors"
+                    >
+                      <GitMerge className="w-3 h-3" /> Open
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,19 +1,14 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/useAuth';
 
 export default function Navbar() {
   const navigate = useNavigate();
-  let user = null;
-  try {
-    user = JSON.parse(localStorage.getItem('user') || 'null');
-  } catch (e) {
-    user = null;
-  }
+  const { user, logout } = useAuth();
   const displayName = user?.username || user?.email || 'User';
 
   const handleLogout = () => {
-    localStorage.removeItem('access_token');
-    localStorage.removeItem('user');
+    logout();
     navigate('/login');
   };
 
@@ -30,6 +25,10 @@ export default function Navbar() {
           <Link to="/dashboard" className="text-slate-300 hover:text-white text-sm">Dashboard</Link>
           <Link to="/create-convoy" className="text-slate-300 hover:text-white text-sm">Create Convoy</Link>
           <Link to="/history" className="text-slate-300 hover:text-white text-sm">History</Link>
+          {user?.role === 'admin' && (
+            <Link to="/risk-zones" className="text-slate-300 hover:text-white text-sm">Risk Zones</Link>
+          )}
+          <Link to="/checkpoints" className="text-slate-300 hover:text-white text-sm">Checkpoints</Link>
 
           {/* Profile name (non-clickable) */}
           <span className="text-slate-300 text-sm opacity-90">{displayName}</span>
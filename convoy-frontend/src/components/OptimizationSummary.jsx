@@ -0,0 +1,142 @@
+import React from 'react';
+import { CheckCircle } from 'lucide-react';
+
+const formatSaving = (value, unit, digits = 1) =>
+  value > 0 ? `-${value.toFixed(digits)} ${unit} ✓` : `+0 ${unit}`;
+
+// Baseline vs optimized comparison for ViewRoute, driven entirely by
+// /api/analytics/convoy/{id}/optimization-details.
+export default function OptimizationSummary({ details, straightLineKm, loading, error }) {
+  const baseline = details?.baseline;
+  const optimized = details?.optimized;
+  const savings = details?.savings;
+  const fuelModel = details?.fuel_model;
+  const assumptions = details?.assumptions;
+
+  return (
+    <div className="bg-slate-800 rounded-lg border border-slate-700 p-6 mb-8">
+      <h3 className="text-white font-bold text-xl mb-4 flex items-center gap-2">
+        <CheckCircle className="w-6 h-6 text-green-400" />
+        Route Optimization Summary
+      </h3>
+
+      {loading && <p className="text-slate-400 text-sm">Loading optimization details...</p>}
+      {!loading && error && <p className="text-red-400 text-sm">{error}</p>}
+
+      {!loading && !error && baseline && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Baseline Route */}
+            <div className="border border-slate-700 rounded-lg p-4 bg-slate-900/50">
+              <div className="text-slate-400 text-sm font-medium mb-3">Direct Route (Baseline)</div>
+              <div className="space-y-2 text-sm">
+                {straightLineKm != null && (
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Straight Line:</span>
+                    <span className="text-slate-300">{straightLineKm.toFixed(1)} km</span>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <span className="text-slate-400">Distance:</span>
+                  <span className="text-slate-300">{baseline.distance_km.toFixed(1)} km</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-slate-400">Est. Time:</span>
+                  <span className="text-slate-300">{baseline.duration_minutes.toFixed(0)} min</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-slate-400">Est. Fuel:</span>
+                  <span className="text-slate-300">~{baseline.fuel_liters.toFixed(1)} L</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-slate-400">Est. Cost:</span>
+                  <span className="text-slate-300">₹{baseline.cost_inr.toFixed(0)}</span>
+                </div>
+              </div>
+            </div>
+
+            {/* Optimized Route */}
+            <div className="border border-green-600 rounded-lg p-4 bg-green-900/10">
+              <div className="text-green-400 text-sm font-medium mb-3 flex items-center gap-2">
+                <CheckCircle className="w-4 h-4" />
+                Optimized Route
+                {details.optimized_source === 'candidate' && (
+                  <span className="text-xs text-slate-400 font-normal">(not yet saved)</span>
+                )}
+              </div>
+              {optimized ? (
+                <div className="space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Distance:</span>
+                    <span className="text-green-400 font-medium">{optimized.distance_km.toFixed(1)} km
+                      <span className="text-green-300 ml-2">({formatSaving(savings.distance_km, 'km')})</span>
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Est. Time:</span>
+                    <span className="text-green-400 font-medium">{optimized.duration_minutes.toFixed(0)} min
+                      <span className="text-green-300 ml-2">({formatSaving(savings.duration_minutes, 'min', 0)})</span>
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Est. Fuel:</span>
+                    <span className="text-green-400 font-medium">~{optimized.fuel_liters.toFixed(1)} L
+                      <span className="text-green-300 ml-2">({formatSaving(savings.fuel_liters, 'L')})</span>
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Est. Cost:</span>
+                    <span className="text-green-400 font-medium">₹{optimized.cost_inr.toFixed(0)}
+                      {savings.cost_inr > 0 && (
+                        <span className="text-green-300 ml-2">(-₹{savings.cost_inr.toFixed(0)} ✓)</span>
+                      )}
+                    </span>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-slate-400 text-sm">{details.message || 'Route not yet optimized'}</p>
+              )}
+            </div>
+          </div>
+
+          {/* Fuel Model */}
+          {fuelModel && (
+            <div className="mt-4 text-xs text-slate-400">
+              <span className="text-slate-300 font-medium">Fuel model: </span>
+              {fuelModel.vehicles.length > 0
+                ? fuelModel.vehicles.map(v => (
+                  <span key={v.vehicle_type} className="capitalize mr-3">
+                    {v.count} × {v.vehicle_type.replace('_', ' ')} @ {v.liters_per_km} L/km
+                  </span>
+                ))
+                : <span className="mr-3">no vehicles yet, assuming one truck</span>}
+              <span className="mr-3">= {fuelModel.liters_per_km} L/km</span>
+              <span>₹{fuelModel.price_per_liter_inr}/L</span>
+              {assumptions && (
+                <span className="block mt-1">
+                  Baseline assumes {assumptions.road_factor}× road factor over straight line at {assumptions.baseline_speed_kmh} km/h.
+                </span>
+              )}
+            </div>
+          )}
+
+          {/* Overall Savings */}
+          {savings && (
+            <div className="mt-6 p-4 bg-green-900/20 border border-green-700 rounded-lg">
+              <div className="flex items-center justify-between">
+                <span className="text-green-400 font-bold text-lg">
+                  ✓ Optimization Benefits:
+                </span>
+                <span className="text-green-300 text-sm">
+                  {savings.efficiency_improvement_percent > 0
+                    ? `${savings.efficiency_improvement_percent.toFixed(1)}% more efficient than direct route`
+                    : 'Optimal route selected'}
+                </span>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowRight, ArrowLeft, RotateCw } from 'lucide-react';
+import '../styles/otp.css';
+
+// Seconds the operator must wait before asking for another code
+const RESEND_COOLDOWN_S = 30;
+const OTP_LENGTH = 6;
+
+// Code entry step shared by the Login and Signup OTP wizards.
+// `devCode` is the OTP the backend echoes in debug mode while no SMS/email gateway
+// is wired up; it is only shown in dev builds.
+export default function OtpCodeEntry({
+  email,
+  devCode,
+  loading,
+  submitLabel = 'Verify code',
+  buttonClassName,
+  onVerify,
+  onResend,
+  onBack,
+}) {
+  const [code, setCode] = useState('');
+  const [cooldown, setCooldown] = useState(RESEND_COOLDOWN_S);
+  const [resending, setResending] = useState(false);
+
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown(c => c - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onVerify(code);
+  };
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      await onResend();
+      setCode('');
+      setCooldown(RESEND_COOLDOWN_S);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="otp-form">
+      <p className="otp-hint">
+        Enter the {OTP_LENGTH}-digit code sent to <span className="otp-hint-email">{email}</span>.
+        It expires in 5 minutes.
+      </p>
+
+      {import.meta.env.DEV && devCode && (
+        <p className="otp-dev-code">Development code: <span>{devCode}</span></p>
+      )}
+
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        maxLength={OTP_LENGTH}
+        placeholder="••••••"
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        className="input-field otp-code-input"
+        autoFocus
+        required
+      />
+
+      <div className="otp-resend-row">
+        <button type="button" onClick={onBack} className="otp-link-button">
+          <ArrowLeft className="otp-link-icon" /> Back
+        </button>
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={cooldown > 0 || resending || loading}
+          className="otp-link-button"
+        >
+          <RotateCw className="otp-link-icon" />
+          {cooldown > 0 ? `Resend in ${cooldown}s` : resending ? 'Sending...' : 'Resend code'}
+        </button>
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading || code.length !== OTP_LENGTH}
+        className={buttonClassName}
+      >
+        {loading ? 'Verifying...' : (
+          <>
+            <ArrowRight className="otp-link-icon" /> {submitLabel}
+          </>
+        )}
+      </button>
+    </form>
+  );
+}
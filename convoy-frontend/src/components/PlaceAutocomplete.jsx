@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { CheckCircle, Loader2 } from 'lucide-react';
+import { searchPlaces } from '../api/geocode';
+
+// Nominatim allows ~1 request/second, so wait for the planner to pause typing
+const SEARCH_DEBOUNCE_MS = 500;
+const MIN_QUERY_LENGTH = 3;
+
+// Text input with geocoded suggestions. Picking a suggestion (or a pin on the
+// map, handled by the parent) marks the location as verified.
+export default function PlaceAutocomplete({ label, placeholder, value, verified, onTextChange, onSelect }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const containerRef = useRef(null);
+
+  // Search only while the text is unverified; a picked place needs no lookup
+  useEffect(() => {
+    if (verified || value.trim().length < MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const data = await searchPlaces(value.trim(), { signal: controller.signal });
+        if (data.status === 'success') {
+          setSuggestions(data.results);
+          setHighlighted(-1);
+        }
+      } catch (err) {
+        if (!err.aborted) console.error('Place search error:', err);
+      } finally {
+        if (!controller.signal.aborted) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    // An aborted search skips its own reset above, so clear the spinner here
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+      setSearching(false);
+    };
+  }, [value, verified]);
+
+  // Close the dropdown on outside clicks
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const choose = (place) => {
+    onSelect(place);
+    setSuggestions([]);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(h => (h + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(h => (h <= 0 ? suggestions.length - 1 : h - 1));
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      // Don't submit the convoy form while picking a suggestion
+      e.preventDefault();
+      choose(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <label className="block text-sm font-medium text-slate-300 mb-2">{label} <span className="text-blue-400">*</span></label>
+      <div className="relative">
+        <input
+          type="text"
+          placeholder={placeholder}
+          value={value}
+          onChange={(e) => {
+            onTextChange(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          className={`w-full px-4 py-2 pr-10 bg-slate-700 border rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-blue-500 ${verified ? 'border-green-600' : 'border-slate-600'}`}
+          autoComplete="off"
+        />
+        <span className="absolute right-3 top-1/2 -translate-y-1/2">
+          {searching && <Loader2 className="w-4 h-4 text-slate-400 animate-spin" />}
+          {!searching && verified && <CheckCircle className="w-4 h-4 text-green-400" />}
+        </span>
+      </div>
+
+      {open && suggestions.length > 0 && (
+        <ul className="absolute z-[1000] mt-1 w-full bg-slate-800 border border-slate-600 rounded-lg shadow-xl max-h-60 overflow-auto">
+          {suggestions.map((place, index) => (
+            <li key={`${place.lat},${place.lon}`}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(place)}
+                className={`w-full text-left px-4 py-2 text-sm ${index === highlighted ? 'bg-slate-700 text-white' : 'text-slate-300 hover:bg-slate-700'}`}
+              >
+                {place.display_name}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="text-xs text-slate-400 mt-1">
+        {verified ? '✓ Location verified' : '💡 Pick a suggestion or drop a pin on the map to verify'}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { Crosshair, X, AlertCircle, MapPin } from 'lucide-react';
+import { checkPointRisk } from '../api/riskZones';
+import { getNearbyCheckpoints } from '../api/checkpoints';
+import { RISK_STYLES, CHECKPOINT_STATUS_COLORS } from '../utils/mapIcons';
+
+// How far to look for checkpoints and how many to list
+const NEARBY_RADIUS_KM = 50;
+const NEARBY_LIMIT = 5;
+
+// Risk readout for one clicked map point: the risk engine's penalty, the
+// zones it falls inside and the closest checkpoints. `onSelectCheckpoint`
+// lets the map pan to a listed checkpoint.
+export default function PointInspector({ point, onClose, onSelectCheckpoint }) {
+  const [risk, setRisk] = useState(null);
+  const [nearby, setNearby] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const inspect = async () => {
+      setLoading(true);
+      setError('');
+      setRisk(null);
+      setNearby(null);
+      try {
+        const [riskData, nearbyData] = await Promise.all([
+          checkPointRisk(point.lat, point.lon, { signal: controller.signal }),
+          getNearbyCheckpoints(point.lat, point.lon, NEARBY_RADIUS_KM, { signal: controller.signal }),
+        ]);
+        setRisk(riskData);
+        setNearby((nearbyData.checkpoints || []).slice(0, NEARBY_LIMIT));
+      } catch (err) {
+        if (err.aborted) return;
+        console.error('Error inspecting point:', err);
+        setError(err.detail || 'Could not inspect this point');
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    inspect();
+    return () => controller.abort();
+  }, [point.lat, point.lon]);
+
+  return (
+    <div className="bg-slate-900/95 border border-slate-700 rounded-lg shadow-xl p-4 text-sm">
+      <div className="flex items-start justify-between gap-2 mb-3">
+        <div>
+          <p className="text-white font-semibold flex items-center gap-2">
+            <Crosshair className="w-4 h-4 text-blue-400" />
+            Point Risk
+          </p>
+          <p className="text-slate-400 font-mono text-xs mt-1">{point.lat.toFixed(5)}, {point.lon.toFixed(5)}</p>
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-white" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {loading && <p className="text-slate-400">Checking...</p>}
+
+      {error && (
+        <p className="text-red-300 flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </p>
+      )}
+
+      {risk && (
+        <div className="mb-4">
+          <div className={`px-3 py-2 rounded border mb-2 ${
+            risk.in_risk_zone
+              ? 'bg-red-500/10 border-red-500/30 text-red-300'
+              : 'bg-emerald-500/10 border-emerald-500/30 text-emerald-300'
+          }`}>
+            {risk.in_risk_zone
+              ? `Inside ${risk.zones.length} risk zone${risk.zones.length !== 1 ? 's' : ''} · penalty ${risk.risk_penalty}`
+              : 'Not inside any risk zone · penalty 0'}
+          </div>
+          {risk.zones.map(zone => (
+            <div key={zone.id} className="flex items-center justify-between gap-2 py-1.5 border-b border-slate-800">
+              <div className="min-w-0">
+                <p className="text-white truncate">{zone.name}</p>
+                <p className="text-slate-500 text-xs">
+                  {zone.distance_from_center_km} km from center · radius {zone.radius_km} km
+                </p>
+              </div>
+              <span
+                className="text-xs font-medium capitalize flex-shrink-0"
+                style={{ color: RISK_STYLES[zone.risk_level]?.color }}
+              >
+                {zone.risk_level}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {nearby && (
+        <div>
+          <p className="text-slate-400 text-xs uppercase tracking-wide mb-1">Nearest checkpoints</p>
+          {nearby.length === 0 ? (
+            <p className="text-slate-500">None within {NEARBY_RADIUS_KM} km</p>
+          ) : (
+            nearby.map(cp => (
+              <button
+                key={cp.checkpoint_id}
+                type="button"
+                onClick={() => onSelectCheckpoint?.(cp)}
+                className="w-full flex items-center justify-between gap-2 py-1.5 border-b border-slate-800 text-left hover:bg-slate-800/60"
+              >
+                <div className="min-w-0">
+                  <p className="text-white truncate flex items-center gap-1">
+                    <MapPin className="w-3 h-3 text-slate-500 flex-shrink-0" />
+                    {cp.name}
+                  </p>
+                  <p className="text-slate-500 text-xs capitalize">
+                    {cp.checkpoint_type?.replace('_', ' ')} ·{' '}
+                    <span style={{ color: CHECKPOINT_STATUS_COLORS[cp.status] }}>{cp.status}</span>
+                  </p>
+                </div>
+                <span className="text-slate-300 font-mono text-xs flex-shrink-0">{cp.distance_km} km</span>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/useAuth';
+import { buildLoginPath } from '../api/session';
+
+// Layout route for operational pages: anonymous visitors are sent to
+// /login?next=<requested page> and land back there after signing in.
+// With `role`, signed-in users without that role go to the dashboard instead.
+export default function RequireAuth({ role }) {
+  const { isAuthenticated, user } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to={buildLoginPath(`${location.pathname}${location.search}`)} replace />;
+  }
+
+  if (role && user?.role !== role) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return <Outlet />;
+}
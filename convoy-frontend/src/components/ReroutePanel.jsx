@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { createTileLayer } from '../utils/tileSources';
+import { Construction, RotateCcw, Navigation, CheckCircle, AlertCircle } from 'lucide-react';
+import { dynamicReroute } from '../api/routes';
+
+// Matches CLOSURE_RADIUS_KM in core/dynamic_router.py (default 1 km)
+const CLOSURE_RADIUS_M = 1000;
+
+const closureIcon = L.divIcon({
+  className: '',
+  html: `<div style="width: 18px; height: 18px; border-radius: 4px; background: #dc2626; border: 2px solid #ffffff; color: #ffffff; font: bold 12px/14px sans-serif; text-align: center; box-shadow: 0 0 4px rgba(0,0,0,0.6);">✕</div>`,
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+});
+
+const formatDelta = (value, unit, digits = 1) => {
+  if (!value) return `±0 ${unit}`;
+  return `${value > 0 ? '+' : ''}${value.toFixed(digits)} ${unit}`;
+};
+
+// Lower is better for every metric in the diff
+const deltaColor = (value) => {
+  if (value < 0) return 'text-green-400';
+  if (value > 0) return 'text-red-400';
+  return 'text-slate-400';
+};
+
+// Road-closure editor for ViewRoute: click the map to drop closure points,
+// run /api/routes/dynamic_reroute and compare the result with the original.
+// Adopting is only offered when `onAdopt` is given.
+export default function ReroutePanel({ startPoint, endPoint, currentRoute = [], onAdopt }) {
+  const mapContainer = useRef(null);
+  const mapRef = useRef(null);
+  const baseLayerRef = useRef(null);
+  const closureLayerRef = useRef(null);
+  const resultLayerRef = useRef(null);
+
+  const [closures, setClosures] = useState([]);
+  const [result, setResult] = useState(null);
+  const [computing, setComputing] = useState(false);
+  const [adopting, setAdopting] = useState(false);
+  const [adopted, setAdopted] = useState(false);
+  const [error, setError] = useState('');
+
+  // Map initialization
+  useEffect(() => {
+    if (!mapContainer.current || mapRef.current) return;
+
+    mapRef.current = L.map(mapContainer.current).setView([startPoint.lat, startPoint.lon], 11);
+    createTileLayer().addTo(mapRef.current);
+
+    baseLayerRef.current = L.layerGroup().addTo(mapRef.current);
+    resultLayerRef.current = L.layerGroup().addTo(mapRef.current);
+    closureLayerRef.current = L.layerGroup().addTo(mapRef.current);
+
+    mapRef.current.on('click', (e) => {
+      setClosures(prev => [...prev, { id: Date.now(), lat: e.latlng.lat, lon: e.latlng.lng }]);
+      setResult(null);
+      setAdopted(false);
+    });
+
+    return () => {
+      mapRef.current.remove();
+      mapRef.current = null;
+    };
+  }, [startPoint.lat, startPoint.lon]);
+
+  // Current route with start/end markers
+  useEffect(() => {
+    const layer = baseLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+
+    L.circleMarker([startPoint.lat, startPoint.lon], {
+      radius: 7, fillColor: '#10b981', color: '#ffffff', weight: 2, fillOpacity: 0.9,
+    }).bindPopup('Start Point').addTo(layer);
+    L.circleMarker([endPoint.lat, endPoint.lon], {
+      radius: 7, fillColor: '#ef4444', color: '#ffffff', weight: 2, fillOpacity: 0.9,
+    }).bindPopup('End Point').addTo(layer);
+
+    if (currentRoute.length > 0 && !result) {
+      const polyline = L.polyline(currentRoute, { color: '#3b82f6', weight: 3, opacity: 0.7 }).addTo(layer);
+      mapRef.current.fitBounds(polyline.getBounds(), { padding: [30, 30] });
+    }
+  }, [startPoint.lat, startPoint.lon, endPoint.lat, endPoint.lon, currentRoute, result]);
+
+  // Closure markers; click a marker to remove it
+  useEffect(() => {
+    const layer = closureLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+
+    closures.forEach(closure => {
+      L.circle([closure.lat, closure.lon], {
+        radius: CLOSURE_RADIUS_M,
+        color: '#dc2626',
+        fillColor: '#dc2626',
+        fillOpacity: 0.1,
+        weight: 1,
+        dashArray: '4 4',
+        interactive: false,
+      }).addTo(layer);
+
+      L.marker([closure.lat, closure.lon], { icon: closureIcon, title: 'Click to remove closure' })
+        .on('click', (e) => {
+          L.DomEvent.stopPropagation(e);
+          setClosures(prev => prev.filter(c => c.id !== closure.id));
+          setResult(null);
+          setAdopted(false);
+        })
+        .addTo(layer);
+    });
+  }, [closures]);
+
+  // Reroute result: original dashed, optimized solid, closed segments in red
+  useEffect(() => {
+    const layer = resultLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    if (!result) return;
+
+    L.polyline(result.original_route, {
+      color: '#94a3b8',
+      weight: 4,
+      opacity: 0.8,
+      dashArray: '8 8',
+    }).bindPopup('Original route').addTo(layer);
+
+    const optimized = L.polyline(result.optimized_route, {
+      color: '#10b981',
+      weight: 5,
+      opacity: 0.9,
+    }).bindPopup('Rerouted path').addTo(layer);
+
+    (result.original?.closed_segments || []).concat(result.closed_segments || []).forEach(([lat, lon]) => {
+      L.circleMarker([lat, lon], {
+        radius: 5,
+        color: '#ef4444',
+        fillColor: '#ef4444',
+        fillOpacity: 0.9,
+        weight: 1,
+      }).bindPopup('Closed segment').addTo(layer);
+    });
+
+    mapRef.current.fitBounds(optimized.getBounds().extend(L.polyline(result.original_route).getBounds()), { padding: [30, 30] });
+  }, [result]);
+
+  const computeReroute = async () => {
+    setComputing(true);
+    setError('');
+    setAdopted(false);
+    try {
+      const data = await dynamicReroute({
+        startLat: startPoint.lat,
+        startLon: startPoint.lon,
+        endLat: endPoint.lat,
+        endLon: endPoint.lon,
+        closurePoints: closures,
+      });
+      if (data.status === 'success') {
+        setResult(data);
+      } else {
+        setError(data.message || 'Reroute failed');
+      }
+    } catch (err) {
+      setError(err.detail || 'Reroute failed');
+    } finally {
+      setComputing(false);
+    }
+  };
+
+  const clearClosures = () => {
+    setClosures([]);
+    setResult(null);
+    setAdopted(false);
+    setError('');
+  };
+
+  const adoptRoute = async () => {
+    setAdopting(true);
+    setError('');
+    try {
+      await onAdopt(result);
+      setAdopted(true);
+    } catch (err) {
+      setError(err.detail || 'Failed to save route');
+    } finally {
+      setAdopting(false);
+    }
+  };
+
+  const original = result?.original;
+  const diff = result && original ? {
+    distance: result.distance_km - original.distance_km,
+    duration: result.duration_minutes - original.duration_minutes,
+    safety: result.safety_score - original.safety_score,
+  } : null;
+  const unchanged = result && result.optimized_route.length === result.original_route.length &&
+    result.optimized_route.every((p, i) => p[0] === result.original_route[i][0] && p[1] === result.original_route[i][1]);
+
+  return (
+    <div className="bg-slate-800 rounded-lg border border-slate-700 p-6 mb-8">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-white font-bold text-xl flex items-center gap-2">
+            <Construction className="w-6 h-6 text-orange-400" />
+            Dynamic Reroute
+          </h3>
+          <p className="text-slate-400 text-sm mt-1">
+            Click the map to mark road closures, click a closure to remove it, then compute an alternative route.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={clearClosures}
+            disabled={closures.length === 0 && !result}
+            className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm font-medium rounded-md disabled:opacity-50 transition-colors"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Clear
+          </button>
+          <button
+            onClick={computeReroute}
+            disabled={computing}
+            className="flex items-center gap-2 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold rounded-md disabled:opacity-60 transition-colors"
+          >
+            <Navigation className="w-4 h-4" />
+            {computing ? 'Computing...' : `Reroute (${closures.length} closure${closures.length !== 1 ? 's' : ''})`}
+          </button>
+        </div>
+      </div>
+
+      <div
+        ref={mapContainer}
+        className="w-full h-80 md:h-96 bg-slate-900 rounded-lg border border-slate-700 overflow-hidden cursor-crosshair"
+      />
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-4 mt-3 text-xs text-slate-400">
+        <span className="flex items-center gap-2"><span className="w-6 border-t-2 border-dashed border-slate-400" /> Original</span>
+        <span className="flex items-center gap-2"><span className="w-6 h-1 bg-emerald-500 rounded" /> Rerouted</span>
+        <span className="flex items-center gap-2"><span className="w-2 h-2 bg-red-500 rounded-full" /> Closed segment</span>
+        <span className="flex items-center gap-2"><span className="w-3 h-3 bg-red-600 rounded-sm" /> Closure point</span>
+      </div>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-500/10 border border-red-500/30 rounded text-red-300 text-sm flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {result && diff && (
+        <div className="mt-6">
+          <div className="grid grid-cols-4 gap-2 text-sm border border-slate-700 rounded-lg overflow-hidden">
+            <div className="bg-slate-900/50 p-3 text-slate-400 font-medium">Metric</div>
+            <div className="bg-slate-900/50 p-3 text-slate-400 font-medium">Original</div>
+            <div className="bg-slate-900/50 p-3 text-slate-400 font-medium">Rerouted</div>
+            <div className="bg-slate-900/50 p-3 text-slate-400 font-medium">Change</div>
+
+            <div className="p-3 text-slate-400">Distance</div>
+            <div className="p-3 text-slate-300">{original.distance_km} km</div>
+            <div className="p-3 text-white font-medium">{result.distance_km} km</div>
+            <div className={`p-3 font-medium ${deltaColor(diff.distance)}`}>{formatDelta(diff.distance, 'km')}</div>
+
+            <div className="p-3 text-slate-400">Duration</div>
+            <div className="p-3 text-slate-300">{original.duration_minutes} min</div>
+            <div className="p-3 text-white font-medium">{result.duration_minutes} min</div>
+            <div className={`p-3 font-medium ${deltaColor(diff.duration)}`}>{formatDelta(diff.duration, 'min', 0)}</div>
+
+            <div className="p-3 text-slate-400" title="Route cost from weather, slope and closures; lower is safer">Safety score</div>
+            <div className="p-3 text-slate-300">{original.safety_score}</div>
+            <div className="p-3 text-white font-medium">{result.safety_score}</div>
+            <div className={`p-3 font-medium ${deltaColor(diff.safety)}`}>{formatDelta(diff.safety, '', 2)}</div>
+
+            <div className="p-3 text-slate-400">Closed segments</div>
+            <div className="p-3 text-slate-300">{original.closed_segments.length}</div>
+            <div className="p-3 text-white font-medium">{result.closed_segments.length}</div>
+            <div className={`p-3 font-medium ${deltaColor(result.closed_segments.length - original.closed_segments.length)}`}>
+              {result.closed_segments.length - original.closed_segments.length}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between mt-4">
+            <p className="text-slate-400 text-xs">
+              {unchanged
+                ? 'The original route is already the best option for these closures.'
+                : 'Safety score is the route cost from weather, slope and closures; lower is safer.'}
+            </p>
+            {!onAdopt ? (
+              <span className="text-slate-400 text-xs text-right">
+                This route runs through intermediate stops or a merge pickup; a start-to-end reroute can't replace it.
+              </span>
+            ) : adopted ? (
+              <span className="flex items-center gap-2 text-green-400 text-sm font-medium">
+                <CheckCircle className="w-4 h-4" />
+                Route adopted
+              </span>
+            ) : (
+              <button
+                onClick={adoptRoute}
+                disabled={adopting || unchanged}
+                className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm font-semibold rounded-md disabled:opacity-60 transition-colors"
+              >
+                <CheckCircle className="w-4 h-4" />
+                {adopting ? 'Saving...' : 'Adopt New Route'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
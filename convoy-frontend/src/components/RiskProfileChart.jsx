@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { RISK_STYLES } from '../utils/mapIcons';
+import { RISK_PENALTIES, MAX_RISK_PENALTY, riskStretchAt } from '../utils/riskProfile';
+
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 160;
+
+const yFor = (penalty) => CHART_HEIGHT - (penalty / MAX_RISK_PENALTY) * (CHART_HEIGHT - 8);
+
+// Risk penalty against distance along the route, from buildRiskProfile().
+// Hovering reports the sample index through `onHover` (null on leave) so the
+// map can highlight the matching stretch.
+export default function RiskProfileChart({ profile, onHover }) {
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const { samples, totalKm } = profile;
+  if (samples.length < 2 || !totalKm) return null;
+
+  const xFor = (distanceKm) => (distanceKm / totalKm) * CHART_WIDTH;
+
+  const handleMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    const index = Math.round(fraction * (samples.length - 1));
+    if (index === hoverIndex) return;
+    setHoverIndex(index);
+    onHover?.(index);
+  };
+
+  const handleLeave = () => {
+    setHoverIndex(null);
+    onHover?.(null);
+  };
+
+  const hovered = hoverIndex !== null ? samples[hoverIndex] : null;
+  const stretch = hovered ? riskStretchAt(samples, hoverIndex) : null;
+  const riskyKm = samples.slice(1).reduce(
+    (sum, sample, i) => (samples[i].penalty > 0 ? sum + sample.distanceKm - samples[i].distanceKm : sum),
+    0
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between gap-2 text-sm mb-2">
+        <p className="text-slate-400">
+          {riskyKm > 0
+            ? `${riskyKm.toFixed(1)} of ${totalKm.toFixed(1)} km inside risk zones`
+            : 'No part of the route enters a risk zone'}
+        </p>
+        {hovered && (
+          <p className="text-slate-200">
+            <span className="font-mono">{hovered.distanceKm.toFixed(1)} km</span>
+            {' · '}
+            {hovered.level
+              ? `${RISK_STYLES[hovered.level]?.label || hovered.level} (penalty ${hovered.penalty}) · ${hovered.zones.map(z => z.name).join(', ')}`
+              : 'No risk zone'}
+            {stretch && (
+              <span className="text-slate-400"> · {stretch.fromKm.toFixed(1)}–{stretch.toKm.toFixed(1)} km</span>
+            )}
+          </p>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        {/* Penalty scale */}
+        <div className="relative w-16 text-right text-xs text-slate-500" style={{ height: CHART_HEIGHT }}>
+          {Object.entries(RISK_PENALTIES).map(([level, penalty]) => (
+            <span
+              key={level}
+              className="absolute right-0 -translate-y-1/2"
+              style={{ top: `${(yFor(penalty) / CHART_HEIGHT) * 100}%` }}
+            >
+              {penalty}
+            </span>
+          ))}
+          <span className="absolute right-0 bottom-0">0</span>
+        </div>
+
+        <div className="flex-1 min-w-0">
+          <svg
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            preserveAspectRatio="none"
+            className="w-full bg-slate-900 rounded border border-slate-700 cursor-crosshair"
+            style={{ height: CHART_HEIGHT }}
+            onMouseMove={handleMove}
+            onMouseLeave={handleLeave}
+          >
+            {Object.values(RISK_PENALTIES).map(penalty => (
+              <line
+                key={penalty}
+                x1={0}
+                x2={CHART_WIDTH}
+                y1={yFor(penalty)}
+                y2={yFor(penalty)}
+                stroke="#334155"
+                strokeDasharray="6 6"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+
+            {stretch && (
+              <rect
+                x={xFor(stretch.fromKm)}
+                width={Math.max(xFor(stretch.toKm) - xFor(stretch.fromKm), 2)}
+                y={0}
+                height={CHART_HEIGHT}
+                fill="#3b82f6"
+                fillOpacity={0.15}
+              />
+            )}
+
+            {samples.slice(1).map((sample, i) => {
+              const prev = samples[i];
+              if (!prev.penalty) return null;
+              return (
+                <rect
+                  key={i}
+                  x={xFor(prev.distanceKm)}
+                  width={xFor(sample.distanceKm) - xFor(prev.distanceKm) + 0.5}
+                  y={yFor(prev.penalty)}
+                  height={CHART_HEIGHT - yFor(prev.penalty)}
+                  fill={RISK_STYLES[prev.level]?.color || RISK_STYLES.high.color}
+                  fillOpacity={0.8}
+                />
+              );
+            })}
+
+            {hovered && (
+              <line
+                x1={xFor(hovered.distanceKm)}
+                x2={xFor(hovered.distanceKm)}
+                y1={0}
+                y2={CHART_HEIGHT}
+                stroke="#e2e8f0"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+
+          <div className="flex justify-between text-xs text-slate-500 mt-1">
+            <span>0 km</span>
+            <span>{(totalKm / 2).toFixed(0)} km</span>
+            <span>{totalKm.toFixed(0)} km</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
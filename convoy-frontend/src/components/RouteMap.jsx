@@ -1,5 +1,6 @@
 import React, { useEffect } from "react";
 import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from "react-leaflet";
+import { DEFAULT_TILE_SOURCE } from "../utils/tileSources";
 
 function FitBounds({ positions }) {
   const map = useMap();
@@ -27,8 +28,11 @@ export default function RouteMap({ route }) {
         scrollWheelZoom={true}
       >
         <TileLayer
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          attribution="© OpenStreetMap contributors"
+          url={DEFAULT_TILE_SOURCE.url}
+          attribution={DEFAULT_TILE_SOURCE.attribution}
+          minZoom={DEFAULT_TILE_SOURCE.minZoom}
+          maxZoom={DEFAULT_TILE_SOURCE.maxZoom}
+          subdomains={DEFAULT_TILE_SOURCE.subdomains}
         />
 
         {start && (
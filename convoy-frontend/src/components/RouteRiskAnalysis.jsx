@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { createTileLayer } from '../utils/tileSources';
+import { RISK_STYLES } from '../utils/mapIcons';
+import { riskZoneShape, isPolygonZone } from '../utils/riskZoneShapes';
+import { escapeHtml } from '../utils/html';
+import { ShieldAlert, PenLine, RotateCcw, Undo2, CheckCircle, AlertCircle } from 'lucide-react';
+import { analyzeRouteRisks } from '../api/riskZones';
+
+// Within MAX_BUFFER_KM in routers/risk_zones.py
+const SLIDER_MAX_KM = 20;
+// Wait for the slider to settle before re-running the analysis
+const ANALYZE_DEBOUNCE_MS = 350;
+
+const vertexIcon = L.divIcon({
+  className: '',
+  html: '<div style="width: 12px; height: 12px; border-radius: 50%; background: #10b981; border: 2px solid #ffffff; box-shadow: 0 0 4px rgba(0,0,0,0.6);"></div>',
+  iconSize: [12, 12],
+  iconAnchor: [6, 6],
+});
+
+const formatKm = (km) => (km === null || km === undefined ? '—' : `${km.toFixed(1)} km`);
+
+const summarize = (analysis) => analysis && {
+  distanceKm: analysis.route_distance_km,
+  zones: analysis.total_dangers,
+  high: analysis.high_risk_count,
+  insideKm: analysis.danger_points.reduce((sum, d) => sum + (d.inside_km || 0), 0),
+};
+
+// Risk check for ViewRoute on /api/risk-zones/analyze_route: a buffer slider
+// re-runs the analysis on the current route, and the planner can draw an
+// alternative polyline (clicks between start and end) to compare and adopt.
+// Drawing is only offered when `onAdopt` is given.
+export default function RouteRiskAnalysis({ startPoint, endPoint, currentRoute = [], routeDistanceKm, routeDurationMinutes, onAdopt }) {
+  const mapContainer = useRef(null);
+  const mapRef = useRef(null);
+  const baseLayerRef = useRef(null);
+  const zoneLayerRef = useRef(null);
+  const drawLayerRef = useRef(null);
+  const drawingRef = useRef(false);
+
+  const [bufferKm, setBufferKm] = useState(1);
+  const [drawing, setDrawing] = useState(false);
+  const [vertices, setVertices] = useState([]);
+  const [analyses, setAnalyses] = useState({ current: null, alternative: null });
+  const [view, setView] = useState('current');
+  const [analyzing, setAnalyzing] = useState(false);
+  const [error, setError] = useState('');
+  const [adopting, setAdopting] = useState(false);
+  const [adopted, setAdopted] = useState(false);
+
+  // Drawn route: start, clicked points in order, end
+  const alternativeRoute = useMemo(() => (vertices.length > 0
+    ? [[startPoint.lat, startPoint.lon], ...vertices.map(v => [v.lat, v.lon]), [endPoint.lat, endPoint.lon]]
+    : null
+  ), [vertices, startPoint.lat, startPoint.lon, endPoint.lat, endPoint.lon]);
+
+  // Without a drawn route there is nothing to show under "alternative"
+  const shownView = alternativeRoute ? view : 'current';
+
+  useEffect(() => {
+    drawingRef.current = drawing;
+  }, [drawing]);
+
+  // Map initialization
+  useEffect(() => {
+    if (!mapContainer.current || mapRef.current) return;
+
+    mapRef.current = L.map(mapContainer.current).setView([startPoint.lat, startPoint.lon], 9);
+    createTileLayer().addTo(mapRef.current);
+
+    zoneLayerRef.current = L.layerGroup().addTo(mapRef.current);
+    baseLayerRef.current = L.layerGroup().addTo(mapRef.current);
+    drawLayerRef.current = L.layerGroup().addTo(mapRef.current);
+
+    mapRef.current.on('click', (e) => {
+      if (!drawingRef.current) return;
+      setVertices(prev => [...prev, { id: Date.now(), lat: e.latlng.lat, lon: e.latlng.lng }]);
+      setAdopted(false);
+    });
+
+    return () => {
+      mapRef.current.remove();
+      mapRef.current = null;
+    };
+  }, [startPoint.lat, startPoint.lon]);
+
+  // Current route with start/end markers
+  useEffect(() => {
+    const layer = baseLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+
+    L.circleMarker([startPoint.lat, startPoint.lon], {
+      radius: 7, fillColor: '#10b981', color: '#ffffff', weight: 2, fillOpacity: 0.9,
+    }).bindPopup('Start Point').addTo(layer);
+    L.circleMarker([endPoint.lat, endPoint.lon], {
+      radius: 7, fillColor: '#ef4444', color: '#ffffff', weight: 2, fillOpacity: 0.9,
+    }).bindPopup('End Point').addTo(layer);
+
+    if (currentRoute.length > 0) {
+      const polyline = L.polyline(currentRoute, { color: '#3b82f6', weight: 3, opacity: 0.7 })
+        .bindPopup('Current route')
+        .addTo(layer);
+      mapRef.current.fitBounds(polyline.getBounds(), { padding: [30, 30] });
+    }
+  }, [startPoint.lat, startPoint.lon, endPoint.lat, endPoint.lon, currentRoute]);
+
+  // Drawn alternative; click a vertex to remove it
+  useEffect(() => {
+    const layer = drawLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    if (!alternativeRoute) return;
+
+    L.polyline(alternativeRoute, { color: '#10b981', weight: 4, opacity: 0.9, dashArray: '8 6' })
+      .bindPopup('Drawn alternative')
+      .addTo(layer);
+
+    vertices.forEach(vertex => {
+      L.marker([vertex.lat, vertex.lon], { icon: vertexIcon, title: 'Click to remove point' })
+        .on('click', (e) => {
+          L.DomEvent.stopPropagation(e);
+          setVertices(prev => prev.filter(v => v.id !== vertex.id));
+          setAdopted(false);
+        })
+        .addTo(layer);
+    });
+  }, [alternativeRoute, vertices]);
+
+  // Zones flagged for the route in view: the zone itself and its buffer ring
+  useEffect(() => {
+    const layer = zoneLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+
+    (analyses[shownView]?.danger_points || []).forEach(zone => {
+      const color = RISK_STYLES[zone.risk_level]?.color || RISK_STYLES.high.color;
+      riskZoneShape(zone, {
+        color,
+        fillColor: color,
+        fillOpacity: 0.15,
+        weight: 1.5,
+      })
+        .bindPopup(`<strong>${escapeHtml(zone.name)}</strong><br/>Risk Level: ${zone.risk_level.toUpperCase()}`)
+        .addTo(layer);
+      // Polygons are flagged by distance from their edge; only circles get a ring
+      if (isPolygonZone(zone)) return;
+      L.circle([zone.lat, zone.lon], {
+        radius: (zone.radius_km + bufferKm) * 1000,
+        color,
+        fill: false,
+        weight: 1,
+        dashArray: '4 4',
+        interactive: false,
+      }).addTo(layer);
+    });
+  }, [analyses, shownView, bufferKm]);
+
+  // Re-run the analysis whenever the buffer or either route changes
+  useEffect(() => {
+    if (currentRoute.length < 2) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setAnalyzing(true);
+      setError('');
+      try {
+        const [current, alternative] = await Promise.all([
+          analyzeRouteRisks(currentRoute, bufferKm, { signal: controller.signal }),
+          alternativeRoute ? analyzeRouteRisks(alternativeRoute, bufferKm, { signal: controller.signal }) : null,
+        ]);
+        setAnalyses({ current, alternative });
+      } catch (err) {
+        if (err.aborted) return;
+        setError(err.detail || 'Risk analysis failed');
+      } finally {
+        if (!controller.signal.aborted) setAnalyzing(false);
+      }
+    }, ANALYZE_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [currentRoute, alternativeRoute, bufferKm]);
+
+  const toggleDrawing = () => {
+    if (!drawing) setView('alternative');
+    setDrawing(!drawing);
+  };
+
+  const clearDrawing = () => {
+    setVertices([]);
+    setDrawing(false);
+    setView('current');
+    setAdopted(false);
+  };
+
+  // Duration is estimated at the current route's average speed
+  const adoptAlternative = async () => {
+    const distanceKm = analyses.alternative.route_distance_km;
+    const minutesPerKm = routeDistanceKm ? routeDurationMinutes / routeDistanceKm : 0;
+    setAdopting(true);
+    setError('');
+    try {
+      await onAdopt({
+        optimized_route: alternativeRoute,
+        distance_km: distanceKm,
+        duration_minutes: Math.round(distanceKm * minutesPerKm),
+      });
+      setAdopted(true);
+    } catch (err) {
+      setError(err.detail || 'Failed to save route');
+    } finally {
+      setAdopting(false);
+    }
+  };
+
+  const current = summarize(analyses.current);
+  const alternative = alternativeRoute ? summarize(analyses.alternative) : null;
+  const zones = [...(analyses[shownView]?.danger_points || [])]
+    .sort((a, b) => (a.entry_km ?? Infinity) - (b.entry_km ?? Infinity));
+
+  return (
+    <div className="bg-slate-800 rounded-lg border border-slate-700 p-6 mb-8">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-white font-bold text-xl flex items-center gap-2">
+            <ShieldAlert className="w-6 h-6 text-red-400" />
+            Route Risk Analysis
+          </h3>
+          <p className="text-slate-400 text-sm mt-1">
+            Widen the buffer to include zones near the route.
+            {onAdopt && ' Draw an alternative to compare it before adopting.'}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {vertices.length > 0 && (
+            <>
+              <button
+                onClick={() => {
+                  setVertices(prev => prev.slice(0, -1));
+                  setAdopted(false);
+                }}
+                className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm font-medium rounded-md transition-colors"
+              >
+                <Undo2 className="w-4 h-4" />
+                Undo
+              </button>
+              <button
+                onClick={clearDrawing}
+                className="flex items-center gap-2 px-3 py-2 bg-slate-700 hover:bg-slate-600 text-slate-200 text-sm font-medium rounded-md transition-colors"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Clear
+              </button>
+            </>
+          )}
+          {onAdopt && (
+            <button
+              onClick={toggleDrawing}
+              className={`flex items-center gap-2 px-3 py-2 text-sm font-semibold rounded-md transition-colors ${
+                drawing ? 'bg-emerald-600 hover:bg-emerald-700 text-white' : 'bg-blue-600 hover:bg-blue-700 text-white'
+              }`}
+            >
+              <PenLine className="w-4 h-4" />
+              {drawing ? 'Done Drawing' : 'Draw Alternative'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-4 mb-4">
+        <label htmlFor="risk-buffer" className="text-slate-400 text-sm whitespace-nowrap">Buffer</label>
+        <input
+          id="risk-buffer"
+          type="range"
+          min={0}
+          max={SLIDER_MAX_KM}
+          step={0.5}
+          value={bufferKm}
+          onChange={(e) => setBufferKm(Number(e.target.value))}
+          className="flex-1 accent-blue-500"
+        />
+        <span className="text-white font-mono text-sm w-16 text-right">{bufferKm.toFixed(1)} km</span>
+        {analyzing && <span className="text-slate-500 text-xs">Analyzing...</span>}
+      </div>
+
+      <div
+        ref={mapContainer}
+        className={`w-full h-80 md:h-96 bg-slate-900 rounded-lg border overflow-hidden ${
+          drawing ? 'border-emerald-500 cursor-crosshair' : 'border-slate-700'
+        }`}
+      />
+      <p className="text-slate-500 text-xs mt-2">
+        {drawing
+          ? 'Click the map to add points between start and end; click a point to remove it.'
+          : 'Drawn routes are straight lines between your points and are not snapped to roads.'}
+      </p>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-500/10 border border-red-500/30 rounded text-red-300 text-sm flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {current && alternative && (
+        <div className="mt-6">
+          <div className="grid grid-cols-3 gap-2 text-sm border border-slate-700 rounded-lg overflow-hidden">
+            <div className="bg-slate-900/50 p-3 text-slate-400 font-medium">Metric</div>
+            <div className="bg-slate-900/50 p-3 text-slate-400 font-medium">Current</div>
+            <div className="bg-slate-900/50 p-3 text-slate-400 font-medium">Drawn</div>
+
+            <div className="p-3 text-slate-400">Distance</div>
+            <div className="p-3 text-slate-300">{formatKm(current.distanceKm)}</div>
+            <div className="p-3 text-white font-medium">{formatKm(alternative.distanceKm)}</div>
+
+            <div className="p-3 text-slate-400">Risk zones</div>
+            <div className="p-3 text-slate-300">{current.zones}</div>
+            <div className="p-3 text-white font-medium">{alternative.zones}</div>
+
+            <div className="p-3 text-slate-400">High-risk zones</div>
+            <div className="p-3 text-slate-300">{current.high}</div>
+            <div className="p-3 text-white font-medium">{alternative.high}</div>
+
+            <div className="p-3 text-slate-400">Inside zones</div>
+            <div className="p-3 text-slate-300">{formatKm(current.insideKm)}</div>
+            <div className="p-3 text-white font-medium">{formatKm(alternative.insideKm)}</div>
+          </div>
+
+          <div className="flex justify-end mt-4">
+            {adopted ? (
+              <span className="flex items-center gap-2 text-green-400 text-sm font-medium">
+                <CheckCircle className="w-4 h-4" />
+                Route adopted
+              </span>
+            ) : (
+              <button
+                onClick={adoptAlternative}
+                disabled={adopting || drawing || analyzing}
+                title={drawing ? 'Finish drawing first' : undefined}
+                className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white text-sm font-semibold rounded-md disabled:opacity-60 transition-colors"
+              >
+                <CheckCircle className="w-4 h-4" />
+                {adopting ? 'Saving...' : 'Adopt Drawn Route'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {analyses.current && (
+        <div className="mt-6">
+          {alternativeRoute && (
+            <div className="flex gap-2 mb-3">
+              {[['current', 'Current route'], ['alternative', 'Drawn alternative']].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setView(key)}
+                  className={`px-3 py-1.5 rounded-md text-sm font-medium border transition-colors ${
+                    shownView === key
+                      ? 'bg-blue-600/20 text-blue-400 border-blue-500/30'
+                      : 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {zones.length === 0 ? (
+            <p className="text-slate-400 text-sm">No risk zones within {bufferKm.toFixed(1)} km of this route.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-slate-400 text-left border-b border-slate-700">
+                    <th className="py-2 pr-4 font-medium">Zone</th>
+                    <th className="py-2 pr-4 font-medium">Level</th>
+                    <th className="py-2 pr-4 font-medium">Entry</th>
+                    <th className="py-2 pr-4 font-medium">Exit</th>
+                    <th className="py-2 pr-4 font-medium">Inside</th>
+                    <th className="py-2 font-medium">Closest</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {zones.map(zone => (
+                    <tr key={zone.id} className="border-b border-slate-700/50 text-slate-300">
+                      <td className="py-2 pr-4 text-white">{zone.name}</td>
+                      <td className="py-2 pr-4">
+                        <span style={{ color: RISK_STYLES[zone.risk_level]?.color }} className="font-medium capitalize">
+                          {zone.risk_level}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 font-mono">{formatKm(zone.entry_km)}</td>
+                      <td className="py-2 pr-4 font-mono">{formatKm(zone.exit_km)}</td>
+                      <td className="py-2 pr-4 font-mono">{formatKm(zone.inside_km)}</td>
+                      <td className="py-2 font-mono">{formatKm(zone.distance_from_route_km)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
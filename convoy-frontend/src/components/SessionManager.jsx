@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Clock, LogOut, RefreshCw } from 'lucide-react';
+import { refreshToken } from '../api/auth';
+import {
+  getToken,
+  getTokenExpiry,
+  saveSession,
+  expireSession,
+  buildLoginPath,
+  setUnauthorizedHandler,
+} from '../api/session';
+
+// Show the warning this long before the token lapses
+const WARNING_WINDOW_MS = 5 * 60 * 1000;
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+// Mounted once inside the router: routes 401s to /login?next=... and warns
+// the operator before the JWT expires.
+export default function SessionManager() {
+  const navigate = useNavigate();
+  const [remainingMs, setRemainingMs] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [refreshError, setRefreshError] = useState('');
+
+  useEffect(() => {
+    return setUnauthorizedHandler(({ next, reason }) => {
+      navigate(buildLoginPath(next, reason), { replace: true });
+    });
+  }, [navigate]);
+
+  useEffect(() => {
+    const tick = () => {
+      const expiry = getTokenExpiry(getToken());
+      if (expiry === null) {
+        setRemainingMs(null);
+        return;
+      }
+      const remaining = expiry - Date.now();
+      if (remaining <= 0) {
+        setRemainingMs(null);
+        expireSession('expired');
+        return;
+      }
+      setRemainingMs(remaining);
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleStaySignedIn = async () => {
+    setRefreshing(true);
+    setRefreshError('');
+    try {
+      const data = await refreshToken();
+      saveSession({ accessToken: data.access_token });
+    } catch (err) {
+      setRefreshError(err.detail || 'Could not extend session');
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleLogout = () => {
+    expireSession('logout');
+  };
+
+  if (remainingMs === null || remainingMs > WARNING_WINDOW_MS) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[10000] max-w-sm bg-slate-800 border border-amber-500/40 rounded-lg shadow-xl p-4">
+      <div className="flex items-start gap-3">
+        <Clock className="w-5 h-5 text-amber-400 flex-shrink-0 mt-0.5" />
+        <div className="flex-1">
+          <p className="text-white font-semibold text-sm">Session expiring</p>
+          <p className="text-slate-300 text-xs mt-1">
+            You will be signed out in <span className="font-mono text-amber-300">{formatRemaining(remainingMs)}</span>.
+            Unsaved changes on this page will be lost.
+          </p>
+          {refreshError && (
+            <p className="text-red-400 text-xs mt-2">{refreshError}</p>
+          )}
+          <div className="flex gap-2 mt-3">
+            <button
+              onClick={handleStaySignedIn}
+              disabled={refreshing}
+              className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white text-xs font-semibold rounded-md transition-colors"
+            >
+              <RefreshCw className={`w-3 h-3 ${refreshing ? 'animate-spin' : ''}`} />
+              {refreshing ? 'Extending...' : 'Stay signed in'}
+            </button>
+            <button
+              onClick={handleLogout}
+              className="flex items-center gap-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 text-xs font-semibold rounded-md transition-colors"
+            >
+              <LogOut className="w-3 h-3" />
+              Log out
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { getStatusHistory } from '../api/convoys';
+import { STATUS_COLORS, statusLabel } from '../utils/convoyStatus';
+
+const formatTimestamp = (value) => new Date(value.replace(' ', 'T')).toLocaleString();
+
+// Vertical timeline of a convoy's status changes: who, when, and why.
+export default function StatusTimeline({ convoyId }) {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getStatusHistory(convoyId, { signal: controller.signal })
+      .then(data => setHistory(data.history || []))
+      .catch(err => {
+        if (!err.aborted) setError(err.detail || 'Could not load status history');
+      });
+    return () => controller.abort();
+  }, [convoyId]);
+
+  if (error) return <p className="text-red-400 text-sm">{error}</p>;
+  if (!history) return <p className="text-slate-400 text-sm">Loading status history...</p>;
+  if (history.length === 0) return <p className="text-slate-400 text-sm">No status changes recorded yet.</p>;
+
+  return (
+    <ol className="relative border-l border-slate-700 ml-2 space-y-4">
+      {history.map((entry, index) => (
+        <li key={index} className="ml-4">
+          <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border ${STATUS_COLORS[entry.to_status] || STATUS_COLORS.pending}`} />
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {entry.from_status ? (
+              <>
+                <span className="text-slate-400">{statusLabel(entry.from_status)}</span>
+                <span className="text-slate-600">→</span>
+              </>
+            ) : (
+              <span className="text-slate-400">Created as</span>
+            )}
+            <span className={`px-2 py-0.5 rounded-full border text-xs font-medium ${STATUS_COLORS[entry.to_status] || STATUS_COLORS.pending}`}>
+              {statusLabel(entry.to_status)}
+            </span>
+          </div>
+          <p className="text-slate-500 text-xs mt-1">
+            {entry.changed_by_name || (entry.changed_by ? `User #${entry.changed_by}` : 'Unknown user')}
+            {entry.changed_at && ` · ${formatTimestamp(entry.changed_at)}`}
+          </p>
+          {entry.reason && <p className="text-slate-300 text-xs mt-1 italic">"{entry.reason}"</p>}
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { ShieldCheck, Truck, RotateCcw, CheckCircle, PauseCircle, XCircle } from 'lucide-react';
+import { REASON_REQUIRED_STATUSES } from '../utils/convoyStatus';
+
+// Button text and hover accent for moving *into* each status
+const TRANSITIONS = {
+  approved: { label: 'Approve', Icon: ShieldCheck, accent: 'hover:bg-cyan-500/10 hover:text-cyan-400 hover:border-cyan-500/30' },
+  ongoing: { label: 'Start', Icon: Truck, accent: 'hover:bg-blue-500/10 hover:text-blue-400 hover:border-blue-500/30' },
+  pending: { label: 'Revoke', Icon: RotateCcw, accent: 'hover:bg-yellow-500/10 hover:text-yellow-400 hover:border-yellow-500/30' },
+  completed: { label: 'Complete', Icon: CheckCircle, accent: 'hover:bg-green-500/10 hover:text-green-400 hover:border-green-500/30' },
+  halted: { label: 'Halt', Icon: PauseCircle, accent: 'hover:bg-orange-500/10 hover:text-orange-400 hover:border-orange-500/30' },
+  cancelled: { label: 'Cancel', Icon: XCircle, accent: 'hover:bg-red-500/10 hover:text-red-400 hover:border-red-500/30' },
+};
+
+// One button per transition the backend allows from the convoy's current
+// status. Cancelling or halting asks for a reason first.
+export default function StatusTransitionButtons({ convoy, onTransition }) {
+  const [reasonFor, setReasonFor] = useState(null);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const transitions = convoy.allowed_transitions || [];
+  if (transitions.length === 0) return null;
+
+  const submit = async (status, statusReason) => {
+    setBusy(true);
+    setError('');
+    try {
+      await onTransition(convoy.id, status, statusReason);
+      setReasonFor(null);
+      setReason('');
+    } catch (err) {
+      setError(err.detail || err.message || 'Status change failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const choose = (status) => {
+    if (REASON_REQUIRED_STATUSES.includes(status)) {
+      setReasonFor(status);
+      setError('');
+    } else {
+      submit(status);
+    }
+  };
+
+  if (reasonFor) {
+    return (
+      <form
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit(reasonFor, reason.trim());
+        }}
+        className="space-y-2"
+      >
+        <input
+          type="text"
+          autoFocus
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder={`Reason for ${reasonFor === 'halted' ? 'halting' : 'cancelling'} this convoy`}
+          className="w-full px-2 py-1.5 bg-slate-700 border border-slate-600 rounded text-white text-xs placeholder-slate-500 focus:outline-none focus:border-blue-500"
+        />
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={busy || !reason.trim()}
+            className="flex-1 px-2 py-1.5 rounded text-xs font-medium bg-red-600 hover:bg-red-700 text-white disabled:opacity-60 transition-colors"
+          >
+            {busy ? 'Saving...' : `Confirm ${TRANSITIONS[reasonFor].label}`}
+          </button>
+          <button
+            type="button"
+            onClick={() => setReasonFor(null)}
+            disabled={busy}
+            className="flex-1 px-2 py-1.5 rounded text-xs font-medium bg-slate-700 hover:bg-slate-600 text-slate-300 border border-slate-600 transition-colors"
+          >
+            Back
+          </button>
+        </div>
+        {error && <p className="text-red-400 text-xs">{error}</p>}
+      </form>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex gap-2">
+        {transitions.map(status => {
+          const { label, Icon, accent } = TRANSITIONS[status] || { label: status, Icon: RotateCcw, accent: '' };
+          return (
+            <button
+              key={status}
+              onClick={(e) => {
+                e.stopPropagation();
+                choose(status);
+              }}
+              disabled={busy}
+              className={`flex-1 px-2 py-1.5 rounded text-xs font-medium transition-colors flex items-center justify-center gap-1 bg-slate-700 text-slate-300 border border-slate-600 disabled:opacity-60 ${accent}`}
+              title={`Mark as ${status}`}
+            >
+              <Icon className="w-3 h-3" />
+              {status === 'ongoing' && convoy.status === 'halted' ? 'Resume' : label}
+            </button>
+          );
+        })}
+      </div>
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+    </div>
+  );
+}
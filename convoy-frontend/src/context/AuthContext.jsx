@@ -0,0 +1,76 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AuthContext } from './useAuth';
+import {
+  login as loginRequest,
+  register as registerRequest,
+  verifyLoginOtp,
+  completeRegistration,
+} from '../api/auth';
+import {
+  getToken,
+  getStoredUser,
+  isTokenExpired,
+  saveSession,
+  clearSession,
+  subscribeSession,
+} from '../api/session';
+
+const readSession = () => ({ token: getToken(), user: getStoredUser() });
+
+// Every auth endpoint answers with { user_id, role, access_token }
+const persistAuthResponse = (data, email) => {
+  saveSession({
+    accessToken: data.access_token,
+    user: data.user_id ? { email, user_id: data.user_id, role: data.role } : null,
+  });
+  return data;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(readSession);
+
+  useEffect(() => {
+    const sync = () => setSession(readSession());
+    const unsubscribe = subscribeSession(sync);
+    // Keep tabs in step when another tab logs in or out
+    window.addEventListener('storage', sync);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', sync);
+    };
+  }, []);
+
+  const login = useCallback(async (email, password) => {
+    const data = await loginRequest(email, password);
+    return persistAuthResponse(data, email);
+  }, []);
+
+  const loginWithOtp = useCallback(async ({ email, password, otp }) => {
+    const data = await verifyLoginOtp({ email, password, otp });
+    return persistAuthResponse(data, email);
+  }, []);
+
+  const register = useCallback(async ({ name, email, phoneNumber, password }) => {
+    const data = await registerRequest({ name, email, phoneNumber, password });
+    return persistAuthResponse(data, email);
+  }, []);
+
+  // Final step of the OTP signup wizard, once the code has been verified
+  const registerWithOtp = useCallback(async ({ name, email, phoneNumber, password }) => {
+    const data = await completeRegistration({ name, email, phoneNumber, password });
+    return persistAuthResponse(data, email);
+  }, []);
+
+  const logout = useCallback(() => {
+    clearSession();
+  }, []);
+
+  const { token, user } = session;
+  const isAuthenticated = Boolean(token) && !isTokenExpired(token);
+
+  return (
+    <AuthContext.Provider value={{ user, token, isAuthenticated, login, loginWithOtp, register, registerWithOtp, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
@@ -0,0 +1,389 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import CheckpointStatusTimeline from '../components/CheckpointStatusTimeline';
+import { Search, RefreshCw, ChevronDown, ChevronUp, Truck, History, AlertCircle } from 'lucide-react';
+import { listCheckpoints, updateCheckpointStatus, getPassingConvoys } from '../api/checkpoints';
+import { CHECKPOINT_STYLES, CHECKPOINT_STATUS_COLORS, checkpointIconUrl } from '../utils/mapIcons';
+import { statusLabel } from '../utils/convoyStatus';
+
+const CHECKPOINT_STATUSES = ['operational', 'congested', 'closed', 'maintenance'];
+// Same as REASON_REQUIRED_STATUSES in routers/checkpoints.py
+const REASON_REQUIRED_STATUSES = ['closed', 'maintenance'];
+
+const loadColor = (ratio) => {
+  if (ratio >= 0.9) return 'bg-red-500';
+  if (ratio >= 0.7) return 'bg-amber-500';
+  return 'bg-green-500';
+};
+
+function LoadBar({ load, capacity }) {
+  const ratio = capacity > 0 ? Math.min(load / capacity, 1) : 0;
+  return (
+    <div className="w-32">
+      <div className="flex justify-between text-xs text-slate-400 mb-1">
+        <span>{load} / {capacity}</span>
+        <span>{Math.round(ratio * 100)}%</span>
+      </div>
+      <div className="h-1.5 bg-slate-700 rounded-full overflow-hidden">
+        <div className={`h-full ${loadColor(ratio)}`} style={{ width: `${ratio * 100}%` }} />
+      </div>
+    </div>
+  );
+}
+
+// Operations console for checkpoints: status, load and which of the user's
+// active convoys pass each one, with status changes recorded with a reason.
+export default function Checkpoints() {
+  const [checkpoints, setCheckpoints] = useState([]);
+  const [passing, setPassing] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [passingError, setPassingError] = useState('');
+  const [search, setSearch] = useState('');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [expanded, setExpanded] = useState(new Set());
+  const [historyVersion, setHistoryVersion] = useState({});
+  const [statusTarget, setStatusTarget] = useState(null);
+  const [statusForm, setStatusForm] = useState({ status: '', reason: '' });
+  const [updatingStatus, setUpdatingStatus] = useState(false);
+  const [statusError, setStatusError] = useState('');
+
+  const fetchData = async () => {
+    setLoading(true);
+    setLoadError('');
+    setPassingError('');
+    try {
+      const [checkpointData, passingData] = await Promise.all([
+        listCheckpoints(),
+        // Route matching is best effort; the console still works without it
+        getPassingConvoys().catch(err => {
+          console.error('Error fetching passing convoys:', err);
+          setPassingError(err.detail || 'Could not match convoy routes to checkpoints');
+          return { checkpoints: {} };
+        }),
+      ]);
+      setCheckpoints(checkpointData.checkpoints || []);
+      setPassing(passingData.checkpoints || {});
+    } catch (err) {
+      console.error('Error fetching checkpoints:', err);
+      setLoadError(err.detail || 'Could not load checkpoints');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const statusCounts = useMemo(() => {
+    const counts = {};
+    checkpoints.forEach(cp => { counts[cp.status] = (counts[cp.status] || 0) + 1; });
+    return counts;
+  }, [checkpoints]);
+
+  const checkpointTypes = useMemo(
+    () => [...new Set(checkpoints.map(cp => cp.checkpoint_type).filter(Boolean))].sort(),
+    [checkpoints]
+  );
+
+  const filtered = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return checkpoints.filter(cp =>
+      (typeFilter === 'all' || cp.checkpoint_type === typeFilter) &&
+      (statusFilter === 'all' || cp.status === statusFilter) &&
+      (!query || cp.name.toLowerCase().includes(query) || (cp.description || '').toLowerCase().includes(query))
+    );
+  }, [checkpoints, search, typeFilter, statusFilter]);
+
+  const toggleExpand = (checkpointId) => {
+    const next = new Set(expanded);
+    if (next.has(checkpointId)) {
+      next.delete(checkpointId);
+    } else {
+      next.add(checkpointId);
+    }
+    setExpanded(next);
+  };
+
+  const openStatusModal = (checkpoint) => {
+    setStatusTarget(checkpoint);
+    setStatusForm({ status: CHECKPOINT_STATUSES.find(s => s !== checkpoint.status), reason: '' });
+    setStatusError('');
+  };
+
+  const handleStatusChange = async (e) => {
+    e.preventDefault();
+    const reason = statusForm.reason.trim();
+    if (REASON_REQUIRED_STATUSES.includes(statusForm.status) && !reason) {
+      setStatusError(`Please give a reason for marking the checkpoint ${statusForm.status}`);
+      return;
+    }
+
+    setUpdatingStatus(true);
+    setStatusError('');
+    try {
+      const data = await updateCheckpointStatus(statusTarget.checkpoint_id, statusForm.status, reason || undefined);
+      setCheckpoints(prev => prev.map(cp =>
+        cp.checkpoint_id === statusTarget.checkpoint_id ? { ...cp, ...data.checkpoint } : cp
+      ));
+      setHistoryVersion(prev => ({
+        ...prev,
+        [statusTarget.checkpoint_id]: (prev[statusTarget.checkpoint_id] || 0) + 1,
+      }));
+      setStatusTarget(null);
+    } catch (err) {
+      console.error('Checkpoint status error:', err);
+      setStatusError(err.detail || 'Status update failed');
+    } finally {
+      setUpdatingStatus(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-6 py-12">
+        {/* Header */}
+        <div className="mb-6 flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-white mb-2">Checkpoint Operations</h1>
+            <p className="text-slate-400">Checkpoint status, load and the convoys routed through them</p>
+          </div>
+          <button
+            onClick={fetchData}
+            disabled={loading}
+            className="px-4 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white font-medium rounded-lg transition-colors text-sm flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        {loadError && (
+          <div className="mb-6 p-4 rounded-lg bg-red-500/10 border border-red-500/30 text-red-300 text-sm">
+            {loadError}
+          </div>
+        )}
+
+        {/* Status summary, doubles as the status filter */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+          {CHECKPOINT_STATUSES.map(status => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(statusFilter === status ? 'all' : status)}
+              className={`bg-slate-800 rounded-lg border p-4 text-left transition-colors ${
+                statusFilter === status ? 'border-blue-500' : 'border-slate-700 hover:border-slate-600'
+              }`}
+            >
+              <p className="text-2xl font-bold" style={{ color: CHECKPOINT_STATUS_COLORS[status] }}>
+                {statusCounts[status] || 0}
+              </p>
+              <p className="text-slate-400 text-sm capitalize">{status}</p>
+            </button>
+          ))}
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          <div className="relative flex-1 min-w-[12rem]">
+            <Search className="w-4 h-4 text-slate-500 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name or description"
+              className="w-full pl-9 pr-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+            />
+          </div>
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm"
+          >
+            <option value="all">All types</option>
+            {checkpointTypes.map(type => (
+              <option key={type} value={type}>{CHECKPOINT_STYLES[type]?.label || type}</option>
+            ))}
+          </select>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm capitalize"
+          >
+            <option value="all">All statuses</option>
+            {CHECKPOINT_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+
+        {passingError && (
+          <p className="mb-4 text-amber-300 text-sm flex items-center gap-2">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            {passingError}
+          </p>
+        )}
+
+        {/* Checkpoint list */}
+        <div className="space-y-2">
+          {loading && checkpoints.length === 0 ? (
+            <div className="text-center py-12 text-slate-400">Loading checkpoints...</div>
+          ) : filtered.length === 0 ? (
+            <div className="text-center py-12 text-slate-400">No checkpoints found</div>
+          ) : (
+            filtered.map(cp => {
+              const convoys = passing[String(cp.checkpoint_id)] || [];
+              const isExpanded = expanded.has(cp.checkpoint_id);
+
+              return (
+                <div key={cp.checkpoint_id} className="bg-slate-800 rounded-lg border border-slate-700">
+                  <div className="p-4 flex flex-wrap items-center gap-4">
+                    <img src={checkpointIconUrl(cp.checkpoint_type, cp.status)} alt="" className="w-6 h-8 flex-shrink-0" />
+                    <div className="flex-1 min-w-[12rem]">
+                      <p className="text-white font-medium">{cp.name}</p>
+                      <p className="text-slate-500 text-xs">
+                        {CHECKPOINT_STYLES[cp.checkpoint_type]?.label || cp.checkpoint_type}
+                        {cp.description && ` · ${cp.description}`}
+                      </p>
+                    </div>
+                    <span
+                      className="px-3 py-1 rounded-full border text-xs font-medium capitalize"
+                      style={{ color: CHECKPOINT_STATUS_COLORS[cp.status], borderColor: CHECKPOINT_STATUS_COLORS[cp.status] }}
+                    >
+                      {cp.status}
+                    </span>
+                    <LoadBar load={cp.current_load || 0} capacity={cp.capacity || 0} />
+                    <button
+                      onClick={() => toggleExpand(cp.checkpoint_id)}
+                      className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-white rounded-lg text-sm flex items-center gap-2"
+                    >
+                      <Truck className="w-4 h-4" />
+                      {convoys.length} convoy{convoys.length !== 1 ? 's' : ''}
+                      {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                    </button>
+                    <button
+                      onClick={() => openStatusModal(cp)}
+                      className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm"
+                    >
+                      Change Status
+                    </button>
+                  </div>
+
+                  {isExpanded && (
+                    <div className="border-t border-slate-700 p-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+                      <div>
+                        <h3 className="text-slate-300 text-sm font-semibold mb-2 flex items-center gap-2">
+                          <Truck className="w-4 h-4" />
+                          Convoys routed through
+                        </h3>
+                        {convoys.length === 0 ? (
+                          <p className="text-slate-500 text-sm">None of your active convoys pass this checkpoint</p>
+                        ) : (
+                          <div className="space-y-2">
+                            {convoys.map(convoy => (
+                              <div key={convoy.convoy_id} className="flex items-center justify-between gap-2 bg-slate-900/50 rounded p-2 border border-slate-700 text-sm">
+                                <div className="min-w-0">
+                                  <Link to={`/route/${convoy.convoy_id}`} className="text-white hover:text-blue-400 truncate block">
+                                    {convoy.convoy_name}
+                                  </Link>
+                                  <p className="text-slate-500 text-xs">
+                                    {statusLabel(convoy.status)} · {convoy.distance_km} km from route
+                                    {convoy.route_type === 'straight_line' && ' · no stored route'}
+                                  </p>
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      <div>
+                        <h3 className="text-slate-300 text-sm font-semibold mb-2 flex items-center gap-2">
+                          <History className="w-4 h-4" />
+                          Status history
+                        </h3>
+                        <CheckpointStatusTimeline
+                          checkpointId={cp.checkpoint_id}
+                          refreshKey={historyVersion[cp.checkpoint_id] || 0}
+                        />
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </main>
+
+      {/* Status change */}
+      {statusTarget && (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-slate-800 rounded-lg border border-slate-700 max-w-md w-full p-6">
+            <h2 className="text-xl font-bold text-white mb-1">Change Checkpoint Status</h2>
+            <p className="text-sm text-slate-400 mb-4">
+              {statusTarget.name} is currently <span className="capitalize">{statusTarget.status}</span>
+              {(passing[String(statusTarget.checkpoint_id)] || []).length > 0 &&
+                ` · ${passing[String(statusTarget.checkpoint_id)].length} active convoy(s) routed through it`}
+            </p>
+
+            <form onSubmit={handleStatusChange} className="space-y-4">
+              {statusError && (
+                <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-300 text-sm">
+                  {statusError}
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-2">
+                {CHECKPOINT_STATUSES.filter(s => s !== statusTarget.status).map(status => (
+                  <button
+                    key={status}
+                    type="button"
+                    onClick={() => setStatusForm(form => ({ ...form, status }))}
+                    className={`px-3 py-2 rounded-lg text-sm font-medium capitalize border transition-colors ${
+                      statusForm.status === status ? 'bg-slate-600 border-slate-400' : 'bg-slate-700 border-slate-600 hover:bg-slate-600'
+                    }`}
+                    style={{ color: CHECKPOINT_STATUS_COLORS[status] }}
+                  >
+                    {status}
+                  </button>
+                ))}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">
+                  Reason{REASON_REQUIRED_STATUSES.includes(statusForm.status) ? ' *' : ''}
+                </label>
+                <textarea
+                  value={statusForm.reason}
+                  onChange={(e) => setStatusForm(form => ({ ...form, reason: e.target.value }))}
+                  rows={3}
+                  placeholder="e.g. Bridge repairs until Friday"
+                  className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                />
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={() => setStatusTarget(null)}
+                  className="flex-1 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white font-medium rounded-lg transition-colors text-sm"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={updatingStatus}
+                  className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium rounded-lg transition-colors text-sm"
+                >
+                  {updatingStatus ? 'Updating...' : 'Update Status'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
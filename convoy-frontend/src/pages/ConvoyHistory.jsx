@@ -1,10 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Navbar from '../components/Navbar';
-import { Filter, Plus, Trash2, ChevronDown, ChevronUp, Truck, User, Package } from 'lucide-react';
+import { Filter, Plus, Trash2, ChevronDown, ChevronUp, Truck, User, Package, History, AlertTriangle, MapPin } from 'lucide-react';
+import { listConvoys, getConvoy, addVehicle, deleteConvoy } from '../api/convoys';
+import { updateVehicleStatus, updateConvoyVehiclesStatus, reportBreakdown } from '../api/vehicles';
+import { invalidateConvoyRoutes } from '../utils/routeCache';
+import StatusTimeline from '../components/StatusTimeline';
+import { STATUS_COLORS, statusLabel } from '../utils/convoyStatus';
 
 const VEHICLE_TYPES = ['truck', 'van', 'jeep', 'ambulance', 'tanker'];
 const LOAD_TYPES = ['medical', 'supplies', 'ammunition', 'fuel', 'personnel'];
+// Settable directly; 'breakdown' goes through the breakdown report instead
+const VEHICLE_STATUSES = ['idle', 'en_route', 'at_checkpoint', 'completed'];
+const EMPTY_BREAKDOWN_FORM = { lat: '', lon: '', placeName: '', notes: '' };
 
 export default function ConvoyHistory() {
   const navigate = useNavigate();
@@ -30,20 +38,19 @@ export default function ConvoyHistory() {
   const [expandedConvoys, setExpandedConvoys] = useState(new Set());
   const [convoyVehicles, setConvoyVehicles] = useState({});
   const [loadingVehicles, setLoadingVehicles] = useState({});
+  const [historyOpen, setHistoryOpen] = useState(new Set());
+  const [vehicleActionError, setVehicleActionError] = useState({});
+  const [breakdownTarget, setBreakdownTarget] = useState(null);
+  const [breakdownForm, setBreakdownForm] = useState(EMPTY_BREAKDOWN_FORM);
+  const [reportingBreakdown, setReportingBreakdown] = useState(false);
+  const [breakdownError, setBreakdownError] = useState('');
+  const [locating, setLocating] = useState(false);
 
   const fetchConvoys = async () => {
     try {
       setLoading(true);
-      const token = localStorage.getItem('access_token');
-      const res = await fetch('http://localhost:8000/api/convoys/list', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      if (res.ok) {
-        const data = await res.json();
-        setConvoys(data.convoys || []);
-      }
+      const data = await listConvoys();
+      setConvoys(data.convoys || []);
     } catch (err) {
       console.error('Error fetching convoys:', err);
     } finally {
@@ -51,26 +58,18 @@ export default function ConvoyHistory() {
     }
   };
 
-  const fetchConvoyVehicles = async (convoyId) => {
-    if (convoyVehicles[convoyId]) {
+  const fetchConvoyVehicles = async (convoyId, force = false) => {
+    if (convoyVehicles[convoyId] && !force) {
       return; // Already fetched
     }
 
     setLoadingVehicles(prev => ({ ...prev, [convoyId]: true }));
     try {
-      const token = localStorage.getItem('access_token');
-      const res = await fetch(`http://localhost:8000/api/convoys/${convoyId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      if (res.ok) {
-        const data = await res.json();
-        setConvoyVehicles(prev => ({
-          ...prev,
-          [convoyId]: data.convoy?.vehicles || []
-        }));
-      }
+      const data = await getConvoy(convoyId);
+      setConvoyVehicles(prev => ({
+        ...prev,
+        [convoyId]: data.convoy?.vehicles || []
+      }));
     } catch (err) {
       console.error('Error fetching vehicles:', err);
     } finally {
@@ -89,6 +88,92 @@ export default function ConvoyHistory() {
     setExpandedConvoys(newExpanded);
   };
 
+  // Vehicle status changes can flip the convoy's degraded flag, so refresh both
+  const runVehicleAction = async (convoyId, action) => {
+    setVehicleActionError(prev => ({ ...prev, [convoyId]: '' }));
+    try {
+      await action();
+      await Promise.all([fetchConvoyVehicles(convoyId, true), fetchConvoys()]);
+    } catch (err) {
+      console.error('Vehicle status error:', err);
+      setVehicleActionError(prev => ({ ...prev, [convoyId]: err.detail || err.message || 'Status update failed' }));
+    }
+  };
+
+  const handleVehicleStatusChange = (convoyId, vehicleId, status) =>
+    runVehicleAction(convoyId, () => updateVehicleStatus(vehicleId, status));
+
+  const handleSetAllStatus = (convoyId, status) =>
+    runVehicleAction(convoyId, () => updateConvoyVehiclesStatus(convoyId, status));
+
+  const openBreakdownModal = (convoy, vehicle) => {
+    setBreakdownTarget({ convoy, vehicle });
+    setBreakdownForm(EMPTY_BREAKDOWN_FORM);
+    setBreakdownError('');
+  };
+
+  const useCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      setBreakdownError('Location is not available in this browser');
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setBreakdownForm(form => ({
+          ...form,
+          lat: position.coords.latitude.toFixed(6),
+          lon: position.coords.longitude.toFixed(6),
+        }));
+        setLocating(false);
+      },
+      (err) => {
+        setBreakdownError(`Could not get location: ${err.message}`);
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const handleReportBreakdown = async (e) => {
+    e.preventDefault();
+    const lat = parseFloat(breakdownForm.lat);
+    const lon = parseFloat(breakdownForm.lon);
+    if (Number.isNaN(lat) || Number.isNaN(lon) || !breakdownForm.notes.trim()) {
+      setBreakdownError('Please give the breakdown location and notes');
+      return;
+    }
+
+    setReportingBreakdown(true);
+    setBreakdownError('');
+    try {
+      const { convoy, vehicle } = breakdownTarget;
+      await reportBreakdown(vehicle.vehicle_id, {
+        lat,
+        lon,
+        notes: breakdownForm.notes.trim(),
+        placeName: breakdownForm.placeName.trim() || undefined,
+      });
+      setBreakdownTarget(null);
+      await Promise.all([fetchConvoyVehicles(convoy.id, true), fetchConvoys()]);
+    } catch (err) {
+      console.error('Breakdown report error:', err);
+      setBreakdownError(err.detail || err.message || 'Failed to report breakdown');
+    } finally {
+      setReportingBreakdown(false);
+    }
+  };
+
+  const toggleStatusHistory = (convoyId) => {
+    const next = new Set(historyOpen);
+    if (next.has(convoyId)) {
+      next.delete(convoyId);
+    } else {
+      next.add(convoyId);
+    }
+    setHistoryOpen(next);
+  };
+
   const getVehicleStatusColor = (status) => {
     const colors = {
       idle: 'text-slate-400 bg-slate-500/10',
@@ -149,7 +234,6 @@ export default function ConvoyHistory() {
     setAddingVehicle(true);
 
     try {
-      const token = localStorage.getItem('access_token');
       const payload = {
         vehicle_type: vehicleForm.vehicleType.toLowerCase(),
         registration_number: vehicleForm.registrationNumber,
@@ -160,21 +244,7 @@ export default function ConvoyHistory() {
         current_status: 'pending'
       };
 
-      const res = await fetch(`http://localhost:8000/api/convoys/add-vehicle/${selectedConvoy.id}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify(payload)
-      });
-
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || `Error: ${res.status}`);
-      }
-
-      const data = await res.json();
+      await addVehicle(selectedConvoy.id, payload);
       setVehicleSuccess(`Vehicle ${vehicleForm.registrationNumber} added successfully!`);
 
       setTimeout(() => {
@@ -200,19 +270,8 @@ export default function ConvoyHistory() {
 
     setDeleting(true);
     try {
-      const token = localStorage.getItem('access_token');
-      const res = await fetch(`http://localhost:8000/api/convoys/${convoyToDelete.id}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || `Error: ${res.status}`);
-      }
-
+      await deleteConvoy(convoyToDelete.id);
+      invalidateConvoyRoutes(convoyToDelete.id);
       setDeleteConfirmModal(false);
       setConvoyToDelete(null);
       fetchConvoys();
@@ -273,6 +332,8 @@ export default function ConvoyHistory() {
               const isExpanded = expandedConvoys.has(convoy.id);
               const vehicles = convoyVehicles[convoy.id] || [];
               const isLoadingVehicles = loadingVehicles[convoy.id];
+              const showHistory = historyOpen.has(convoy.id);
+              const convoyStatus = convoy.status || 'pending';
 
               return (
                 <div
@@ -287,8 +348,22 @@ export default function ConvoyHistory() {
                       >
                         {convoy.convoy_name}
                       </h3>
-                      <div className={`px-3 py-1 rounded-full border text-xs font-medium ${getPriorityColor(convoy.priority)}`}>
-                        {convoy.priority}
+                      <div className="flex items-center gap-2">
+                        {convoy.degraded && (
+                          <div
+                            className="px-3 py-1 rounded-full border text-xs font-medium flex items-center gap-1 text-red-400 bg-red-500/10 border-red-500/30"
+                            title={`${convoy.breakdown_count} vehicle(s) broken down`}
+                          >
+                            <AlertTriangle className="w-3 h-3" />
+                            Degraded
+                          </div>
+                        )}
+                        <div className={`px-3 py-1 rounded-full border text-xs font-medium ${STATUS_COLORS[convoyStatus] || STATUS_COLORS.pending}`}>
+                          {statusLabel(convoyStatus)}
+                        </div>
+                        <div className={`px-3 py-1 rounded-full border text-xs font-medium ${getPriorityColor(convoy.priority)}`}>
+                          {convoy.priority}
+                        </div>
                       </div>
                     </div>
 
@@ -336,6 +411,15 @@ export default function ConvoyHistory() {
                       </button>
                     )}
 
+                    {/* Status History Toggle */}
+                    <button
+                      onClick={() => toggleStatusHistory(convoy.id)}
+                      className="w-full mb-3 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white font-medium rounded-lg transition-colors text-sm flex items-center justify-center gap-2"
+                    >
+                      <History className="w-4 h-4" />
+                      {showHistory ? 'Hide Status History' : 'Show Status History'}
+                    </button>
+
                     <div className="flex gap-2">
                       <button
                         onClick={(e) => openAddVehicleModal(convoy, e)}
@@ -354,13 +438,43 @@ export default function ConvoyHistory() {
                     </div>
                   </div>
 
-                  {/* Expandable Vehicle Details */}
-                  {isExpanded && (
+                  {/* Expandable Status History */}
+                  {showHistory && (
                     <div className="border-t border-slate-700 p-6 bg-slate-900/30">
                       <h4 className="text-white font-semibold mb-4 flex items-center gap-2">
-                        <Truck className="w-4 h-4" />
-                        Vehicle Details
+                        <History className="w-4 h-4" />
+                        Status History
                       </h4>
+                      <StatusTimeline convoyId={convoy.id} />
+                    </div>
+                  )}
+
+                  {/* Expandable Vehicle Details */}
+                  {isExpanded && (
+                    <div className="border-t border-slate-700 p-6 bg-slate-900/30">
+                      <div className="flex items-center justify-between mb-4">
+                        <h4 className="text-white font-semibold flex items-center gap-2">
+                          <Truck className="w-4 h-4" />
+                          Vehicle Details
+                        </h4>
+                        {vehicles.length > 0 && (
+                          <select
+                            value=""
+                            onChange={(e) => e.target.value && handleSetAllStatus(convoy.id, e.target.value)}
+                            className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white text-xs"
+                            title="Set every vehicle in this convoy to one status"
+                          >
+                            <option value="">Set all to...</option>
+                            {VEHICLE_STATUSES.map(status => (
+                              <option key={status} value={status}>{status.replace('_', ' ')}</option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+
+                      {vehicleActionError[convoy.id] && (
+                        <p className="text-red-400 text-sm mb-3">{vehicleActionError[convoy.id]}</p>
+                      )}
 
                       {isLoadingVehicles ? (
                         <div className="text-center py-8 text-slate-400">Loading vehicles...</div>
@@ -368,9 +482,9 @@ export default function ConvoyHistory() {
                         <div className="text-center py-8 text-slate-400">No vehicles found</div>
                       ) : (
                         <div className="space-y-3">
-                          {vehicles.map((vehicle, idx) => (
+                          {vehicles.map((vehicle) => (
                             <div
-                              key={idx}
+                              key={vehicle.vehicle_id}
                               className="bg-slate-800 rounded-lg border border-slate-700 p-4 hover:border-slate-600 transition-colors"
                             >
                               <div className="flex items-start justify-between mb-3">
@@ -413,6 +527,41 @@ export default function ConvoyHistory() {
                                   {((vehicle.load_kg / vehicle.capacity_kg) * 100).toFixed(1)}% capacity
                                 </div>
                               </div>
+
+                              {/* Breakdown report */}
+                              {vehicle.breakdown && (
+                                <div className="mt-3 p-3 rounded bg-red-500/10 border border-red-500/30 text-xs">
+                                  <p className="text-red-300">{vehicle.breakdown.notes}</p>
+                                  <p className="text-slate-400 mt-1 flex items-center gap-1">
+                                    <MapPin className="w-3 h-3" />
+                                    {vehicle.breakdown.place_name || `${vehicle.breakdown.lat.toFixed(4)}, ${vehicle.breakdown.lon.toFixed(4)}`}
+                                    {vehicle.breakdown.reported_at && ` · ${new Date(vehicle.breakdown.reported_at.replace(' ', 'T')).toLocaleString()}`}
+                                  </p>
+                                </div>
+                              )}
+
+                              {/* Status controls */}
+                              <div className="mt-3 flex gap-2">
+                                <select
+                                  value={vehicle.status}
+                                  onChange={(e) => handleVehicleStatusChange(convoy.id, vehicle.vehicle_id, e.target.value)}
+                                  className="flex-1 px-2 py-1.5 bg-slate-700 border border-slate-600 rounded text-white text-xs"
+                                >
+                                  {!VEHICLE_STATUSES.includes(vehicle.status) && (
+                                    <option value={vehicle.status} disabled>{vehicle.status.replace('_', ' ')}</option>
+                                  )}
+                                  {VEHICLE_STATUSES.map(status => (
+                                    <option key={status} value={status}>{status.replace('_', ' ')}</option>
+                                  ))}
+                                </select>
+                                <button
+                                  onClick={() => openBreakdownModal(convoy, vehicle)}
+                                  className="flex items-center gap-1 px-3 py-1.5 bg-red-600/20 hover:bg-red-600/30 text-red-400 border border-red-500/30 rounded text-xs font-medium transition-colors"
+                                >
+                                  <AlertTriangle className="w-3 h-3" />
+                                  {vehicle.status === 'breakdown' ? 'Update Breakdown' : 'Report Breakdown'}
+                                </button>
+                              </div>
                             </div>
                           ))}
                         </div>
@@ -568,6 +717,105 @@ export default function ConvoyHistory() {
         </div>
       )}
 
+      {/* Breakdown Report Modal */}
+      {breakdownTarget && (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-slate-800 rounded-lg border border-red-500/30 max-w-md w-full p-6">
+            <div className="flex items-center gap-3 mb-4">
+              <div className="w-12 h-12 rounded-full bg-red-500/10 flex items-center justify-center">
+                <AlertTriangle className="w-6 h-6 text-red-400" />
+              </div>
+              <div>
+                <h2 className="text-xl font-bold text-white">Report Breakdown</h2>
+                <p className="text-sm text-slate-400">
+                  {breakdownTarget.vehicle.registration} · {breakdownTarget.convoy.convoy_name} will be flagged as degraded
+                </p>
+              </div>
+            </div>
+
+            <form onSubmit={handleReportBreakdown} className="space-y-4">
+              {breakdownError && (
+                <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-300 text-sm">
+                  {breakdownError}
+                </div>
+              )}
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-sm font-medium text-slate-300">Location *</label>
+                  <button
+                    type="button"
+                    onClick={useCurrentLocation}
+                    disabled={locating}
+                    className="flex items-center gap-1 text-blue-400 hover:text-blue-300 text-xs disabled:opacity-60"
+                  >
+                    <MapPin className="w-3 h-3" />
+                    {locating ? 'Locating...' : 'Use my location'}
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <input
+                    type="number"
+                    step="any"
+                    placeholder="Latitude"
+                    value={breakdownForm.lat}
+                    onChange={(e) => setBreakdownForm({ ...breakdownForm, lat: e.target.value })}
+                    className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-blue-500 text-sm"
+                    required
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    placeholder="Longitude"
+                    value={breakdownForm.lon}
+                    onChange={(e) => setBreakdownForm({ ...breakdownForm, lon: e.target.value })}
+                    className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-blue-500 text-sm"
+                    required
+                  />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Nearest landmark (optional)"
+                  value={breakdownForm.placeName}
+                  onChange={(e) => setBreakdownForm({ ...breakdownForm, placeName: e.target.value })}
+                  className="w-full mt-2 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-blue-500 text-sm"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-2">Notes *</label>
+                <textarea
+                  rows={3}
+                  placeholder="e.g., Engine overheating, awaiting recovery vehicle"
+                  value={breakdownForm.notes}
+                  onChange={(e) => setBreakdownForm({ ...breakdownForm, notes: e.target.value })}
+                  className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-blue-500 text-sm"
+                  required
+                />
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  type="submit"
+                  disabled={reportingBreakdown}
+                  className="flex-1 px-4 py-2 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-semibold rounded-lg transition-colors"
+                >
+                  {reportingBreakdown ? 'Reporting...' : 'Report Breakdown'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setBreakdownTarget(null)}
+                  disabled={reportingBreakdown}
+                  className="px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white font-semibold rounded-lg transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {deleteConfirmModal && convoyToDelete && (
         <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
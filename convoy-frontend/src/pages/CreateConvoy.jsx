@@ -1,11 +1,19 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Navbar from '../components/Navbar';
-import { Plus, Trash2, Send } from 'lucide-react';
+import EtaPanel from '../components/EtaPanel';
+import PlaceAutocomplete from '../components/PlaceAutocomplete';
+import LocationPickerMap from '../components/LocationPickerMap';
+import { Plus, Trash2, Send, GripVertical } from 'lucide-react';
+import { createConvoy } from '../api/convoys';
+import { geocodePlace, reverseGeocode } from '../api/geocode';
+import { API_BASE_URL } from '../api/client';
 
 const VEHICLE_TYPES = ['truck', 'van', 'jeep', 'ambulance', 'tanker'];
 const LOAD_TYPES = ['medical', 'supplies', 'ammunition', 'fuel', 'personnel'];
 const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+// Matches MAX_WAYPOINTS in routers/route_visualization.py
+const MAX_STOPS = 10;
 
 export default function CreateConvoy() {
   const navigate = useNavigate();
@@ -23,6 +31,26 @@ export default function CreateConvoy() {
   const [destLat, setDestLat] = useState('');
   const [destLon, setDestLon] = useState('');
   const [geocodingMessage, setGeocodingMessage] = useState('');
+  // Intermediate stops in visiting order: { id, place, lat, lon }
+  const [stops, setStops] = useState([]);
+  const [dragStopId, setDragStopId] = useState(null);
+  const [activePin, setActivePin] = useState('source');
+  // Latest reverse-geocode request per pin, so a slow reply can't overwrite a newer pick
+  const reverseRequestRef = useRef({});
+
+  // Coordinates are only set once a place is verified (suggestion or map pin)
+  const sourcePoint = useMemo(
+    () => (sourceLat !== '' ? { lat: sourceLat, lon: sourceLon } : null),
+    [sourceLat, sourceLon]
+  );
+  const destPoint = useMemo(
+    () => (destLat !== '' ? { lat: destLat, lon: destLon } : null),
+    [destLat, destLon]
+  );
+  const stopPoints = useMemo(
+    () => stops.filter(s => s.lat !== '').map(s => ({ id: s.id, lat: s.lat, lon: s.lon })),
+    [stops]
+  );
 
   // Vehicles
   const [vehicles, setVehicles] = useState([
@@ -72,8 +100,101 @@ export default function CreateConvoy() {
     ));
   };
 
-  // Backend handles geocoding via Nominatim.
-  // Just send place names and backend will geocode them automatically.
+  const addStop = () => {
+    if (stops.length < MAX_STOPS) {
+      setStops([...stops, { id: Date.now(), place: '', lat: '', lon: '' }]);
+    }
+  };
+
+  const removeStop = (id) => {
+    setStops(stops.filter(s => s.id !== id));
+  };
+
+  // Drop the dragged stop into the target's slot
+  const moveStop = (fromId, toId) => {
+    if (fromId === null || fromId === toId) return;
+    const next = [...stops];
+    const [moved] = next.splice(next.findIndex(s => s.id === fromId), 1);
+    next.splice(next.findIndex(s => s.id === toId), 0, moved);
+    setStops(next);
+  };
+
+  // target is 'source', 'destination' or 'stop-<id>'
+  const setLocation = (target, { lat, lon }, label) => {
+    if (target === 'source') {
+      setSourceLat(lat);
+      setSourceLon(lon);
+      if (label !== undefined) setSourcePlace(label);
+    } else if (target === 'destination') {
+      setDestLat(lat);
+      setDestLon(lon);
+      if (label !== undefined) setDestPlace(label);
+    } else {
+      const stopId = Number(target.replace('stop-', ''));
+      setStops(prev => prev.map(s => (
+        s.id === stopId ? { ...s, lat, lon, place: label !== undefined ? label : s.place } : s
+      )));
+    }
+  };
+
+  // Editing the text invalidates the verified coordinates
+  const handlePlaceTextChange = (target) => (text) => {
+    if (target === 'source') {
+      setSourcePlace(text);
+      setSourceLat('');
+      setSourceLon('');
+    } else if (target === 'destination') {
+      setDestPlace(text);
+      setDestLat('');
+      setDestLon('');
+    } else {
+      const stopId = Number(target.replace('stop-', ''));
+      setStops(prev => prev.map(s => (s.id === stopId ? { ...s, place: text, lat: '', lon: '' } : s)));
+    }
+  };
+
+  const handlePlaceSelect = (target) => (place) => {
+    setLocation(target, place, place.display_name);
+    if (target === 'source') setActivePin('destination');
+  };
+
+  // Map click or pin drag: use the coordinates straight away, then swap in
+  // a reverse-geocoded label when it arrives. A click in stop mode appends a stop.
+  const handleMapPick = async (target, point) => {
+    if (target === 'stop') {
+      if (stops.length >= MAX_STOPS) return;
+      const id = Date.now();
+      setStops(prev => [...prev, { id, place: '', lat: '', lon: '' }]);
+      target = `stop-${id}`;
+    }
+    setLocation(target, point, `${point.lat.toFixed(5)}, ${point.lon.toFixed(5)}`);
+    if (target === 'source' && !destPoint) setActivePin('destination');
+
+    const requestId = (reverseRequestRef.current[target] || 0) + 1;
+    reverseRequestRef.current[target] = requestId;
+    try {
+      const data = await reverseGeocode(point);
+      if (data.status === 'success' && data.formatted && reverseRequestRef.current[target] === requestId) {
+        setLocation(target, point, data.formatted);
+      }
+    } catch (err) {
+      console.error('Reverse geocode error:', err);
+    }
+  };
+
+  // The ETA panel needs coordinates before the convoy exists; geocode any
+  // location that hasn't been verified yet
+  const resolveEndpoints = async () => {
+    if (!sourcePlace || !destPlace) {
+      throw new Error('Enter source and destination locations to predict an ETA');
+    }
+    const [start, end] = await Promise.all([
+      sourcePoint || geocodePlace(sourcePlace),
+      destPoint || geocodePlace(destPlace),
+    ]);
+    // Unverified stops have no coordinates yet and are left out
+    return { start, end, waypoints: stopPoints };
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -90,9 +211,15 @@ export default function CreateConvoy() {
         return;
       }
 
-      // Validate place names are provided (backend will geocode them)
-      if (!sourcePlace || !destPlace) {
-        setError('Please enter both source and destination place names (e.g., "New Delhi, India"). Coordinates are not needed.');
+      if (!sourcePoint || !destPoint) {
+        setError('Please verify both source and destination: pick a suggestion from the list or drop a pin on the map.');
+        setLoading(false);
+        return;
+      }
+
+      const unverifiedStop = stops.findIndex(s => s.lat === '');
+      if (unverifiedStop !== -1) {
+        setError(`Please verify stop ${unverifiedStop + 1} or remove it.`);
         setLoading(false);
         return;
       }
@@ -103,12 +230,16 @@ export default function CreateConvoy() {
         return;
       }
 
-      // Build payload with place names only.
-      // Backend will geocode the place names and store lat/lon.
+      // Coordinates are verified client-side, so the backend skips geocoding
       const payload = {
         convoy_name: convoyName,
         source_place: sourcePlace,
         destination_place: destPlace,
+        source_lat: sourcePoint.lat,
+        source_lon: sourcePoint.lon,
+        destination_lat: destPoint.lat,
+        destination_lon: destPoint.lon,
+        stops: stops.map(s => ({ place_name: s.place, lat: s.lat, lon: s.lon })),
         priority: priority.toLowerCase(),
         vehicles: vehicles.map(v => ({
           vehicle_type: v.vehicleType.toLowerCase(),
@@ -121,22 +252,7 @@ export default function CreateConvoy() {
       };
 
       // POST to backend
-      const token = localStorage.getItem('access_token');
-      const res = await fetch('http://localhost:8000/api/convoys/create', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify(payload),
-      });
-
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || `Backend error: ${res.status}`);
-      }
-
-      const data = await res.json();
+      await createConvoy(payload);
       setSuccess(`Convoy created successfully!`);
 
       // Reset form and redirect
@@ -145,7 +261,7 @@ export default function CreateConvoy() {
       }, 1500);
     } catch (err) {
       console.error('Create convoy error:', err);
-      setError(err.message || 'Failed to create convoy. Make sure backend is running on port 8000.');
+      setError(err.message || `Failed to create convoy. Make sure the backend is running at ${API_BASE_URL}.`);
     } finally {
       setLoading(false);
     }
@@ -235,30 +351,113 @@ export default function CreateConvoy() {
               </div>
 
               {/* Source Place Name */}
-              <div>
-                <label className="block text-sm font-medium text-slate-300 mb-2">Source Location <span className="text-blue-400">*</span></label>
-                <input
-                  type="text"
-                  placeholder="e.g., New Delhi, India or Delhi, India"
-                  value={sourcePlace}
-                  onChange={(e) => setSourcePlace(e.target.value)}
-                  className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
-                />
-                <p className="text-xs text-slate-400 mt-1">💡 Use full place name (city, country) for better accuracy</p>
-              </div>
+              <PlaceAutocomplete
+                label="Source Location"
+                placeholder="e.g., New Delhi, India or Delhi, India"
+                value={sourcePlace}
+                verified={!!sourcePoint}
+                onTextChange={handlePlaceTextChange('source')}
+                onSelect={handlePlaceSelect('source')}
+              />
 
               {/* Destination Place Name */}
-              <div>
-                <label className="block text-sm font-medium text-slate-300 mb-2">Destination Location <span className="text-blue-400">*</span></label>
-                <input
-                  type="text"
-                  placeholder="e.g., Gurgaon, India or Mumbai, India"
-                  value={destPlace}
-                  onChange={(e) => setDestPlace(e.target.value)}
-                  className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
-                />
-                <p className="text-xs text-slate-400 mt-1">💡 Use full place name (city, country) for better accuracy</p>
+              <PlaceAutocomplete
+                label="Destination Location"
+                placeholder="e.g., Gurgaon, India or Mumbai, India"
+                value={destPlace}
+                verified={!!destPoint}
+                onTextChange={handlePlaceTextChange('destination')}
+                onSelect={handlePlaceSelect('destination')}
+              />
+            </div>
+
+            {/* Intermediate Stops */}
+            <div className="mt-6">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm font-medium text-slate-300">
+                  Intermediate Stops <span className="text-slate-500 font-normal">(visited in order, drag to reorder)</span>
+                </p>
+                <button
+                  type="button"
+                  onClick={addStop}
+                  disabled={stops.length >= MAX_STOPS}
+                  className="flex items-center gap-1 px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white text-xs font-semibold rounded-md transition-colors"
+                >
+                  <Plus className="w-3 h-3" /> Add Stop
+                </button>
               </div>
+              {stops.length === 0 ? (
+                <p className="text-xs text-slate-500">Direct run: no stops between source and destination.</p>
+              ) : (
+                <div className="space-y-3">
+                  {stops.map((stop, index) => (
+                    <div
+                      key={stop.id}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={() => moveStop(dragStopId, stop.id)}
+                      className={`flex items-start gap-2 p-2 rounded-lg border ${dragStopId === stop.id ? 'border-blue-500 opacity-60' : 'border-slate-700'}`}
+                    >
+                      <span
+                        draggable
+                        onDragStart={() => setDragStopId(stop.id)}
+                        onDragEnd={() => setDragStopId(null)}
+                        className="mt-9 text-slate-500 hover:text-white cursor-grab"
+                        title="Drag to reorder"
+                      >
+                        <GripVertical className="w-5 h-5" />
+                      </span>
+                      <div className="flex-1">
+                        <PlaceAutocomplete
+                          label={`Stop ${index + 1}`}
+                          placeholder="e.g., Jaipur, India"
+                          value={stop.place}
+                          verified={stop.lat !== ''}
+                          onTextChange={handlePlaceTextChange(`stop-${stop.id}`)}
+                          onSelect={handlePlaceSelect(`stop-${stop.id}`)}
+                        />
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => removeStop(stop.id)}
+                        className="mt-8 p-2 text-red-400 hover:text-red-300 transition-colors"
+                        title="Remove stop"
+                      >
+                        <Trash2 className="w-5 h-5" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Location Picker Map */}
+            <div className="mt-6">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm text-slate-300">Click the map to place the selected pin, or drag a pin to adjust it</p>
+                <div className="flex gap-2">
+                  {[
+                    { kind: 'source', label: 'Source', active: 'bg-emerald-600 border-emerald-500' },
+                    { kind: 'stop', label: 'Add Stop', active: 'bg-blue-600 border-blue-500' },
+                    { kind: 'destination', label: 'Destination', active: 'bg-red-600 border-red-500' },
+                  ].map(pin => (
+                    <button
+                      key={pin.kind}
+                      type="button"
+                      onClick={() => setActivePin(pin.kind)}
+                      className={`px-3 py-1 rounded-md border text-xs font-semibold text-white transition-colors ${activePin === pin.kind ? pin.active : 'bg-slate-700 border-slate-600 hover:bg-slate-600'}`}
+                    >
+                      {pin.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <LocationPickerMap
+                source={sourcePoint}
+                destination={destPoint}
+                stops={stopPoints}
+                activePin={activePin}
+                onPick={handleMapPick}
+              />
             </div>
             <div className="max-w-6xl mx-auto px-1 py-1 space-y-0">
               <input className="p-0.5 rounded w-full outline-none" />
@@ -276,6 +475,9 @@ export default function CreateConvoy() {
             <button className="px-2 py-0.5 bg-blue-600 text-white rounded" />
           </div>
 
+          {/* ETA Prediction */}
+          <EtaPanel getEndpoints={resolveEndpoints} defaultPriority={priority} />
+
           {/* Vehicles Section */}
           <div className="bg-slate-800 rounded-lg border border-slate-700 p-6">
             <div className="flex items-center justify-between mb-6">
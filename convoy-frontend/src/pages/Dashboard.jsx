@@ -1,13 +1,99 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Navbar from '../components/Navbar';
+import { useAuth } from '../context/useAuth';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-import { Plus, MapPin, Package, AlertCircle, GitMerge, X, CheckCircle, Truck, Flag } from 'lucide-react';
+import { Plus, MapPin, Package, AlertCircle, GitMerge, X, CheckCircle, Truck, Flag, Radio, ShieldCheck, PauseCircle, AlertTriangle, Crosshair } from 'lucide-react';
+import { getDashboardMetrics } from '../api/analytics';
+import { listCheckpoints } from '../api/checkpoints';
+import { listRiskZones } from '../api/riskZones';
+import { getRoute, getMultiConvoyRoutes } from '../api/routes';
+import { routeCacheKey, loadRouteWithCache, readCachedRoute, writeCachedRoute, invalidateConvoyRoutes } from '../utils/routeCache';
+import {
+  listConvoys,
+  getConvoyRoute,
+  updateConvoyStatus as updateConvoyStatusRequest,
+  suggestMerge as suggestMergeRequest,
+  executeMerge as executeMergeRequest,
+} from '../api/convoys';
+import { reportPosition } from '../api/tracking';
+import LiveTrackingPanel from '../components/LiveTrackingPanel';
+import MergeScanner from '../components/MergeScanner';
+import StatusTransitionButtons from '../components/StatusTransitionButtons';
+import MapLayerPanel from '../components/MapLayerPanel';
+import MapLegend from '../components/MapLegend';
+import PointInspector from '../components/PointInspector';
+import { checkpointIcon, riskZoneIcon, clusterIcon, CHECKPOINT_STATUS_COLORS, RISK_STYLES } from '../utils/mapIcons';
+import { riskZoneShape, zoneExtentLabel } from '../utils/riskZoneShapes';
+import { escapeHtml } from '../utils/html';
+import { createRiskHeatLayer } from '../utils/riskHeatLayer';
+import { createTileLayer } from '../utils/tileSources';
+import {
+  BASEMAPS,
+  CHECKPOINT_STATUSES,
+  RISK_LEVELS,
+  loadLayerSettings,
+  saveLayerSettings,
+  isCheckpointVisible,
+  isRiskZoneVisible,
+} from '../utils/mapLayers';
+import { clusterPoints, clusterBounds, countBy, formatCounts, paddedViewport } from '../utils/mapClusters';
+import { STATUS_COLORS, FINAL_STATUSES, statusLabel } from '../utils/convoyStatus';
+import { createPositionFeed } from '../tracking/positionFeed';
+import { createRouteSimulator } from '../tracking/simulator';
+import { createRouteMarker } from '../tracking/routeMarker';
+
+const routeColors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+
+// Convoys per multi_convoy_routes request when showing all routes (the
+// backend allows 10); small batches let the map fill in progressively
+const ROUTE_BATCH_SIZE = 4;
+
+// Stored routes differ per convoy (stops, merges, adopted reroutes), so the key
+// carries the convoy id as well as its stops; merges and reroutes invalidate by id
+const convoyRouteCacheKey = (convoy) => `${routeCacheKey({
+  kind: 'convoy',
+  startLat: convoy.source.lat,
+  startLon: convoy.source.lon,
+  endLat: convoy.destination.lat,
+  endLon: convoy.destination.lon,
+  waypoints: convoy.stops || [],
+})}|convoy${convoy.id}`;
+
+// Anything better than the straight source-destination fallback
+const isRoadRoute = (route) => route?.waypoints?.length > 2;
+
+// Only convoys that haven't set off can take part in a merge (matches execute_merge)
+const MERGEABLE_STATUSES = ['pending', 'approved'];
+
+// Map styling for a merge proposal
+const MERGE_COLORS = {
+  convoy_a: '#3b82f6',
+  convoy_b: '#f59e0b',
+  merged: '#10b981',
+  rendezvous: '#a855f7',
+};
 
 // --- Merge Suggestion Panel Component (Overlay) ---
 // Defined locally since it's only used here.
-const MergeSuggestionBox = ({ convoys, selectedA, setSelectedA, selectedB, setSelectedB, suggestMerge, merging, mergeResult, onClose }) => (
+const MergeSuggestionBox = ({
+  convoys,
+  selectedA,
+  setSelectedA,
+  selectedB,
+  setSelectedB,
+  suggestMerge,
+  merging,
+  mergeResult,
+  confirmingMerge,
+  setConfirmingMerge,
+  executeMerge,
+  executingMerge,
+  mergeError,
+  mergeRecord,
+  onClose,
+}) => (
   <div className="bg-slate-800/95 border border-slate-700 rounded-lg p-4 backdrop-blur-sm">
     <div className='flex justify-between items-center mb-3'>
       <h3 className="text-white text-md font-bold flex items-center gap-2">
@@ -50,7 +136,7 @@ const MergeSuggestionBox = ({ convoys, selectedA, setSelectedA, selectedB, setSe
       </select>
 
       <button
-        onClick={suggestMerge}
+        onClick={() => suggestMerge()}
         disabled={!selectedA || !selectedB || merging || selectedA === selectedB}
         className="w-full mt-4 px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-md disabled:opacity-60 transition-colors"
       >
@@ -66,8 +152,78 @@ const MergeSuggestionBox = ({ convoys, selectedA, setSelectedA, selectedB, setSe
             <div>Scenario: <span className="text-white">{mergeResult.scenario}</span></div>
             <div>Extra Time: <span className="text-white">{mergeResult.extra_minutes} min</span></div>
             <div>Dest Distance: <span className="text-white">{mergeResult.dest_distance_km} km</span></div>
+            <div>Rendezvous: <span className="text-white">{mergeResult.absorbed_convoy_name}'s source</span></div>
           </div>
         )}
+        {mergeResult.can_merge && mergeResult.routes && (
+          <div className="text-slate-400 text-xs mt-3 space-y-1">
+            <div className="flex items-center gap-2">
+              <span className="inline-block w-5 border-t-2 border-dashed" style={{ borderColor: MERGE_COLORS.convoy_a }} />
+              {mergeResult.convoy_a_name} (original)
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="inline-block w-5 border-t-2 border-dashed" style={{ borderColor: MERGE_COLORS.convoy_b }} />
+              {mergeResult.convoy_b_name} (original)
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="inline-block w-5 border-t-4" style={{ borderColor: MERGE_COLORS.merged }} />
+              Merged route
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="inline-block w-3 h-3 ml-1 mr-1 rounded-full border-2 border-white" style={{ backgroundColor: MERGE_COLORS.rendezvous }} />
+              Rendezvous point
+            </div>
+          </div>
+        )}
+        {mergeResult.can_merge && (
+          confirmingMerge ? (
+            <div className="mt-3 p-3 bg-slate-900/60 border border-yellow-500/30 rounded">
+              <p className="text-yellow-400 text-xs font-semibold">Confirm merge</p>
+              <p className="text-slate-300 text-xs mt-1">
+                '{mergeResult.absorbing_convoy_name}' will absorb '{mergeResult.absorbed_convoy_name}': all of its
+                vehicles move across and '{mergeResult.absorbed_convoy_name}' is marked as merged. This cannot be undone.
+              </p>
+              <div className="flex gap-2 mt-3">
+                <button
+                  onClick={executeMerge}
+                  disabled={executingMerge}
+                  className="flex-1 px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white text-xs font-semibold rounded disabled:opacity-60 transition-colors"
+                >
+                  {executingMerge ? 'Merging...' : 'Confirm Merge'}
+                </button>
+                <button
+                  onClick={() => setConfirmingMerge(false)}
+                  disabled={executingMerge}
+                  className="flex-1 px-3 py-1.5 bg-slate-700 hover:bg-slate-600 text-slate-200 text-xs font-semibold rounded disabled:opacity-60 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => setConfirmingMerge(true)}
+              className="w-full mt-3 px-3 py-2 bg-green-600 hover:bg-green-700 text-white font-semibold rounded-md transition-colors flex items-center justify-center gap-2"
+            >
+              <GitMerge className="w-4 h-4" /> Execute Merge
+            </button>
+          )
+        )}
+        {mergeError && <p className="text-red-400 text-xs mt-2">{mergeError}</p>}
+      </div>
+    )}
+
+    {mergeRecord && (
+      <div className="mt-4 pt-3 border-t border-slate-700 text-sm">
+        <p className="font-semibold text-green-400 flex items-center gap-1">
+          <CheckCircle className="w-4 h-4" /> Merge #{mergeRecord.merge_id} completed
+        </p>
+        <div className="text-slate-300 text-xs mt-2 space-y-1">
+          <div>Absorbing convoy: <span className="text-white">{mergeRecord.absorbing_convoy_name} ({mergeRecord.absorbing_convoy_id})</span></div>
+          <div>Absorbed convoy: <span className="text-white">{mergeRecord.absorbed_convoy_name} ({mergeRecord.absorbed_convoy_id})</span></div>
+          <div>Vehicles moved: <span className="text-white">{mergeRecord.vehicles_moved}</span></div>
+          <div>Merged at: <span className="text-white">{new Date(mergeRecord.merged_at.replace(' ', 'T')).toLocaleString()}</span></div>
+        </div>
       </div>
     )}
   </div>
@@ -77,6 +233,8 @@ const MergeSuggestionBox = ({ convoys, selectedA, setSelectedA, selectedB, setSe
 
 export default function Dashboard() {
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const userId = user?.user_id;
   const [convoys, setConvoys] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showMergePanel, setShowMergePanel] = useState(true);
@@ -97,33 +255,56 @@ export default function Dashboard() {
 
   // Risk zones state
   const [riskZones, setRiskZones] = useState([]);
-  const [showRiskZones, setShowRiskZones] = useState(true);
   const riskZoneLayersRef = useRef([]);
+  const riskZoneRendererRef = useRef(null);
+  const riskHeatLayerRef = useRef(null);
+
+  // Inspect mode: clicking the map checks the risk at that point
+  const [inspectMode, setInspectMode] = useState(false);
+  const [inspectPoint, setInspectPoint] = useState(null);
+  const inspectMarkerRef = useRef(null);
+
+  // Current map bounds; point layers only draw what is in view
+  const [mapViewport, setMapViewport] = useState(null);
+
+  // Basemap and overlay choices, remembered per user
+  const [layerSettings, setLayerSettings] = useState(() => loadLayerSettings(userId));
+  const tileLayerRef = useRef(null);
 
   // Route visualization state
   const [selectedConvoyIds, setSelectedConvoyIds] = useState(new Set());
   const [convoyRoutes, setConvoyRoutes] = useState({});
   const [loadingRoutes, setLoadingRoutes] = useState({});
+  const [routeErrors, setRouteErrors] = useState({});
+  const [routeBatchProgress, setRouteBatchProgress] = useState(null);
   const routeLayers = useRef({});
   const routeMarkers = useRef({});
-  const routeColors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+
+  // Live tracking state
+  const [liveTracking, setLiveTracking] = useState(false);
+  const [feedTransport, setFeedTransport] = useState('polling');
+  const [feedStatus, setFeedStatus] = useState({ connected: false, error: null });
+  const [livePositions, setLivePositions] = useState({});
+  const liveMarkersRef = useRef({});
+
+  // Route simulator state
+  const [simConvoyId, setSimConvoyId] = useState(null);
+  const [simSpeedKmh, setSimSpeedKmh] = useState(40);
+  const [simMultiplier, setSimMultiplier] = useState(60);
+  const [simPublish, setSimPublish] = useState(false);
+  const [simRunning, setSimRunning] = useState(false);
+  const [simPositions, setSimPositions] = useState({});
+  const [simProgress, setSimProgress] = useState(null);
+  const simulatorRef = useRef(null);
 
   // Fetch analytics metrics
   const fetchMetrics = async () => {
     try {
       setMetricsLoading(true);
-      const token = localStorage.getItem('access_token');
-      const res = await fetch('http://localhost:8000/api/analytics/dashboard-metrics', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      if (res.ok) {
-        const data = await res.json();
-        if (data.status === 'success') {
-          setMetrics(data.metrics);
-          console.log('Fetched metrics:', data.metrics);
-        }
+      const data = await getDashboardMetrics();
+      if (data.status === 'success') {
+        setMetrics(data.metrics);
+        console.log('Fetched metrics:', data.metrics);
       }
     } catch (err) {
       console.error('Error fetching metrics:', err);
@@ -135,18 +316,10 @@ export default function Dashboard() {
   // Fetch all checkpoints
   const fetchCheckpoints = async () => {
     try {
-      const token = localStorage.getItem('access_token');
-      const res = await fetch('http://localhost:8000/api/checkpoints/all', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      if (res.ok) {
-        const data = await res.json();
-        if (data.status === 'success') {
-          setCheckpoints(data.checkpoints || []);
-          console.log('Fetched checkpoints:', data.checkpoints);
-        }
+      const data = await listCheckpoints();
+      if (data.status === 'success') {
+        setCheckpoints(data.checkpoints || []);
+        console.log('Fetched checkpoints:', data.checkpoints);
       }
     } catch (err) {
       console.error('Error fetching checkpoints:', err);
@@ -156,18 +329,10 @@ export default function Dashboard() {
   // Fetch all risk zones
   const fetchRiskZones = async () => {
     try {
-      const token = localStorage.getItem('access_token');
-      const res = await fetch('http://localhost:8000/api/risk-zones/all', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      if (res.ok) {
-        const data = await res.json();
-        if (data.status === 'success') {
-          setRiskZones(data.zones || []);
-          console.log('Fetched risk zones:', data.zones?.length);
-        }
+      const data = await listRiskZones();
+      if (data.status === 'success') {
+        setRiskZones(data.zones || []);
+        console.log('Fetched risk zones:', data.zones?.length);
       }
     } catch (err) {
       console.error('Error fetching risk zones:', err);
@@ -178,22 +343,11 @@ export default function Dashboard() {
   const fetchConvoys = async () => {
     try {
       setLoading(true);
-      const token = localStorage.getItem('access_token');
-      const res = await fetch('http://localhost:8000/api/convoys/list', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      if (res.ok) {
-        const data = await res.json();
-        setConvoys(data.convoys || []);
-        console.log('Fetched convoys:', data.convoys);
-      } else if (res.status === 401) {
-        // Token expired or invalid, redirect to login
-        localStorage.clear();
-        navigate('/login');
-      }
+      const data = await listConvoys();
+      setConvoys(data.convoys || []);
+      console.log('Fetched convoys:', data.convoys);
     } catch (err) {
+      // 401s are handled globally by the API client
       console.error('Error fetching convoys:', err);
     } finally {
       setLoading(false);
@@ -233,22 +387,17 @@ export default function Dashboard() {
     return colors[priority] || colors.medium;
   };
 
-  const getStatusColor = (status) => {
-    const colors = {
-      pending: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/30',
-      en_route: 'text-blue-400 bg-blue-500/10 border-blue-500/30',
-      completed: 'text-green-400 bg-green-500/10 border-green-500/30',
-      cancelled: 'text-red-400 bg-red-500/10 border-red-500/30',
-    };
-    return colors[status] || colors.pending;
-  };
+  const getStatusColor = (status) => STATUS_COLORS[status] || STATUS_COLORS.pending;
 
   const getStatusIcon = (status) => {
     const icons = {
       pending: <AlertCircle className="w-3 h-3" />,
-      en_route: <Truck className="w-3 h-3" />,
+      approved: <ShieldCheck className="w-3 h-3" />,
+      ongoing: <Truck className="w-3 h-3" />,
+      halted: <PauseCircle className="w-3 h-3" />,
       completed: <CheckCircle className="w-3 h-3" />,
       cancelled: <X className="w-3 h-3" />,
+      merged: <GitMerge className="w-3 h-3" />,
     };
     return icons[status] || icons.pending;
   };
@@ -260,17 +409,22 @@ export default function Dashboard() {
   const [selectedB, setSelectedB] = useState(null);
   const [mergeResult, setMergeResult] = useState(null);
   const [merging, setMerging] = useState(false);
+  const [confirmingMerge, setConfirmingMerge] = useState(false);
+  const [executingMerge, setExecutingMerge] = useState(false);
+  const [mergeError, setMergeError] = useState('');
+  const [mergeRecord, setMergeRecord] = useState(null);
+  const mergeLayerRef = useRef(null);
+  const mergePanelRef = useRef(null);
 
   // Map Initialization
   useEffect(() => {
     try {
       const center = [20.5937, 78.9629]; // India
       mapRef.current = L.map('map', { preferCanvas: true }).setView(center, 5);
-
-      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; OpenStreetMap contributors',
-        maxZoom: 19,
-      }).addTo(mapRef.current);
+      // One shared canvas for all risk zone circles
+      riskZoneRendererRef.current = L.canvas({ padding: 0.5 });
+      setMapViewport(mapRef.current.getBounds());
+      mapRef.current.on('moveend', () => setMapViewport(mapRef.current.getBounds()));
     } catch (err) {
       console.warn('Leaflet init failed:', err);
     }
@@ -283,9 +437,34 @@ export default function Dashboard() {
     };
   }, []);
 
-  // Display checkpoints on map
   useEffect(() => {
-    if (!mapRef.current || checkpoints.length === 0) return;
+    saveLayerSettings(userId, layerSettings);
+  }, [userId, layerSettings]);
+
+  // Swap basemap tiles when the layer choice changes
+  useEffect(() => {
+    if (!mapRef.current) return;
+    tileLayerRef.current?.remove();
+    tileLayerRef.current = createTileLayer(BASEMAPS[layerSettings.basemap]).addTo(mapRef.current);
+  }, [layerSettings.basemap]);
+
+  const visibleCheckpoints = useMemo(
+    () => checkpoints.filter(cp => isCheckpointVisible(cp, layerSettings.checkpoints)),
+    [checkpoints, layerSettings.checkpoints]
+  );
+  const visibleRiskZones = useMemo(
+    () => riskZones.filter(zone => isRiskZoneVisible(zone, layerSettings.riskZones)),
+    [riskZones, layerSettings.riskZones]
+  );
+
+  // Clicking a cluster zooms to its members
+  const zoomToCluster = (cluster) => {
+    mapRef.current.fitBounds(clusterBounds(cluster), { padding: [40, 40] });
+  };
+
+  // Display checkpoints in view on map, clustered when zoomed out
+  useEffect(() => {
+    if (!mapRef.current || !mapViewport) return;
 
     // Clear existing checkpoint markers
     checkpointMarkersRef.current.forEach(marker => {
@@ -293,44 +472,52 @@ export default function Dashboard() {
     });
     checkpointMarkersRef.current = [];
 
-    // Add checkpoint markers
-    checkpoints.forEach(cp => {
-      // Choose marker color based on checkpoint type and status
-      let markerColor = 'orange';
-      if (cp.checkpoint_type === 'military') markerColor = 'gold';
-      if (cp.checkpoint_type === 'border') markerColor = 'violet';
-      if (cp.checkpoint_type === 'rest_stop') markerColor = 'blue';
-      if (cp.checkpoint_type === 'toll') markerColor = 'grey';
-      if (cp.status === 'closed') markerColor = 'red';
-      if (cp.status === 'congested') markerColor = 'yellow';
-
-      const marker = L.marker([cp.lat, cp.lon], {
-        icon: L.icon({
-          iconUrl: `https://cdn.rawgit.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-${markerColor}.png`,
-          shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-          iconSize: [20, 33],
-          iconAnchor: [10, 33],
-          popupAnchor: [1, -28],
-          shadowSize: [33, 33],
-        }),
-      })
+    const clusters = clusterPoints(mapRef.current, visibleCheckpoints);
+    clusters.forEach(cluster => {
+      if (cluster.items.length > 1) {
+        const statusCounts = countBy(cluster.items, 'status');
+        const marker = L.marker([cluster.lat, cluster.lon], {
+          icon: clusterIcon(CHECKPOINT_STATUSES.map(status => ({
+            color: CHECKPOINT_STATUS_COLORS[status],
+            count: statusCounts[status] || 0,
+          }))),
+        })
+          .bindTooltip(
+            `<strong>${cluster.items.length} checkpoints</strong><br/>` +
+            formatCounts(statusCounts, CHECKPOINT_STATUSES),
+            { direction: 'right' }
+          )
+          .on('click', () => zoomToCluster(cluster))
+          .addTo(mapRef.current);
+        checkpointMarkersRef.current.push(marker);
+        return;
+      }
+
+      // Glyph by checkpoint type, badge by status
+      const [cp] = cluster.items;
+      const marker = L.marker([cp.lat, cp.lon], { icon: checkpointIcon(cp) })
         .bindPopup(
-          `<strong>${cp.name}</strong><br/>` +
+          `<strong>${escapeHtml(cp.name)}</strong><br/>` +
           `Type: ${cp.checkpoint_type}<br/>` +
           `Status: ${cp.status}<br/>` +
           `Capacity: ${cp.current_load}/${cp.capacity} vehicles`
         )
         .addTo(mapRef.current);
 
+      if (layerSettings.labels) {
+        marker.bindTooltip(escapeHtml(cp.name), { permanent: true, direction: 'right', offset: [8, -18] });
+      }
+
       checkpointMarkersRef.current.push(marker);
     });
 
-    console.log(`Added ${checkpoints.length} checkpoint markers to map`);
-  }, [checkpoints]);
+    console.log(`Drew ${clusters.length} checkpoint markers/clusters for ${visibleCheckpoints.length} checkpoints`);
+  }, [visibleCheckpoints, layerSettings.labels, mapViewport]);
 
-  // Display risk zones on map
+  // Display risk zones touching the view on map: circles on a canvas,
+  // center markers clustered like checkpoints
   useEffect(() => {
-    if (!mapRef.current || riskZones.length === 0 || !showRiskZones) return;
+    if (!mapRef.current || !mapViewport) return;
 
     // Clear existing risk zone layers
     riskZoneLayersRef.current.forEach(layer => {
@@ -338,8 +525,13 @@ export default function Dashboard() {
     });
     riskZoneLayersRef.current = [];
 
-    // Add risk zone circles and markers
-    riskZones.forEach(zone => {
+    const viewport = paddedViewport(mapRef.current);
+    const zonesInView = visibleRiskZones.filter(zone =>
+      viewport.intersects(L.latLng(zone.lat, zone.lon).toBounds(zone.radius_km * 2000))
+    );
+
+    // Add risk zone circles and polygons
+    zonesInView.forEach(zone => {
       // Choose color based on risk level
       let circleColor = '#ef4444'; // red for high
       let fillOpacity = 0.15;
@@ -352,45 +544,146 @@ export default function Dashboard() {
         fillOpacity = 0.08;
       }
 
-      // Draw circle for risk zone
-      const circle = L.circle([zone.lat, zone.lon], {
+      // Draw the risk zone's circle or polygon
+      const circle = riskZoneShape(zone, {
         color: circleColor,
         fillColor: circleColor,
         fillOpacity: fillOpacity,
-        radius: zone.radius_km * 1000, // Convert km to meters
         weight: 1.5,
+        renderer: riskZoneRendererRef.current,
       })
         .bindPopup(
-          `<strong>⚠️ ${zone.name}</strong><br/>` +
+          `<strong>⚠️ ${escapeHtml(zone.name)}</strong><br/>` +
           `Risk Level: <span style="color: ${circleColor}; font-weight: bold;">${zone.risk_level.toUpperCase()}</span><br/>` +
-          `Radius: ${zone.radius_km} km`
+          zoneExtentLabel(zone)
         )
         .addTo(mapRef.current);
 
+      if (layerSettings.labels) {
+        circle.bindTooltip(escapeHtml(zone.name), { permanent: true, direction: 'center' });
+      }
+
       riskZoneLayersRef.current.push(circle);
+    });
 
-      // Add small marker at center
-      const marker = L.marker([zone.lat, zone.lon], {
-        icon: L.icon({
-          iconUrl: 'https://cdn.rawgit.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-red.png',
-          shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png',
-          iconSize: [15, 25],
-          iconAnchor: [7, 25],
-          popupAnchor: [1, -20],
-          shadowSize: [25, 25],
-        }),
-      })
+    // Add small markers at the centers
+    clusterPoints(mapRef.current, zonesInView).forEach(cluster => {
+      if (cluster.items.length > 1) {
+        const levelCounts = countBy(cluster.items, 'risk_level');
+        const marker = L.marker([cluster.lat, cluster.lon], {
+          icon: clusterIcon(RISK_LEVELS.map(level => ({
+            color: RISK_STYLES[level].color,
+            count: levelCounts[level] || 0,
+          }))),
+        })
+          .bindTooltip(
+            `<strong>${cluster.items.length} risk zones</strong><br/>` +
+            formatCounts(levelCounts, RISK_LEVELS),
+            { direction: 'right' }
+          )
+          .on('click', () => zoomToCluster(cluster))
+          .addTo(mapRef.current);
+        riskZoneLayersRef.current.push(marker);
+        return;
+      }
+
+      const [zone] = cluster.items;
+      const color = RISK_STYLES[zone.risk_level]?.color || RISK_STYLES.high.color;
+      const marker = L.marker([zone.lat, zone.lon], { icon: riskZoneIcon(zone.risk_level) })
         .bindPopup(
-          `<strong>⚠️ ${zone.name}</strong><br/>` +
-          `Risk Level: <span style="color: ${circleColor}; font-weight: bold;">${zone.risk_level.toUpperCase()}</span>`
+          `<strong>⚠️ ${escapeHtml(zone.name)}</strong><br/>` +
+          `Risk Level: <span style="color: ${color}; font-weight: bold;">${zone.risk_level.toUpperCase()}</span>`
         )
         .addTo(mapRef.current);
 
       riskZoneLayersRef.current.push(marker);
     });
 
-    console.log(`Added ${riskZones.length} risk zones to map`);
-  }, [riskZones, showRiskZones]);
+    console.log(`Drew ${zonesInView.length} of ${visibleRiskZones.length} risk zones`);
+  }, [visibleRiskZones, layerSettings.labels, mapViewport]);
+
+  // Heatmap of all visible risk zones; its tiles only cover the view anyway
+  useEffect(() => {
+    if (!mapRef.current) return;
+    riskHeatLayerRef.current?.remove();
+    riskHeatLayerRef.current = layerSettings.riskZones.heatmap && visibleRiskZones.length > 0
+      ? createRiskHeatLayer(visibleRiskZones).addTo(mapRef.current)
+      : null;
+  }, [visibleRiskZones, layerSettings.riskZones.heatmap]);
+
+  // While inspecting, map clicks pick the point instead of panning around
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !inspectMode) return;
+
+    const container = map.getContainer();
+    container.style.cursor = 'crosshair';
+    const handleClick = (e) => setInspectPoint({ lat: e.latlng.lat, lon: e.latlng.lng });
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setInspectMode(false);
+    };
+    map.on('click', handleClick);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      map.off('click', handleClick);
+      document.removeEventListener('keydown', handleKey);
+      container.style.cursor = '';
+    };
+  }, [inspectMode]);
+
+  useEffect(() => {
+    if (!mapRef.current) return;
+    inspectMarkerRef.current?.remove();
+    inspectMarkerRef.current = inspectPoint
+      ? L.circleMarker([inspectPoint.lat, inspectPoint.lon], {
+        radius: 7,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: '#3b82f6',
+        fillOpacity: 1,
+      }).addTo(mapRef.current)
+      : null;
+  }, [inspectPoint]);
+
+  const toggleInspectMode = () => {
+    if (inspectMode) setInspectPoint(null);
+    setInspectMode(!inspectMode);
+  };
+
+  // Draw the proposed merge: both original routes, the merged route and the rendezvous
+  useEffect(() => {
+    if (!mapRef.current) return;
+
+    if (mergeLayerRef.current) {
+      mapRef.current.removeLayer(mergeLayerRef.current);
+      mergeLayerRef.current = null;
+    }
+    if (!mergeResult?.can_merge || !mergeResult.routes) return;
+
+    const { routes, rendezvous } = mergeResult;
+    mergeLayerRef.current = L.layerGroup([
+      L.polyline(routes.convoy_a, { color: MERGE_COLORS.convoy_a, weight: 3, opacity: 0.7, dashArray: '8 8' })
+        .bindPopup(`<strong>${escapeHtml(mergeResult.convoy_a_name)}</strong><br/>Original route`),
+      L.polyline(routes.convoy_b, { color: MERGE_COLORS.convoy_b, weight: 3, opacity: 0.7, dashArray: '8 8' })
+        .bindPopup(`<strong>${escapeHtml(mergeResult.convoy_b_name)}</strong><br/>Original route`),
+      L.polyline(routes.merged, { color: MERGE_COLORS.merged, weight: 5, opacity: 0.9 })
+        .bindPopup(`<strong>Merged route</strong><br/>${escapeHtml(mergeResult.scenario_readable)}`),
+      L.circleMarker([rendezvous.lat, rendezvous.lon], {
+        radius: 9,
+        fillColor: MERGE_COLORS.rendezvous,
+        color: '#ffffff',
+        weight: 2,
+        opacity: 1,
+        fillOpacity: 0.9
+      }).bindPopup(
+        `<strong>Rendezvous</strong><br/>` +
+        `'${escapeHtml(mergeResult.absorbing_convoy_name)}' picks up '${escapeHtml(mergeResult.absorbed_convoy_name)}'<br/>` +
+        `+${escapeHtml(mergeResult.extra_minutes)} min detour`
+      ),
+    ]).addTo(mapRef.current);
+
+    mapRef.current.fitBounds([...routes.convoy_a, ...routes.convoy_b, ...routes.merged], { padding: [40, 40] });
+  }, [mergeResult]);
 
   // Update markers and draw route when convoys change (omitted for brevity, assume it's correct)
   useEffect(() => {
@@ -404,8 +697,11 @@ export default function Dashboard() {
   useEffect(() => {
     if (!mapRef.current) return;
 
+    // Hiding the routes layer keeps the selection; routes come back when re-enabled
+    const drawnConvoyIds = layerSettings.routes ? selectedConvoyIds : new Set();
+
     // Draw routes for selected convoys
-    selectedConvoyIds.forEach((convoyId, index) => {
+    drawnConvoyIds.forEach((convoyId, index) => {
       const routeData = convoyRoutes[convoyId];
       if (!routeData || !routeData.waypoints) return;
 
@@ -437,6 +733,11 @@ export default function Dashboard() {
       // Store layer reference
       routeLayers.current[convoyId] = polyline;
 
+      const convoy = convoys.find(c => c.id === convoyId);
+      if (layerSettings.labels && convoy) {
+        polyline.bindTooltip(escapeHtml(convoy.convoy_name), { permanent: true, direction: 'center' });
+      }
+
       // Add green marker for source (start point)
       const sourceMarker = L.circleMarker(
         [routeData.source.lat, routeData.source.lon],
@@ -450,12 +751,11 @@ export default function Dashboard() {
         }
       ).addTo(mapRef.current);
 
-      const convoy = convoys.find(c => c.id === convoyId);
       sourceMarker.bindPopup(`
         <div style="font-family: sans-serif;">
-          <strong>${convoy?.convoy_name || 'Convoy'}</strong><br/>
+          <strong>${escapeHtml(convoy?.convoy_name || 'Convoy')}</strong><br/>
           <span style="color: #10b981;">● Source</span><br/>
-          ${convoy?.source?.place || 'Start Location'}
+          ${escapeHtml(convoy?.source?.place || 'Start Location')}
         </div>
       `);
 
@@ -474,9 +774,9 @@ export default function Dashboard() {
 
       destMarker.bindPopup(`
         <div style="font-family: sans-serif;">
-          <strong>${convoy?.convoy_name || 'Convoy'}</strong><br/>
+          <strong>${escapeHtml(convoy?.convoy_name || 'Convoy')}</strong><br/>
           <span style="color: #ef4444;">● Destination</span><br/>
-          ${convoy?.destination?.place || 'End Location'}
+          ${escapeHtml(convoy?.destination?.place || 'End Location')}
         </div>
       `);
 
@@ -484,107 +784,292 @@ export default function Dashboard() {
       routeMarkers.current[convoyId] = [sourceMarker, destMarker];
 
       // Fit map to show all selected routes
-      if (selectedConvoyIds.size === 1) {
+      if (drawnConvoyIds.size === 1) {
         mapRef.current.fitBounds(polyline.getBounds(), { padding: [50, 50] });
       }
     });
 
     // Clean up routes and markers that are no longer selected
     Object.keys(routeLayers.current).forEach(convoyId => {
-      if (!selectedConvoyIds.has(parseInt(convoyId))) {
+      if (!drawnConvoyIds.has(parseInt(convoyId))) {
         mapRef.current.removeLayer(routeLayers.current[convoyId]);
         delete routeLayers.current[convoyId];
       }
     });
 
     Object.keys(routeMarkers.current).forEach(convoyId => {
-      if (!selectedConvoyIds.has(parseInt(convoyId))) {
+      if (!drawnConvoyIds.has(parseInt(convoyId))) {
         routeMarkers.current[convoyId].forEach(marker => {
           mapRef.current.removeLayer(marker);
         });
         delete routeMarkers.current[convoyId];
       }
     });
-  }, [convoyRoutes, selectedConvoyIds, convoys]);
+  }, [convoyRoutes, selectedConvoyIds, convoys, layerSettings.routes, layerSettings.labels]);
 
-  // Fetch route for a specific convoy
-  const fetchConvoyRoute = async (convoyId) => {
-    setLoadingRoutes(prev => ({ ...prev, [convoyId]: true }));
-    try {
-      const token = localStorage.getItem('access_token');
+  const enRouteConvoys = convoys.filter(c => c.status === 'ongoing');
 
-      // First, try the convoy route endpoint
-      const res = await fetch(`http://localhost:8000/api/convoys/${convoyId}/route`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+  // Subscribe to the live position feed while tracking is on
+  useEffect(() => {
+    if (!liveTracking) return;
+
+    const stopFeed = createPositionFeed({
+      transport: feedTransport,
+      onPositions: (positions) => {
+        setLivePositions(Object.fromEntries(positions.map(p => [p.convoy_id, p])));
+      },
+      onStatus: setFeedStatus,
+    });
+    return stopFeed;
+  }, [liveTracking, feedTransport]);
 
-      if (res.ok) {
-        const data = await res.json();
-        console.log(`Route data for convoy ${convoyId}:`, data);
-
-        // Check if we got a proper route (more than 2 waypoints means it's not a straight line)
-        if (data.waypoints && data.waypoints.length > 2) {
-          setConvoyRoutes(prev => ({
-            ...prev,
-            [convoyId]: data
-          }));
-        } else {
-          // Straight line detected - OSRM may be down
-          console.warn(`⚠️ Only ${data.waypoints?.length || 0} waypoints received for convoy ${convoyId}. OSRM routing service may be unavailable.`);
-          console.log(`Attempting fallback route fetch from route_visualization endpoint...`);
-          const convoy = convoys.find(c => c.id === convoyId);
-
-          if (convoy) {
-            const osrmRes = await fetch(
-              `http://localhost:8000/api/routes/get_route?start_lat=${convoy.source_lat}&start_lon=${convoy.source_lon}&end_lat=${convoy.destination_lat}&end_lon=${convoy.destination_lon}&traffic_level=1&terrain=plain`
-            );
-
-            if (osrmRes.ok) {
-              const osrmData = await osrmRes.json();
-              console.log(`OSRM route data for convoy ${convoyId}:`, osrmData);
-
-              if (osrmData.status === 'success' && osrmData.route.coordinates) {
-                // Convert OSRM format to our format
-                const waypoints = osrmData.route.coordinates.map(coord => ({
-                  lat: coord[0],
-                  lon: coord[1]
-                }));
-
-                setConvoyRoutes(prev => ({
-                  ...prev,
-                  [convoyId]: {
-                    ...data,
-                    waypoints: waypoints
-                  }
-                }));
-              } else {
-                // Use the straight line if OSRM also fails
-                setConvoyRoutes(prev => ({
-                  ...prev,
-                  [convoyId]: data
-                }));
-              }
-            } else {
-              // Use the straight line from first endpoint
-              setConvoyRoutes(prev => ({
-                ...prev,
-                [convoyId]: data
-              }));
-            }
-          }
+  // Keep one animated marker per en-route convoy, following its route
+  useEffect(() => {
+    if (!mapRef.current) return;
+    const markers = liveMarkersRef.current;
+    const tracked = liveTracking ? convoys.filter(c => c.status === 'ongoing') : [];
+    const trackedIds = new Set(tracked.map(c => c.id));
+
+    Object.keys(markers).forEach(convoyId => {
+      if (!trackedIds.has(parseInt(convoyId))) {
+        markers[convoyId].marker.remove();
+        delete markers[convoyId];
+      }
+    });
+
+    tracked.forEach((convoy, index) => {
+      const waypoints = convoyRoutes[convoy.id]?.waypoints;
+      if (!waypoints || waypoints.length === 0) return;
+
+      if (!markers[convoy.id]) {
+        markers[convoy.id] = {
+          marker: createRouteMarker({
+            map: mapRef.current,
+            coords: waypoints,
+            color: routeColors[index % routeColors.length],
+          }),
+          position: null,
+        };
+      }
+
+      // A running simulation overrides the server feed for that convoy
+      const position = simPositions[convoy.id] || livePositions[convoy.id];
+      const entry = markers[convoy.id];
+      entry.marker.setPopup(`
+        <div style="font-family: sans-serif;">
+          <strong>${escapeHtml(convoy.convoy_name)}</strong><br/>
+          ${position
+            ? `Source: ${position.source === 'simulator' ? 'Simulator' : 'GPS'}<br/>` +
+              (position.speed_kmh != null ? `Speed: ${Math.round(position.speed_kmh)} km/h<br/>` : '') +
+              `Updated: ${new Date(position.recorded_at * 1000).toLocaleTimeString()}`
+            : 'Awaiting first position fix'}
+        </div>
+      `);
+      if (position && position !== entry.position) {
+        entry.position = position;
+        entry.marker.setPosition(position);
+      }
+    });
+  }, [liveTracking, convoys, convoyRoutes, livePositions, simPositions]);
+
+  // Tear down markers and any running simulation when leaving the page
+  useEffect(() => {
+    const markers = liveMarkersRef.current;
+    return () => {
+      simulatorRef.current?.stop();
+      Object.values(markers).forEach(entry => entry.marker.remove());
+    };
+  }, []);
+
+  // Apply simulator speed changes to a running replay
+  useEffect(() => {
+    simulatorRef.current?.setSpeed(simSpeedKmh);
+    simulatorRef.current?.setSpeedMultiplier(simMultiplier);
+  }, [simSpeedKmh, simMultiplier]);
+
+  const stopSimulation = () => {
+    simulatorRef.current?.stop();
+    simulatorRef.current = null;
+    setSimRunning(false);
+  };
+
+  const startSimulation = () => {
+    const waypoints = convoyRoutes[simConvoyId]?.waypoints;
+    if (!waypoints || waypoints.length < 2) return;
+    stopSimulation();
+
+    const convoyId = simConvoyId;
+    const simulator = createRouteSimulator({
+      coords: waypoints,
+      speedKmh: simSpeedKmh,
+      speedMultiplier: simMultiplier,
+      onPosition: (point) => {
+        const position = {
+          convoy_id: convoyId,
+          lat: point.lat,
+          lon: point.lon,
+          heading: point.heading,
+          speed_kmh: point.speedKmh,
+          source: 'simulator',
+          recorded_at: Date.now() / 1000,
+        };
+        setSimPositions({ [convoyId]: position });
+        setSimProgress({ progressKm: point.progressKm, totalKm: point.totalKm });
+        if (simPublish) {
+          reportPosition(convoyId, { ...point, source: 'simulator' })
+            .catch(err => console.warn('Failed to publish simulated position:', err.detail));
         }
-      } else {
-        console.error(`Failed to fetch route for convoy ${convoyId}:`, res.status);
+        if (point.done) setSimRunning(false);
+      },
+    });
+    simulatorRef.current = simulator;
+    setSimRunning(true);
+    simulator.start();
+  };
+
+  const handleSimConvoyChange = (convoyId) => {
+    setSimConvoyId(convoyId);
+    setSimPositions({});
+    setSimProgress(null);
+    if (convoyId && !convoyRoutes[convoyId]) fetchConvoyRoute(convoyId);
+  };
+
+  const toggleLiveTracking = () => {
+    if (liveTracking) {
+      stopSimulation();
+      setSimPositions({});
+      setSimProgress(null);
+      setLivePositions({});
+      setFeedStatus({ connected: false, error: null });
+      setLiveTracking(false);
+      return;
+    }
+    // Markers follow the route polyline, so make sure every tracked convoy has one
+    enRouteConvoys.forEach(convoy => {
+      if (!convoyRoutes[convoy.id] && !loadingRoutes[convoy.id]) fetchConvoyRoute(convoy.id);
+    });
+    setLiveTracking(true);
+  };
+
+  // Request a convoy's route from the backend; resolves with null when the
+  // convoy is no longer in the list
+  const requestConvoyRoute = async (convoyId) => {
+    // First, try the convoy route endpoint
+    const data = await getConvoyRoute(convoyId);
+    console.log(`Route data for convoy ${convoyId}:`, data);
+
+    // Check if we got a proper route (more than 2 waypoints means it's not a straight line)
+    if (data.waypoints && data.waypoints.length > 2) {
+      return data;
+    }
+
+    // Straight line detected - OSRM may be down
+    console.warn(`⚠️ Only ${data.waypoints?.length || 0} waypoints received for convoy ${convoyId}. OSRM routing service may be unavailable.`);
+    console.log(`Attempting fallback route fetch from route_visualization endpoint...`);
+    const convoy = convoys.find(c => c.id === convoyId);
+    if (!convoy) return null;
+
+    let waypoints = data.waypoints;
+    try {
+      const osrmData = await getRoute({
+        startLat: convoy.source.lat,
+        startLon: convoy.source.lon,
+        endLat: convoy.destination.lat,
+        endLon: convoy.destination.lon,
+      });
+      console.log(`OSRM route data for convoy ${convoyId}:`, osrmData);
+
+      if (osrmData.status === 'success' && osrmData.route.coordinates) {
+        // Convert OSRM format to our format
+        waypoints = osrmData.route.coordinates.map(coord => ({
+          lat: coord[0],
+          lon: coord[1]
+        }));
       }
+    } catch (err) {
+      // Use the straight line from first endpoint
+      console.warn(`Fallback route fetch failed for convoy ${convoyId}:`, err.detail);
+    }
+
+    return { ...data, waypoints };
+  };
+
+  // Fetch route for a specific convoy. A cached copy is drawn straight away
+  // and refreshed in the background.
+  const fetchConvoyRoute = async (convoyId) => {
+    const convoy = convoys.find(c => c.id === convoyId);
+    setLoadingRoutes(prev => ({ ...prev, [convoyId]: true }));
+    try {
+      await loadRouteWithCache({
+        key: convoy ? convoyRouteCacheKey(convoy) : `convoy|${convoyId}`,
+        convoyId,
+        fetch: () => requestConvoyRoute(convoyId),
+        onData: (route) => {
+          if (!route) return;
+          setConvoyRoutes(prev => ({ ...prev, [convoyId]: route }));
+          setLoadingRoutes(prev => ({ ...prev, [convoyId]: false }));
+        },
+        // Straight-line fallbacks are not worth keeping
+        isCacheable: isRoadRoute,
+      });
+      setRouteErrors(prev => ({ ...prev, [convoyId]: null }));
     } catch (err) {
       console.error(`Error fetching route for convoy ${convoyId}:`, err);
+      setRouteErrors(prev => ({ ...prev, [convoyId]: err.detail || err.message || 'Route failed to load' }));
     } finally {
       setLoadingRoutes(prev => ({ ...prev, [convoyId]: false }));
     }
   };
 
+  // Show every active convoy's route. Cached routes draw first; the rest come
+  // from multi_convoy_routes in small batches, each drawn as it returns.
+  const showAllActiveRoutes = async () => {
+    const active = convoys.filter(c => !FINAL_STATUSES.includes(c.status || 'pending'));
+    if (active.length === 0) return;
+    setSelectedConvoyIds(new Set(active.map(c => c.id)));
+
+    const toFetch = [];
+    for (const convoy of active) {
+      if (convoyRoutes[convoy.id] || loadingRoutes[convoy.id]) continue;
+      const cached = await readCachedRoute(convoyRouteCacheKey(convoy));
+      if (cached) setConvoyRoutes(prev => ({ ...prev, [convoy.id]: cached.data }));
+      if (!cached?.fresh) toFetch.push(convoy);
+    }
+    if (toFetch.length === 0) return;
+
+    const loading = Object.fromEntries(toFetch.map(c => [c.id, true]));
+    setLoadingRoutes(prev => ({ ...prev, ...loading }));
+    setRouteErrors(prev => ({ ...prev, ...Object.fromEntries(toFetch.map(c => [c.id, null])) }));
+    setRouteBatchProgress({ done: 0, total: toFetch.length });
+
+    for (let i = 0; i < toFetch.length; i += ROUTE_BATCH_SIZE) {
+      const batch = toFetch.slice(i, i + ROUTE_BATCH_SIZE);
+      const errors = {};
+      try {
+        const data = await getMultiConvoyRoutes(batch.map(c => c.id));
+        const routes = {};
+        data.routes.forEach(route => {
+          routes[route.convoy_id] = route;
+          const convoy = batch.find(c => c.id === route.convoy_id);
+          if (convoy && isRoadRoute(route)) writeCachedRoute(convoyRouteCacheKey(convoy), route, route.convoy_id);
+        });
+        data.errors.forEach(({ convoy_id: convoyId, message }) => {
+          errors[convoyId] = message;
+        });
+        setConvoyRoutes(prev => ({ ...prev, ...routes }));
+      } catch (err) {
+        console.error('Batch route fetch failed:', err);
+        batch.forEach(c => {
+          errors[c.id] = err.detail || err.message || 'Route failed to load';
+        });
+      }
+      setRouteErrors(prev => ({ ...prev, ...errors }));
+      setLoadingRoutes(prev => ({ ...prev, ...Object.fromEntries(batch.map(c => [c.id, false])) }));
+      setRouteBatchProgress({ done: Math.min(i + ROUTE_BATCH_SIZE, toFetch.length), total: toFetch.length });
+    }
+    setRouteBatchProgress(null);
+  };
+
   // Handle checkbox toggle for route display
   const handleConvoyCheckbox = (convoyId, isChecked) => {
     const newSelected = new Set(selectedConvoyIds);
@@ -596,6 +1081,7 @@ export default function Dashboard() {
       }
     } else {
       newSelected.delete(convoyId);
+      setRouteErrors(prev => ({ ...prev, [convoyId]: null }));
       // Remove route from map
       if (routeLayers.current[convoyId]) {
         mapRef.current?.removeLayer(routeLayers.current[convoyId]);
@@ -613,56 +1099,89 @@ export default function Dashboard() {
     setSelectedConvoyIds(newSelected);
   };
 
-  // Update convoy status handler
-  const updateConvoyStatus = async (convoyId, newStatus) => {
+  // Update convoy status handler; rejected transitions are shown by the status buttons
+  const updateConvoyStatus = async (convoyId, newStatus, reason) => {
     try {
-      const token = localStorage.getItem('access_token');
-      const res = await fetch(`http://localhost:8000/api/convoys/${convoyId}/status?status=${newStatus}`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      if (res.ok) {
-        const data = await res.json();
-        console.log('Status updated:', data);
-        // Refresh convoys to show updated status
-        await fetchConvoys();
-      } else {
-        console.error('Failed to update status:', res.status);
-      }
+      const data = await updateConvoyStatusRequest(convoyId, newStatus, reason);
+      console.log('Status updated:', data);
     } catch (err) {
-      console.error('Error updating status:', err);
+      console.error('Failed to update status:', err.status, err.detail);
+      throw err;
+    }
+    // Newly dispatched convoys need their route for the live marker
+    if (liveTracking && newStatus === 'ongoing' && !convoyRoutes[convoyId]) {
+      fetchConvoyRoute(convoyId);
     }
+    // Refresh convoys to show updated status
+    await fetchConvoys();
   };
 
-  // Suggest merge handler
-  const suggestMerge = async () => {
-    if (!selectedA || !selectedB || selectedA === selectedB) return;
+  // Suggest merge handler; thresholds default to the backend's
+  const suggestMerge = async (convoyAId = selectedA, convoyBId = selectedB, thresholds = {}) => {
+    if (!convoyAId || !convoyBId || convoyAId === convoyBId) return;
     setMerging(true);
     setMergeResult(null);
+    setConfirmingMerge(false);
+    setMergeError('');
+    setMergeRecord(null);
     try {
-      const payload = {
-        convoy_a_id: selectedA,
-        convoy_b_id: selectedB,
-        max_extra_minutes: 30.0,
-        same_dest_radius_km: 5.0
-      };
-      const res = await fetch('http://localhost:8000/api/convoys/suggest_merge', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-      const data = await res.json();
+      const data = await suggestMergeRequest({ convoyAId, convoyBId, ...thresholds });
       setMergeResult(data);
     } catch (err) {
-      setMergeResult({ can_merge: false, reason: 'Request failed' });
+      setMergeResult({ can_merge: false, reason: err.detail || 'Request failed' });
     } finally {
       setMerging(false);
     }
   };
 
+  // Execute the suggested merge once the user has confirmed it
+  const executeMerge = async () => {
+    if (!mergeResult?.can_merge) return;
+    setExecutingMerge(true);
+    setMergeError('');
+    try {
+      const data = await executeMergeRequest({
+        absorbingConvoyId: mergeResult.absorbing_convoy_id,
+        absorbedConvoyId: mergeResult.absorbed_convoy_id,
+        mergeId: mergeResult.merge_id,
+      });
+      setMergeRecord(data.merge);
+      setMergeResult(null);
+      setConfirmingMerge(false);
+      setSelectedA(null);
+      setSelectedB(null);
+      // The absorbing convoy now follows the pickup route
+      await Promise.all([
+        invalidateConvoyRoutes(data.merge.absorbing_convoy_id),
+        invalidateConvoyRoutes(data.merge.absorbed_convoy_id),
+      ]);
+      if (selectedConvoyIds.has(data.merge.absorbing_convoy_id)) {
+        fetchConvoyRoute(data.merge.absorbing_convoy_id);
+      }
+      await Promise.all([fetchConvoys(), fetchMetrics()]);
+    } catch (err) {
+      setMergeError(err.detail || 'Merge failed');
+    } finally {
+      setExecutingMerge(false);
+    }
+  };
+
+  // Load a scanner candidate into the merge panel with the scan's thresholds
+  const openMergeCandidate = (candidate, thresholds) => {
+    setShowMergePanel(true);
+    setSelectedA(candidate.convoy_a_id);
+    setSelectedB(candidate.convoy_b_id);
+    suggestMerge(candidate.convoy_a_id, candidate.convoy_b_id, thresholds);
+    mergePanelRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const closeMergePanel = () => {
+    setShowMergePanel(false);
+    setMergeResult(null);
+    setConfirmingMerge(false);
+    setMergeError('');
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900">
       {/* NOTE: Navbar now needs the state setter to control the Merge Panel visibility 
@@ -822,27 +1341,88 @@ export default function Dashboard() {
             {/* Map controls */}
             <div className="flex items-center justify-between p-4 border-b border-slate-700">
               <h3 className="text-white font-semibold">Live Map</h3>
+              <div className="flex items-center gap-2">
               <button
-                onClick={() => setShowRiskZones(!showRiskZones)}
+                onClick={toggleLiveTracking}
                 className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
-                  showRiskZones
-                    ? 'bg-red-600/20 text-red-400 border border-red-500/30 hover:bg-red-600/30'
+                  liveTracking
+                    ? 'bg-emerald-600/20 text-emerald-400 border border-emerald-500/30 hover:bg-emerald-600/30'
                     : 'bg-slate-700 text-slate-300 border border-slate-600 hover:bg-slate-600'
                 }`}
               >
-                <AlertCircle className="w-4 h-4" />
-                {showRiskZones ? `Hide Risk Zones (${riskZones.length})` : `Show Risk Zones (${riskZones.length})`}
+                <Radio className="w-4 h-4" />
+                {liveTracking ? `Tracking ${enRouteConvoys.length} ongoing` : 'Live Tracking'}
               </button>
+              <button
+                onClick={toggleInspectMode}
+                title="Click the map to check the risk at a point (Esc to stop)"
+                className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                  inspectMode
+                    ? 'bg-blue-600/20 text-blue-400 border border-blue-500/30 hover:bg-blue-600/30'
+                    : 'bg-slate-700 text-slate-300 border border-slate-600 hover:bg-slate-600'
+                }`}
+              >
+                <Crosshair className="w-4 h-4" />
+                Inspect
+              </button>
+              <MapLayerPanel
+                settings={layerSettings}
+                onChange={setLayerSettings}
+                counts={{
+                  routes: selectedConvoyIds.size,
+                  checkpoints: visibleCheckpoints.length,
+                  riskZones: visibleRiskZones.length,
+                }}
+              />
+              </div>
+            </div>
+            <div className="relative">
+              <div id="map" className="w-full h-[calc(65vh-4rem)] lg:h-[calc(78vh-4rem)] bg-slate-900" />
+              {inspectPoint && (
+                <div className="absolute top-3 right-3 bottom-3 w-80 max-w-[calc(100%-4rem)] z-[1000] pointer-events-none flex flex-col">
+                  <div className="pointer-events-auto min-h-0 overflow-y-auto rounded-lg">
+                    <PointInspector
+                      point={inspectPoint}
+                      onClose={() => setInspectPoint(null)}
+                      onSelectCheckpoint={(cp) => mapRef.current?.setView([cp.lat, cp.lon], Math.max(mapRef.current.getZoom(), 12))}
+                    />
+                  </div>
+                </div>
+              )}
             </div>
-            <div id="map" className="w-full h-[calc(65vh-4rem)] lg:h-[calc(78vh-4rem)] bg-slate-900 rounded-b-lg" />
+            <MapLegend className="px-4 py-3 border-t border-slate-700" />
           </div>
 
           {/* Right: Merge suggestion (top) and Active Convoys (middle) + summary (bottom) */}
           <div className="lg:w-1/3 w-full flex flex-col gap-6">
+            {liveTracking && (
+              <LiveTrackingPanel
+                enRouteConvoys={enRouteConvoys}
+                positions={{ ...livePositions, ...simPositions }}
+                transport={feedTransport}
+                setTransport={setFeedTransport}
+                feedStatus={feedStatus}
+                simConvoyId={simConvoyId}
+                setSimConvoyId={handleSimConvoyChange}
+                simSpeedKmh={simSpeedKmh}
+                setSimSpeedKmh={setSimSpeedKmh}
+                simMultiplier={simMultiplier}
+                setSimMultiplier={setSimMultiplier}
+                simPublish={simPublish}
+                setSimPublish={setSimPublish}
+                simRunning={simRunning}
+                simProgress={simProgress}
+                simRouteReady={Boolean(convoyRoutes[simConvoyId]?.waypoints?.length > 1)}
+                onStartSim={startSimulation}
+                onStopSim={stopSimulation}
+                onClose={toggleLiveTracking}
+              />
+            )}
+
             {showMergePanel && (
-              <div className="sticky top-20">
+              <div ref={mergePanelRef} className="sticky top-20">
                 <MergeSuggestionBox 
-                  convoys={convoys}
+                  convoys={convoys.filter(c => MERGEABLE_STATUSES.includes(c.status || 'pending'))}
                   selectedA={selectedA}
                   setSelectedA={setSelectedA}
                   selectedB={selectedB}
@@ -850,7 +1430,13 @@ export default function Dashboard() {
                   suggestMerge={suggestMerge}
                   merging={merging}
                   mergeResult={mergeResult}
-                  onClose={() => setShowMergePanel(false)}
+                  confirmingMerge={confirmingMerge}
+                  setConfirmingMerge={setConfirmingMerge}
+                  executeMerge={executeMerge}
+                  executingMerge={executingMerge}
+                  mergeError={mergeError}
+                  mergeRecord={mergeRecord}
+                  onClose={closeMergePanel}
                 />
               </div>
             )}
@@ -860,6 +1446,16 @@ export default function Dashboard() {
                 <h2 className="text-lg font-semibold text-white">Active Convoys</h2>
                 <div className="flex items-center gap-3">
                   <span className="text-slate-400 text-sm">{convoys.length} total</span>
+                  <button
+                    onClick={showAllActiveRoutes}
+                    disabled={routeBatchProgress !== null}
+                    className="text-blue-400 hover:text-blue-300 disabled:opacity-60 text-sm"
+                    title="Load and show the route of every convoy that isn't completed, cancelled or merged"
+                  >
+                    {routeBatchProgress
+                      ? `Loading routes ${routeBatchProgress.done}/${routeBatchProgress.total}...`
+                      : 'Show all routes'}
+                  </button>
                   <button
                     onClick={fetchConvoys}
                     className="text-slate-400 hover:text-white text-sm"
@@ -925,6 +1521,15 @@ export default function Dashboard() {
                                     {isLoadingRoute && (
                                       <span className="text-xs text-slate-400 italic">Loading route...</span>
                                     )}
+                                    {!isLoadingRoute && routeErrors[convoy.id] && (
+                                      <span
+                                        className="px-2 py-0.5 rounded-full border text-xs font-medium flex items-center gap-1 text-red-400 bg-red-500/10 border-red-500/30"
+                                        title={routeErrors[convoy.id]}
+                                      >
+                                        <AlertCircle className="w-3 h-3" />
+                                        Route failed
+                                      </span>
+                                    )}
                                   </div>
                                   <div className="bg-slate-900/50 rounded px-3 py-2 mb-2 border border-slate-700">
                                     <div className="flex items-center gap-2 text-xs">
@@ -941,8 +1546,17 @@ export default function Dashboard() {
                                   <div className="flex items-center gap-2">
                                     <div className={`px-2 py-1 rounded-full border text-xs font-medium flex items-center gap-1 ${getStatusColor(convoyStatus)}`}>
                                       {getStatusIcon(convoyStatus)}
-                                      <span className="capitalize">{convoyStatus.replace('_', ' ')}</span>
+                                      <span>{statusLabel(convoyStatus)}</span>
                                     </div>
+                                    {convoy.degraded && (
+                                      <div
+                                        className="px-2 py-1 rounded-full border text-xs font-medium flex items-center gap-1 text-red-400 bg-red-500/10 border-red-500/30"
+                                        title={`${convoy.breakdown_count} vehicle(s) broken down`}
+                                      >
+                                        <AlertTriangle className="w-3 h-3" />
+                                        <span>Degraded</span>
+                                      </div>
+                                    )}
                                   </div>
                                 </div>
                                 <div className={`px-2 py-1 rounded-full border text-xs font-medium ${getPriorityColor(convoy.priority)}`}>
@@ -951,57 +1565,8 @@ export default function Dashboard() {
                               </div>
                             </div>
 
-                            {/* Status Change Buttons */}
-                            <div className="flex gap-2">
-                              <button
-                                onClick={(e) => {
-                                  e.stopPropagation();
-                                  updateConvoyStatus(convoy.id, 'pending');
-                                }}
-                                disabled={convoyStatus === 'pending'}
-                                className={`flex-1 px-2 py-1.5 rounded text-xs font-medium transition-colors flex items-center justify-center gap-1 ${
-                                  convoyStatus === 'pending'
-                                    ? 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/30 cursor-not-allowed'
-                                    : 'bg-slate-700 text-slate-300 border border-slate-600 hover:bg-yellow-500/10 hover:text-yellow-400 hover:border-yellow-500/30'
-                                }`}
-                                title="Mark as Pending"
-                              >
-                                <AlertCircle className="w-3 h-3" />
-                                Pending
-                              </button>
-                              <button
-                                onClick={(e) => {
-                                  e.stopPropagation();
-                                  updateConvoyStatus(convoy.id, 'en_route');
-                                }}
-                                disabled={convoyStatus === 'en_route'}
-                                className={`flex-1 px-2 py-1.5 rounded text-xs font-medium transition-colors flex items-center justify-center gap-1 ${
-                                  convoyStatus === 'en_route'
-                                    ? 'bg-blue-500/20 text-blue-400 border border-blue-500/30 cursor-not-allowed'
-                                    : 'bg-slate-700 text-slate-300 border border-slate-600 hover:bg-blue-500/10 hover:text-blue-400 hover:border-blue-500/30'
-                                }`}
-                                title="Mark as En Route"
-                              >
-                                <Truck className="w-3 h-3" />
-                                En Route
-                              </button>
-                              <button
-                                onClick={(e) => {
-                                  e.stopPropagation();
-                                  updateConvoyStatus(convoy.id, 'completed');
-                                }}
-                                disabled={convoyStatus === 'completed'}
-                                className={`flex-1 px-2 py-1.5 rounded text-xs font-medium transition-colors flex items-center justify-center gap-1 ${
-                                  convoyStatus === 'completed'
-                                    ? 'bg-green-500/20 text-green-400 border border-green-500/30 cursor-not-allowed'
-                                    : 'bg-slate-700 text-slate-300 border border-slate-600 hover:bg-green-500/10 hover:text-green-400 hover:border-green-500/30'
-                                }`}
-                                title="Mark as Completed"
-                              >
-                                <CheckCircle className="w-3 h-3" />
-                                Completed
-                              </button>
-                            </div>
+                            {/* Status Change Buttons: only the transitions the lifecycle allows */}
+                            <StatusTransitionButtons convoy={convoy} onTransition={updateConvoyStatus} />
                           </div>
                         </div>
                       </div>
@@ -1042,6 +1607,8 @@ export default function Dashboard() {
             </div>
           </div>
         </div>
+
+        <MergeScanner convoys={convoys} onOpen={openMergeCandidate} />
       </div>
     </div>
   );
@@ -1,14 +1,55 @@
 import { useState } from "react";
 import "../styles/Login.css";
-import { useNavigate, Link } from "react-router-dom";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
 import { LogIn, Mail, Lock, Truck, ArrowRight, ChevronDown } from "lucide-react";
+import { useAuth } from "../context/useAuth";
+import { getSafeNext } from "../api/session";
+import { sendLoginOtp } from "../api/auth";
+import OtpCodeEntry from "../components/OtpCodeEntry";
+import "../styles/otp.css";
+
+const REASON_MESSAGES = {
+  expired: "Your session expired. Please log in again to continue.",
+  unauthorized: "Your session is no longer valid. Please log in again.",
+};
 
 export default function Login() {
   const navigate = useNavigate();
+  const { login, loginWithOtp, isAuthenticated } = useAuth();
+  const [searchParams] = useSearchParams();
+  const next = getSafeNext(searchParams.get("next"));
+  const reasonMessage = REASON_MESSAGES[searchParams.get("reason")];
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
+  // "password" logs in directly; "otp" adds an emailed code as second factor
+  const [mode, setMode] = useState("password");
+  const [otpStep, setOtpStep] = useState("credentials");
+  const [devCode, setDevCode] = useState("");
+
+  const finishLogin = () => {
+    // Send the operator back to the page they were on when the session lapsed
+    navigate(next || '/dashboard', { replace: true });
+  };
+
+  const reportError = (err) => {
+    console.error('Login error', err);
+    setError(err.status ? (err.detail || 'Invalid credentials') : 'Login failed. Please try again.');
+  };
+
+  const requestOtp = async () => {
+    const data = await sendLoginOtp(email);
+    // The backend only echoes the code with OTP_DEBUG_ECHO set; never show it outside dev builds
+    setDevCode(import.meta.env.DEV ? data.otp || "" : "");
+  };
+
+  function switchMode(newMode) {
+    setMode(newMode);
+    setOtpStep("credentials");
+    setDevCode("");
+    setError("");
+  }
 
   function handleSubmit(e) {
     e.preventDefault();
@@ -17,35 +58,44 @@ export default function Login() {
     // Call backend auth endpoint
     (async () => {
       try {
-        const res = await fetch('http://localhost:8000/api/auth/login', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email, password }),
-        });
-        if (!res.ok) {
-          const err = await res.json().catch(() => ({}));
-          setError(err.detail || 'Invalid credentials');
-          return;
-        }
-        const data = await res.json();
-        // store user_id and access_token
-        if (data.user_id) {
-          localStorage.setItem('user_id', data.user_id);
-          localStorage.setItem('user', JSON.stringify({ email, user_id: data.user_id }));
+        if (mode === "otp") {
+          await requestOtp();
+          setOtpStep("code");
+        } else {
+          await login(email, password);
+          finishLogin();
         }
-        if (data.access_token) {
-          localStorage.setItem('access_token', data.access_token);
-        }
-        navigate('/dashboard');
       } catch (err) {
-        console.error('Login error', err);
-        setError('Login failed. Please try again.');
+        reportError(err);
       } finally {
         setLoading(false);
       }
     })();
   }
 
+  async function handleVerifyOtp(otp) {
+    setError("");
+    setLoading(true);
+    try {
+      await loginWithOtp({ email, password, otp });
+      finishLogin();
+    } catch (err) {
+      reportError(err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleResendOtp() {
+    setError("");
+    try {
+      await requestOtp();
+    } catch (err) {
+      reportError(err);
+      throw err;
+    }
+  }
+
   return (
     <div className="login-page-wrapper">
 
@@ -67,7 +117,7 @@ export default function Login() {
           
           {/* Header Text (Convoy AI) */}
           <div className="card-header-text">
-            <button type="button" onClick={() => navigate('/dashboard')} className="header-button">
+            <button type="button" onClick={() => navigate(isAuthenticated ? '/dashboard' : '/')} className="header-button">
               <h1 className="header-title">
                 Convoy <span className="header-title-blue">AI</span>
               </h1>
@@ -75,6 +125,12 @@ export default function Login() {
             <p className="header-tagline"></p>
           </div>
 
+          {reasonMessage && !error && (
+            <div className="session-notice-box">
+              {reasonMessage}
+            </div>
+          )}
+
           {error && (
             <div className="error-message-box">
               <svg xmlns="http://www.w3.org/2000/svg" className="error-icon" viewBox="0 0 20 20" fill="currentColor">
@@ -84,58 +140,89 @@ export default function Login() {
             </div>
           )}
 
-          <form onSubmit={handleSubmit} className="login-form">
-
-            {/* Email Field Group */}
-            <div className="form-group">
-              <label className="input-label">
-                <Mail className="input-icon" /> Email
-              </label>
-
-              <div className="relative">
-                <input
-                  type="email"
-                  placeholder="Enter your email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  className="input-field"
-                  required
-                />
+          {/* Login method toggle */}
+          <div className="otp-mode-toggle">
+            <button
+              type="button"
+              onClick={() => switchMode("password")}
+              className={`otp-mode-button ${mode === "password" ? "active" : ""}`}
+            >
+              Password
+            </button>
+            <button
+              type="button"
+              onClick={() => switchMode("otp")}
+              className={`otp-mode-button ${mode === "otp" ? "active" : ""}`}
+            >
+              Password + OTP
+            </button>
+          </div>
+
+          {mode === "otp" && otpStep === "code" ? (
+            <OtpCodeEntry
+              email={email}
+              devCode={devCode}
+              loading={loading}
+              submitLabel="Verify & log in"
+              buttonClassName="login-button"
+              onVerify={handleVerifyOtp}
+              onResend={handleResendOtp}
+              onBack={() => setOtpStep("credentials")}
+            />
+          ) : (
+            <form onSubmit={handleSubmit} className="login-form">
+
+              {/* Email Field Group */}
+              <div className="form-group">
+                <label className="input-label">
+                  <Mail className="input-icon" /> Email
+                </label>
+
+                <div className="relative">
+                  <input
+                    type="email"
+                    placeholder="Enter your email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="input-field"
+                    required
+                  />
+                </div>
               </div>
-            </div>
 
-            {/* Password Field Group */}
-            <div className="form-group">
-              <label className="input-label">
-                <Lock className="input-icon" /> Password
-              </label>
-              <div className="relative">
-                <input
-                  type="password"
-                  placeholder="Enter your password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  className="input-field"
-                  required
-                />
+              {/* Password Field Group */}
+              <div className="form-group">
+                <label className="input-label">
+                  <Lock className="input-icon" /> Password
+                </label>
+                <div className="relative">
+                  <input
+                    type="password"
+                    placeholder="Enter your password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="input-field"
+                    required
+                  />
+                </div>
               </div>
-            </div>
 
-            {/* Login Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              className="login-button"
-            >
-              {loading ? (
-                "Authenticating..."
-              ) : (
-                <>
-                  <ArrowRight className="login-button-icon" /> Log in 
-                </>
-              )}
-            </button>
-          </form>
+              {/* Login Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="login-button"
+              >
+                {loading ? (
+                  mode === "otp" ? "Sending code..." : "Authenticating..."
+                ) : (
+                  <>
+                    <ArrowRight className="login-button-icon" /> {mode === "otp" ? "Send code" : "Log in"}
+                  </>
+                )}
+              </button>
+            </form>
+          )}
 
           {/* Sign Up Link */}
           <div className="signup-link-wrapper">
@@ -0,0 +1,742 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import Navbar from '../components/Navbar';
+import { ShieldAlert, Plus, Pencil, Archive, Search, Circle, Hexagon, Undo2, RotateCcw, AlertCircle, X } from 'lucide-react';
+import {
+  listManagedRiskZones,
+  createRiskZone,
+  updateRiskZone,
+  retireRiskZone,
+  previewRiskZoneImpact,
+} from '../api/riskZones';
+import { createTileLayer } from '../utils/tileSources';
+import { RISK_STYLES } from '../utils/mapIcons';
+import { RISK_LEVELS } from '../utils/mapLayers';
+import { riskZoneShape, zoneExtentLabel } from '../utils/riskZoneShapes';
+import { haversineKm } from '../utils/geo';
+import { escapeHtml } from '../utils/html';
+
+const INDIA_CENTER = [20.5937, 78.9629];
+const STATUS_FILTERS = ['all', 'active', 'scheduled', 'expired', 'retired'];
+const ZONE_STATUS_COLORS = {
+  active: 'text-green-400 bg-green-500/10 border-green-500/30',
+  scheduled: 'text-blue-400 bg-blue-500/10 border-blue-500/30',
+  expired: 'text-slate-400 bg-slate-500/10 border-slate-500/30',
+  retired: 'text-slate-500 bg-slate-700/30 border-slate-600',
+};
+const IMPACT_CHANGES = {
+  added: { label: 'Newly affected', className: 'text-red-400' },
+  removed: { label: 'No longer affected', className: 'text-green-400' },
+  unchanged: { label: 'Still affected', className: 'text-slate-300' },
+};
+// Wait for drawing/typing to settle before previewing the impact
+const IMPACT_DEBOUNCE_MS = 500;
+
+const SHAPE_OPTIONS = [
+  { shape: 'circle', label: 'Circle', icon: <Circle className="w-4 h-4" /> },
+  { shape: 'polygon', label: 'Polygon', icon: <Hexagon className="w-4 h-4" /> },
+];
+
+const EMPTY_FORM = {
+  name: '',
+  riskLevel: 'medium',
+  shape: 'circle',
+  center: null,
+  radiusKm: '',
+  vertices: [],
+  validFrom: '',
+  validUntil: '',
+  notes: '',
+};
+
+const vertexIcon = L.divIcon({
+  className: '',
+  html: '<div style="width: 12px; height: 12px; border-radius: 50%; background: #3b82f6; border: 2px solid #ffffff; box-shadow: 0 0 4px rgba(0,0,0,0.6);"></div>',
+  iconSize: [12, 12],
+  iconAnchor: [6, 6],
+});
+
+// datetime-local wants "YYYY-MM-DDTHH:mm"; the API returns full ISO strings
+const toInputDate = (iso) => (iso ? iso.slice(0, 16) : '');
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : null);
+
+const formFromZone = (zone) => ({
+  name: zone.name,
+  riskLevel: zone.risk_level,
+  shape: zone.polygon ? 'polygon' : 'circle',
+  center: zone.polygon ? null : { lat: zone.lat, lon: zone.lon },
+  radiusKm: zone.polygon ? '' : String(zone.radius_km),
+  vertices: (zone.polygon || []).map(([lat, lon]) => ({ lat, lon })),
+  validFrom: toInputDate(zone.valid_from),
+  validUntil: toInputDate(zone.valid_until),
+  notes: zone.notes || '',
+});
+
+// Request body for the form, or null while the shape is incomplete
+const zonePayload = (form) => {
+  const base = {
+    name: form.name.trim(),
+    risk_level: form.riskLevel,
+    shape: form.shape,
+    valid_from: form.validFrom || null,
+    valid_until: form.validUntil || null,
+    notes: form.notes.trim() || null,
+  };
+  if (form.shape === 'polygon') {
+    return form.vertices.length >= 3
+      ? { ...base, polygon: form.vertices.map(v => [v.lat, v.lon]) }
+      : null;
+  }
+  const radiusKm = parseFloat(form.radiusKm);
+  return form.center && radiusKm > 0
+    ? { ...base, center_lat: form.center.lat, center_lon: form.center.lon, radius_km: radiusKm }
+    : null;
+};
+
+const zoneBounds = (zone) => L.latLng(zone.lat, zone.lon).toBounds(zone.radius_km * 2000);
+
+// Convoys a zone change touches, from /api/risk-zones/impact
+function ImpactList({ impact, loading, error }) {
+  if (loading) return <p className="text-slate-400 text-sm">Checking convoy routes...</p>;
+  if (error) {
+    return (
+      <p className="text-red-300 text-sm flex items-center gap-2">
+        <AlertCircle className="w-4 h-4 flex-shrink-0" />
+        {error}
+      </p>
+    );
+  }
+  if (!impact) return null;
+  if (impact.convoys.length === 0) {
+    return (
+      <p className="text-slate-400 text-sm">
+        None of your {impact.checked_convoys} active convoy{impact.checked_convoys !== 1 ? 's' : ''} would be affected
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-slate-400 text-sm">
+        {impact.affected_count} of {impact.checked_convoys} active convoys affected (within {impact.buffer_km} km of the route)
+      </p>
+      {impact.convoys.map(convoy => {
+        const change = IMPACT_CHANGES[convoy.change];
+        const danger = convoy.after || convoy.before;
+        return (
+          <div key={convoy.convoy_id} className="flex items-center justify-between gap-2 bg-slate-900/50 rounded p-3 border border-slate-700 text-sm">
+            <div className="min-w-0">
+              <Link to={`/route/${convoy.convoy_id}`} className="text-white font-medium hover:text-blue-400 truncate block">
+                {convoy.convoy_name}
+              </Link>
+              <p className="text-slate-500 text-xs">
+                {convoy.status}
+                {danger?.inside_km > 0 && ` · ${danger.inside_km} km inside`}
+                {convoy.route_type === 'straight_line' && ' · no stored route, checked as a straight line'}
+              </p>
+            </div>
+            <span className={`text-xs font-medium flex-shrink-0 ${change.className}`}>{change.label}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default function RiskZones() {
+  const mapContainer = useRef(null);
+  const mapRef = useRef(null);
+  const zonesLayerRef = useRef(null);
+  const draftLayerRef = useRef(null);
+
+  const [zones, setZones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [search, setSearch] = useState('');
+  const [levelFilter, setLevelFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  // { zoneId, form } while creating (zoneId null) or editing a zone
+  const [editor, setEditor] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const [impact, setImpact] = useState(null);
+  const [impactLoading, setImpactLoading] = useState(false);
+  const [impactError, setImpactError] = useState('');
+  const [retireTarget, setRetireTarget] = useState(null);
+  const [retireImpact, setRetireImpact] = useState(null);
+  const [retireImpactError, setRetireImpactError] = useState('');
+  const [retiring, setRetiring] = useState(false);
+  const [retireError, setRetireError] = useState('');
+
+  const fetchZones = async () => {
+    try {
+      setLoading(true);
+      setLoadError('');
+      const data = await listManagedRiskZones(true);
+      setZones(data.zones || []);
+    } catch (err) {
+      console.error('Error fetching risk zones:', err);
+      setLoadError(err.detail || 'Could not load risk zones');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchZones();
+  }, []);
+
+  const filteredZones = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return zones.filter(zone =>
+      (levelFilter === 'all' || zone.risk_level === levelFilter) &&
+      (statusFilter === 'all' || zone.status === statusFilter) &&
+      (!query || zone.name.toLowerCase().includes(query) || (zone.notes || '').toLowerCase().includes(query))
+    );
+  }, [zones, search, levelFilter, statusFilter]);
+
+  const editingId = editor?.zoneId ?? null;
+  const payload = useMemo(() => (editor ? zonePayload(editor.form) : null), [editor]);
+
+  // Map initialization
+  useEffect(() => {
+    if (!mapContainer.current || mapRef.current) return;
+
+    mapRef.current = L.map(mapContainer.current).setView(INDIA_CENTER, 5);
+    createTileLayer().addTo(mapRef.current);
+    zonesLayerRef.current = L.layerGroup().addTo(mapRef.current);
+    draftLayerRef.current = L.layerGroup().addTo(mapRef.current);
+
+    // Circles: first click sets the center, later clicks the radius.
+    // Polygons: every click adds a vertex.
+    mapRef.current.on('click', (e) => {
+      const point = { lat: e.latlng.lat, lon: e.latlng.lng };
+      setEditor(prev => {
+        if (!prev) return prev;
+        const { form } = prev;
+        if (form.shape === 'polygon') {
+          return { ...prev, form: { ...form, vertices: [...form.vertices, point] } };
+        }
+        if (!form.center) return { ...prev, form: { ...form, center: point } };
+        return { ...prev, form: { ...form, radiusKm: haversineKm(form.center, point).toFixed(2) } };
+      });
+    });
+
+    return () => {
+      mapRef.current.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // Listed zones; inactive ones are dashed, the one being edited is left to the draft layer
+  useEffect(() => {
+    const layer = zonesLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+
+    filteredZones.forEach(zone => {
+      if (String(zone.id) === String(editingId)) return;
+      const color = RISK_STYLES[zone.risk_level]?.color || RISK_STYLES.high.color;
+      const active = zone.status === 'active';
+      riskZoneShape(zone, {
+        color,
+        fillColor: color,
+        fillOpacity: active ? 0.15 : 0.05,
+        weight: 1.5,
+        dashArray: active ? null : '6 6',
+      })
+        .bindPopup(
+          `<strong>${escapeHtml(zone.name)}</strong><br/>` +
+          `Risk Level: <span style="color: ${color}; font-weight: bold;">${zone.risk_level.toUpperCase()}</span><br/>` +
+          `Status: ${zone.status}<br/>` +
+          zoneExtentLabel(zone)
+        )
+        .addTo(layer);
+    });
+  }, [filteredZones, editingId]);
+
+  // Shape being drawn
+  useEffect(() => {
+    const layer = draftLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    if (!editor) return;
+
+    const { form } = editor;
+    const color = RISK_STYLES[form.riskLevel]?.color || RISK_STYLES.high.color;
+    if (form.shape === 'polygon') {
+      const latLngs = form.vertices.map(v => [v.lat, v.lon]);
+      if (latLngs.length >= 3) {
+        L.polygon(latLngs, { color, fillColor: color, fillOpacity: 0.25, weight: 2 }).addTo(layer);
+      } else if (latLngs.length === 2) {
+        L.polyline(latLngs, { color, weight: 2, dashArray: '6 6' }).addTo(layer);
+      }
+      latLngs.forEach(latLng => L.marker(latLng, { icon: vertexIcon, interactive: false }).addTo(layer));
+      return;
+    }
+
+    if (!form.center) return;
+    L.marker([form.center.lat, form.center.lon], { icon: vertexIcon, interactive: false }).addTo(layer);
+    const radiusKm = parseFloat(form.radiusKm);
+    if (radiusKm > 0) {
+      L.circle([form.center.lat, form.center.lon], {
+        radius: radiusKm * 1000,
+        color,
+        fillColor: color,
+        fillOpacity: 0.25,
+        weight: 2,
+        interactive: false,
+      }).addTo(layer);
+    }
+  }, [editor]);
+
+  // Preview the edit's impact once the shape is complete and input settles
+  useEffect(() => {
+    setImpact(null);
+    setImpactError('');
+    if (!payload) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setImpactLoading(true);
+      try {
+        const data = await previewRiskZoneImpact(
+          { ...payload, name: payload.name || 'Untitled zone' },
+          editingId,
+          { signal: controller.signal }
+        );
+        setImpact(data);
+      } catch (err) {
+        if (err.aborted) return;
+        console.error('Error previewing zone impact:', err);
+        setImpactError(err.detail || 'Could not check affected convoys');
+      } finally {
+        if (!controller.signal.aborted) setImpactLoading(false);
+      }
+    }, IMPACT_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+      setImpactLoading(false);
+    };
+  }, [payload, editingId]);
+
+  const updateForm = (patch) => setEditor(prev => ({ ...prev, form: { ...prev.form, ...patch } }));
+
+  const startCreate = () => {
+    setEditor({ zoneId: null, form: EMPTY_FORM });
+    setSaveError('');
+  };
+
+  const startEdit = (zone) => {
+    setEditor({ zoneId: zone.id, form: formFromZone(zone) });
+    setSaveError('');
+    mapRef.current?.fitBounds(zoneBounds(zone), { padding: [40, 40], maxZoom: 12 });
+  };
+
+  const resetShape = () => updateForm({ center: null, radiusKm: '', vertices: [] });
+
+  const undoVertex = () => updateForm({ vertices: editor.form.vertices.slice(0, -1) });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!editor.form.name.trim()) {
+      setSaveError('Please give the zone a name');
+      return;
+    }
+    if (!payload) {
+      setSaveError(editor.form.shape === 'polygon'
+        ? 'Click at least 3 points on the map to outline the zone'
+        : 'Click the map to place the center and set a radius');
+      return;
+    }
+
+    setSaving(true);
+    setSaveError('');
+    try {
+      if (editor.zoneId === null) {
+        await createRiskZone(payload);
+      } else {
+        await updateRiskZone(editor.zoneId, payload);
+      }
+      setEditor(null);
+      await fetchZones();
+    } catch (err) {
+      console.error('Error saving risk zone:', err);
+      setSaveError(err.detail || 'Could not save the zone');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openRetire = async (zone) => {
+    setRetireTarget(zone);
+    setRetireImpact(null);
+    setRetireImpactError('');
+    setRetireError('');
+    try {
+      setRetireImpact(await previewRiskZoneImpact(undefined, zone.id));
+    } catch (err) {
+      console.error('Error previewing zone impact:', err);
+      setRetireImpactError(err.detail || 'Could not check affected convoys');
+    }
+  };
+
+  const handleRetire = async () => {
+    setRetiring(true);
+    setRetireError('');
+    try {
+      await retireRiskZone(retireTarget.id);
+      if (String(editingId) === String(retireTarget.id)) setEditor(null);
+      setRetireTarget(null);
+      await fetchZones();
+    } catch (err) {
+      console.error('Error retiring risk zone:', err);
+      setRetireError(err.detail || 'Could not retire the zone');
+    } finally {
+      setRetiring(false);
+    }
+  };
+
+  const form = editor?.form;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-6 py-12">
+        {/* Header */}
+        <div className="mb-6 flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-white mb-2">Risk Zones</h1>
+            <p className="text-slate-400">Draw, schedule and retire the zones routing avoids</p>
+          </div>
+          <button
+            onClick={startCreate}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors text-sm flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            New Zone
+          </button>
+        </div>
+
+        {loadError && (
+          <div className="mb-6 p-4 rounded-lg bg-red-500/10 border border-red-500/30 text-red-300 text-sm">
+            {loadError}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Map and impact preview */}
+          <div className="lg:col-span-2 space-y-4">
+            <div className="bg-slate-800 rounded-lg border border-slate-700 overflow-hidden">
+              {editor && (
+                <div className="px-4 py-2 border-b border-slate-700 text-sm text-slate-300">
+                  {form.shape === 'polygon'
+                    ? `Click the map to add outline points (${form.vertices.length} so far)`
+                    : form.center
+                      ? 'Click the map to set the radius, or type it in'
+                      : 'Click the map to place the zone center'}
+                </div>
+              )}
+              <div ref={mapContainer} className={`w-full h-[32rem] ${editor ? 'cursor-crosshair' : ''}`} />
+            </div>
+
+            {editor && (
+              <div className="bg-slate-800 rounded-lg border border-slate-700 p-4">
+                <h2 className="text-white font-semibold mb-3">Affected Convoys</h2>
+                {payload || impactLoading ? (
+                  <ImpactList impact={impact} loading={impactLoading} error={impactError} />
+                ) : (
+                  <p className="text-slate-500 text-sm">Finish the shape to see which convoy routes it touches</p>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Editor or zone list */}
+          <div>
+            {editor ? (
+              <form onSubmit={handleSave} className="bg-slate-800 rounded-lg border border-slate-700 p-4 space-y-4">
+                <div className="flex items-center justify-between">
+                  <h2 className="text-white font-semibold flex items-center gap-2">
+                    <ShieldAlert className="w-5 h-5 text-amber-400" />
+                    {editor.zoneId === null ? 'New Risk Zone' : 'Edit Risk Zone'}
+                  </h2>
+                  <button type="button" onClick={() => setEditor(null)} className="text-slate-400 hover:text-white" title="Cancel">
+                    <X className="w-5 h-5" />
+                  </button>
+                </div>
+
+                {saveError && (
+                  <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-300 text-sm">
+                    {saveError}
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Name *</label>
+                  <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => updateForm({ name: e.target.value })}
+                    className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Risk Level</label>
+                  <div className="flex gap-2">
+                    {RISK_LEVELS.map(level => (
+                      <button
+                        key={level}
+                        type="button"
+                        onClick={() => updateForm({ riskLevel: level })}
+                        className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium capitalize border transition-colors ${
+                          form.riskLevel === level ? 'bg-slate-600 border-slate-400 text-white' : 'bg-slate-700 border-slate-600 text-slate-300 hover:bg-slate-600'
+                        }`}
+                        style={form.riskLevel === level ? { color: RISK_STYLES[level].color } : undefined}
+                      >
+                        {level}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Shape</label>
+                  <div className="flex gap-2">
+                    {SHAPE_OPTIONS.map(({ shape, label, icon }) => (
+                      <button
+                        key={shape}
+                        type="button"
+                        onClick={() => updateForm({ shape })}
+                        className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium flex items-center justify-center gap-2 transition-colors ${
+                          form.shape === shape ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                        }`}
+                      >
+                        {icon}
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {form.shape === 'circle' ? (
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Radius (km)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={form.radiusKm}
+                      onChange={(e) => updateForm({ radiusKm: e.target.value })}
+                      disabled={!form.center}
+                      placeholder={form.center ? '' : 'Place the center first'}
+                      className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500 disabled:opacity-50"
+                    />
+                    {form.center && (
+                      <p className="text-slate-500 text-xs font-mono mt-1">
+                        Center {form.center.lat.toFixed(5)}, {form.center.lon.toFixed(5)}
+                      </p>
+                    )}
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={undoVertex}
+                    disabled={form.vertices.length === 0}
+                    className="px-3 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white rounded-lg text-sm flex items-center gap-2"
+                  >
+                    <Undo2 className="w-4 h-4" />
+                    Undo last point
+                  </button>
+                )}
+
+                <button
+                  type="button"
+                  onClick={resetShape}
+                  className="text-slate-400 hover:text-white text-sm flex items-center gap-1"
+                >
+                  <RotateCcw className="w-3 h-3" />
+                  Redraw shape
+                </button>
+
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Valid From</label>
+                    <input
+                      type="datetime-local"
+                      value={form.validFrom}
+                      onChange={(e) => updateForm({ validFrom: e.target.value })}
+                      className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-xs focus:outline-none focus:border-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-2">Valid Until</label>
+                    <input
+                      type="datetime-local"
+                      value={form.validUntil}
+                      onChange={(e) => updateForm({ validUntil: e.target.value })}
+                      className="w-full px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-xs focus:outline-none focus:border-blue-500"
+                    />
+                  </div>
+                </div>
+                <p className="text-slate-500 text-xs -mt-2">Leave empty for a zone with no start or end</p>
+
+                <div>
+                  <label className="block text-sm font-medium text-slate-300 mb-2">Notes</label>
+                  <textarea
+                    value={form.notes}
+                    onChange={(e) => updateForm({ notes: e.target.value })}
+                    rows={3}
+                    className="w-full px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="w-full px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-medium rounded-lg transition-colors text-sm"
+                >
+                  {saving ? 'Saving...' : editor.zoneId === null ? 'Create Zone' : 'Save Changes'}
+                </button>
+              </form>
+            ) : (
+              <div className="bg-slate-800 rounded-lg border border-slate-700 p-4">
+                {/* Filters */}
+                <div className="relative mb-3">
+                  <Search className="w-4 h-4 text-slate-500 absolute left-3 top-1/2 -translate-y-1/2" />
+                  <input
+                    type="text"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Search name or notes"
+                    className="w-full pl-9 pr-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500"
+                  />
+                </div>
+                <div className="flex gap-2 mb-3">
+                  <select
+                    value={levelFilter}
+                    onChange={(e) => setLevelFilter(e.target.value)}
+                    className="flex-1 px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm capitalize"
+                  >
+                    <option value="all">All levels</option>
+                    {RISK_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                  </select>
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(e.target.value)}
+                    className="flex-1 px-2 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white text-sm capitalize"
+                  >
+                    {STATUS_FILTERS.map(status => (
+                      <option key={status} value={status}>{status === 'all' ? 'All statuses' : status}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <p className="text-slate-500 text-xs mb-2">{filteredZones.length} of {zones.length} zones</p>
+
+                <div className="space-y-2 max-h-[34rem] overflow-y-auto">
+                  {loading ? (
+                    <p className="text-slate-400 text-sm py-6 text-center">Loading risk zones...</p>
+                  ) : filteredZones.length === 0 ? (
+                    <p className="text-slate-400 text-sm py-6 text-center">No risk zones found</p>
+                  ) : (
+                    filteredZones.map(zone => (
+                      <div key={zone.id} className="bg-slate-900/50 rounded p-3 border border-slate-700">
+                        <div className="flex items-start justify-between gap-2">
+                          <button
+                            type="button"
+                            onClick={() => mapRef.current?.fitBounds(zoneBounds(zone), { padding: [40, 40], maxZoom: 12 })}
+                            className="text-white font-medium text-sm text-left hover:text-blue-400 min-w-0 truncate"
+                          >
+                            {zone.name}
+                          </button>
+                          <span className={`px-2 py-0.5 rounded-full border text-xs capitalize flex-shrink-0 ${ZONE_STATUS_COLORS[zone.status]}`}>
+                            {zone.status}
+                          </span>
+                        </div>
+                        <p className="text-xs mt-1">
+                          <span className="font-medium capitalize" style={{ color: RISK_STYLES[zone.risk_level]?.color }}>
+                            {zone.risk_level}
+                          </span>
+                          <span className="text-slate-500"> · {zone.polygon ? 'polygon' : `${zone.radius_km} km radius`}</span>
+                        </p>
+                        {(zone.valid_from || zone.valid_until) && (
+                          <p className="text-slate-500 text-xs mt-1">
+                            {formatDate(zone.valid_from) || 'Always'} → {formatDate(zone.valid_until) || 'no end'}
+                          </p>
+                        )}
+                        {zone.notes && <p className="text-slate-400 text-xs mt-1 line-clamp-2">{zone.notes}</p>}
+                        {zone.status !== 'retired' && (
+                          <div className="flex gap-2 mt-2">
+                            <button
+                              onClick={() => startEdit(zone)}
+                              className="px-2 py-1 bg-slate-700 hover:bg-slate-600 text-white rounded text-xs flex items-center gap-1"
+                            >
+                              <Pencil className="w-3 h-3" />
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => openRetire(zone)}
+                              className="px-2 py-1 bg-slate-700 hover:bg-red-600/80 text-white rounded text-xs flex items-center gap-1"
+                            >
+                              <Archive className="w-3 h-3" />
+                              Retire
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    ))
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+
+      {/* Retire confirmation */}
+      {retireTarget && (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-[1000] p-4">
+          <div className="bg-slate-800 rounded-lg border border-red-500/30 max-w-md w-full p-6">
+            <h2 className="text-xl font-bold text-white mb-1">Retire {retireTarget.name}?</h2>
+            <p className="text-sm text-slate-400 mb-4">
+              The zone is kept for history but stops affecting routing straight away.
+            </p>
+
+            <div className="mb-4 max-h-64 overflow-y-auto">
+              <ImpactList impact={retireImpact} loading={!retireImpact && !retireImpactError} error={retireImpactError} />
+            </div>
+
+            {retireError && (
+              <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-300 text-sm">
+                {retireError}
+              </div>
+            )}
+
+            <div className="flex gap-3">
+              <button
+                onClick={() => setRetireTarget(null)}
+                className="flex-1 px-4 py-2 bg-slate-700 hover:bg-slate-600 text-white font-medium rounded-lg transition-colors text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRetire}
+                disabled={retiring}
+                className="flex-1 px-4 py-2 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-medium rounded-lg transition-colors text-sm"
+              >
+                {retiring ? 'Retiring...' : 'Retire Zone'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,15 +2,52 @@ import React, { useState } from "react";
 import "../styles/Signup.css";
 import { useNavigate, Link } from "react-router-dom";
 import { Truck, ArrowRight } from "lucide-react";
+import { useAuth } from "../context/useAuth";
+import { sendRegisterOtp, verifyRegisterOtp } from "../api/auth";
+import OtpCodeEntry from "../components/OtpCodeEntry";
+import "../styles/otp.css";
+
+// OTP signup wizard: contact details -> code -> name/password
+const OTP_STEPS = [
+  { id: "contact", label: "Contact" },
+  { id: "code", label: "Verify" },
+  { id: "details", label: "Account" },
+];
 
 export default function Signup() {
   const navigate = useNavigate();
+  const { register, registerWithOtp } = useAuth();
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
   const [phoneNumber, setPhoneNumber] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState("password");
+  const [otpStep, setOtpStep] = useState("contact");
+  const [devCode, setDevCode] = useState("");
+
+  const showContactFields = mode === "password" || otpStep === "contact";
+  const showAccountFields = mode === "password" || otpStep === "details";
+  const otpStepIndex = OTP_STEPS.findIndex(step => step.id === otpStep);
+
+  const reportError = (err) => {
+    console.error('Registration error:', err);
+    setError(err.message || 'Registration failed. Please try again.');
+  };
+
+  const requestOtp = async () => {
+    const data = await sendRegisterOtp({ email, phoneNumber });
+    // The backend only echoes the code with OTP_DEBUG_ECHO set; never show it outside dev builds
+    setDevCode(import.meta.env.DEV ? data.otp || "" : "");
+  };
+
+  function switchMode(newMode) {
+    setMode(newMode);
+    setOtpStep("contact");
+    setDevCode("");
+    setError("");
+  }
 
   async function handleSubmit(e) {
     e.preventDefault();
@@ -18,50 +55,65 @@ export default function Signup() {
     setLoading(true);
 
     try {
+      if (mode === "otp" && otpStep === "contact") {
+        if (!email || !phoneNumber) {
+          setError("Email and phone number are required to send a code.");
+          return;
+        }
+        await requestOtp();
+        setOtpStep("code");
+        return;
+      }
+
       if (!name || !email || !phoneNumber || !password) {
         setError("All fields are required for account creation.");
-        setLoading(false);
         return;
       }
 
       // Call backend register endpoint
-      const res = await fetch('http://localhost:8000/api/auth/register', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name,
-          email,
-          phone_number: phoneNumber,
-          password
-        }),
-      });
-
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || 'Registration failed');
-      }
-
-      const data = await res.json();
-
-      // Store user_id and access_token if returned
-      if (data.user_id) {
-        localStorage.setItem('user_id', data.user_id);
-        localStorage.setItem('user', JSON.stringify({ email, user_id: data.user_id }));
-      }
-      if (data.access_token) {
-        localStorage.setItem('access_token', data.access_token);
+      // Stores user_id and access_token if returned
+      if (mode === "otp") {
+        await registerWithOtp({ name, email, phoneNumber, password });
+      } else {
+        await register({ name, email, phoneNumber, password });
       }
 
       // Redirect to dashboard (already logged in with token)
       navigate('/dashboard');
     } catch (err) {
-      console.error('Registration error:', err);
-      setError(err.message || 'Registration failed. Please try again.');
+      reportError(err);
     } finally {
       setLoading(false);
     }
   }
 
+  async function handleVerifyOtp(otp) {
+    setError("");
+    setLoading(true);
+    try {
+      await verifyRegisterOtp({ email, otp });
+      setOtpStep("details");
+    } catch (err) {
+      reportError(err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleResendOtp() {
+    setError("");
+    try {
+      await requestOtp();
+    } catch (err) {
+      reportError(err);
+      throw err;
+    }
+  }
+
+  const submitLabel = mode === "password"
+    ? "Sign Up"
+    : otpStep === "contact" ? "Send code" : "Create account";
+
   return (
     <div className="signup-page">
       
@@ -95,79 +147,130 @@ export default function Signup() {
             </div>
           )}
 
-          <form onSubmit={handleSubmit} className="signup-form">
-
-            {/* Full Name Field */}
-            <div className="input-group">
-              <label htmlFor="name">Full Name</label>
-              <input
-                id="name"
-                type="text"
-                placeholder="Enter your full name"
-                value={name}
-                onChange={(e) => setName(e.target.value)}
-                className="input-field"
-                required
-              />
-            </div>
+          {/* Signup method toggle */}
+          <div className="otp-mode-toggle">
+            <button
+              type="button"
+              onClick={() => switchMode("password")}
+              className={`otp-mode-button ${mode === "password" ? "active" : ""}`}
+            >
+              Password
+            </button>
+            <button
+              type="button"
+              onClick={() => switchMode("otp")}
+              className={`otp-mode-button ${mode === "otp" ? "active" : ""}`}
+            >
+              Verify with OTP
+            </button>
+          </div>
 
-            {/* Email Field */}
-            <div className="input-group">
-              <label htmlFor="email">Email</label>
-              <input
-                id="email"
-                type="email"
-                placeholder="Enter your email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                className="input-field"
-                required
-              />
+          {mode === "otp" && (
+            <div className="otp-steps">
+              {OTP_STEPS.map((step, idx) => (
+                <div
+                  key={step.id}
+                  className={`otp-step ${idx === otpStepIndex ? "active" : idx < otpStepIndex ? "done" : ""}`}
+                >
+                  {idx + 1}. {step.label}
+                </div>
+              ))}
             </div>
+          )}
 
-            {/* Phone Number Field */}
-            <div className="input-group">
-              <label htmlFor="phone">Phone Number</label>
-              <input
-                id="phone"
-                type="tel"
-                placeholder="Enter your phone number"
-                value={phoneNumber}
-                onChange={(e) => setPhoneNumber(e.target.value)}
-                className="input-field"
-                required
-              />
-            </div>
+          {mode === "otp" && otpStep === "code" ? (
+            <OtpCodeEntry
+              email={email}
+              devCode={devCode}
+              loading={loading}
+              buttonClassName="signup-button"
+              onVerify={handleVerifyOtp}
+              onResend={handleResendOtp}
+              onBack={() => setOtpStep("contact")}
+            />
+          ) : (
+            <form onSubmit={handleSubmit} className="signup-form">
 
-            {/* Password Field */}
-            <div className="input-group">
-              <label htmlFor="password">Password</label>
-              <input
-                id="password"
-                type="password"
-                placeholder="Create a password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="input-field"
-                required
-              />
-            </div>
+              {/* Full Name Field */}
+              {showAccountFields && (
+                <div className="input-group">
+                  <label htmlFor="name">Full Name</label>
+                  <input
+                    id="name"
+                    type="text"
+                    placeholder="Enter your full name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    className="input-field"
+                    required
+                  />
+                </div>
+              )}
 
-            {/* Sign Up Button */}
-            <button
-              type="submit"
-              disabled={loading}
-              className="signup-button"
-            >
-              {loading ? (
-                "Creating Account..."
-              ) : (
-                <>
-                  <ArrowRight className="button-icon"/> Sign Up
-                </>
+              {/* Email Field */}
+              {showContactFields && (
+                <div className="input-group">
+                  <label htmlFor="email">Email</label>
+                  <input
+                    id="email"
+                    type="email"
+                    placeholder="Enter your email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="input-field"
+                    required
+                  />
+                </div>
               )}
-            </button>
-          </form>
+
+              {/* Phone Number Field */}
+              {showContactFields && (
+                <div className="input-group">
+                  <label htmlFor="phone">Phone Number</label>
+                  <input
+                    id="phone"
+                    type="tel"
+                    placeholder="Enter your phone number"
+                    value={phoneNumber}
+                    onChange={(e) => setPhoneNumber(e.target.value)}
+                    className="input-field"
+                    required
+                  />
+                </div>
+              )}
+
+              {/* Password Field */}
+              {showAccountFields && (
+                <div className="input-group">
+                  <label htmlFor="password">Password</label>
+                  <input
+                    id="password"
+                    type="password"
+                    placeholder="Create a password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="input-field"
+                    required
+                  />
+                </div>
+              )}
+
+              {/* Sign Up Button */}
+              <button
+                type="submit"
+                disabled={loading}
+                className="signup-button"
+              >
+                {loading ? (
+                  otpStep === "contact" && mode === "otp" ? "Sending code..." : "Creating Account..."
+                ) : (
+                  <>
+                    <ArrowRight className="button-icon"/> {submitLabel}
+                  </>
+                )}
+              </button>
+            </form>
+          )}
 
           {/* Login Link */}
           <div className="login-link-wrapper">
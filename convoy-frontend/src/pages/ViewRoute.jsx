@@ -1,8 +1,31 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import Navbar from '../components/Navbar';
 import ConvoyMap from '../components/ConvoyMap';
-import { ArrowLeft, MapPin, Truck, Package, AlertCircle } from 'lucide-react';
+import ReroutePanel from '../components/ReroutePanel';
+import RouteRiskAnalysis from '../components/RouteRiskAnalysis';
+import OptimizationSummary from '../components/OptimizationSummary';
+import EtaPanel from '../components/EtaPanel';
+import MapLegend from '../components/MapLegend';
+import RiskProfileChart from '../components/RiskProfileChart';
+import { ArrowLeft, MapPin, Truck, Package, AlertCircle, Flame } from 'lucide-react';
+import { getConvoy, saveConvoyRoute } from '../api/convoys';
+import { getRoute } from '../api/routes';
+import { getRouteCheckpoints } from '../api/checkpoints';
+import { getOptimizationDetails } from '../api/analytics';
+import { haversineKm, slicePolyline } from '../utils/geo';
+import { RISK_STYLES } from '../utils/mapIcons';
+import { buildRiskProfile, riskStretchAt } from '../utils/riskProfile';
+import { routeCacheKey, loadRouteWithCache, invalidateConvoyRoutes } from '../utils/routeCache';
+
+const routeRequestFor = (convoy) => ({
+  startLat: convoy.source_lat,
+  startLon: convoy.source_lon,
+  endLat: convoy.destination_lat,
+  endLon: convoy.destination_lon,
+  waypoints: convoy.stops || [],
+  priority: convoy.priority,
+});
 
 export default function ViewRoute() {
   const navigate = useNavigate();
@@ -14,71 +37,72 @@ export default function ViewRoute() {
   const [dangerPoints, setDangerPoints] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [optimization, setOptimization] = useState(null);
+  const [optimizationLoading, setOptimizationLoading] = useState(false);
+  const [optimizationError, setOptimizationError] = useState('');
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [riskHoverIndex, setRiskHoverIndex] = useState(null);
 
   useEffect(() => {
     const fetchConvoy = async () => {
       try {
-        const token = localStorage.getItem('access_token');
-        const res = await fetch(`http://localhost:8000/api/convoys/${id}`, {
-          headers: token ? {
-            'Authorization': `Bearer ${token}`
-          } : {}
-        });
-        if (res.ok) {
-          const data = await res.json();
-          setConvoy(data.convoy);
-
-          // Fetch route with risk detection using get_route endpoint
-          if (data.convoy.source_lat && data.convoy.source_lon && data.convoy.destination_lat && data.convoy.destination_lon) {
-            const routeRes = await fetch(
-              `http://localhost:8000/api/routes/get_route?start_lat=${data.convoy.source_lat}&start_lon=${data.convoy.source_lon}&end_lat=${data.convoy.destination_lat}&end_lon=${data.convoy.destination_lon}&traffic_level=1&terrain=plain`,
-              {
-                headers: token ? {
-                  'Authorization': `Bearer ${token}`
-                } : {}
-              }
-            );
-            if (routeRes.ok) {
-              const routeData = await routeRes.json();
-              if (routeData.status === 'success' && routeData.route) {
-                setRoute({
-                  coordinates: routeData.route.coordinates || [],
-                  distance_km: routeData.route.distance_km || 0,
-                  duration_minutes: routeData.route.duration_minutes || 0,
-                  checkpoints: routeData.checkpoints || [],
-                  departure_time: routeData.route.departure_time || 'N/A',
-                  estimated_arrival: routeData.route.estimated_arrival || 'N/A'
-                });
-
-                // Set danger points from risk analysis
-                if (routeData.danger_points) {
-                  setDangerPoints(routeData.danger_points);
-                  console.log('Danger points detected:', routeData.danger_points.length);
-                }
-
-                // Fetch checkpoints along the route
-                const checkpointsRes = await fetch(
-                  `http://localhost:8000/api/checkpoints/route/${data.convoy.id}?max_distance_km=15`,
-                  {
-                    headers: token ? {
-                      'Authorization': `Bearer ${token}`
-                    } : {}
-                  }
-                );
-                if (checkpointsRes.ok) {
-                  const checkpointsData = await checkpointsRes.json();
-                  if (checkpointsData.status === 'success') {
-                    setCheckpoints(checkpointsData.checkpoints || []);
-                  }
-                }
-              }
+        const data = await getConvoy(id);
+        setConvoy(data.convoy);
+
+        // Fetch route with risk detection using get_route endpoint. A cached
+        // copy renders straight away and is refreshed in the background.
+        if (data.convoy.source_lat && data.convoy.source_lon && data.convoy.destination_lat && data.convoy.destination_lon) {
+          const request = routeRequestFor(data.convoy);
+          const applyRouteData = (routeData) => {
+            if (routeData.status !== 'success' || !routeData.route) return;
+            // An adopted reroute or a merge pickup route takes precedence over the
+            // fresh OSRM one; planned routes are recomputed so the ETA inputs apply
+            const stored = data.convoy.route;
+            const adopted = ['adopted', 'merge'].includes(stored?.route_kind) && stored.waypoints?.length > 1;
+            setRoute({
+              coordinates: adopted
+                ? stored.waypoints.map(wp => [wp.lat, wp.lon])
+                : routeData.route.coordinates || [],
+              distance_km: (adopted && stored.total_distance_km) || routeData.route.distance_km || 0,
+              duration_minutes: (adopted && stored.estimated_duration_minutes) || routeData.route.duration_minutes || 0,
+              checkpoints: routeData.checkpoints || [],
+              departure_time: routeData.route.departure_time || 'N/A',
+              estimated_arrival: routeData.route.estimated_arrival || 'N/A',
+              legs: adopted ? [] : routeData.route.legs || [],
+              adopted,
+              kind: adopted ? stored.route_kind : 'planned'
+            });
+
+            // Set danger points from risk analysis
+            if (routeData.danger_points) {
+              setDangerPoints(routeData.danger_points);
+              console.log('Danger points detected:', routeData.danger_points.length);
+            }
+            setLoading(false);
+          };
+
+          const routeData = await loadRouteWithCache({
+            key: routeCacheKey(request),
+            convoyId: data.convoy.id,
+            fetch: () => getRoute(request),
+            onData: applyRouteData,
+            isCacheable: (result) => result?.status === 'success' && Boolean(result.route),
+          });
+
+          if (routeData.status === 'success' && routeData.route) {
+            // Fetch checkpoints along the route
+            const checkpointsData = await getRouteCheckpoints(data.convoy.id, 15);
+            if (checkpointsData.status === 'success') {
+              setCheckpoints(checkpointsData.checkpoints || []);
             }
           }
-        } else {
-          setError('Convoy not found');
         }
       } catch (err) {
-        setError('Error loading convoy: ' + err.message);
+        if (err.status === 404) {
+          setError('Convoy not found');
+        } else {
+          setError('Error loading convoy: ' + err.message);
+        }
       } finally {
         setLoading(false);
       }
@@ -87,6 +111,98 @@ export default function ViewRoute() {
     fetchConvoy();
   }, [id]);
 
+  // Re-evaluate whenever the displayed route changes (e.g. after adopting a reroute)
+  const routeDistanceKm = route?.distance_km;
+  const routeDurationMinutes = route?.duration_minutes;
+  useEffect(() => {
+    if (!routeDistanceKm) return;
+
+    const controller = new AbortController();
+    const fetchOptimization = async () => {
+      setOptimizationLoading(true);
+      setOptimizationError('');
+      try {
+        const data = await getOptimizationDetails(
+          id,
+          { routeDistanceKm, routeDurationMinutes },
+          { signal: controller.signal }
+        );
+        if (data.status === 'success') {
+          setOptimization(data);
+        }
+      } catch (err) {
+        if (err.aborted) return;
+        console.error('Error loading optimization details:', err);
+        setOptimizationError('Could not load optimization details: ' + err.message);
+      } finally {
+        if (!controller.signal.aborted) setOptimizationLoading(false);
+      }
+    };
+
+    fetchOptimization();
+    return () => controller.abort();
+  }, [id, routeDistanceKm, routeDurationMinutes]);
+
+  // Map inputs kept stable across renders, so hovering the risk profile
+  // doesn't redraw and refit the whole map
+  const mapPoints = useMemo(() => convoy && {
+    start: { lat: convoy.source_lat, lon: convoy.source_lon },
+    end: { lat: convoy.destination_lat, lon: convoy.destination_lon },
+    stops: convoy.stops || [],
+  }, [convoy]);
+
+  const routePoints = useMemo(
+    () => (route?.coordinates || []).map(([lat, lon]) => ({ lat, lon })),
+    [route?.coordinates]
+  );
+  const riskProfile = useMemo(() => buildRiskProfile(routePoints, dangerPoints), [routePoints, dangerPoints]);
+
+  // The stretch of route at the hovered risk level, drawn over the map
+  const riskHighlight = useMemo(() => {
+    if (riskHoverIndex === null || !riskProfile.samples[riskHoverIndex]) return null;
+    const stretch = riskStretchAt(riskProfile.samples, riskHoverIndex);
+    return {
+      coordinates: slicePolyline(routePoints, stretch.fromKm, stretch.toKm).map(p => [p.lat, p.lon]),
+      point: riskProfile.samples[riskHoverIndex],
+      color: stretch.level ? RISK_STYLES[stretch.level]?.color : '#3b82f6',
+    };
+  }, [riskHoverIndex, riskProfile, routePoints]);
+
+  // Persist a dynamic reroute as the convoy's route and show it straight away
+  const adoptReroute = async (result) => {
+    await saveConvoyRoute(id, {
+      waypoints: result.optimized_route.map(([lat, lon]) => ({ lat, lon })),
+      totalDistanceKm: result.distance_km,
+      estimatedDurationMinutes: result.duration_minutes,
+    });
+    // The stored route changed; cached copies would draw the old one
+    await invalidateConvoyRoutes(id);
+    setRoute(prev => ({
+      ...prev,
+      coordinates: result.optimized_route,
+      distance_km: result.distance_km,
+      duration_minutes: result.duration_minutes,
+      legs: [],
+      adopted: true,
+      kind: 'adopted'
+    }));
+  };
+
+  // Re-run get_route with the planner's ETA inputs. An adopted reroute keeps
+  // its own distance/duration; only the timetable is refreshed.
+  const applyEtaInputs = async ({ trafficLevel, terrain, priority }) => {
+    const routeData = await getRoute({ ...routeRequestFor(convoy), trafficLevel, terrain, priority });
+    if (routeData.status !== 'success' || !routeData.route) return;
+    setRoute(prev => ({
+      ...prev,
+      duration_minutes: prev.adopted ? prev.duration_minutes : routeData.route.duration_minutes || 0,
+      checkpoints: routeData.checkpoints || [],
+      departure_time: routeData.route.departure_time || 'N/A',
+      estimated_arrival: routeData.route.estimated_arrival || 'N/A',
+      legs: prev.adopted ? prev.legs : routeData.route.legs || [],
+    }));
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900">
@@ -120,6 +236,24 @@ export default function ViewRoute() {
     );
   }
 
+  const straightLineKm = convoy.source_lat && convoy.destination_lat
+    ? haversineKm(
+      { lat: convoy.source_lat, lon: convoy.source_lon },
+      { lat: convoy.destination_lat, lon: convoy.destination_lon }
+    )
+    : null;
+
+  const stops = convoy.stops || [];
+  // Reroutes and drawn alternatives run start to end, so they can't replace a
+  // route through stops or a merge pickup
+  const canAdoptReroute = stops.length === 0 && route?.kind !== 'merge';
+  // Names for each leg endpoint: source, stops in order, destination
+  const stopNames = [
+    convoy.source_place || 'Source',
+    ...stops.map((stop, idx) => stop.place_name || `Stop ${idx + 1}`),
+    convoy.destination_place || 'Destination',
+  ];
+
   const getPriorityColor = (priority) => {
     const colors = {
       critical: 'text-red-400 bg-red-500/10 border-red-500/20',
@@ -195,181 +329,128 @@ export default function ViewRoute() {
           <div className="mb-8">
             <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
               Route Map
+              {route.adopted && (
+                <span className="text-sm text-green-400 bg-green-500/10 px-3 py-1 rounded-full border border-green-500/30">
+                  {route.kind === 'merge' ? 'Merged Pickup Route' : 'Adopted Reroute'}
+                </span>
+              )}
               {dangerPoints.length > 0 && (
                 <span className="text-sm text-red-400 bg-red-500/10 px-3 py-1 rounded-full border border-red-500/30">
                   {dangerPoints.length} Risk Zone{dangerPoints.length !== 1 ? 's' : ''} Detected
                 </span>
               )}
+              {dangerPoints.length > 0 && (
+                <button
+                  onClick={() => setShowHeatmap(!showHeatmap)}
+                  className={`ml-auto flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium transition-colors border ${
+                    showHeatmap
+                      ? 'bg-orange-600/20 text-orange-400 border-orange-500/30'
+                      : 'bg-slate-700 text-slate-300 border-slate-600 hover:bg-slate-600'
+                  }`}
+                >
+                  <Flame className="w-4 h-4" />
+                  Heatmap
+                </button>
+              )}
             </h2>
             <ConvoyMap
               route={route.coordinates || []}
-              startPoint={{ lat: convoy.source_lat, lon: convoy.source_lon }}
-              endPoint={{ lat: convoy.destination_lat, lon: convoy.destination_lon }}
+              startPoint={mapPoints.start}
+              endPoint={mapPoints.end}
+              stops={mapPoints.stops}
+              legs={route.legs}
               checkpoints={checkpoints}
               dangerPoints={dangerPoints}
+              vehicles={convoy.vehicles}
+              heatmap={showHeatmap}
+              highlight={riskHighlight}
             />
+            <MapLegend
+              className="mt-3"
+              sections={[
+                'endpoints',
+                'checkpoints',
+                'statuses',
+                'risk',
+                ...(convoy.vehicles?.some(v => v.breakdown) ? ['vehicles'] : []),
+              ]}
+            />
+
+            {/* Per-leg breakdown for multi-stop convoys */}
+            {route.legs.length > 1 && (
+              <div className="mt-4 overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-slate-400 text-left border-b border-slate-700">
+                      <th className="py-2 pr-4 font-medium">Leg</th>
+                      <th className="py-2 pr-4 font-medium">From</th>
+                      <th className="py-2 pr-4 font-medium">To</th>
+                      <th className="py-2 pr-4 font-medium">Distance</th>
+                      <th className="py-2 pr-4 font-medium">ETA</th>
+                      <th className="py-2 font-medium">Arrival</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {route.legs.map((leg, idx) => (
+                      <tr key={leg.leg} className="border-b border-slate-700/50">
+                        <td className="py-2 pr-4 text-white font-medium">{leg.leg}</td>
+                        <td className="py-2 pr-4 text-slate-300 max-w-xs truncate">{stopNames[idx]}</td>
+                        <td className="py-2 pr-4 text-slate-300 max-w-xs truncate">{stopNames[idx + 1]}</td>
+                        <td className="py-2 pr-4 text-white">{leg.distance_km} km</td>
+                        <td className="py-2 pr-4 text-white">{Math.round(leg.eta_minutes)} min</td>
+                        <td className="py-2 text-slate-300">{leg.estimated_arrival}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
           </div>
         )}
 
-        {/* Route Optimization Summary */}
+        {/* Dynamic Reroute */}
         {route && (
-          <div className="bg-slate-800 rounded-lg border border-slate-700 p-6 mb-8">
-            <h3 className="text-white font-bold text-xl mb-4 flex items-center gap-2">
-              <svg className="w-6 h-6 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-              </svg>
-              Route Optimization Summary
-            </h3>
-
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              {/* Direct Route */}
-              <div className="border border-slate-700 rounded-lg p-4 bg-slate-900/50">
-                <div className="text-slate-400 text-sm font-medium mb-3">Direct Route (Baseline)</div>
-                <div className="space-y-2 text-sm">
-                  <div className="flex justify-between">
-                    <span className="text-slate-400">Distance:</span>
-                    <span className="text-slate-300">{(() => {
-                      // Calculate straight-line distance using Haversine
-                      const R = 6371; // Earth's radius in km
-                      const dLat = (convoy.destination_lat - convoy.source_lat) * Math.PI / 180;
-                      const dLon = (convoy.destination_lon - convoy.source_lon) * Math.PI / 180;
-                      const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                                Math.cos(convoy.source_lat * Math.PI / 180) * Math.cos(convoy.destination_lat * Math.PI / 180) *
-                                Math.sin(dLon/2) * Math.sin(dLon/2);
-                      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-                      const directDistance = (R * c * 1.3).toFixed(1); // 1.3x for road factor
-                      return directDistance;
-                    })()} km</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-slate-400">Est. Time:</span>
-                    <span className="text-slate-300">{(() => {
-                      const R = 6371;
-                      const dLat = (convoy.destination_lat - convoy.source_lat) * Math.PI / 180;
-                      const dLon = (convoy.destination_lon - convoy.source_lon) * Math.PI / 180;
-                      const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                                Math.cos(convoy.source_lat * Math.PI / 180) * Math.cos(convoy.destination_lat * Math.PI / 180) *
-                                Math.sin(dLon/2) * Math.sin(dLon/2);
-                      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-                      const directDistance = R * c * 1.3;
-                      const directTime = (directDistance / 50 * 60).toFixed(0); // 50 km/h avg speed
-                      return directTime;
-                    })()} min</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-slate-400">Est. Fuel:</span>
-                    <span className="text-slate-300">~{(() => {
-                      const R = 6371;
-                      const dLat = (convoy.destination_lat - convoy.source_lat) * Math.PI / 180;
-                      const dLon = (convoy.destination_lon - convoy.source_lon) * Math.PI / 180;
-                      const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                                Math.cos(convoy.source_lat * Math.PI / 180) * Math.cos(convoy.destination_lat * Math.PI / 180) *
-                                Math.sin(dLon/2) * Math.sin(dLon/2);
-                      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-                      const directDistance = R * c * 1.3;
-                      const directFuel = (directDistance * 0.35).toFixed(1); // 0.35 L/km
-                      return directFuel;
-                    })()} L</span>
-                  </div>
-                </div>
-              </div>
+          <ReroutePanel
+            startPoint={{ lat: convoy.source_lat, lon: convoy.source_lon }}
+            endPoint={{ lat: convoy.destination_lat, lon: convoy.destination_lon }}
+            currentRoute={route.coordinates}
+            onAdopt={canAdoptReroute ? adoptReroute : undefined}
+          />
+        )}
 
-              {/* Optimized Route */}
-              <div className="border border-green-600 rounded-lg p-4 bg-green-900/10">
-                <div className="text-green-400 text-sm font-medium mb-3 flex items-center gap-2">
-                  <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                  </svg>
-                  Optimized Route (AI-Powered)
-                </div>
-                <div className="space-y-2 text-sm">
-                  <div className="flex justify-between">
-                    <span className="text-slate-400">Distance:</span>
-                    <span className="text-green-400 font-medium">{route.distance_km.toFixed(1)} km
-                      <span className="text-green-300 ml-2">
-                        ({(() => {
-                          const R = 6371;
-                          const dLat = (convoy.destination_lat - convoy.source_lat) * Math.PI / 180;
-                          const dLon = (convoy.destination_lon - convoy.source_lon) * Math.PI / 180;
-                          const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                                    Math.cos(convoy.source_lat * Math.PI / 180) * Math.cos(convoy.destination_lat * Math.PI / 180) *
-                                    Math.sin(dLon/2) * Math.sin(dLon/2);
-                          const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-                          const directDistance = R * c * 1.3;
-                          const saved = directDistance - route.distance_km;
-                          return saved > 0 ? `-${saved.toFixed(1)} km ✓` : '+0 km';
-                        })()})
-                      </span>
-                    </span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-slate-400">Est. Time:</span>
-                    <span className="text-green-400 font-medium">{route.duration_minutes.toFixed(0)} min
-                      <span className="text-green-300 ml-2">
-                        ({(() => {
-                          const R = 6371;
-                          const dLat = (convoy.destination_lat - convoy.source_lat) * Math.PI / 180;
-                          const dLon = (convoy.destination_lon - convoy.source_lon) * Math.PI / 180;
-                          const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                                    Math.cos(convoy.source_lat * Math.PI / 180) * Math.cos(convoy.destination_lat * Math.PI / 180) *
-                                    Math.sin(dLon/2) * Math.sin(dLon/2);
-                          const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-                          const directDistance = R * c * 1.3;
-                          const directTime = directDistance / 50 * 60;
-                          const savedTime = directTime - route.duration_minutes;
-                          return savedTime > 0 ? `-${savedTime.toFixed(0)} min ✓` : '+0 min';
-                        })()})
-                      </span>
-                    </span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-slate-400">Est. Fuel:</span>
-                    <span className="text-green-400 font-medium">~{(route.distance_km * 0.35).toFixed(1)} L
-                      <span className="text-green-300 ml-2">
-                        ({(() => {
-                          const R = 6371;
-                          const dLat = (convoy.destination_lat - convoy.source_lat) * Math.PI / 180;
-                          const dLon = (convoy.destination_lon - convoy.source_lon) * Math.PI / 180;
-                          const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                                    Math.cos(convoy.source_lat * Math.PI / 180) * Math.cos(convoy.destination_lat * Math.PI / 180) *
-                                    Math.sin(dLon/2) * Math.sin(dLon/2);
-                          const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-                          const directDistance = R * c * 1.3;
-                          const directFuel = directDistance * 0.35;
-                          const savedFuel = directFuel - (route.distance_km * 0.35);
-                          const savedMoney = savedFuel * 150; // ₹150 per liter
-                          return savedFuel > 0 ? `-${savedFuel.toFixed(1)}L = ₹${savedMoney.toFixed(0)} ✓` : '+0L';
-                        })()})
-                      </span>
-                    </span>
-                  </div>
-                </div>
-              </div>
-            </div>
+        {/* Risk analysis; drawn alternatives can be adopted on the same terms as reroutes */}
+        {route && (
+          <RouteRiskAnalysis
+            startPoint={mapPoints.start}
+            endPoint={mapPoints.end}
+            currentRoute={route.coordinates}
+            routeDistanceKm={route.distance_km}
+            routeDurationMinutes={route.duration_minutes}
+            onAdopt={canAdoptReroute ? adoptReroute : undefined}
+          />
+        )}
 
-            {/* Overall Savings */}
-            <div className="mt-6 p-4 bg-green-900/20 border border-green-700 rounded-lg">
-              <div className="flex items-center justify-between">
-                <span className="text-green-400 font-bold text-lg">
-                  ✓ Optimization Benefits:
-                </span>
-                <span className="text-green-300 text-sm">
-                  {(() => {
-                    const R = 6371;
-                    const dLat = (convoy.destination_lat - convoy.source_lat) * Math.PI / 180;
-                    const dLon = (convoy.destination_lon - convoy.source_lon) * Math.PI / 180;
-                    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                              Math.cos(convoy.source_lat * Math.PI / 180) * Math.cos(convoy.destination_lat * Math.PI / 180) *
-                              Math.sin(dLon/2) * Math.sin(dLon/2);
-                    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-                    const directDistance = R * c * 1.3;
-                    const savedPercent = ((directDistance - route.distance_km) / directDistance * 100);
-                    return savedPercent > 0 ? `${savedPercent.toFixed(1)}% more efficient than direct route` : 'Optimal route selected';
-                  })()}
-                </span>
-              </div>
-            </div>
-          </div>
+        {/* Route Optimization Summary */}
+        {route && (
+          <OptimizationSummary
+            details={optimization}
+            straightLineKm={straightLineKm}
+            loading={optimizationLoading}
+            error={optimizationError}
+          />
+        )}
+
+        {/* ETA Prediction */}
+        {route && (
+          <EtaPanel
+            getEndpoints={async () => ({
+              start: { lat: convoy.source_lat, lon: convoy.source_lon },
+              end: { lat: convoy.destination_lat, lon: convoy.destination_lon },
+              waypoints: stops,
+            })}
+            defaultPriority={convoy.priority}
+            onApply={applyEtaInputs}
+          />
         )}
 
         {/* Route Information */}
@@ -415,6 +496,17 @@ export default function ViewRoute() {
           </div>
         </div>
 
+        {/* Risk Profile */}
+        {route && dangerPoints.length > 0 && (
+          <div className="bg-slate-800 rounded-lg border border-slate-700 p-6 mb-8">
+            <h2 className="text-lg font-semibold text-white mb-1">Risk Profile</h2>
+            <p className="text-sm text-slate-400 mb-4">
+              Risk penalty along the route. Hover to highlight that stretch on the map.
+            </p>
+            <RiskProfileChart profile={riskProfile} onHover={setRiskHoverIndex} />
+          </div>
+        )}
+
         {/* Risk Zones List */}
         {dangerPoints.length > 0 && (
           <div className="bg-slate-800 rounded-lg border border-red-700/50 overflow-hidden mb-8">
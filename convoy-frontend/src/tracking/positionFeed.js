@@ -0,0 +1,71 @@
+// Live position feed: polls /api/tracking/positions or listens on the
+// tracking WebSocket. Either way the caller gets the same payload shape.
+import { getLivePositions, getPositionsSocketUrl } from '../api/tracking';
+
+export const FEED_TRANSPORTS = ['polling', 'websocket'];
+
+const DEFAULT_POLL_MS = 5000;
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * @param {object} options
+ * @param {'polling'|'websocket'} [options.transport='polling']
+ * @param {number} [options.intervalMs=5000] - Polling interval
+ * @param {(positions: object[]) => void} options.onPositions
+ * @param {(status: {connected:boolean, error:string|null}) => void} [options.onStatus]
+ * @returns {() => void} stop function
+ */
+export const createPositionFeed = ({
+  transport = 'polling',
+  intervalMs = DEFAULT_POLL_MS,
+  onPositions,
+  onStatus = () => {},
+}) => {
+  let stopped = false;
+  let timer = null;
+  let socket = null;
+
+  const handlePayload = (data) => {
+    if (data?.status === 'success') onPositions(data.positions || []);
+  };
+
+  const poll = async () => {
+    try {
+      const data = await getLivePositions({ retries: 0 });
+      if (stopped) return;
+      handlePayload(data);
+      onStatus({ connected: true, error: null });
+    } catch (err) {
+      if (!stopped) onStatus({ connected: false, error: err.detail || 'Position update failed' });
+    } finally {
+      if (!stopped) timer = setTimeout(poll, intervalMs);
+    }
+  };
+
+  const connect = () => {
+    socket = new WebSocket(getPositionsSocketUrl());
+    socket.onopen = () => onStatus({ connected: true, error: null });
+    socket.onmessage = (event) => {
+      try {
+        handlePayload(JSON.parse(event.data));
+      } catch (err) {
+        console.warn('Ignoring malformed tracking message:', err);
+      }
+    };
+    socket.onclose = (event) => {
+      if (stopped) return;
+      const rejected = event.code === 4401;
+      onStatus({ connected: false, error: rejected ? 'Tracking feed rejected the session' : 'Tracking feed disconnected' });
+      if (!rejected) timer = setTimeout(connect, RECONNECT_DELAY_MS);
+    };
+  };
+
+  if (transport === 'websocket') connect();
+  else poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (socket) socket.close();
+  };
+};
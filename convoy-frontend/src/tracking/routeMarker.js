@@ -0,0 +1,93 @@
+// Leaflet marker that glides along a route polyline instead of jumping
+// between position fixes.
+import L from 'leaflet';
+import { cumulativeDistancesKm, pointAlongPolyline, projectOntoPolyline } from '../utils/geo';
+
+const ANIMATION_MS = 1000;
+// Fixes further than this from the route are drawn where reported rather than snapped
+const MAX_SNAP_OFFSET_KM = 2;
+
+const buildIcon = (color) => L.divIcon({
+  className: '',
+  html: `
+    <div style="position: relative; width: 26px; height: 26px;">
+      <div style="position: absolute; inset: 0; border-radius: 50%; background: ${color}; opacity: 0.3; animation: live-marker-pulse 2s ease-out infinite;"></div>
+      <div class="live-marker-arrow" style="position: absolute; inset: 4px; border-radius: 50%; background: ${color}; border: 2px solid #ffffff; display: flex; align-items: center; justify-content: center; box-shadow: 0 0 6px rgba(0,0,0,0.5);">
+        <svg width="10" height="10" viewBox="0 0 10 10"><path d="M5 0 L9 9 L5 7 L1 9 Z" fill="#ffffff"/></svg>
+      </div>
+    </div>`,
+  iconSize: [26, 26],
+  iconAnchor: [13, 13],
+  popupAnchor: [0, -14],
+});
+
+/**
+ * @param {object} options
+ * @param {L.Map} options.map
+ * @param {{lat:number, lon:number}[]} options.coords - Route the vehicle follows
+ * @param {string} options.color
+ * @param {string} [options.popupHtml]
+ */
+export const createRouteMarker = ({ map, coords, color, popupHtml }) => {
+  const distances = cumulativeDistancesKm(coords);
+  const start = pointAlongPolyline(coords, 0, distances) || { lat: 0, lon: 0, heading: 0 };
+  let current = start;
+  let progressKm = 0;
+  let frame = null;
+
+  const marker = L.marker([start.lat, start.lon], { icon: buildIcon(color), zIndexOffset: 1000 }).addTo(map);
+  if (popupHtml) marker.bindPopup(popupHtml);
+
+  const render = (point) => {
+    current = point;
+    marker.setLatLng([point.lat, point.lon]);
+    const arrow = marker.getElement()?.querySelector('.live-marker-arrow');
+    if (arrow) arrow.style.transform = `rotate(${point.heading || 0}deg)`;
+  };
+
+  const animate = (frameAt) => {
+    cancelAnimationFrame(frame);
+    const startedAt = performance.now();
+    const step = (now) => {
+      const t = Math.min((now - startedAt) / ANIMATION_MS, 1);
+      render(frameAt(t));
+      frame = t < 1 ? requestAnimationFrame(step) : null;
+    };
+    frame = requestAnimationFrame(step);
+  };
+
+  // Move to a reported position, travelling along the road when it is on the route
+  const setPosition = (position) => {
+    const { distanceKm, offsetKm } = projectOntoPolyline(coords, position, distances);
+
+    if (coords.length > 1 && offsetKm <= MAX_SNAP_OFFSET_KM) {
+      const fromKm = progressKm;
+      progressKm = distanceKm;
+      animate(t => {
+        const point = pointAlongPolyline(coords, fromKm + (distanceKm - fromKm) * t, distances);
+        return t === 1 && position.heading != null ? { ...point, heading: position.heading } : point;
+      });
+      return;
+    }
+
+    // Off-route fix: straight-line glide to where the unit says it is
+    const from = current;
+    animate(t => ({
+      lat: from.lat + (position.lat - from.lat) * t,
+      lon: from.lon + (position.lon - from.lon) * t,
+      heading: position.heading ?? from.heading,
+    }));
+  };
+
+  return {
+    setPosition,
+    setPopup: (html) => {
+      if (marker.getPopup()) marker.setPopupContent(html);
+      else marker.bindPopup(html);
+    },
+    remove: () => {
+      cancelAnimationFrame(frame);
+      map.removeLayer(marker);
+    },
+  };
+};
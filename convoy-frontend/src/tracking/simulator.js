@@ -0,0 +1,74 @@
+// Replays a route polyline as if a vehicle were driving it, for demos and
+// for testing live tracking without GPS units in the field.
+import { cumulativeDistancesKm, pointAlongPolyline } from '../utils/geo';
+
+const DEFAULT_TICK_MS = 1000;
+
+/**
+ * @param {object} options
+ * @param {{lat:number, lon:number}[]} options.coords - Route to replay
+ * @param {number} [options.speedKmh=40] - Simulated ground speed
+ * @param {number} [options.speedMultiplier=1] - Time compression (60 = one simulated minute per second)
+ * @param {number} [options.tickMs=1000] - How often a position is emitted
+ * @param {(position: object) => void} options.onPosition - Receives
+ *   { lat, lon, heading, speedKmh, progressKm, totalKm, done }
+ */
+export const createRouteSimulator = ({
+  coords,
+  speedKmh = 40,
+  speedMultiplier = 1,
+  tickMs = DEFAULT_TICK_MS,
+  onPosition,
+}) => {
+  const distances = cumulativeDistancesKm(coords);
+  const totalKm = distances[distances.length - 1] || 0;
+  let progressKm = 0;
+  let timer = null;
+  let lastTick = 0;
+
+  const emit = () => {
+    const point = pointAlongPolyline(coords, progressKm, distances);
+    if (!point) return;
+    onPosition({
+      ...point,
+      speedKmh,
+      progressKm,
+      totalKm,
+      done: progressKm >= totalKm,
+    });
+  };
+
+  const tick = () => {
+    const now = Date.now();
+    const elapsedHours = ((now - lastTick) / 3600000) * speedMultiplier;
+    lastTick = now;
+    progressKm = Math.min(progressKm + speedKmh * elapsedHours, totalKm);
+    emit();
+    if (progressKm >= totalKm) stop();
+  };
+
+  const start = () => {
+    if (timer || coords.length === 0) return;
+    if (progressKm >= totalKm) progressKm = 0;
+    lastTick = Date.now();
+    emit();
+    timer = setInterval(tick, tickMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    start,
+    stop,
+    isRunning: () => timer !== null,
+    setSpeed: (kmh) => { speedKmh = kmh; },
+    setSpeedMultiplier: (multiplier) => { speedMultiplier = multiplier; },
+    seek: (km) => {
+      progressKm = Math.min(Math.max(km, 0), totalKm);
+      emit();
+    },
+  };
+};
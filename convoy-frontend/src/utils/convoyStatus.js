@@ -0,0 +1,31 @@
+// Convoy lifecycle display helpers. The allowed transitions themselves come
+// from the backend (STATUS_TRANSITIONS in convoy_routes.py).
+
+export const STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  ongoing: 'Ongoing',
+  halted: 'Halted',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  merged: 'Merged',
+};
+
+// Badge classes per status
+export const STATUS_COLORS = {
+  pending: 'text-yellow-400 bg-yellow-500/10 border-yellow-500/30',
+  approved: 'text-cyan-400 bg-cyan-500/10 border-cyan-500/30',
+  ongoing: 'text-blue-400 bg-blue-500/10 border-blue-500/30',
+  halted: 'text-orange-400 bg-orange-500/10 border-orange-500/30',
+  completed: 'text-green-400 bg-green-500/10 border-green-500/30',
+  cancelled: 'text-red-400 bg-red-500/10 border-red-500/30',
+  merged: 'text-purple-400 bg-purple-500/10 border-purple-500/30',
+};
+
+// No further transitions out of these
+export const FINAL_STATUSES = ['completed', 'cancelled', 'merged'];
+
+// Matches REASON_REQUIRED_STATUSES on the backend
+export const REASON_REQUIRED_STATUSES = ['cancelled', 'halted'];
+
+export const statusLabel = (status) => STATUS_LABELS[status] || status;
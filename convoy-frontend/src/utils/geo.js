@@ -0,0 +1,145 @@
+// Geographic helpers shared by the map pages.
+// Coordinates are { lat, lon } objects unless noted otherwise.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+export const haversineKm = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// Initial bearing from a to b in degrees, 0 = north, clockwise
+export const bearingDeg = (a, b) => {
+  const dLon = toRad(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(toRad(b.lat));
+  const x =
+    Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+    Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLon);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+};
+
+// Cumulative distance (km) at each vertex; first entry is 0
+export const cumulativeDistancesKm = (coords) => {
+  const distances = [0];
+  for (let i = 1; i < coords.length; i++) {
+    distances.push(distances[i - 1] + haversineKm(coords[i - 1], coords[i]));
+  }
+  return distances;
+};
+
+export const polylineLengthKm = (coords) => {
+  const distances = cumulativeDistancesKm(coords);
+  return distances[distances.length - 1] || 0;
+};
+
+/**
+ * Point `distanceKm` along the polyline, clamped to its ends.
+ * Segments are short enough on road routes that linear interpolation is fine.
+ *
+ * @param {{lat:number, lon:number}[]} coords
+ * @param {number} distanceKm
+ * @param {number[]} [distances] - Precomputed cumulativeDistancesKm(coords)
+ * @returns {{lat:number, lon:number, heading:number}|null}
+ */
+export const pointAlongPolyline = (coords, distanceKm, distances = cumulativeDistancesKm(coords)) => {
+  if (!coords || coords.length === 0) return null;
+  if (coords.length === 1) return { ...coords[0], heading: 0 };
+
+  const total = distances[distances.length - 1];
+  const target = Math.min(Math.max(distanceKm, 0), total);
+
+  let i = 1;
+  while (i < coords.length - 1 && distances[i] < target) i++;
+
+  const from = coords[i - 1];
+  const to = coords[i];
+  const segmentKm = distances[i] - distances[i - 1];
+  const t = segmentKm > 0 ? (target - distances[i - 1]) / segmentKm : 0;
+
+  return {
+    lat: from.lat + (to.lat - from.lat) * t,
+    lon: from.lon + (to.lon - from.lon) * t,
+    heading: bearingDeg(from, to),
+  };
+};
+
+/**
+ * Snap a point onto the polyline and return how far along the route it is.
+ * Uses an equirectangular projection per segment, which is accurate enough
+ * for matching a GPS fix to the road it is on.
+ *
+ * @returns {{distanceKm:number, offsetKm:number}} distance along the route and
+ *   perpendicular distance from it
+ */
+export const projectOntoPolyline = (coords, point, distances = cumulativeDistancesKm(coords)) => {
+  let best = { distanceKm: 0, offsetKm: Infinity };
+  if (!coords || coords.length === 0) return best;
+  if (coords.length === 1) return { distanceKm: 0, offsetKm: haversineKm(coords[0], point) };
+
+  const cosLat = Math.cos(toRad(point.lat));
+  for (let i = 1; i < coords.length; i++) {
+    const a = coords[i - 1];
+    const b = coords[i];
+    const ax = a.lon * cosLat, ay = a.lat;
+    const bx = b.lon * cosLat, by = b.lat;
+    const px = point.lon * cosLat, py = point.lat;
+    const dx = bx - ax, dy = by - ay;
+    const lenSq = dx * dx + dy * dy;
+    const t = lenSq > 0 ? Math.min(Math.max(((px - ax) * dx + (py - ay) * dy) / lenSq, 0), 1) : 0;
+    const snapped = { lat: a.lat + (b.lat - a.lat) * t, lon: a.lon + (b.lon - a.lon) * t };
+    const offsetKm = haversineKm(snapped, point);
+    if (offsetKm < best.offsetKm) {
+      best = {
+        distanceKm: distances[i - 1] + (distances[i] - distances[i - 1]) * t,
+        offsetKm,
+      };
+    }
+  }
+  return best;
+};
+
+/**
+ * The part of the polyline between two distances along it, with interpolated
+ * ends. Used to highlight a stretch of a route.
+ *
+ * @returns {{lat:number, lon:number}[]}
+ */
+export const slicePolyline = (coords, fromKm, toKm, distances = cumulativeDistancesKm(coords)) => {
+  if (!coords || coords.length < 2) return coords || [];
+  const start = pointAlongPolyline(coords, fromKm, distances);
+  const end = pointAlongPolyline(coords, toKm, distances);
+  const inner = coords.filter((_, i) => distances[i] > fromKm && distances[i] < toKm);
+  return [
+    { lat: start.lat, lon: start.lon },
+    ...inner,
+    { lat: end.lat, lon: end.lon },
+  ];
+};
+
+/**
+ * Ray casting test against polygon vertices given as [lat, lon] pairs, the
+ * format the backend stores risk zone polygons in.
+ *
+ * @param {{lat:number, lon:number}} point
+ * @param {number[][]} polygon
+ * @returns {boolean}
+ */
+export const pointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    if ((latI > point.lat) !== (latJ > point.lat)) {
+      const crossingLon = lonI + ((point.lat - latI) * (lonJ - lonI)) / (latJ - latI);
+      if (point.lon < crossingLon) inside = !inside;
+    }
+  }
+  return inside;
+};
@@ -0,0 +1,5 @@
+// Leaflet renders popup and tooltip strings as HTML; user-entered text that
+// goes into them must be escaped first.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
@@ -0,0 +1,52 @@
+// Viewport-limited grid clustering for the Dashboard's point layers. Only
+// points inside the (padded) viewport are considered, and below
+// CLUSTER_MAX_ZOOM they are bucketed by screen cell, so the map draws at most
+// one marker per cell no matter how many records are loaded.
+import L from 'leaflet';
+
+export const CLUSTER_CELL_PX = 64;
+// From this zoom on every point gets its own marker
+export const CLUSTER_MAX_ZOOM = 12;
+// Share of the viewport drawn around it, so small pans don't pop markers in
+const VIEWPORT_PADDING = 0.25;
+
+export const paddedViewport = (map) => map.getBounds().pad(VIEWPORT_PADDING);
+
+// Returns [{ lat, lon, items }]; single-item clusters are plain markers
+export const clusterPoints = (map, points, { cellPx = CLUSTER_CELL_PX, maxZoom = CLUSTER_MAX_ZOOM } = {}) => {
+  const bounds = paddedViewport(map);
+  const zoom = map.getZoom();
+  const inView = points.filter(p => bounds.contains([p.lat, p.lon]));
+
+  if (zoom >= maxZoom) return inView.map(p => ({ lat: p.lat, lon: p.lon, items: [p] }));
+
+  const cells = new Map();
+  inView.forEach(p => {
+    const { x, y } = map.project([p.lat, p.lon], zoom);
+    const key = `${Math.floor(x / cellPx)}:${Math.floor(y / cellPx)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(p);
+  });
+
+  return [...cells.values()].map(items => ({
+    lat: items.reduce((sum, p) => sum + p.lat, 0) / items.length,
+    lon: items.reduce((sum, p) => sum + p.lon, 0) / items.length,
+    items,
+  }));
+};
+
+export const clusterBounds = ({ items }) => L.latLngBounds(items.map(p => [p.lat, p.lon]));
+
+// { value: count } for one field, e.g. countBy(items, 'status')
+export const countBy = (items, field) =>
+  items.reduce((counts, item) => {
+    counts[item[field]] = (counts[item[field]] || 0) + 1;
+    return counts;
+  }, {});
+
+// "3 operational, 1 closed" in the order of `values`, unknown values last
+export const formatCounts = (counts, values) =>
+  [...values, ...Object.keys(counts).filter(v => !values.includes(v))]
+    .filter(value => counts[value])
+    .map(value => `${counts[value]} ${String(value).replace('_', ' ')}`)
+    .join(', ');
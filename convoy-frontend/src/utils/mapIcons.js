@@ -0,0 +1,188 @@
+// Map marker icons generated as inline SVG, so no marker images are fetched
+// from a CDN and every map works offline. Each marker carries a glyph for its
+// kind (checkpoint type, vehicle type, ...) and a badge for its status, so
+// meaning doesn't rest on color alone. MapLegend renders the same images.
+import L from 'leaflet';
+
+// 24x24 fill paths
+const GLYPHS = {
+  star: 'M12 2.5l2.9 6.1 6.6.8-4.9 4.5 1.3 6.6L12 17.2l-5.9 3.3 1.3-6.6-4.9-4.5 6.6-.8z',
+  flag: 'M5 3h2v18H5zM8 4h11l-2.5 4 2.5 4H8z',
+  bed: 'M3 19V6h2v8h6V9h7a3 3 0 0 1 3 3v7h-2v-2H5v2zM8 13a2 2 0 1 0 0-4 2 2 0 0 0 0 4z',
+  barrier: 'M4 5h3v15H4zM8 9h12v4H8z',
+  fuel: 'M5 3h9v18H5zM7 5v5h5V5zM15 6.5l1.4-1.4L20 8.7V17a2 2 0 0 1-4 0v-3h-1v-2h3v5h0V9.5z',
+  dot: 'M12 7a5 5 0 1 0 0 10 5 5 0 0 0 0-10z',
+  play: 'M8 5v14l11-7z',
+  truck: 'M2 6h12v9H2zM14 9h4l3 3v3h-7zM6 19a2 2 0 1 0 0-4 2 2 0 0 0 0 4zM17 19a2 2 0 1 0 0-4 2 2 0 0 0 0 4z',
+  van: 'M2 7h14l5 5v5H2zM6 20a2 2 0 1 0 0-4 2 2 0 0 0 0 4zM17 20a2 2 0 1 0 0-4 2 2 0 0 0 0 4z',
+  jeep: 'M3 10l2-4h10l2 4h4v6H3zM7 20a2 2 0 1 0 0-4 2 2 0 0 0 0 4zM17 20a2 2 0 1 0 0-4 2 2 0 0 0 0 4z',
+  cross: 'M9 3h6v6h6v6h-6v6H9v-6H3V9h6z',
+  tanker: 'M2 8a4 4 0 0 1 4-4h8a4 4 0 0 1 0 8H6a4 4 0 0 1-4-4zM2 13h19v3H2zM6 21a2 2 0 1 0 0-4 2 2 0 0 0 0 4zM17 21a2 2 0 1 0 0-4 2 2 0 0 0 0 4z',
+  shield: 'M12 2l8 3v6c0 5-3.5 9.5-8 11-4.5-1.5-8-6-8-11V5z',
+};
+
+// 10x10 stroke paths for the status badge, centered on (5, 5)
+const BADGE_GLYPHS = {
+  x: 'M2.5 2.5l5 5M7.5 2.5l-5 5',
+  bang: 'M5 2v3.5M5 7.6v.4',
+  dash: 'M2.5 5h5',
+};
+
+export const CHECKPOINT_STYLES = {
+  military: { label: 'Military', color: '#ca8a04', glyph: 'star' },
+  border: { label: 'Border', color: '#7c3aed', glyph: 'flag' },
+  rest_stop: { label: 'Rest stop', color: '#2563eb', glyph: 'bed' },
+  toll: { label: 'Toll', color: '#64748b', glyph: 'barrier' },
+  fuel: { label: 'Fuel', color: '#ea580c', glyph: 'fuel' },
+};
+const DEFAULT_CHECKPOINT_STYLE = { label: 'Checkpoint', color: '#f97316', glyph: 'dot' };
+
+// Operational markers have no badge
+export const STATUS_BADGES = {
+  closed: { label: 'Closed', color: '#dc2626', glyph: 'x' },
+  congested: { label: 'Congested', color: '#f59e0b', glyph: 'bang' },
+  maintenance: { label: 'Maintenance', color: '#475569', glyph: 'dash' },
+  breakdown: { label: 'Breakdown', color: '#dc2626', glyph: 'bang' },
+};
+
+// Segment colors for checkpoint cluster rings
+export const CHECKPOINT_STATUS_COLORS = {
+  operational: '#10b981',
+  congested: STATUS_BADGES.congested.color,
+  closed: STATUS_BADGES.closed.color,
+  maintenance: STATUS_BADGES.maintenance.color,
+};
+
+export const RISK_STYLES = {
+  high: { label: 'High risk', color: '#ef4444' },
+  medium: { label: 'Medium risk', color: '#f59e0b' },
+  low: { label: 'Low risk', color: '#fbbf24' },
+};
+
+export const VEHICLE_STYLES = {
+  truck: { label: 'Truck', color: '#0f766e', glyph: 'truck' },
+  van: { label: 'Van', color: '#0369a1', glyph: 'van' },
+  jeep: { label: 'Jeep', color: '#4d7c0f', glyph: 'jeep' },
+  ambulance: { label: 'Ambulance', color: '#be123c', glyph: 'cross' },
+  tanker: { label: 'Tanker', color: '#a16207', glyph: 'tanker' },
+  armored_vehicle: { label: 'Armored', color: '#3f3f46', glyph: 'shield' },
+};
+const DEFAULT_VEHICLE_STYLE = { label: 'Vehicle', color: '#475569', glyph: 'dot' };
+
+export const ENDPOINT_STYLES = {
+  start: { label: 'Start', color: '#10b981', glyph: 'play' },
+  end: { label: 'Destination', color: '#ef4444', glyph: 'flag' },
+};
+
+const glyphSvg = (glyph, color, x, y, size) =>
+  `<path transform="translate(${x} ${y}) scale(${size / 24})" d="${GLYPHS[glyph]}" fill="${color}"/>`;
+
+const badgeSvg = (badge, cx, cy) => badge
+  ? `<circle cx="${cx}" cy="${cy}" r="6" fill="${badge.color}" stroke="#ffffff" stroke-width="1.5"/>` +
+    `<path transform="translate(${cx - 5} ${cy - 5})" d="${BADGE_GLYPHS[badge.glyph]}" stroke="#ffffff" stroke-width="1.8" stroke-linecap="round" fill="none"/>`
+  : '';
+
+// Teardrop pin, 30x42, tip at the bottom center
+const pinSvg = ({ color, glyph }, badge) =>
+  '<svg xmlns="http://www.w3.org/2000/svg" width="30" height="42" viewBox="0 0 30 42">' +
+  `<path d="M15 1C7.3 1 1 7.3 1 15c0 10.5 14 26 14 26s14-15.5 14-26C29 7.3 22.7 1 15 1z" fill="${color}" stroke="#ffffff" stroke-width="2"/>` +
+  '<circle cx="15" cy="15" r="9.5" fill="#ffffff"/>' +
+  glyphSvg(glyph, color, 8, 8, 14) +
+  badgeSvg(badge, 24, 7) +
+  '</svg>';
+
+// Warning triangle, 28x26
+const riskSvg = ({ color }) =>
+  '<svg xmlns="http://www.w3.org/2000/svg" width="28" height="26" viewBox="0 0 28 26">' +
+  `<path d="M14 1.5L26.5 24.5H1.5z" fill="${color}" stroke="#ffffff" stroke-width="2" stroke-linejoin="round"/>` +
+  '<path d="M14 9v7.5M14 20v.5" stroke="#ffffff" stroke-width="2.6" stroke-linecap="round"/>' +
+  '</svg>';
+
+// Round badge, 30x30, for vehicles
+const vehicleSvg = ({ color, glyph }, badge) =>
+  '<svg xmlns="http://www.w3.org/2000/svg" width="30" height="30" viewBox="0 0 30 30">' +
+  `<circle cx="14" cy="16" r="12" fill="${color}" stroke="#ffffff" stroke-width="2"/>` +
+  glyphSvg(glyph, '#ffffff', 6, 8, 16) +
+  badgeSvg(badge, 23, 7) +
+  '</svg>';
+
+const clusterSize = (total) => (total >= 1000 ? 52 : total >= 100 ? 46 : total >= 10 ? 40 : 34);
+
+// Cluster bubble: a ring split by each segment's share, total in the middle
+const clusterSvg = (segments, total) => {
+  const size = clusterSize(total);
+  const center = size / 2;
+  const r = center - 5;
+  const circumference = 2 * Math.PI * r;
+  let offset = 0;
+  const arcs = segments.filter(s => s.count > 0).map(({ color, count }) => {
+    const length = (circumference * count) / total;
+    const arc = `<circle cx="${center}" cy="${center}" r="${r}" fill="none" stroke="${color}" stroke-width="7" ` +
+      `stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 ${center} ${center})"/>`;
+    offset += length;
+    return arc;
+  }).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+    `<circle cx="${center}" cy="${center}" r="${center - 1}" fill="#0f172a" stroke="#ffffff" stroke-width="1.5"/>` +
+    arcs +
+    `<text x="${center}" y="${center}" text-anchor="middle" dominant-baseline="central" font-family="sans-serif" font-size="12" font-weight="700" fill="#ffffff">${total}</text>` +
+    '</svg>';
+};
+
+export const svgDataUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+// Image URLs, also used by MapLegend
+export const checkpointIconUrl = (type, status) =>
+  svgDataUrl(pinSvg(CHECKPOINT_STYLES[type] || DEFAULT_CHECKPOINT_STYLE, STATUS_BADGES[status]));
+export const riskIconUrl = (level) => svgDataUrl(riskSvg(RISK_STYLES[level] || RISK_STYLES.high));
+export const vehicleIconUrl = (type, status) =>
+  svgDataUrl(vehicleSvg(VEHICLE_STYLES[type] || DEFAULT_VEHICLE_STYLE, STATUS_BADGES[status]));
+export const endpointIconUrl = (kind) => svgDataUrl(pinSvg(ENDPOINT_STYLES[kind]));
+
+// One L.icon per distinct look; maps with many markers share instances
+const iconCache = new Map();
+const cachedIcon = (key, build) => {
+  if (!iconCache.has(key)) iconCache.set(key, build());
+  return iconCache.get(key);
+};
+
+const pinIcon = (iconUrl) => L.icon({
+  iconUrl,
+  iconSize: [30, 42],
+  iconAnchor: [15, 41],
+  popupAnchor: [0, -36],
+  tooltipAnchor: [12, -24],
+});
+
+export const checkpointIcon = ({ checkpoint_type: type, status }) =>
+  cachedIcon(`checkpoint:${type}:${status}`, () => pinIcon(checkpointIconUrl(type, status)));
+
+export const riskZoneIcon = (level) =>
+  cachedIcon(`risk:${level}`, () => L.icon({
+    iconUrl: riskIconUrl(level),
+    iconSize: [28, 26],
+    iconAnchor: [14, 13],
+    popupAnchor: [0, -12],
+  }));
+
+export const vehicleIcon = (type, status) =>
+  cachedIcon(`vehicle:${type}:${status}`, () => L.icon({
+    iconUrl: vehicleIconUrl(type, status),
+    iconSize: [30, 30],
+    iconAnchor: [14, 16],
+    popupAnchor: [0, -14],
+  }));
+
+export const endpointIcon = (kind) => cachedIcon(`endpoint:${kind}`, () => pinIcon(endpointIconUrl(kind)));
+
+// Not cached: counts change with every pan and zoom
+export const clusterIcon = (segments) => {
+  const total = segments.reduce((sum, s) => sum + s.count, 0);
+  const size = clusterSize(total);
+  return L.icon({
+    iconUrl: svgDataUrl(clusterSvg(segments, total)),
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+    tooltipAnchor: [size / 2, 0],
+  });
+};
@@ -0,0 +1,83 @@
+// Dashboard map layer choices: basemaps, the filterable overlay layers and
+// their per-user persistence in localStorage.
+import { DEFAULT_TILE_SOURCE, OFFLINE_TILES } from './tileSources';
+
+// The configured tile source always comes first; the public alternatives are
+// left out when running on offline tiles
+export const BASEMAPS = {
+  streets: DEFAULT_TILE_SOURCE,
+  ...(OFFLINE_TILES ? {} : {
+    topo: {
+      label: 'Terrain',
+      url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+      attribution: '&copy; OpenStreetMap contributors, SRTM | &copy; OpenTopoMap (CC-BY-SA)',
+      maxZoom: 17,
+    },
+    satellite: {
+      label: 'Satellite',
+      url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+      attribution: 'Tiles &copy; Esri, Maxar, Earthstar Geographics',
+      maxZoom: 19,
+    },
+    dark: {
+      label: 'Dark',
+      url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+      attribution: '&copy; OpenStreetMap contributors &copy; CARTO',
+      maxZoom: 19,
+    },
+  }),
+};
+
+// Values used by the checkpoints and risk_zones tables
+export const CHECKPOINT_TYPES = ['military', 'border', 'rest_stop', 'toll', 'fuel'];
+export const CHECKPOINT_STATUSES = ['operational', 'congested', 'closed', 'maintenance'];
+export const RISK_LEVELS = ['high', 'medium', 'low'];
+
+export const DEFAULT_LAYER_SETTINGS = {
+  basemap: 'streets',
+  routes: true,
+  labels: false,
+  checkpoints: {
+    visible: true,
+    types: CHECKPOINT_TYPES,
+    statuses: CHECKPOINT_STATUSES,
+  },
+  riskZones: {
+    visible: true,
+    levels: RISK_LEVELS,
+    heatmap: false,
+  },
+};
+
+const storageKey = (userId) => `convoy-map-layers-${userId || 'guest'}`;
+
+// Saved settings are merged over the defaults so new layers appear switched
+// on for users who saved before they existed
+export const loadLayerSettings = (userId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(userId)) || 'null');
+    if (!saved) return DEFAULT_LAYER_SETTINGS;
+    return {
+      ...DEFAULT_LAYER_SETTINGS,
+      ...saved,
+      basemap: BASEMAPS[saved.basemap] ? saved.basemap : DEFAULT_LAYER_SETTINGS.basemap,
+      checkpoints: { ...DEFAULT_LAYER_SETTINGS.checkpoints, ...saved.checkpoints },
+      riskZones: { ...DEFAULT_LAYER_SETTINGS.riskZones, ...saved.riskZones },
+    };
+  } catch {
+    return DEFAULT_LAYER_SETTINGS;
+  }
+};
+
+export const saveLayerSettings = (userId, settings) => {
+  localStorage.setItem(storageKey(userId), JSON.stringify(settings));
+};
+
+// Unknown values (e.g. a type added on the backend) stay visible
+export const isCheckpointVisible = (checkpoint, { visible, types, statuses }) =>
+  visible &&
+  (!CHECKPOINT_TYPES.includes(checkpoint.checkpoint_type) || types.includes(checkpoint.checkpoint_type)) &&
+  (!CHECKPOINT_STATUSES.includes(checkpoint.status) || statuses.includes(checkpoint.status));
+
+export const isRiskZoneVisible = (zone, { visible, levels }) =>
+  visible && (!RISK_LEVELS.includes(zone.risk_level) || levels.includes(zone.risk_level));
@@ -0,0 +1,96 @@
+// Aggregate risk as a heatmap tile layer. Each zone adds a soft disc weighted
+// by its routing penalty; overlapping zones stack, and the summed intensity
+// is colored from yellow through dark red. Tiles are drawn on the client, so
+// it works offline and only touches zones that overlap each tile.
+import L from 'leaflet';
+import { RISK_PENALTIES, MAX_RISK_PENALTY } from './riskProfile';
+
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+// Zones smaller than this on screen are still drawn as a visible blob
+const MIN_RADIUS_PX = 8;
+// A lone high-risk zone fills half the scale, so overlaps still read hotter
+const ZONE_INTENSITY = 0.5;
+const MAX_OPACITY = 0.7;
+const HEAT_STOPS = [[0, '#fde047'], [0.2, '#fbbf24'], [0.45, '#f59e0b'], [0.7, '#ef4444'], [1, '#7f1d1d']];
+
+let palette = null;
+
+// 256 RGBA entries along HEAT_STOPS, built once
+const heatPalette = () => {
+  if (palette) return palette;
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 1;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, 256, 0);
+  HEAT_STOPS.forEach(([stop, color]) => gradient.addColorStop(stop, color));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, 256, 1);
+  palette = ctx.getImageData(0, 0, 256, 1).data;
+  return palette;
+};
+
+// Map the accumulated alpha channel onto the palette
+const colorize = (ctx, width, height) => {
+  const image = ctx.getImageData(0, 0, width, height);
+  const pixels = image.data;
+  const colors = heatPalette();
+  for (let i = 0; i < pixels.length; i += 4) {
+    const intensity = pixels[i + 3];
+    if (!intensity) continue;
+    const j = intensity * 4;
+    pixels[i] = colors[j];
+    pixels[i + 1] = colors[j + 1];
+    pixels[i + 2] = colors[j + 2];
+    // sqrt keeps faint low-risk zones visible
+    pixels[i + 3] = Math.round(255 * MAX_OPACITY * Math.sqrt(intensity / 255));
+  }
+  ctx.putImageData(image, 0, 0);
+};
+
+const RiskHeatLayer = L.GridLayer.extend({
+  initialize(zones, options) {
+    this._zones = zones;
+    L.setOptions(this, options);
+  },
+
+  createTile(coords) {
+    const size = this.getTileSize();
+    const tile = document.createElement('canvas');
+    tile.width = size.x;
+    tile.height = size.y;
+    const ctx = tile.getContext('2d');
+    // Intensities add up where zones overlap
+    ctx.globalCompositeOperation = 'lighter';
+
+    const origin = coords.scaleBy(size);
+    let drawn = false;
+    this._zones.forEach(zone => {
+      const weight = ((RISK_PENALTIES[zone.risk_level] || 0) / MAX_RISK_PENALTY) * ZONE_INTENSITY;
+      if (!weight) return;
+
+      const center = this._map.project([zone.lat, zone.lon], coords.z).subtract(origin);
+      const metersPerPx = (EARTH_CIRCUMFERENCE_M * Math.cos((zone.lat * Math.PI) / 180)) / (size.x * 2 ** coords.z);
+      // Fade out a little past the zone's edge
+      const radius = Math.max((zone.radius_km * 1000) / metersPerPx, MIN_RADIUS_PX) * 1.25;
+      if (center.x + radius < 0 || center.y + radius < 0 || center.x - radius > size.x || center.y - radius > size.y) return;
+
+      const gradient = ctx.createRadialGradient(center.x, center.y, 0, center.x, center.y, radius);
+      gradient.addColorStop(0, `rgba(0, 0, 0, ${weight})`);
+      gradient.addColorStop(0.8, `rgba(0, 0, 0, ${weight * 0.6})`);
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, radius, 0, 2 * Math.PI);
+      ctx.fill();
+      drawn = true;
+    });
+
+    if (drawn) colorize(ctx, size.x, size.y);
+    return tile;
+  },
+});
+
+// Sits above the basemap and below routes and markers
+export const createRiskHeatLayer = (zones, options) =>
+  new RiskHeatLayer(zones, { zIndex: 5, ...options });
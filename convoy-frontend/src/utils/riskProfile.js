@@ -0,0 +1,57 @@
+// Risk along a route: the penalty the backend's risk engine puts on a point
+// (see RiskZoneManager.compute_risk_penalty), sampled by distance travelled.
+import { cumulativeDistancesKm, pointAlongPolyline } from './geo';
+import { zoneContains } from './riskZoneShapes';
+
+export const RISK_PENALTIES = { high: 1000, medium: 500, low: 200 };
+export const MAX_RISK_PENALTY = RISK_PENALTIES.high;
+
+// Samples spread evenly over the route, whatever its length
+const PROFILE_SAMPLES = 200;
+
+const levelRank = (level) => RISK_PENALTIES[level] || 0;
+
+/**
+ * Sample the route and record the worst risk zone covering each sample.
+ *
+ * @param {{lat:number, lon:number}[]} coords - Route polyline
+ * @param {{lat:number, lon:number, radius_km:number, polygon?:number[][], risk_level:string, name:string}[]} zones
+ * @returns {{totalKm:number, samples:{distanceKm:number, lat:number, lon:number, penalty:number, level:string|null, zones:object[]}[]}}
+ */
+export const buildRiskProfile = (coords, zones) => {
+  if (!coords || coords.length < 2) return { totalKm: 0, samples: [] };
+
+  const distances = cumulativeDistancesKm(coords);
+  const totalKm = distances[distances.length - 1];
+  const samples = [];
+  for (let i = 0; i <= PROFILE_SAMPLES; i++) {
+    const distanceKm = (totalKm * i) / PROFILE_SAMPLES;
+    const { lat, lon } = pointAlongPolyline(coords, distanceKm, distances);
+    const inside = zones.filter(zone => zoneContains(zone, { lat, lon }));
+    const worst = inside.reduce((a, b) => (levelRank(b.risk_level) > levelRank(a?.risk_level) ? b : a), null);
+    samples.push({
+      distanceKm,
+      lat,
+      lon,
+      penalty: worst ? levelRank(worst.risk_level) : 0,
+      level: worst?.risk_level || null,
+      zones: inside,
+    });
+  }
+  return { totalKm, samples };
+};
+
+// The run of samples around `index` at the same penalty, as a distance range
+export const riskStretchAt = (samples, index) => {
+  const { penalty } = samples[index];
+  let first = index;
+  let last = index;
+  while (first > 0 && samples[first - 1].penalty === penalty) first--;
+  while (last < samples.length - 1 && samples[last + 1].penalty === penalty) last++;
+  return {
+    fromKm: samples[first].distanceKm,
+    toKm: samples[last].distanceKm,
+    penalty,
+    level: samples[index].level,
+  };
+};
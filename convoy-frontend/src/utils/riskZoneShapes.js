@@ -0,0 +1,22 @@
+// Risk zones are circles (center + radius_km) or polygons ([lat, lon]
+// vertices, with center/radius_km holding the centroid and bounding radius).
+// These helpers keep the maps and the risk profile agreeing on the shape.
+import L from 'leaflet';
+import { haversineKm, pointInPolygon } from './geo';
+
+export const isPolygonZone = (zone) => zone.shape === 'polygon' && zone.polygon?.length >= 3;
+
+export const zoneContains = (zone, point) =>
+  isPolygonZone(zone) ? pointInPolygon(point, zone.polygon) : haversineKm(point, zone) <= zone.radius_km;
+
+// L.polygon or L.circle with the given path options
+export const riskZoneShape = (zone, options) =>
+  isPolygonZone(zone)
+    ? L.polygon(zone.polygon, options)
+    : L.circle([zone.lat, zone.lon], { ...options, radius: zone.radius_km * 1000 });
+
+// Popup line describing the zone's extent
+export const zoneExtentLabel = (zone) =>
+  isPolygonZone(zone)
+    ? `Area: ${zone.polygon.length}-point polygon`
+    : `Radius: ${zone.radius_km} km`;
@@ -0,0 +1,141 @@
+// Client-side route cache in IndexedDB.
+// get_route and the convoy route endpoint are slow (OSRM + ETA model), so
+// pages draw the cached copy first and refresh it in the background.
+// The cache is best-effort: any IndexedDB failure behaves like a miss.
+
+const DB_NAME = 'smartconvoy';
+const DB_VERSION = 1;
+const STORE = 'routes';
+
+// Entries younger than this are used without a background refresh
+const ROUTE_FRESH_MS = 5 * 60 * 1000;
+// Entries older than this are discarded
+const ROUTE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+      store.createIndex('convoyId', 'convoyId', { unique: false });
+    };
+    request.onsuccess = () => {
+      pruneExpired(request.result);
+      resolve(request.result);
+    };
+    // Private browsing and blocked storage land here; run without a cache
+    request.onerror = () => {
+      console.warn('Route cache unavailable:', request.error);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+};
+
+const pruneExpired = (db) => {
+  const cutoff = Date.now() - ROUTE_MAX_AGE_MS;
+  const cursorRequest = db.transaction(STORE, 'readwrite').objectStore(STORE).openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    if (cursor.value.cachedAt < cutoff) cursor.delete();
+    cursor.continue();
+  };
+};
+
+const withStore = async (mode, fn) => {
+  try {
+    const db = await openDb();
+    if (!db) return null;
+    return await fn(db.transaction(STORE, mode).objectStore(STORE));
+  } catch (err) {
+    console.warn('Route cache error:', err);
+    return null;
+  }
+};
+
+// Coordinates are rounded to ~1 m so float noise doesn't split entries
+const roundCoord = (value) => Number(value).toFixed(5);
+
+/**
+ * Cache key for one routing request.
+ * `kind` separates response shapes, e.g. 'get_route' vs the stored 'convoy' route.
+ */
+export const routeCacheKey = ({ kind = 'get_route', startLat, startLon, endLat, endLon, waypoints = [], trafficLevel = 1, terrain = 'plain', priority = 'normal' }) => [
+  kind,
+  `${roundCoord(startLat)},${roundCoord(startLon)}`,
+  `${roundCoord(endLat)},${roundCoord(endLon)}`,
+  waypoints.map(({ lat, lon }) => `${roundCoord(lat)},${roundCoord(lon)}`).join(';'),
+  `t${trafficLevel}`,
+  terrain,
+  priority,
+].join('|');
+
+// Resolves with { data, cachedAt, fresh } or null on a miss / expired entry
+export const readCachedRoute = (key) => withStore('readonly', async (store) => {
+  const entry = await requestToPromise(store.get(key));
+  if (!entry) return null;
+  const age = Date.now() - entry.cachedAt;
+  if (age > ROUTE_MAX_AGE_MS) return null;
+  return { data: entry.data, cachedAt: entry.cachedAt, fresh: age < ROUTE_FRESH_MS };
+});
+
+export const writeCachedRoute = (key, data, convoyId = null) => withStore('readwrite', (store) =>
+  requestToPromise(store.put({ key, convoyId: convoyId === null ? null : String(convoyId), data, cachedAt: Date.now() }))
+);
+
+// Drop every entry stored for a convoy, e.g. after its route was replaced
+export const invalidateConvoyRoutes = (convoyId) => withStore('readwrite', async (store) => {
+  const keys = await requestToPromise(store.index('convoyId').getAllKeys(String(convoyId)));
+  await Promise.all(keys.map(key => requestToPromise(store.delete(key))));
+});
+
+export const clearRouteCache = () => withStore('readwrite', (store) => requestToPromise(store.clear()));
+
+/**
+ * Stale-while-revalidate load. `onData(data, { fromCache })` is called with the
+ * cached route straight away (if any) and again when the network copy arrives;
+ * fresh cache entries skip the network. If the refresh fails or is not
+ * cacheable the cached copy stands; without one the error is rethrown.
+ * Resolves with the newest data.
+ *
+ * @param {object} args
+ * @param {string} args.key - From routeCacheKey()
+ * @param {string|number} [args.convoyId] - Enables invalidateConvoyRoutes()
+ * @param {() => Promise<*>} args.fetch - Network request
+ * @param {(data: *, meta: { fromCache: boolean }) => void} args.onData
+ * @param {(data: *) => boolean} [args.isCacheable] - Skip caching degraded results
+ */
+export const loadRouteWithCache = async ({ key, convoyId = null, fetch, onData, isCacheable = (data) => data != null }) => {
+  const cached = await readCachedRoute(key);
+  if (cached) {
+    onData(cached.data, { fromCache: true });
+    if (cached.fresh) return cached.data;
+  }
+
+  try {
+    const data = await fetch();
+    if (isCacheable(data)) {
+      writeCachedRoute(key, data, convoyId);
+    } else if (cached) {
+      // A degraded refresh (e.g. OSRM down) shouldn't replace a good cached route
+      return cached.data;
+    }
+    onData(data, { fromCache: false });
+    return data;
+  } catch (err) {
+    if (!cached) throw err;
+    console.warn('Route refresh failed, keeping cached copy:', err.detail || err.message);
+    return cached.data;
+  }
+};
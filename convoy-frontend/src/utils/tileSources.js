@@ -0,0 +1,38 @@
+// Basemap tile source shared by every map.
+// Configured through VITE_TILE_* variables so air-gapped deployments can point
+// at their own tile server; VITE_TILE_SOURCE=local uses the backend's
+// /api/tiles endpoint (MBTiles file or tile folder) and turns off every
+// online basemap.
+import L from 'leaflet';
+import { API_BASE_URL } from '../api/client';
+
+const env = import.meta.env;
+
+const numberOr = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const OFFLINE_TILES = env.VITE_TILE_SOURCE === 'local';
+
+const LOCAL_TILE_FORMAT = env.VITE_TILE_FORMAT || 'png';
+
+export const DEFAULT_TILE_SOURCE = {
+  label: env.VITE_TILE_LABEL || (OFFLINE_TILES ? 'Offline' : 'Streets'),
+  url: OFFLINE_TILES
+    ? `${API_BASE_URL}/api/tiles/{z}/{x}/{y}.${LOCAL_TILE_FORMAT}`
+    : env.VITE_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: env.VITE_TILE_ATTRIBUTION ?? '&copy; OpenStreetMap contributors',
+  minZoom: numberOr(env.VITE_TILE_MIN_ZOOM, 0),
+  maxZoom: numberOr(env.VITE_TILE_MAX_ZOOM, 19),
+  subdomains: env.VITE_TILE_SUBDOMAINS || 'abc',
+};
+
+// Leaflet tile layer for a source ({ url, attribution, minZoom, maxZoom, subdomains })
+export const createTileLayer = (source = DEFAULT_TILE_SOURCE) =>
+  L.tileLayer(source.url, {
+    attribution: source.attribution,
+    minZoom: source.minZoom ?? DEFAULT_TILE_SOURCE.minZoom,
+    maxZoom: source.maxZoom ?? DEFAULT_TILE_SOURCE.maxZoom,
+    subdomains: source.subdomains ?? 'abc',
+  });